@@ -0,0 +1,356 @@
+import { createReadStream, createWriteStream, mkdirSync, rmSync, symlinkSync, chmodSync } from 'fs';
+import { open, readdir } from 'fs/promises';
+import { dirname, join, resolve } from 'path';
+import { Readable } from 'stream';
+import { pipeline } from 'stream/promises';
+import * as tar from 'tar';
+import yauzl from 'yauzl';
+import unbzip2 from 'unbzip2-stream';
+import xzDecompress from 'xz-decompress';
+import { extractPkg, isInside } from './xar-reader.mjs';
+import { extractDmgImage } from './dmg-reader.mjs';
+
+const { XzReadableStream } = xzDecompress;
+
+/**
+ * File name suffix of each archive format
+ */
+const FORMAT_EXTENSIONS = {
+  'tar.bz2': ['.tar.bz2', '.tbz2'],
+  'tar.gz': ['.tar.gz', '.tgz'],
+  'tar.xz': ['.tar.xz', '.txz'],
+  'tar': ['.tar'],
+  'zip': ['.zip'],
+  'dmg': ['.dmg'],
+  'pkg': ['.pkg'],
+};
+
+/**
+ * Detect the format of an archive from its magic bytes
+ * Falls back to the file name suffix when the content is not recognized.
+ *
+ * @param {string} archivePath - Path to the archive
+ * @returns {Promise<string|null>} One of the FORMAT_EXTENSIONS keys, or null if unknown
+ */
+export async function detectArchiveFormat(archivePath) {
+  const file = await open(archivePath, 'r');
+
+  try {
+    const { size } = await file.stat();
+    const head = Buffer.alloc(Math.min(512, size));
+    await file.read(head, 0, head.length, 0);
+
+    // UDIF disk images end with a 512-byte "koly" trailer, and their data fork may
+    // start with a bzip2 or other compressed chunk
+    if (size >= 512) {
+      const trailer = Buffer.alloc(4);
+      await file.read(trailer, 0, 4, size - 512);
+      if (trailer.toString('latin1') === 'koly') {
+        return 'dmg';
+      }
+    }
+
+    if (head.subarray(0, 3).toString('latin1') === 'BZh') {
+      return 'tar.bz2';
+    }
+    if (head[0] === 0x1f && head[1] === 0x8b) {
+      return 'tar.gz';
+    }
+    if (head.subarray(0, 6).equals(Buffer.from([0xfd, 0x37, 0x7a, 0x58, 0x5a, 0x00]))) {
+      return 'tar.xz';
+    }
+    if (head.subarray(0, 4).toString('latin1') === 'xar!') {
+      return 'pkg';
+    }
+    if (head.subarray(0, 2).toString('latin1') === 'PK' && [3, 5, 7].includes(head[2])) {
+      return 'zip';
+    }
+    if (head.subarray(257, 262).toString('latin1') === 'ustar') {
+      return 'tar';
+    }
+  } finally {
+    await file.close();
+  }
+
+  return getFormatFromName(archivePath);
+}
+
+/**
+ * Get the archive format implied by a file name
+ *
+ * @param {string} name - File name or path
+ * @returns {string|null}
+ */
+export function getFormatFromName(name) {
+  const lowerName = name.toLowerCase();
+  for (const [format, extensions] of Object.entries(FORMAT_EXTENSIONS)) {
+    if (extensions.some(extension => lowerName.endsWith(extension))) {
+      return format;
+    }
+  }
+  return null;
+}
+
+/**
+ * Extract an archive, detecting its format from its content
+ *
+ * @param {string} archivePath - Path to the archive
+ * @param {string} extractDir - Directory to extract to
+ * @param {Object} options - Extraction options
+ * @param {string} options.dmgExtractor - How to extract .dmg files: 'auto' (default), 'js' or 'hdiutil'
+ * @returns {Promise<string>} Detected archive format
+ */
+export async function extractArchive(archivePath, extractDir, options = {}) {
+  const format = await detectArchiveFormat(archivePath);
+  mkdirSync(extractDir, { recursive: true });
+
+  switch (format) {
+    case 'tar':
+    case 'tar.gz':
+      await tar.extract({ file: archivePath, cwd: extractDir });
+      break;
+    case 'tar.bz2':
+      await pipeline(createReadStream(archivePath), unbzip2(), tar.extract({ cwd: extractDir }));
+      break;
+    case 'tar.xz':
+      await pipeline(createXzStream(archivePath), tar.extract({ cwd: extractDir }));
+      break;
+    case 'zip':
+      await extractZip(archivePath, extractDir);
+      break;
+    case 'pkg':
+      await extractPkg(archivePath, extractDir);
+      break;
+    case 'dmg':
+      await extractDmg(archivePath, extractDir, options.dmgExtractor);
+      break;
+    default:
+      throw new Error(`Unsupported archive format: ${archivePath}`);
+  }
+
+  return format;
+}
+
+/**
+ * Find archives nested inside an extracted directory, e.g. a build inside a .zip package
+ *
+ * @param {string} dir - Directory to search
+ * @param {number} depth - Maximum directory depth to search (default: 2)
+ * @returns {Promise<string[]>} Paths to nested archives
+ */
+export async function findNestedArchives(dir, depth = 2) {
+  const archives = [];
+  const entries = await readdir(dir, { withFileTypes: true });
+
+  for (const entry of entries) {
+    const path = join(dir, entry.name);
+    if (entry.isFile() && getFormatFromName(entry.name)) {
+      archives.push(path);
+    } else if (entry.isDirectory() && depth > 0 && !entry.name.endsWith('.app')) {
+      archives.push(...await findNestedArchives(path, depth - 1));
+    }
+  }
+
+  return archives;
+}
+
+/**
+ * Decompress a .xz file as a Node.js stream
+ *
+ * @param {string} path - Path to the .xz file
+ * @returns {Readable}
+ */
+function createXzStream(path) {
+  return Readable.fromWeb(new XzReadableStream(Readable.toWeb(createReadStream(path))));
+}
+
+/**
+ * Extract a .zip archive, restoring Unix permissions and symlinks when present
+ *
+ * @param {string} zipPath - Path to the .zip file
+ * @param {string} extractDir - Directory to extract to
+ * @returns {Promise<void>}
+ */
+async function extractZip(zipPath, extractDir) {
+  const zipFile = await new Promise((resolvePromise, reject) => {
+    yauzl.open(zipPath, { lazyEntries: true, autoClose: true }, (err, file) => (err ? reject(err) : resolvePromise(file)));
+  });
+  const openReadStream = (entry) => new Promise((resolvePromise, reject) => {
+    zipFile.openReadStream(entry, (err, stream) => (err ? reject(err) : resolvePromise(stream)));
+  });
+
+  const root = resolve(extractDir);
+
+  try {
+    for await (const entry of iterateZipEntries(zipFile)) {
+      const targetPath = resolve(root, entry.fileName);
+      if (!isInside(root, targetPath)) {
+        throw new Error(`Refusing to extract ${entry.fileName} outside of ${extractDir}`);
+      }
+
+      // Unix permissions are stored in the high 16 bits of the external attributes
+      const mode = (entry.externalFileAttributes >>> 16) & 0xffff;
+      const fileType = mode & 0o170000;
+
+      if (entry.fileName.endsWith('/')) {
+        mkdirSync(targetPath, { recursive: true });
+        continue;
+      }
+
+      mkdirSync(dirname(targetPath), { recursive: true });
+      const stream = await openReadStream(entry);
+
+      if (fileType === 0o120000) {
+        const chunks = [];
+        for await (const chunk of stream) {
+          chunks.push(chunk);
+        }
+        // Later entries may be written through the link, so it must not lead out of the directory
+        const linkTarget = Buffer.concat(chunks).toString('utf8');
+        if (!isInside(root, resolve(dirname(targetPath), linkTarget))) {
+          throw new Error(`Refusing to extract symlink ${entry.fileName} -> ${linkTarget} pointing outside of ${extractDir}`);
+        }
+        symlinkSync(linkTarget, targetPath);
+        continue;
+      }
+
+      await pipeline(stream, createWriteStream(targetPath));
+      if (mode & 0o777) {
+        chmodSync(targetPath, mode & 0o777);
+      }
+    }
+  } finally {
+    zipFile.close();
+  }
+}
+
+/**
+ * Iterate over the entries of a lazily-read yauzl zip file
+ *
+ * @param {Object} zipFile - yauzl ZipFile opened with lazyEntries
+ * @returns {AsyncGenerator<Object>}
+ */
+async function* iterateZipEntries(zipFile) {
+  while (true) {
+    const entry = await new Promise((resolvePromise, reject) => {
+      const onEntry = (value) => {
+        cleanup();
+        resolvePromise(value);
+      };
+      const onEnd = () => {
+        cleanup();
+        resolvePromise(null);
+      };
+      const onError = (err) => {
+        cleanup();
+        reject(err);
+      };
+      const cleanup = () => {
+        zipFile.off('entry', onEntry);
+        zipFile.off('end', onEnd);
+        zipFile.off('error', onError);
+      };
+
+      zipFile.on('entry', onEntry);
+      zipFile.on('end', onEnd);
+      zipFile.on('error', onError);
+      zipFile.readEntry();
+    });
+
+    if (!entry) {
+      return;
+    }
+    yield entry;
+  }
+}
+
+/**
+ * Extract the .app bundle of a .dmg file
+ *
+ * The disk image is read in JavaScript, which works on any OS. With the 'auto' method,
+ * images the JavaScript reader cannot handle are mounted with hdiutil when on macOS.
+ *
+ * @param {string} dmgPath - Path to .dmg file
+ * @param {string} extractDir - Directory to extract to
+ * @param {string} method - 'auto' (default), 'js' or 'hdiutil'
+ * @returns {Promise<void>}
+ */
+async function extractDmg(dmgPath, extractDir, method = 'auto') {
+  if (!['auto', 'js', 'hdiutil'].includes(method)) {
+    throw new Error(`Unknown DMG extractor: ${method} (expected auto, js or hdiutil)`);
+  }
+
+  if (method === 'hdiutil') {
+    await extractDmgWithHdiutil(dmgPath, extractDir);
+    return;
+  }
+
+  try {
+    console.log('Reading DMG...');
+    const apps = await extractDmgImage(dmgPath, extractDir);
+    console.log(`${apps.join(', ')} extracted successfully`);
+  } catch (err) {
+    if (method === 'js' || process.platform !== 'darwin') {
+      throw err;
+    }
+
+    console.warn(`Warning: Failed to read DMG (${err.message}), falling back to hdiutil`);
+    rmSync(extractDir, { recursive: true, force: true });
+    mkdirSync(extractDir, { recursive: true });
+    await extractDmgWithHdiutil(dmgPath, extractDir);
+  }
+}
+
+/**
+ * Extract a .dmg file on macOS
+ * Mounts the DMG, copies the .app bundle (Firefox.app, Firefox Nightly.app, etc.), then unmounts
+ *
+ * @param {string} dmgPath - Path to .dmg file
+ * @param {string} extractDir - Directory to extract to
+ * @returns {Promise<void>}
+ */
+async function extractDmgWithHdiutil(dmgPath, extractDir) {
+  const { exec } = await import('child_process');
+  const { promisify } = await import('util');
+  const execAsync = promisify(exec);
+
+  console.log('Mounting DMG...');
+
+  // Mount the DMG
+  const { stdout: attachOutput } = await execAsync(`hdiutil attach "${dmgPath}" -nobrowse -noautoopen`);
+
+  // Parse the mount point from hdiutil output
+  // Format: /dev/disk4s2          Apple_HFS                       /Volumes/Firefox Nightly
+  // The mount point is the last field on the line, can contain spaces
+  const mountMatch = attachOutput.match(/\/Volumes\/.+$/m);
+  if (!mountMatch) {
+    throw new Error('Could not determine DMG mount point');
+  }
+
+  const mountPoint = mountMatch[0].trim();
+  console.log(`Mounted at: ${mountPoint}`);
+
+  try {
+    // Find the .app bundle (could be Firefox.app, Firefox Nightly.app, etc.)
+    const { stdout: lsOutput } = await execAsync(`ls "${mountPoint}"`);
+    const appBundle = lsOutput.split('\n').find(name => name.endsWith('.app'));
+
+    if (!appBundle) {
+      throw new Error('Could not find .app bundle in mounted DMG');
+    }
+
+    console.log(`Found app bundle: ${appBundle}`);
+    console.log(`Copying ${appBundle}...`);
+    await execAsync(`cp -R "${mountPoint}/${appBundle}" "${extractDir}/"`);
+    console.log(`${appBundle} copied successfully`);
+  } finally {
+    // Always unmount the DMG, even if copy fails
+    console.log('Unmounting DMG...');
+    try {
+      await execAsync(`hdiutil detach "${mountPoint}"`);
+      console.log('DMG unmounted');
+    } catch (err) {
+      console.warn(`Warning: Failed to unmount DMG: ${err.message}`);
+    }
+  }
+}
@@ -0,0 +1,252 @@
+import assert from 'assert';
+import { appendFileSync } from 'fs';
+import { recordMetrics } from './test-report.mjs';
+
+/**
+ * Page script collecting performance metrics, resolved with {name: milliseconds}:
+ * fcp, lcp, domContentLoaded and load, plus the startTime of each performance.mark()
+ * and the duration of each performance.measure() under their own names.
+ * LCP entries are only exposed to buffered observers, delivered asynchronously.
+ */
+const COLLECT_METRICS_SCRIPT = `
+  return new Promise(resolve => {
+    const metrics = {};
+    const [navigation] = performance.getEntriesByType('navigation');
+    if (navigation && navigation.loadEventEnd > 0) {
+      metrics.domContentLoaded = navigation.domContentLoadedEventEnd;
+      metrics.load = navigation.loadEventEnd;
+    }
+    const [fcp] = performance.getEntriesByName('first-contentful-paint');
+    if (fcp) {
+      metrics.fcp = fcp.startTime;
+    }
+    for (const mark of performance.getEntriesByType('mark')) {
+      metrics[mark.name] = mark.startTime;
+    }
+    for (const measure of performance.getEntriesByType('measure')) {
+      metrics[measure.name] = measure.duration;
+    }
+
+    if (!PerformanceObserver.supportedEntryTypes.includes('largest-contentful-paint')) {
+      resolve(metrics);
+      return;
+    }
+    const observer = new PerformanceObserver(list => {
+      const entries = list.getEntries();
+      metrics.lcp = entries[entries.length - 1].startTime;
+    });
+    observer.observe({ type: 'largest-contentful-paint', buffered: true });
+    setTimeout(() => {
+      observer.disconnect();
+      resolve(metrics);
+    }, 50);
+  });
+`;
+
+/**
+ * Clears the network, image and style caches from the chrome context
+ */
+const CLEAR_CACHE_SCRIPT = `
+  return new Promise(resolve => {
+    Services.clearData.deleteData(Ci.nsIClearDataService.CLEAR_ALL_CACHES, resolve);
+  });
+`;
+
+/**
+ * Run a measurement repeatedly and summarize each metric
+ *
+ * @param {import('./webdriver-helper.mjs').FirefoxDriver} driver - Driver to measure with
+ * @param {Object} options - Benchmark options
+ * @param {Function} options.measure - async (driver, iteration) => ({metric: value}) for one run
+ * @param {number} options.runs - Number of measured runs (default: 10)
+ * @param {number} options.warmupRuns - Runs made first and discarded (default: 1)
+ * @param {'none'|'restart'|'clear-cache'} options.between - What to do before each run:
+ *   nothing, restart the browser, or clear its caches (default: none)
+ * @param {string[]} options.metrics - Metrics to keep (default: all the metrics returned by measure)
+ * @param {string} options.name - Benchmark name, prefixed to its metrics in BENCHMARK_OUTPUT (optional)
+ * @param {string} options.output - JSON lines file the samples are appended to, for build comparisons
+ *   (default: BENCHMARK_OUTPUT environment variable)
+ * @returns {Promise<{runs: number, metrics: Object<string, Object>}>} Samples and statistics
+ *   ({samples, count, median, mean, stddev, min, max, p75, p90, p95}) of each metric
+ */
+export async function runBenchmark(driver, options) {
+  const {
+    measure,
+    runs = 10,
+    warmupRuns = 1,
+    between = 'none',
+    metrics,
+    name,
+    output = process.env.BENCHMARK_OUTPUT,
+  } = options;
+
+  if (!['none', 'restart', 'clear-cache'].includes(between)) {
+    throw new Error(`Unknown benchmark option between: ${between} (expected none, restart or clear-cache)`);
+  }
+
+  const samples = {};
+  for (let iteration = 0; iteration < warmupRuns + runs; iteration++) {
+    const isWarmup = iteration < warmupRuns;
+
+    if (iteration > 0 && between === 'restart') {
+      await driver.restart();
+    } else if (between === 'clear-cache') {
+      await driver.executeInChrome(CLEAR_CACHE_SCRIPT);
+    }
+
+    const values = await measure(driver, iteration);
+    const label = isWarmup ? `Warm-up ${iteration + 1}/${warmupRuns}` : `Run ${iteration - warmupRuns + 1}/${runs}`;
+    console.log(`${label}: ${Object.entries(values).map(([name, value]) => `${name}=${formatValue(value)}`).join(', ')}`);
+    if (isWarmup) {
+      continue;
+    }
+
+    for (const metric of metrics || Object.keys(values)) {
+      if (typeof values[metric] !== 'number') {
+        throw new Error(`Metric ${metric} missing from run ${iteration - warmupRuns + 1}`);
+      }
+      (samples[metric] = samples[metric] || []).push(values[metric]);
+    }
+  }
+
+  const result = {
+    runs,
+    metrics: Object.fromEntries(Object.entries(samples).map(([metric, values]) => [metric, { samples: values, ...summarize(values) }])),
+  };
+  console.log(formatBenchmark(result));
+
+  // Report the medians with the result of the current test
+  recordMetrics(Object.fromEntries(Object.entries(result.metrics).map(([metric, stats]) => [name ? `${name}/${metric}` : metric, stats.median])));
+
+  if (output) {
+    const record = Object.fromEntries(Object.entries(samples).map(([metric, values]) => [name ? `${name}/${metric}` : metric, values]));
+    appendFileSync(output, JSON.stringify(record) + '\n');
+  }
+
+  return result;
+}
+
+/**
+ * Load a page and collect its performance metrics, for use as the measure of runBenchmark
+ * Waits for the load event, then for every requested metric to be available.
+ *
+ * @param {import('./webdriver-helper.mjs').FirefoxDriver} driver - Driver to load the page with
+ * @param {string} urlPath - URL or path to load
+ * @param {Object} options - Measurement options
+ * @param {string[]} options.metrics - Metrics to wait for (default: ['load'])
+ * @param {number} options.timeout - Milliseconds to wait for the metrics (default: 10000)
+ * @returns {Promise<Object<string, number>>} Metrics in milliseconds
+ */
+export async function measurePageLoad(driver, urlPath, { metrics = ['load'], timeout = 10000 } = {}) {
+  // Start from a blank page, so the metrics of a previous load of the same URL are never read
+  await driver.url('about:blank');
+  await driver.url(urlPath, { waitFor: 'load', timeout });
+
+  let values = {};
+  await driver.waitUntil(async () => {
+    values = await driver.execute(COLLECT_METRICS_SCRIPT);
+    return metrics.every(name => typeof values[name] === 'number');
+  }, timeout, `Timeout waiting for metrics ${metrics.join(', ')} of ${urlPath}`);
+
+  return values;
+}
+
+/**
+ * Compute the statistics of a list of samples
+ * stddev is the sample standard deviation, percentiles are linearly interpolated.
+ *
+ * @param {number[]} values - Samples
+ * @returns {{count: number, median: number, mean: number, stddev: number, min: number, max: number,
+ *   p75: number, p90: number, p95: number}}
+ */
+export function summarize(values) {
+  if (values.length === 0) {
+    throw new Error('Cannot summarize an empty list of samples');
+  }
+
+  const sorted = [...values].sort((a, b) => a - b);
+  const mean = values.reduce((sum, value) => sum + value, 0) / values.length;
+  const variance = values.length > 1
+    ? values.reduce((sum, value) => sum + (value - mean) ** 2, 0) / (values.length - 1)
+    : 0;
+
+  return {
+    count: values.length,
+    median: percentile(sorted, 50),
+    mean,
+    stddev: Math.sqrt(variance),
+    min: sorted[0],
+    max: sorted[sorted.length - 1],
+    p75: percentile(sorted, 75),
+    p90: percentile(sorted, 90),
+    p95: percentile(sorted, 95),
+  };
+}
+
+/**
+ * Get a percentile of sorted samples, interpolating between the closest ranks
+ *
+ * @param {number[]} sorted - Samples in ascending order
+ * @param {number} p - Percentile, from 0 to 100
+ * @returns {number}
+ */
+export function percentile(sorted, p) {
+  const rank = (p / 100) * (sorted.length - 1);
+  const lower = Math.floor(rank);
+  const upper = Math.ceil(rank);
+  return sorted[lower] + (sorted[upper] - sorted[lower]) * (rank - lower);
+}
+
+/**
+ * Assert on the median of a benchmark metric rather than on single samples
+ *
+ * @param {Object} result - Result of runBenchmark
+ * @param {string} metric - Metric name, e.g. "fcp"
+ * @param {Object} bounds - Bounds of the median
+ * @param {number} bounds.below - The median must be lower than this
+ * @param {number} bounds.above - The median must be greater than this
+ */
+export function assertMedian(result, metric, { below, above } = {}) {
+  const stats = result.metrics[metric];
+  assert(stats, `Metric ${metric} was not measured (measured: ${Object.keys(result.metrics).join(', ')})`);
+
+  const summary = `median ${formatValue(stats.median)} over ${stats.count} runs (min ${formatValue(stats.min)}, max ${formatValue(stats.max)})`;
+  if (below !== undefined) {
+    assert(stats.median < below, `Expected ${metric} median to be below ${below}, got ${summary}`);
+  }
+  if (above !== undefined) {
+    assert(stats.median > above, `Expected ${metric} median to be above ${above}, got ${summary}`);
+  }
+}
+
+/**
+ * Format benchmark statistics as a table
+ *
+ * @param {Object} result - Result of runBenchmark
+ * @returns {string}
+ */
+export function formatBenchmark(result) {
+  const columns = ['median', 'mean', 'stddev', 'min', 'max', 'p75', 'p90', 'p95'];
+  const names = Object.keys(result.metrics);
+  const width = Math.max(6, ...names.map(name => name.length));
+
+  const lines = [
+    `Benchmark results (${result.runs} runs, ms):`,
+    `  ${'metric'.padEnd(width)}  ${columns.map(column => column.padStart(9)).join('')}`,
+  ];
+  for (const name of names) {
+    const stats = result.metrics[name];
+    lines.push(`  ${name.padEnd(width)}  ${columns.map(column => formatValue(stats[column]).padStart(9)).join('')}`);
+  }
+  return lines.join('\n');
+}
+
+/**
+ * Format a metric value with at most one decimal
+ *
+ * @param {number} value - Value
+ * @returns {string}
+ */
+function formatValue(value) {
+  return typeof value === 'number' ? String(Math.round(value * 10) / 10) : String(value);
+}
@@ -0,0 +1,162 @@
+#!/usr/bin/env node
+
+import { writeFileSync } from 'fs';
+import { bisectNightlies, createMochaTest } from './bisect.mjs';
+
+/**
+ * CLI tool finding the Nightly build that introduced a regression
+ *
+ * Usage:
+ *   node bisect-cli.mjs --good <date|buildid> --bad <date|buildid> [options] [-- mocha args]
+ *
+ * Options:
+ *   --good <date|buildid>   - Build without the regression (YYYY-MM-DD or build ID)
+ *   --bad <date|buildid>    - Newer build with the regression (YYYY-MM-DD or build ID)
+ *   --grep <pattern>        - Only run the matching tests
+ *   --metric <name>         - Classify builds by the median of a runBenchmark() metric
+ *   --threshold <ms>        - Median of the metric above which a build is bad
+ *   --platform <name>       - Archive platform (default: current platform)
+ *   --locale <code>         - Build locale (default: en-US)
+ *   --archive-url <url>     - Base URL of the Mozilla archive
+ *   --output <path>         - Write the JSON result to a file
+ *   --cache-dir <path>      - Directory to cache downloads
+ */
+
+async function main() {
+  const separator = process.argv.indexOf('--');
+  const args = separator === -1 ? process.argv.slice(2) : process.argv.slice(2, separator);
+  const mochaArgs = separator === -1 ? [] : process.argv.slice(separator + 1);
+
+  if (args.includes('--help') || args.includes('-h')) {
+    console.log(`
+Usage: node bisect-cli.mjs --good <date|buildid> --bad <date|buildid> [options] [-- mocha args]
+
+Binary-searches the Nightly builds between a good and a bad build to find the one
+that introduced a regression, and prints the pushlog of the changes it contains.
+A build is bad when the Mocha run fails, or with --metric, when the median of the
+metric is above --threshold.
+
+Options:
+  --good <date|buildid>   Build without the regression: YYYY-MM-DD (first build of
+                          the day) or build ID (YYYYMMDDHHMMSS)
+  --bad <date|buildid>    Newer build with the regression
+  --grep <pattern>        Only run the tests matching the pattern
+  --metric <name>         Classify builds by the median of a runBenchmark() metric
+  --threshold <ms>        Median of the metric above which a build is bad
+  --platform <name>       Archive platform: linux-x86_64, mac, win64... (default: current)
+  --locale <code>         Build locale (default: en-US)
+  --archive-url <url>     Base URL of the Mozilla archive (default: https://archive.mozilla.org)
+  --output <path>         Write the JSON result to a file
+  --cache-dir <path>      Directory to cache downloads (default: OS temp dir)
+  --help, -h              Show this help message
+
+Arguments after -- are passed to Mocha.
+In GitHub Actions, the result is added to the job summary.
+
+Examples:
+  # Find the build that broke a test
+  node bisect-cli.mjs --good 2026-10-01 --bad 2026-10-15 --grep "should load"
+
+  # Find the build that made first contentful paint slower than 800ms
+  node bisect-cli.mjs --good 2026-10-01 --bad 2026-10-15 --metric fcp --threshold 800 -- test/test.mjs
+`);
+    return;
+  }
+
+  const good = getOptionValue(args, '--good');
+  const bad = getOptionValue(args, '--bad');
+  if (!good || !bad) {
+    throw new Error('Both --good and --bad are required (see --help)');
+  }
+
+  const metric = getOptionValue(args, '--metric');
+  const threshold = getOptionValue(args, '--threshold');
+  const test = createMochaTest({
+    grep: getOptionValue(args, '--grep'),
+    metric,
+    threshold: threshold === undefined ? undefined : Number(threshold),
+    mochaArgs,
+  });
+
+  const downloadOptions = {};
+  const cacheDir = getOptionValue(args, '--cache-dir');
+  if (cacheDir) {
+    downloadOptions.cacheDir = cacheDir;
+  }
+
+  const options = { good, bad, test, downloadOptions };
+  for (const [name, key] of [['--platform', 'platform'], ['--locale', 'locale'], ['--archive-url', 'archiveUrl']]) {
+    const value = getOptionValue(args, name);
+    if (value) {
+      options[key] = value;
+    }
+  }
+
+  const result = await bisectNightlies(options);
+  console.log(`\n✓ Regression range: ${result.good.buildId} (good) → ${result.bad.buildId} (bad)`);
+  if (result.skipped.length > 0) {
+    console.log(`  ${result.skipped.length} build(s) in the range could not be tested: ${result.skipped.join(', ')}`);
+  }
+
+  const output = getOptionValue(args, '--output');
+  if (output) {
+    writeFileSync(output, JSON.stringify(result, null, 2) + '\n');
+    console.log(`✓ Wrote JSON result to ${output}`);
+  }
+
+  if (process.env.GITHUB_STEP_SUMMARY) {
+    writeFileSync(process.env.GITHUB_STEP_SUMMARY, formatBisectionMarkdown(result, metric ? `${metric} above ${threshold}` : 'failing tests'), { flag: 'a' });
+    console.log('✓ Added the result to the GitHub Actions job summary');
+  }
+}
+
+/**
+ * Format a bisection result as Markdown
+ *
+ * @param {Object} result - Result of bisectNightlies
+ * @param {string} criterion - What makes a build bad
+ * @returns {string}
+ */
+function formatBisectionMarkdown(result, criterion) {
+  const buildRow = (label, { buildId, changeset, url }) =>
+    `| ${label} | ${url ? `[${buildId}](${url})` : buildId} | ${changeset || 'unknown'} |`;
+
+  const lines = [
+    '## Nightly bisection',
+    '',
+    `Regression: ${criterion}. ${result.steps.length} build(s) tested.`,
+    '',
+    '| | Build ID | Changeset |',
+    '| --- | --- | --- |',
+    buildRow('Last good', result.good),
+    buildRow('First bad', result.bad),
+    '',
+  ];
+  if (result.pushlogUrl) {
+    lines.push(`[Pushlog](${result.pushlogUrl})`, '');
+  }
+  if (result.skipped.length > 0) {
+    lines.push(`Untested builds in the range: ${result.skipped.join(', ')}`, '');
+  }
+  return lines.join('\n');
+}
+
+/**
+ * Get the value following a command line option
+ *
+ * @param {string[]} args - Command line arguments
+ * @param {string} name - Option name (e.g. --cache-dir)
+ * @returns {string|undefined}
+ */
+function getOptionValue(args, name) {
+  const index = args.indexOf(name);
+  if (index !== -1 && args[index + 1]) {
+    return args[index + 1];
+  }
+  return undefined;
+}
+
+main().catch((err) => {
+  console.error(`\n✗ Error: ${err.message}`);
+  process.exit(1);
+});
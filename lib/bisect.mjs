@@ -0,0 +1,230 @@
+import fetch from 'node-fetch';
+import { mkdtempSync, rmSync } from 'fs';
+import { join } from 'path';
+import { tmpdir } from 'os';
+import { proxyAgent } from './http-download.mjs';
+import { listNightlyBuilds, resolveNightlyBuildDir, getArchivePlatform } from './build-resolver.mjs';
+import { downloadFirefox } from './firefox-downloader.mjs';
+import { runMochaSuite, readBenchmarkOutput } from './build-comparison.mjs';
+import { summarize } from './benchmark.mjs';
+
+const VERDICTS = ['good', 'bad', 'skip'];
+
+/**
+ * Find the Nightly build that introduced a regression
+ *
+ * Nightly builds between the good and the bad one are listed from the archive, then
+ * binary-searched: each tested build is downloaded through the cache and classified by
+ * the test function. Builds classified as "skip" (e.g. broken builds) are left out of
+ * the search. The result is the last good and first bad build, with the pushlog of the
+ * changes between them.
+ *
+ * @param {Object} options - Bisection options
+ * @param {string} options.good - Date (YYYY-MM-DD, its first build) or build ID of a build without the regression
+ * @param {string} options.bad - Date (YYYY-MM-DD, its first build) or build ID of a newer build with the regression
+ * @param {Function} options.test - async (build) => 'good'|'bad'|'skip', build being the downloadFirefox result
+ * @param {string} options.platform - Archive platform name (default: current platform)
+ * @param {string} options.locale - Build locale (default: en-US)
+ * @param {string} options.archiveUrl - Base URL of the Mozilla archive (default: https://archive.mozilla.org)
+ * @param {Object} options.downloadOptions - Options passed to downloadFirefox (e.g. cacheDir)
+ * @returns {Promise<{good: Object, bad: Object, pushlogUrl: string|null, steps: Array<{buildId: string, verdict: string}>,
+ *   skipped: string[]}>} The narrowest range found. skipped lists the build IDs left untested inside it.
+ */
+export async function bisectNightlies(options) {
+  const {
+    good,
+    bad,
+    test,
+    platform = getArchivePlatform(),
+    locale = 'en-US',
+    archiveUrl,
+    downloadOptions = {},
+  } = options;
+
+  const goodBound = parseBound(good);
+  const badBound = parseBound(bad);
+  if (goodBound.from >= badBound.from) {
+    throw new Error(`The good build (${good}) must be older than the bad build (${bad})`);
+  }
+
+  const context = { platform, locale, archiveUrl };
+  const builds = await listNightlyBuilds(goodBound.from, badBound.to, context);
+  let low = builds.findIndex(build => goodBound.matches(build.buildId));
+  let high = builds.findIndex(build => badBound.matches(build.buildId));
+  if (low === -1) {
+    throw new Error(`No Nightly build found for good ${good}`);
+  }
+  if (high === -1) {
+    throw new Error(`No Nightly build found for bad ${bad}`);
+  }
+
+  console.log(`Bisecting ${high - low - 1} Nightly build(s) between ${builds[low].buildId} (good) and ${builds[high].buildId} (bad)`);
+
+  const steps = [];
+  const skipped = new Set();
+  const resolved = new Map();
+
+  for (;;) {
+    const remaining = [];
+    for (let i = low + 1; i < high; i++) {
+      if (!skipped.has(i)) {
+        remaining.push(i);
+      }
+    }
+    if (remaining.length === 0) {
+      break;
+    }
+
+    const index = remaining[Math.floor((remaining.length - 1) / 2)];
+    const { buildId, dirUrl } = builds[index];
+    console.log(`\nTesting build ${buildId} (${remaining.length} build(s) left, about ${Math.ceil(Math.log2(remaining.length + 1))} step(s))`);
+
+    const build = await resolveNightlyBuildDir(dirUrl, context);
+    resolved.set(index, build);
+    let verdict = 'skip';
+    if (build) {
+      const downloaded = await downloadFirefox(build.url, downloadOptions);
+      verdict = await test({ ...downloaded, buildId: downloaded.buildId || buildId });
+    } else {
+      console.warn(`No ${platform} archive in ${dirUrl}, skipping`);
+    }
+
+    if (!VERDICTS.includes(verdict)) {
+      throw new Error(`Invalid bisection verdict for ${buildId}: ${verdict} (expected good, bad or skip)`);
+    }
+    console.log(`Build ${buildId} is ${verdict}`);
+    steps.push({ buildId, verdict });
+
+    if (verdict === 'good') {
+      low = index;
+    } else if (verdict === 'bad') {
+      high = index;
+    } else {
+      skipped.add(index);
+    }
+  }
+
+  const [goodBuild, badBuild] = await Promise.all([low, high].map(async (index) => {
+    const build = resolved.has(index) ? resolved.get(index) : await resolveNightlyBuildDir(builds[index].dirUrl, context);
+    return { buildId: builds[index].buildId, url: build?.url ?? null, ...await readNightlyChangeset(build?.infoUrl) };
+  }));
+
+  const pushlogUrl = getPushlogUrl(goodBuild, badBuild);
+  console.log(`\nLast good build: ${goodBuild.buildId}${goodBuild.changeset ? ` (${goodBuild.changeset})` : ''}`);
+  console.log(`First bad build: ${badBuild.buildId}${badBuild.changeset ? ` (${badBuild.changeset})` : ''}`);
+  if (pushlogUrl) {
+    console.log(`Pushlog: ${pushlogUrl}`);
+  }
+
+  return {
+    good: goodBuild,
+    bad: badBuild,
+    pushlogUrl,
+    steps,
+    skipped: [...skipped].filter(index => index > low && index < high).map(index => builds[index].buildId),
+  };
+}
+
+/**
+ * Create a bisection test running Mocha against each build
+ *
+ * Without a metric, a build is bad when the Mocha run fails. With a metric, a build is bad
+ * when the median of the metric's runBenchmark() samples is above the threshold, and it is
+ * skipped when the metric was not measured.
+ *
+ * @param {Object} options - Test options
+ * @param {string} options.grep - Only run the tests matching this pattern (optional)
+ * @param {string} options.metric - Benchmark metric to classify builds with (optional)
+ * @param {number} options.threshold - Median above which a build is bad (required with metric)
+ * @param {string[]} options.mochaArgs - Extra Mocha arguments
+ * @param {Function} options.runSuite - Runs the suite (default: runMochaSuite)
+ * @returns {Function} Test function for bisectNightlies
+ */
+export function createMochaTest({ grep, metric, threshold, mochaArgs = [], runSuite = runMochaSuite } = {}) {
+  if (metric && typeof threshold !== 'number') {
+    throw new Error(`A threshold is required to classify builds by ${metric}`);
+  }
+
+  return async (build) => {
+    const workDir = mkdtempSync(join(tmpdir(), 'bisect-'));
+    const outputPath = join(workDir, 'benchmark.jsonl');
+
+    try {
+      const args = grep ? [...mochaArgs, '--grep', grep] : mochaArgs;
+      const code = await runSuite({ binaryPath: build.binaryPath, outputPath, mochaArgs: args });
+
+      if (!metric) {
+        return code === 0 ? 'good' : 'bad';
+      }
+
+      const samples = readBenchmarkOutput(outputPath).flatMap(record => record[metric] || []);
+      if (samples.length === 0) {
+        console.warn(`Metric ${metric} was not measured on build ${build.buildId}`);
+        return 'skip';
+      }
+
+      const { median } = summarize(samples);
+      console.log(`Median ${metric} of build ${build.buildId}: ${median} (threshold: ${threshold})`);
+      return median > threshold ? 'bad' : 'good';
+    } finally {
+      rmSync(workDir, { recursive: true, force: true });
+    }
+  };
+}
+
+/**
+ * Get the pushlog of the changes between two builds
+ *
+ * @param {{repository: string|null, changeset: string|null}} good - Last good build
+ * @param {{repository: string|null, changeset: string|null}} bad - First bad build
+ * @returns {string|null}
+ */
+export function getPushlogUrl(good, bad) {
+  if (!good.changeset || !bad.changeset || !bad.repository) {
+    return null;
+  }
+  if (/^https?:\/\/github\.com\//.test(bad.repository)) {
+    return `${bad.repository}/compare/${good.changeset}...${bad.changeset}`;
+  }
+  return `${bad.repository}/pushloghtml?fromchange=${good.changeset}&tochange=${bad.changeset}`;
+}
+
+/**
+ * Parse a good or bad bound: a date matches its builds, a build ID matches itself
+ *
+ * @param {string} value - YYYY-MM-DD date or YYYYMMDDHHMMSS build ID
+ * @returns {{from: string, to: string, matches: Function}}
+ */
+function parseBound(value) {
+  const date = String(value).match(/^(\d{4})-(\d{2})-(\d{2})$/);
+  if (date) {
+    const day = date.slice(1).join('');
+    return { from: `${day}000000`, to: `${day}235959`, matches: buildId => buildId.startsWith(day) };
+  }
+  if (/^\d{14}$/.test(value)) {
+    return { from: value, to: value, matches: buildId => buildId === value };
+  }
+  throw new Error(`Invalid bisection bound: ${value} (expected a YYYY-MM-DD date or a 14-digit build ID)`);
+}
+
+/**
+ * Read the changeset of a Nightly build from its .txt file
+ * The file holds the build ID, then the URL of the changeset (".../rev/<changeset>").
+ *
+ * @param {string|null} infoUrl - URL of the .txt file
+ * @returns {Promise<{repository: string|null, changeset: string|null}>}
+ */
+async function readNightlyChangeset(infoUrl) {
+  if (!infoUrl) {
+    return { repository: null, changeset: null };
+  }
+
+  const response = await fetch(infoUrl, { agent: proxyAgent });
+  if (!response.ok) {
+    console.warn(`Could not read ${infoUrl}: ${response.status} ${response.statusText}`);
+    return { repository: null, changeset: null };
+  }
+
+  const match = (await response.text()).match(/(https?:\/\/\S+?)\/(?:rev|commit)\/([0-9a-f]+)/);
+  return match ? { repository: match[1], changeset: match[2] } : { repository: null, changeset: null };
+}
@@ -0,0 +1,239 @@
+import { spawn } from 'child_process';
+import { createRequire } from 'module';
+import { existsSync, mkdtempSync, readFileSync, rmSync } from 'fs';
+import { join, dirname } from 'path';
+import { tmpdir } from 'os';
+import { fileURLToPath } from 'url';
+import { downloadFirefox } from './firefox-downloader.mjs';
+import { summarize } from './benchmark.mjs';
+import { mannWhitneyU, hodgesLehmann } from './statistics.mjs';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+const require = createRequire(import.meta.url);
+
+/**
+ * Compare the performance of two Firefox builds
+ *
+ * Both builds are downloaded with downloadFirefox, then the Mocha suite is run against each
+ * build in turn, alternating which build goes first (ABBA order) so that drift on the machine
+ * affects both equally. Samples are collected from the runBenchmark calls of the suite
+ * through BENCHMARK_OUTPUT.
+ *
+ * @param {Object} options - Comparison options
+ * @param {string|Object} options.baseline - Baseline build: URL, build spec or Taskcluster source
+ * @param {string|Object} options.candidate - Candidate build, e.g. a Try push
+ * @param {number} options.iterations - Number of suite runs per build (default: 3)
+ * @param {string[]} options.mochaArgs - Extra Mocha arguments, e.g. a spec file (default: none, .mocharc.json applies)
+ * @param {Object} options.downloadOptions - Options passed to downloadFirefox
+ * @param {number} options.alpha - Significance level of the Mann-Whitney U test (default: 0.05)
+ * @param {number} options.confidence - Confidence level of the intervals (default: 0.95)
+ * @param {Function} options.runSuite - async ({binaryPath, outputPath, mochaArgs}) => void, runs the suite
+ *   once against a build (default: spawns Mocha)
+ * @returns {Promise<Object>} Comparison report (see compareSamples)
+ */
+export async function compareBuilds(options) {
+  const {
+    baseline,
+    candidate,
+    iterations = 3,
+    mochaArgs = [],
+    downloadOptions = {},
+    alpha = 0.05,
+    confidence = 0.95,
+    runSuite = runMochaSuite,
+  } = options;
+
+  const builds = [];
+  for (const [label, source] of [['baseline', baseline], ['candidate', candidate]]) {
+    console.log(`\nDownloading ${label} build: ${typeof source === 'object' ? JSON.stringify(source) : source}`);
+    builds.push({ label, source, ...await downloadFirefox(source, downloadOptions) });
+  }
+
+  const workDir = mkdtempSync(join(tmpdir(), 'compare-builds-'));
+  const samples = { baseline: {}, candidate: {} };
+
+  try {
+    for (let iteration = 0; iteration < iterations; iteration++) {
+      const order = iteration % 2 === 0 ? builds : [...builds].reverse();
+
+      for (const build of order) {
+        console.log(`\n[${iteration + 1}/${iterations}] Running suite against ${build.label} (${build.version}, ${build.buildId || 'unknown build'})`);
+        const outputPath = join(workDir, `${build.label}-${iteration}.jsonl`);
+        await runSuite({ binaryPath: build.binaryPath, outputPath, mochaArgs });
+
+        const records = readBenchmarkOutput(outputPath);
+        if (records.length === 0) {
+          throw new Error(`No benchmark results from the ${build.label} run. Does the suite call runBenchmark()?`);
+        }
+        for (const record of records) {
+          for (const [metric, values] of Object.entries(record)) {
+            (samples[build.label][metric] = samples[build.label][metric] || []).push(...values);
+          }
+        }
+      }
+    }
+  } finally {
+    rmSync(workDir, { recursive: true, force: true });
+  }
+
+  return {
+    baseline: describeBuild(builds[0]),
+    candidate: describeBuild(builds[1]),
+    iterations,
+    ...compareSamples(samples.baseline, samples.candidate, { alpha, confidence }),
+  };
+}
+
+/**
+ * Compare the samples of each metric measured on two builds
+ *
+ * @param {Object<string, number[]>} baseline - Samples of each metric on the baseline build
+ * @param {Object<string, number[]>} candidate - Samples of each metric on the candidate build
+ * @param {Object} options - Test options
+ * @param {number} options.alpha - Significance level (default: 0.05)
+ * @param {number} options.confidence - Confidence level of the intervals (default: 0.95)
+ * @returns {{alpha: number, confidence: number, metrics: Object<string, Object>}} For each metric measured
+ *   on both builds: statistics of each build, the delta of the medians (absolute and relative),
+ *   the Hodges-Lehmann shift with its confidence interval, and the Mann-Whitney U result
+ */
+export function compareSamples(baseline, candidate, { alpha = 0.05, confidence = 0.95 } = {}) {
+  const metrics = {};
+
+  for (const metric of Object.keys(baseline)) {
+    if (!candidate[metric]) {
+      console.warn(`Metric ${metric} was only measured on the baseline build`);
+      continue;
+    }
+
+    const a = summarize(baseline[metric]);
+    const b = summarize(candidate[metric]);
+    const shift = hodgesLehmann(baseline[metric], candidate[metric], confidence);
+    const test = mannWhitneyU(baseline[metric], candidate[metric]);
+    const delta = b.median - a.median;
+
+    metrics[metric] = {
+      baseline: a,
+      candidate: b,
+      delta,
+      deltaPercent: a.median !== 0 ? (delta / a.median) * 100 : null,
+      shift: shift.estimate,
+      ci: [shift.low, shift.high],
+      u: test.u,
+      pValue: test.pValue,
+      significant: test.pValue < alpha,
+    };
+  }
+
+  for (const metric of Object.keys(candidate)) {
+    if (!baseline[metric]) {
+      console.warn(`Metric ${metric} was only measured on the candidate build`);
+    }
+  }
+
+  return { alpha, confidence, metrics };
+}
+
+/**
+ * Format a comparison report as Markdown, e.g. for GITHUB_STEP_SUMMARY
+ *
+ * @param {Object} report - Result of compareBuilds
+ * @returns {string}
+ */
+export function formatComparisonMarkdown(report) {
+  const confidence = `${Math.round(report.confidence * 100)}%`;
+  const buildRow = ({ label, version, buildId, changesetUrl, sourceStamp }) =>
+    `| ${label} | ${version || 'unknown'} | ${buildId || 'unknown'} | ${changesetUrl ? `[${(sourceStamp || '').slice(0, 12)}](${changesetUrl})` : (sourceStamp || 'unknown')} |`;
+
+  const lines = [
+    '## Firefox build comparison',
+    '',
+    '| Build | Version | Build ID | Changeset |',
+    '| --- | --- | --- | --- |',
+    buildRow(report.baseline),
+    buildRow(report.candidate),
+    '',
+    `${report.iterations} interleaved run(s) per build. Differences are candidate minus baseline; significance from a two-sided Mann–Whitney U test at α = ${report.alpha}.`,
+    '',
+    `| Metric | Baseline median | Candidate median | Δ median | Δ % | ${confidence} CI of shift | p-value | Significant |`,
+    '| --- | ---: | ---: | ---: | ---: | --- | ---: | --- |',
+  ];
+
+  for (const [metric, result] of Object.entries(report.metrics)) {
+    lines.push(`| ${metric} | ${formatNumber(result.baseline.median)} (n=${result.baseline.count}) | ${formatNumber(result.candidate.median)} (n=${result.candidate.count}) | ${formatSigned(result.delta)} | ${result.deltaPercent === null ? 'n/a' : `${formatSigned(result.deltaPercent)}%`} | [${formatNumber(result.ci[0])}, ${formatNumber(result.ci[1])}] | ${formatPValue(result.pValue)} | ${result.significant ? '**yes**' : 'no'} |`);
+  }
+
+  return lines.join('\n') + '\n';
+}
+
+/**
+ * Run the Mocha suite once against a build
+ *
+ * @param {Object} options - Run options
+ * @param {string} options.binaryPath - Firefox binary, passed as FIREFOX_BINARY
+ * @param {string} options.outputPath - File for benchmark samples, passed as BENCHMARK_OUTPUT
+ * @param {string[]} options.mochaArgs - Extra Mocha arguments
+ * @returns {Promise<number>} Exit code of Mocha
+ */
+export function runMochaSuite({ binaryPath, outputPath, mochaArgs = [] }) {
+  return new Promise((resolve, reject) => {
+    const proc = spawn(process.execPath, [require.resolve('mocha/bin/mocha.js'), ...mochaArgs], {
+      cwd: join(__dirname, '..'),
+      stdio: 'inherit',
+      env: { ...process.env, FIREFOX_BINARY: binaryPath, BENCHMARK_OUTPUT: outputPath },
+    });
+
+    proc.on('error', reject);
+    proc.on('close', (code) => {
+      // Failing assertions do not discard the samples, they are compared like the others
+      if (code !== 0) {
+        console.warn(`Mocha exited with code ${code}`);
+      }
+      resolve(code);
+    });
+  });
+}
+
+/**
+ * Read the samples appended by runBenchmark to a BENCHMARK_OUTPUT file
+ *
+ * @param {string} path - JSON lines file
+ * @returns {Array<Object<string, number[]>>}
+ */
+export function readBenchmarkOutput(path) {
+  if (!existsSync(path)) {
+    return [];
+  }
+  return readFileSync(path, 'utf8').split('\n').filter(Boolean).map(line => JSON.parse(line));
+}
+
+/**
+ * Get the metadata of a build included in reports
+ *
+ * @param {Object} build - Downloaded build
+ * @returns {Object}
+ */
+function describeBuild({ label, source, version, buildId, sourceStamp, changesetUrl }) {
+  return { label, source, version, buildId, sourceStamp, changesetUrl };
+}
+
+/**
+ * Format a number with at most two decimals
+ */
+function formatNumber(value) {
+  return String(Math.round(value * 100) / 100);
+}
+
+/**
+ * Format a difference with its sign
+ */
+function formatSigned(value) {
+  return `${value > 0 ? '+' : ''}${formatNumber(value)}`;
+}
+
+/**
+ * Format a p-value
+ */
+function formatPValue(value) {
+  return value < 0.001 ? '< 0.001' : value.toFixed(3);
+}
@@ -0,0 +1,159 @@
+import { existsSync, readFileSync } from 'fs';
+import { dirname, join, basename } from 'path';
+
+/**
+ * Read the metadata of an extracted Firefox build
+ *
+ * Builds ship application.ini ([App] Version, BuildID, SourceRepository, SourceStamp)
+ * and platform.ini ([Build] Milestone, BuildID, SourceRepository, SourceStamp) next to
+ * the binary, or in Contents/Resources on macOS. The update channel comes from
+ * defaults/pref/channel-prefs.js. Nothing is executed, so this works for builds of
+ * any platform.
+ *
+ * @param {string} binaryPath - Path to the Firefox binary
+ * @returns {{version: string|null, buildId: string|null, sourceRepository: string|null,
+ *   sourceStamp: string|null, changesetUrl: string|null, channel: string|null}|null}
+ *   Build metadata, or null if neither application.ini nor platform.ini was found
+ */
+export function readBuildInfo(binaryPath) {
+  const resourcesDir = findResourcesDir(binaryPath);
+  if (!resourcesDir) {
+    return null;
+  }
+
+  const app = readIni(join(resourcesDir, 'application.ini')).App || {};
+  const platform = readIni(join(resourcesDir, 'platform.ini')).Build || {};
+
+  const sourceRepository = app.SourceRepository || platform.SourceRepository || null;
+  const sourceStamp = app.SourceStamp || platform.SourceStamp || null;
+
+  return {
+    version: app.Version || platform.Milestone || null,
+    buildId: app.BuildID || platform.BuildID || null,
+    sourceRepository,
+    sourceStamp,
+    changesetUrl: getChangesetUrl(sourceRepository, sourceStamp),
+    channel: readChannel(resourcesDir),
+  };
+}
+
+/**
+ * Find the directory holding application.ini/platform.ini for a binary
+ *
+ * @param {string} binaryPath - Path to the Firefox binary
+ * @returns {string|null}
+ */
+function findResourcesDir(binaryPath) {
+  const binaryDir = dirname(binaryPath);
+  const candidates = [binaryDir];
+
+  // macOS: Firefox.app/Contents/MacOS/firefox -> Firefox.app/Contents/Resources
+  if (basename(binaryDir) === 'MacOS') {
+    candidates.unshift(join(dirname(binaryDir), 'Resources'));
+  }
+
+  return candidates.find(dir =>
+    existsSync(join(dir, 'application.ini')) || existsSync(join(dir, 'platform.ini'))
+  ) || null;
+}
+
+/**
+ * Parse an INI file into sections
+ *
+ * @param {string} path - Path to the INI file
+ * @returns {Object<string, Object<string, string>>} Keys of each section, {} if the file does not exist
+ */
+function readIni(path) {
+  if (!existsSync(path)) {
+    return {};
+  }
+  return parseIni(readFileSync(path, 'utf8'));
+}
+
+/**
+ * Parse INI content into sections
+ * Lines starting with "#" or ";" are comments.
+ *
+ * @param {string} content - INI content
+ * @returns {Object<string, Object<string, string>>}
+ */
+export function parseIni(content) {
+  const sections = {};
+  let section = null;
+
+  for (const rawLine of content.split(/\r?\n/)) {
+    const line = rawLine.trim();
+    if (!line || line.startsWith('#') || line.startsWith(';')) {
+      continue;
+    }
+
+    const sectionMatch = line.match(/^\[(.+)\]$/);
+    if (sectionMatch) {
+      section = sectionMatch[1];
+      sections[section] = sections[section] || {};
+      continue;
+    }
+
+    const separator = line.indexOf('=');
+    if (section && separator > 0) {
+      sections[section][line.slice(0, separator).trim()] = line.slice(separator + 1).trim();
+    }
+  }
+
+  return sections;
+}
+
+/**
+ * Read the update channel of a build from defaults/pref/channel-prefs.js
+ *
+ * @param {string} resourcesDir - Directory holding application.ini
+ * @returns {string|null}
+ */
+function readChannel(resourcesDir) {
+  const path = join(resourcesDir, 'defaults', 'pref', 'channel-prefs.js');
+  if (!existsSync(path)) {
+    return null;
+  }
+
+  const match = readFileSync(path, 'utf8').match(/pref\(\s*["']app\.update\.channel["']\s*,\s*["']([^"']+)["']/);
+  return match ? match[1] : null;
+}
+
+/**
+ * Get the web URL of the changeset a build was made from
+ *
+ * @param {string|null} sourceRepository - Repository URL (hg.mozilla.org or GitHub)
+ * @param {string|null} sourceStamp - Changeset or commit hash
+ * @returns {string|null}
+ */
+export function getChangesetUrl(sourceRepository, sourceStamp) {
+  if (!sourceRepository || !sourceStamp) {
+    return null;
+  }
+
+  const repository = sourceRepository.replace(/\/+$/, '').replace(/\.git$/, '');
+  if (/^https?:\/\/github\.com\//.test(repository)) {
+    return `${repository}/commit/${sourceStamp}`;
+  }
+  return `${repository}/rev/${sourceStamp}`;
+}
+
+/**
+ * Get the GitHub Actions step outputs describing a build
+ *
+ * @param {Object} build - Result of downloadFirefox
+ * @returns {Object<string, string>} Output values keyed by name, empty values omitted
+ */
+export function getBuildOutputs(build) {
+  const outputs = {
+    firefox_binary: build.binaryPath,
+    firefox_version: build.version,
+    firefox_build_id: build.buildId,
+    firefox_source_repository: build.sourceRepository,
+    firefox_source_stamp: build.sourceStamp,
+    firefox_changeset_url: build.changesetUrl,
+    firefox_channel: build.channel,
+  };
+
+  return Object.fromEntries(Object.entries(outputs).filter(([, value]) => value));
+}
@@ -0,0 +1,425 @@
+import fetch from 'node-fetch';
+import { proxyAgent } from './http-download.mjs';
+
+const DEFAULT_ARCHIVE_URL = 'https://archive.mozilla.org';
+const DEFAULT_PRODUCT_DETAILS_URL = 'https://product-details.mozilla.org/1.0';
+
+/**
+ * Keys of firefox_versions.json for each named channel
+ */
+const CHANNEL_VERSION_KEYS = {
+  release: 'LATEST_FIREFOX_VERSION',
+  beta: 'LATEST_FIREFOX_DEVEL_VERSION',
+  devedition: 'LATEST_FIREFOX_DEVEL_VERSION',
+  esr: 'FIREFOX_ESR',
+  nightly: 'FIREFOX_NIGHTLY',
+};
+
+/**
+ * Directories of archive.mozilla.org/pub holding the releases of each channel
+ * Developer Edition has the version of the current Beta, but builds of its own.
+ */
+const CHANNEL_PRODUCTS = {
+  devedition: 'devedition',
+};
+
+/**
+ * Archive file extensions to look for on each platform, in order of preference
+ * Windows .zip archives only exist for Nightlies and CI builds: releases, betas and ESRs only
+ * publish .exe/.msi installers.
+ */
+export const PLATFORM_EXTENSIONS = {
+  'mac': ['.dmg'],
+  'linux-x86_64': ['.tar.xz', '.tar.bz2'],
+  'linux-i686': ['.tar.xz', '.tar.bz2'],
+  'linux-aarch64': ['.tar.xz', '.tar.bz2'],
+  'win64': ['.zip'],
+  'win32': ['.zip'],
+  'win64-aarch64': ['.zip'],
+};
+
+/**
+ * Check whether a string looks like a URL rather than a build spec
+ *
+ * @param {string} source - URL or build spec
+ * @returns {boolean}
+ */
+export function isUrl(source) {
+  return /^[a-z][a-z0-9+.-]*:\/\//i.test(source);
+}
+
+/**
+ * Parse a build spec into its channel, version and date parts
+ *
+ * Accepted forms:
+ *   release, beta, devedition, esr, nightly  - latest build of a channel
+ *   147.0, 148.0b3, 140.4.0esr               - a specific version
+ *   nightly@2026-10-01                       - first Nightly built on a date
+ *
+ * @param {string} spec - Build spec
+ * @returns {{channel: string, version: string|null, date: string|null}}
+ */
+export function parseBuildSpec(spec) {
+  const value = String(spec).trim().toLowerCase();
+
+  if (CHANNEL_VERSION_KEYS[value]) {
+    return { channel: value, version: null, date: null };
+  }
+
+  const dateMatch = value.match(/^nightly@(\d{4})-(\d{2})-(\d{2})$/);
+  if (dateMatch) {
+    return { channel: 'nightly', version: null, date: dateMatch.slice(1).join('-') };
+  }
+
+  const versionMatch = value.match(/^(\d+)\.(\d+)(\.\d+)?(a1|b\d+|esr)?$/);
+  if (versionMatch) {
+    const suffix = versionMatch[4] || '';
+    let channel = 'release';
+    if (suffix === 'a1') {
+      channel = 'nightly';
+    } else if (suffix.startsWith('b')) {
+      channel = 'beta';
+    } else if (suffix === 'esr') {
+      channel = 'esr';
+    }
+    return { channel, version: value, date: null };
+  }
+
+  throw new Error(`Invalid Firefox build spec: ${spec}`);
+}
+
+/**
+ * Map a Node.js platform/arch pair to the platform name used on archive.mozilla.org
+ *
+ * @param {string} platform - Node.js platform (default: process.platform)
+ * @param {string} arch - Node.js architecture (default: process.arch)
+ * @returns {string}
+ */
+export function getArchivePlatform(platform = process.platform, arch = process.arch) {
+  if (platform === 'darwin') {
+    return 'mac';
+  }
+  if (platform === 'linux') {
+    if (arch === 'arm64') {
+      return 'linux-aarch64';
+    }
+    return arch === 'ia32' ? 'linux-i686' : 'linux-x86_64';
+  }
+  if (platform === 'win32') {
+    if (arch === 'arm64') {
+      return 'win64-aarch64';
+    }
+    return arch === 'ia32' ? 'win32' : 'win64';
+  }
+  throw new Error(`Unsupported platform: ${platform} ${arch}`);
+}
+
+/**
+ * Resolve a build spec to the URL of a Firefox archive
+ *
+ * @param {string} spec - Build spec (see parseBuildSpec)
+ * @param {Object} options - Resolver options
+ * @param {string} options.platform - Archive platform name (default: current platform)
+ * @param {string} options.locale - Build locale (default: en-US)
+ * @param {string} options.archiveUrl - Base URL of the Mozilla archive (default: https://archive.mozilla.org)
+ * @param {string} options.productDetailsUrl - Base URL of product-details (default: https://product-details.mozilla.org/1.0)
+ * @returns {Promise<{url: string, version: string, channel: string, platform: string, locale: string, buildDate: string|null}>}
+ */
+export async function resolveFirefoxBuild(spec, options = {}) {
+  const {
+    platform = getArchivePlatform(),
+    locale = 'en-US',
+    archiveUrl = DEFAULT_ARCHIVE_URL,
+    productDetailsUrl = DEFAULT_PRODUCT_DETAILS_URL,
+  } = options;
+
+  if (!PLATFORM_EXTENSIONS[platform]) {
+    throw new Error(`Unknown archive platform: ${platform}`);
+  }
+
+  const { channel, version, date } = parseBuildSpec(spec);
+  const context = { platform, locale, archiveUrl: archiveUrl.replace(/\/$/, '') };
+
+  if (channel === 'nightly') {
+    if (date) {
+      return resolveDatedNightly(date, context);
+    }
+    return resolveLatestNightly(version, context);
+  }
+
+  const resolvedVersion = version || await getChannelVersion(channel, productDetailsUrl);
+  const url = await findReleaseArchive(resolvedVersion, { ...context, product: CHANNEL_PRODUCTS[channel] });
+
+  return { url, version: resolvedVersion, channel, platform, locale, buildDate: null };
+}
+
+/**
+ * Look up the current version of a channel from product-details
+ *
+ * @param {string} channel - Channel name
+ * @param {string} productDetailsUrl - Base URL of product-details
+ * @returns {Promise<string>}
+ */
+async function getChannelVersion(channel, productDetailsUrl) {
+  const versions = await fetchJson(`${productDetailsUrl.replace(/\/$/, '')}/firefox_versions.json`);
+  const version = versions[CHANNEL_VERSION_KEYS[channel]];
+
+  if (!version) {
+    throw new Error(`product-details has no version for channel "${channel}"`);
+  }
+
+  return version;
+}
+
+/**
+ * Find the archive of a release, beta, Developer Edition or ESR version
+ *
+ * @param {string} version - Firefox version
+ * @param {Object} context - Platform, locale, archive URL and product directory (default: firefox)
+ * @returns {Promise<string>}
+ */
+async function findReleaseArchive(version, { platform, locale, archiveUrl, product = 'firefox' }) {
+  const dirUrl = `${archiveUrl}/pub/${product}/releases/${version}/${platform}/${locale}/`;
+  const entries = await listDirectory(dirUrl);
+
+  const file = pickArchive(entries, platform, name =>
+    name.toLowerCase().startsWith('firefox') && name.includes(version)
+  );
+
+  if (!file) {
+    // Windows releases only ship installers, which cannot be extracted; Nightlies and CI builds ship .zip archives
+    const installers = entries.filter(name => /\.(exe|msi|msix)$/i.test(name));
+    if (platform.startsWith('win') && installers.length > 0) {
+      throw new Error(`Firefox ${version} is only published as installers for ${platform} (${installers.join(', ')}), `
+        + 'which cannot be extracted: use a Nightly or a Taskcluster build, or a .zip archive URL');
+    }
+    throw new Error(`No Firefox ${version} archive for ${platform} found at ${dirUrl}`);
+  }
+
+  return dirUrl + encodeURIComponent(file);
+}
+
+/**
+ * Find the latest Nightly archive, optionally for a specific version
+ *
+ * @param {string|null} version - Nightly version (e.g. 149.0a1) or null for any
+ * @param {Object} context - Platform, locale and archive URL
+ * @returns {Promise<Object>}
+ */
+async function resolveLatestNightly(version, { platform, locale, archiveUrl }) {
+  const dirName = locale === 'en-US' ? 'latest-mozilla-central' : 'latest-mozilla-central-l10n';
+  const dirUrl = `${archiveUrl}/pub/firefox/nightly/${dirName}/`;
+  const entries = await listDirectory(dirUrl);
+
+  const file = pickArchive(entries, platform, name =>
+    isNightlyArchive(name, locale, platform) && (!version || name.includes(`-${version}.`))
+  );
+
+  if (!file) {
+    throw new Error(`No Nightly archive for ${platform} (${locale}) found at ${dirUrl}`);
+  }
+
+  return {
+    url: dirUrl + encodeURIComponent(file),
+    version: parseNightlyVersion(file),
+    channel: 'nightly',
+    platform,
+    locale,
+    buildDate: null,
+  };
+}
+
+/**
+ * Find the first Nightly archive built on a given date
+ *
+ * @param {string} date - Date in YYYY-MM-DD format
+ * @param {Object} context - Platform, locale and archive URL
+ * @returns {Promise<Object>}
+ */
+async function resolveDatedNightly(date, context) {
+  const [year, month] = date.split('-');
+  const monthUrl = `${context.archiveUrl}/pub/firefox/nightly/${year}/${month}/`;
+  const suffix = getNightlyDirSuffix(context.locale);
+
+  const buildDirs = (await listDirectory(monthUrl))
+    .filter(name => name.startsWith(`${date}-`) && name.endsWith(suffix))
+    .sort();
+
+  for (const buildDir of buildDirs) {
+    const build = await resolveNightlyBuildDir(`${monthUrl}${buildDir}/`, context);
+    if (build) {
+      return build;
+    }
+  }
+
+  throw new Error(`No Nightly build for ${context.platform} (${context.locale}) found on ${date}`);
+}
+
+/**
+ * List the Nightly build directories between two build IDs, oldest first
+ * Build IDs are the build timestamps (YYYYMMDDHHMMSS) that also name the directories.
+ *
+ * @param {string} from - Build ID of the first build to include
+ * @param {string} to - Build ID of the last build to include
+ * @param {Object} options - Resolver options (platform is not needed)
+ * @param {string} options.locale - Build locale (default: en-US)
+ * @param {string} options.archiveUrl - Base URL of the Mozilla archive (default: https://archive.mozilla.org)
+ * @returns {Promise<Array<{buildId: string, buildDate: string, dirUrl: string}>>}
+ */
+export async function listNightlyBuilds(from, to, options = {}) {
+  const { locale = 'en-US', archiveUrl = DEFAULT_ARCHIVE_URL } = options;
+  const baseUrl = `${archiveUrl.replace(/\/$/, '')}/pub/firefox/nightly`;
+  const suffix = getNightlyDirSuffix(locale);
+  const builds = [];
+
+  let year = Number(from.slice(0, 4));
+  let month = Number(from.slice(4, 6));
+  const lastMonth = Number(to.slice(0, 4)) * 12 + Number(to.slice(4, 6));
+
+  while (year * 12 + month <= lastMonth) {
+    const monthUrl = `${baseUrl}/${year}/${String(month).padStart(2, '0')}/`;
+    for (const name of (await listDirectory(monthUrl)).sort()) {
+      const match = name.match(/^(\d{4})-(\d{2})-(\d{2})-(\d{2})-(\d{2})-(\d{2})(-.+)$/);
+      if (!match || match[7] !== suffix) {
+        continue;
+      }
+      const buildId = match.slice(1, 7).join('');
+      if (buildId >= from && buildId <= to) {
+        builds.push({ buildId, buildDate: name.slice(0, -suffix.length), dirUrl: `${monthUrl}${name}/` });
+      }
+    }
+
+    month++;
+    if (month > 12) {
+      month = 1;
+      year++;
+    }
+  }
+
+  return builds;
+}
+
+/**
+ * Find the archive of a platform in a Nightly build directory
+ *
+ * @param {string} dirUrl - URL of the build directory (with trailing slash)
+ * @param {Object} context - Platform, locale and archive URL
+ * @returns {Promise<Object|null>} Build like resolveFirefoxBuild, with the URL of the build's .txt file
+ *   (build ID and changeset URL) as infoUrl, or null if the directory has no archive for the platform
+ */
+export async function resolveNightlyBuildDir(dirUrl, { platform = getArchivePlatform(), locale = 'en-US' } = {}) {
+  const entries = await listDirectory(dirUrl);
+  const file = pickArchive(entries, platform, name => isNightlyArchive(name, locale, platform));
+  if (!file) {
+    return null;
+  }
+
+  const info = entries.find(name => isNightlyArchive(name, locale, platform) && name.endsWith('.txt'));
+  const dirName = dirUrl.replace(/\/$/, '').split('/').pop();
+
+  return {
+    url: dirUrl + encodeURIComponent(file),
+    version: parseNightlyVersion(file),
+    channel: 'nightly',
+    platform,
+    locale,
+    buildDate: dirName.slice(0, -getNightlyDirSuffix(locale).length),
+    infoUrl: info ? dirUrl + encodeURIComponent(info) : null,
+  };
+}
+
+/**
+ * Get the suffix of Nightly build directories for a locale
+ *
+ * @param {string} locale - Build locale
+ * @returns {string}
+ */
+function getNightlyDirSuffix(locale) {
+  return locale === 'en-US' ? '-mozilla-central' : '-mozilla-central-l10n';
+}
+
+/**
+ * Check whether a file name is a Nightly archive for a locale and platform
+ * Nightly archives are named like firefox-149.0a1.en-US.linux-x86_64.tar.xz
+ *
+ * @param {string} name - File name
+ * @param {string} locale - Build locale
+ * @param {string} platform - Archive platform name
+ * @returns {boolean}
+ */
+function isNightlyArchive(name, locale, platform) {
+  return name.startsWith('firefox-') && name.includes(`.${locale}.${platform}.`);
+}
+
+/**
+ * Extract the version from a Nightly archive file name
+ *
+ * @param {string} name - File name
+ * @returns {string|null}
+ */
+function parseNightlyVersion(name) {
+  const match = name.match(/^firefox-([^-]+?a1)\./);
+  return match ? match[1] : null;
+}
+
+/**
+ * Pick the preferred archive for a platform from a directory listing
+ *
+ * @param {string[]} entries - Directory entry names
+ * @param {string} platform - Archive platform name
+ * @param {Function} predicate - Additional filter for candidate names
+ * @returns {string|undefined}
+ */
+function pickArchive(entries, platform, predicate) {
+  const candidates = entries.filter(predicate);
+
+  for (const extension of PLATFORM_EXTENSIONS[platform]) {
+    const match = candidates.find(name => name.endsWith(extension));
+    if (match) {
+      return match;
+    }
+  }
+
+  return undefined;
+}
+
+/**
+ * List the entries of an archive.mozilla.org directory page
+ * Directories are returned without their trailing slash
+ *
+ * @param {string} dirUrl - URL of the directory (with trailing slash)
+ * @returns {Promise<string[]>}
+ */
+export async function listDirectory(dirUrl) {
+  const response = await fetch(dirUrl, { agent: proxyAgent });
+  if (!response.ok) {
+    throw new Error(`Failed to list ${dirUrl}: ${response.status} ${response.statusText}`);
+  }
+
+  const html = await response.text();
+  const entries = new Set();
+
+  for (const match of html.matchAll(/<a\s[^>]*href="([^"?#]+)"/gi)) {
+    const href = match[1].replace(/\/$/, '');
+    const name = decodeURIComponent(href.slice(href.lastIndexOf('/') + 1));
+    if (name && name !== '..') {
+      entries.add(name);
+    }
+  }
+
+  return [...entries];
+}
+
+/**
+ * Fetch and parse a JSON document
+ *
+ * @param {string} url - URL of the document
+ * @returns {Promise<any>}
+ */
+async function fetchJson(url) {
+  const response = await fetch(url, { agent: proxyAgent });
+  if (!response.ok) {
+    throw new Error(`Failed to fetch ${url}: ${response.status} ${response.statusText}`);
+  }
+  return response.json();
+}
@@ -0,0 +1,379 @@
+import { existsSync, mkdirSync, readFileSync, writeFileSync, renameSync, rmSync, readdirSync, lstatSync, statSync, utimesSync, linkSync } from 'fs';
+import { join } from 'path';
+import { createHash, randomUUID } from 'crypto';
+import { tmpdir, hostname } from 'os';
+
+export const DEFAULT_CACHE_DIR = join(tmpdir(), 'firefox-downloads');
+
+/**
+ * FirefoxCache - Manages the directory of downloaded Firefox builds
+ *
+ * Each cached build is made of:
+ *   <key>.json           - manifest record (URL, version, build ID, size, last-used time, paths)
+ *   <key>-<archive name> - downloaded archive (unless deleted after extraction)
+ *   firefox-<key>/       - extracted build
+ * where <key> is the MD5 hash of the build URL. While a build is being downloaded
+ * and extracted, <key>.lock holds a cross-process lock.
+ */
+export class FirefoxCache {
+  /**
+   * @param {string} cacheDir - Cache directory (default: OS temp dir)
+   */
+  constructor(cacheDir = DEFAULT_CACHE_DIR) {
+    this.cacheDir = cacheDir;
+    if (!existsSync(cacheDir)) {
+      mkdirSync(cacheDir, { recursive: true });
+    }
+  }
+
+  /**
+   * Get the cache key of a build URL
+   * @param {string} url - Build URL
+   * @returns {string}
+   */
+  keyFor(url) {
+    return createHash('md5').update(url).digest('hex');
+  }
+
+  /**
+   * Get the paths used to cache a build
+   * @param {string} url - Build URL
+   * @returns {{key: string, recordPath: string, lockPath: string, extractPath: string, archivePath: string}}
+   */
+  pathsFor(url) {
+    const key = this.keyFor(url);
+    const archiveName = url.split('?')[0].split('/').pop(); // Remove query params
+    return {
+      key,
+      recordPath: join(this.cacheDir, `${key}.json`),
+      lockPath: join(this.cacheDir, `${key}.lock`),
+      extractPath: join(this.cacheDir, `firefox-${key}`),
+      archivePath: join(this.cacheDir, `${key}-${archiveName}`),
+    };
+  }
+
+  /**
+   * Look up a cached build and mark it as used
+   * @param {string} url - Build URL
+   * @returns {Object|null} Manifest record, or null if the build is not cached
+   */
+  get(url) {
+    const { key } = this.pathsFor(url);
+    const record = this.readRecord(key);
+
+    if (!record || !existsSync(record.binaryPath)) {
+      return null;
+    }
+
+    record.lastUsed = Date.now();
+    this.writeRecord(key, record);
+    return record;
+  }
+
+  /**
+   * Add a build to the manifest
+   * @param {string} url - Build URL
+   * @param {Object} result - Download result ({binaryPath, extractPath, version, ...})
+   * @returns {Object} Manifest record
+   */
+  put(url, result) {
+    const { key, archivePath } = this.pathsFor(url);
+    const now = Date.now();
+    const hasArchive = existsSync(archivePath);
+
+    const record = {
+      ...result,
+      key,
+      url,
+      buildId: result.buildId ?? null,
+      archivePath: hasArchive ? archivePath : null,
+      size: getDiskUsage(result.extractPath) + (hasArchive ? getDiskUsage(archivePath) : 0),
+      createdAt: now,
+      lastUsed: now,
+    };
+
+    this.writeRecord(key, record);
+    return record;
+  }
+
+  /**
+   * List cached builds, most recently used first
+   * @returns {Object[]} Manifest records
+   */
+  list() {
+    return readdirSync(this.cacheDir)
+      .filter(name => /^[0-9a-f]{32}\.json$/.test(name))
+      .map(name => this.readRecord(name.slice(0, -'.json'.length)))
+      .filter(Boolean)
+      .sort((a, b) => (b.lastUsed || 0) - (a.lastUsed || 0));
+  }
+
+  /**
+   * Remove a cached build and all of its files
+   * @param {string} key - Cache key
+   */
+  remove(key) {
+    for (const name of readdirSync(this.cacheDir)) {
+      if (name === `firefox-${key}` || name === `${key}.json` || name.startsWith(`${key}-`)) {
+        rmSync(join(this.cacheDir, name), { recursive: true, force: true });
+      }
+    }
+  }
+
+  /**
+   * Evict cached builds, least recently used first
+   * Builds that are locked by a download in progress are never evicted.
+   *
+   * @param {Object} options - Eviction limits
+   * @param {number} options.maxSize - Maximum total size in bytes
+   * @param {number} options.maxAge - Maximum time in ms since a build was last used
+   * @param {string[]} options.keep - Cache keys that must not be evicted
+   * @returns {Object[]} Records of the evicted builds
+   */
+  prune({ maxSize = Infinity, maxAge = Infinity, keep = [] } = {}) {
+    const now = Date.now();
+    const candidates = this.list()
+      .filter(record => !keep.includes(record.key) && !existsSync(join(this.cacheDir, `${record.key}.lock`)))
+      .reverse();
+    let totalSize = this.list().reduce((sum, record) => sum + (record.size || 0), 0);
+    const removed = [];
+
+    for (const record of candidates) {
+      const expired = now - (record.lastUsed || 0) > maxAge;
+      if (!expired && totalSize <= maxSize) {
+        continue;
+      }
+      this.remove(record.key);
+      totalSize -= record.size || 0;
+      removed.push(record);
+    }
+
+    return removed;
+  }
+
+  /**
+   * Remove every cached build, including leftovers of interrupted downloads
+   * @returns {number} Number of removed files and directories
+   */
+  clear() {
+    let count = 0;
+    for (const name of readdirSync(this.cacheDir)) {
+      if (/^(firefox-)?[0-9a-f]{32}([.-]|$)/.test(name)) {
+        rmSync(join(this.cacheDir, name), { recursive: true, force: true });
+        count++;
+      }
+    }
+    return count;
+  }
+
+  /**
+   * Run a function while holding the cross-process lock of a build
+   *
+   * The lock is a <key>.lock file created exclusively. It is considered stale, and
+   * taken over, when its owner process is gone or it has not been refreshed within
+   * staleTime; the holder refreshes it while the function runs. The lock file holds
+   * an owner token, so that a holder whose lock was taken over does not remove the
+   * lock of the new owner, and that waiters taking over the same stale lock do not
+   * remove the lock one of them just created.
+   *
+   * @param {string} url - Build URL
+   * @param {Function} fn - Async function to run
+   * @param {Object} options - Lock options
+   * @param {number} options.timeout - Maximum time in ms to wait for the lock (default: 30 minutes)
+   * @param {number} options.staleTime - Time in ms after which an unrefreshed lock is stale (default: 60000)
+   * @returns {Promise<any>} Result of fn
+   */
+  async withLock(url, fn, { timeout = 30 * 60 * 1000, staleTime = 60000 } = {}) {
+    const { lockPath } = this.pathsFor(url);
+    const token = randomUUID();
+    const startTime = Date.now();
+    let waiting = false;
+
+    while (!tryCreateLock(lockPath, token)) {
+      const staleLock = readStaleLock(lockPath, staleTime);
+      if (staleLock) {
+        console.warn(`Removing stale cache lock: ${lockPath}`);
+        removeStaleLock(lockPath, staleLock);
+        continue;
+      }
+      if (Date.now() - startTime > timeout) {
+        throw new Error(`Timed out waiting for cache lock: ${lockPath}`);
+      }
+      if (!waiting) {
+        console.log(`Waiting for another process to finish downloading ${url}...`);
+        waiting = true;
+      }
+      await new Promise(resolve => setTimeout(resolve, 500));
+    }
+
+    const refresh = setInterval(() => {
+      try {
+        const now = new Date();
+        utimesSync(lockPath, now, now);
+      } catch (err) {
+        // The lock was taken over or removed
+      }
+    }, staleTime / 3);
+
+    try {
+      return await fn();
+    } finally {
+      clearInterval(refresh);
+      releaseLock(lockPath, token);
+    }
+  }
+
+  /**
+   * Read a manifest record
+   * @param {string} key - Cache key
+   * @returns {Object|null}
+   */
+  readRecord(key) {
+    const recordPath = join(this.cacheDir, `${key}.json`);
+    if (!existsSync(recordPath)) {
+      return null;
+    }
+
+    try {
+      return { key, ...JSON.parse(readFileSync(recordPath, 'utf8')) };
+    } catch (err) {
+      console.warn(`Failed to read cache record ${recordPath}: ${err.message}`);
+      return null;
+    }
+  }
+
+  /**
+   * Atomically write a manifest record
+   * @param {string} key - Cache key
+   * @param {Object} record - Manifest record
+   */
+  writeRecord(key, record) {
+    const recordPath = join(this.cacheDir, `${key}.json`);
+    const tmpPath = `${recordPath}.${process.pid}.tmp`;
+    writeFileSync(tmpPath, JSON.stringify(record, null, 2));
+    renameSync(tmpPath, recordPath);
+  }
+}
+
+/**
+ * Try to create a lock file, failing if it already exists
+ *
+ * @param {string} lockPath - Path to the lock file
+ * @param {string} token - Owner token written into the lock file
+ * @returns {boolean} Whether the lock was acquired
+ */
+function tryCreateLock(lockPath, token) {
+  try {
+    writeFileSync(lockPath, JSON.stringify({ pid: process.pid, hostname: hostname(), token }), { flag: 'wx' });
+    return true;
+  } catch (err) {
+    if (err.code === 'EEXIST') {
+      return false;
+    }
+    throw err;
+  }
+}
+
+/**
+ * Remove a lock file, unless it was taken over by another owner meanwhile
+ *
+ * @param {string} lockPath - Path to the lock file
+ * @param {string} token - Owner token written when the lock was acquired
+ */
+function releaseLock(lockPath, token) {
+  try {
+    if (JSON.parse(readFileSync(lockPath, 'utf8')).token !== token) {
+      return;
+    }
+  } catch (err) {
+    // The lock was removed meanwhile, or holds no readable owner
+    return;
+  }
+  rmSync(lockPath, { force: true });
+}
+
+/**
+ * Read a lock file left behind by a dead or stuck process
+ *
+ * @param {string} lockPath - Path to the lock file
+ * @param {number} staleTime - Time in ms after which an unrefreshed lock is stale
+ * @returns {string|null} Content of the lock file when it is stale, null otherwise
+ */
+function readStaleLock(lockPath, staleTime) {
+  try {
+    const content = readFileSync(lockPath, 'utf8');
+    const owner = JSON.parse(content);
+    if (owner.hostname === hostname() && !isProcessAlive(owner.pid)) {
+      return content;
+    }
+    return Date.now() - statSync(lockPath).mtimeMs > staleTime ? content : null;
+  } catch (err) {
+    // The lock was released meanwhile, or is being written
+    return null;
+  }
+}
+
+/**
+ * Remove a stale lock file, unless another waiter already replaced it with a lock of its own
+ *
+ * The lock is first moved to a unique name, so that only one waiter gets each lock file, then
+ * removed if it is the one judged stale. Another waiter's lock is moved back in place.
+ *
+ * @param {string} lockPath - Path to the lock file
+ * @param {string} staleLock - Content of the lock file judged stale
+ */
+function removeStaleLock(lockPath, staleLock) {
+  const movedPath = `${lockPath}.${randomUUID()}`;
+  try {
+    renameSync(lockPath, movedPath);
+  } catch (err) {
+    // Another waiter removed it first
+    return;
+  }
+
+  try {
+    if (readFileSync(movedPath, 'utf8') !== staleLock) {
+      linkSync(movedPath, lockPath);
+    }
+  } catch (err) {
+    // Yet another waiter created a lock meanwhile
+  } finally {
+    rmSync(movedPath, { force: true });
+  }
+}
+
+/**
+ * Check whether a process is running
+ *
+ * @param {number} pid - Process ID
+ * @returns {boolean}
+ */
+function isProcessAlive(pid) {
+  try {
+    process.kill(pid, 0);
+    return true;
+  } catch (err) {
+    return err.code === 'EPERM';
+  }
+}
+
+/**
+ * Compute the disk usage of a file or directory, without following symlinks
+ *
+ * @param {string} path - File or directory path
+ * @returns {number} Size in bytes
+ */
+export function getDiskUsage(path) {
+  let stats;
+  try {
+    stats = lstatSync(path);
+  } catch (err) {
+    return 0;
+  }
+
+  if (!stats.isDirectory()) {
+    return stats.size;
+  }
+
+  return readdirSync(path).reduce((sum, name) => sum + getDiskUsage(join(path, name)), 0);
+}
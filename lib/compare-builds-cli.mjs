@@ -0,0 +1,174 @@
+#!/usr/bin/env node
+
+import { writeFileSync } from 'fs';
+import { compareBuilds, formatComparisonMarkdown } from './build-comparison.mjs';
+
+/**
+ * CLI tool comparing the performance of two Firefox builds
+ *
+ * Usage:
+ *   node compare-builds-cli.mjs <baseline> <candidate> [options] [-- mocha args]
+ *
+ * Options:
+ *   --baseline-task <id>       - Use the build artifact of a Taskcluster task as baseline
+ *   --candidate-task <id>      - Use the build artifact of a Taskcluster task as candidate
+ *   --baseline-revision <rev>  - Use the build of a push revision as baseline
+ *   --candidate-revision <rev> - Use the build of a push revision as candidate
+ *   --baseline-project <name>  - Repository of the baseline revision (default: --project)
+ *   --candidate-project <name> - Repository of the candidate revision (default: --project)
+ *   --project <name>           - Repository of both revisions (default: mozilla-central)
+ *   --iterations <n>           - Suite runs per build (default: 3)
+ *   --alpha <level>            - Significance level (default: 0.05)
+ *   --output <path>            - Write the JSON report to a file
+ *   --markdown <path>          - Write the Markdown report to a file
+ *   --cache-dir <path>         - Directory to cache downloads
+ */
+
+async function main() {
+  const separator = process.argv.indexOf('--');
+  const args = separator === -1 ? process.argv.slice(2) : process.argv.slice(2, separator);
+  const mochaArgs = separator === -1 ? [] : process.argv.slice(separator + 1);
+
+  if (args.includes('--help') || args.includes('-h')) {
+    console.log(`
+Usage: node compare-builds-cli.mjs <baseline> <candidate> [options] [-- mocha args]
+
+Runs the Mocha suite against two Firefox builds in interleaved order, and reports
+the difference of every runBenchmark() metric with its confidence interval and a
+Mann-Whitney U significance test.
+
+Arguments:
+  baseline, candidate   Builds to compare: archive URLs or build specs
+                        (nightly, 147.0, nightly@2026-10-01...)
+
+Options:
+  --baseline-task <id>        Baseline is the build artifact of a Taskcluster task
+  --candidate-task <id>       Candidate is the build artifact of a Taskcluster task
+  --baseline-revision <rev>   Baseline is the build of a push revision
+  --candidate-revision <rev>  Candidate is the build of a push revision
+  --baseline-project <name>   Repository of the baseline revision (default: --project)
+  --candidate-project <name>  Repository of the candidate revision (default: --project)
+  --project <name>            Repository of both revisions: mozilla-central, try,
+                              autoland... (default: mozilla-central)
+  --iterations <n>            Suite runs per build (default: 3)
+  --alpha <level>             Significance level (default: 0.05)
+  --output <path>             Write the JSON report to a file
+  --markdown <path>           Write the Markdown report to a file
+  --cache-dir <path>          Directory to cache downloads (default: OS temp dir)
+  --help, -h                  Show this help message
+
+Arguments after -- are passed to Mocha.
+In GitHub Actions, the Markdown report is added to the job summary.
+
+Examples:
+  # Compare a Try push against the mozilla-central build it is based on
+  node compare-builds-cli.mjs --baseline-revision <rev> --baseline-project mozilla-central \
+    --candidate-revision <rev> --candidate-project try
+
+  # Compare two Nightlies, 5 runs of test/test.mjs each
+  node compare-builds-cli.mjs nightly@2026-10-01 nightly@2026-10-02 --iterations 5 -- test/test.mjs
+`);
+    return;
+  }
+
+  const positional = getPositionalArguments(args);
+  const baseline = getSource(args, 'baseline', positional[0]);
+  const candidate = getSource(args, 'candidate', positional[1]);
+  if (!baseline || !candidate) {
+    throw new Error('Both a baseline and a candidate build are required (see --help)');
+  }
+
+  const downloadOptions = {};
+  const cacheDir = getOptionValue(args, '--cache-dir');
+  if (cacheDir) {
+    downloadOptions.cacheDir = cacheDir;
+  }
+
+  const report = await compareBuilds({
+    baseline,
+    candidate,
+    mochaArgs,
+    downloadOptions,
+    iterations: Number(getOptionValue(args, '--iterations') || 3),
+    alpha: Number(getOptionValue(args, '--alpha') || 0.05),
+  });
+
+  const markdown = formatComparisonMarkdown(report);
+  console.log(`\n${markdown}`);
+
+  const output = getOptionValue(args, '--output');
+  if (output) {
+    writeFileSync(output, JSON.stringify(report, null, 2) + '\n');
+    console.log(`✓ Wrote JSON report to ${output}`);
+  }
+
+  const markdownPath = getOptionValue(args, '--markdown');
+  if (markdownPath) {
+    writeFileSync(markdownPath, markdown);
+    console.log(`✓ Wrote Markdown report to ${markdownPath}`);
+  }
+
+  if (process.env.GITHUB_STEP_SUMMARY) {
+    writeFileSync(process.env.GITHUB_STEP_SUMMARY, markdown, { flag: 'a' });
+    console.log('✓ Added the report to the GitHub Actions job summary');
+  }
+}
+
+/**
+ * Get the build source of one side of the comparison
+ *
+ * @param {string[]} args - Command line arguments
+ * @param {string} side - "baseline" or "candidate"
+ * @param {string|undefined} positional - Positional URL or spec for this side
+ * @returns {string|Object|undefined}
+ */
+function getSource(args, side, positional) {
+  const taskId = getOptionValue(args, `--${side}-task`);
+  if (taskId) {
+    return { taskId };
+  }
+  const revision = getOptionValue(args, `--${side}-revision`);
+  if (revision) {
+    const project = getOptionValue(args, `--${side}-project`) || getOptionValue(args, '--project');
+    return project ? { revision, project } : { revision };
+  }
+  return positional;
+}
+
+/**
+ * Get the arguments that are neither options nor option values
+ *
+ * @param {string[]} args - Command line arguments
+ * @returns {string[]}
+ */
+function getPositionalArguments(args) {
+  const positional = [];
+  for (let i = 0; i < args.length; i++) {
+    if (args[i].startsWith('--')) {
+      i++;
+    } else {
+      positional.push(args[i]);
+    }
+  }
+  return positional;
+}
+
+/**
+ * Get the value following a command line option
+ *
+ * @param {string[]} args - Command line arguments
+ * @param {string} name - Option name (e.g. --cache-dir)
+ * @returns {string|undefined}
+ */
+function getOptionValue(args, name) {
+  const index = args.indexOf(name);
+  if (index !== -1 && args[index + 1]) {
+    return args[index + 1];
+  }
+  return undefined;
+}
+
+main().catch((err) => {
+  console.error(`\n✗ Error: ${err.message}`);
+  process.exit(1);
+});
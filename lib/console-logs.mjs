@@ -0,0 +1,74 @@
+/**
+ * Convert the parameters of a BiDi log.entryAdded event to a console log entry
+ * Entries of type "console" come from the console API, entries of type "javascript"
+ * are uncaught exceptions and other script errors reported by the page.
+ *
+ * @param {Object} params - Event parameters
+ * @returns {{type: string, level: string, text: string, timestamp: number, method: string|null,
+ *   url: string|null, lineNumber: number|null, columnNumber: number|null, context: string|null,
+ *   stackTrace: Array<{functionName: string, url: string, lineNumber: number, columnNumber: number}>}}
+ */
+export function parseLogEntry(params) {
+  const callFrames = params.stackTrace?.callFrames || [];
+  const [frame] = callFrames;
+
+  return {
+    type: params.type,
+    level: params.level,
+    text: params.text ?? '',
+    timestamp: params.timestamp,
+    method: params.method ?? null,
+    url: frame?.url ?? null,
+    lineNumber: frame?.lineNumber ?? null,
+    columnNumber: frame?.columnNumber ?? null,
+    context: params.source?.context ?? null,
+    stackTrace: callFrames,
+  };
+}
+
+/**
+ * Format a console log entry on one line, e.g. "[error] Uncaught Error: boom (http://localhost:9090/:12:5)"
+ * BiDi line and column numbers start at 0, they are printed starting at 1.
+ *
+ * @param {Object} entry - Entry from parseLogEntry
+ * @returns {string}
+ */
+export function formatConsoleEntry(entry) {
+  const level = entry.type === 'javascript' ? 'exception' : entry.level;
+  const location = entry.url ? ` (${entry.url}:${entry.lineNumber + 1}:${entry.columnNumber + 1})` : '';
+  return `[${level}] ${entry.text}${location}`;
+}
+
+/**
+ * Collect console logs for each Mocha test
+ *
+ * Registers hooks clearing the driver's console logs before each test, and after each
+ * test, printing them if the test failed. With the driver's failOnPageErrors option,
+ * a test that passed fails when the page threw uncaught exceptions during it.
+ *
+ * @param {Function} getDriver - Returns the FirefoxDriver in use (called when the hooks run)
+ */
+export function captureConsoleEachTest(getDriver) {
+  beforeEach(function () {
+    getDriver().clearConsoleLogs();
+  });
+
+  afterEach(function () {
+    const driver = getDriver();
+    const logs = driver.getConsoleLogs();
+
+    if (this.currentTest.state === 'failed') {
+      if (logs.length > 0) {
+        console.log(`Console logs of "${this.currentTest.fullTitle()}" (${logs.length}):`);
+        console.log(logs.map(entry => `  ${formatConsoleEntry(entry)}`).join('\n'));
+      }
+      return;
+    }
+
+    const pageErrors = logs.filter(entry => entry.type === 'javascript');
+    if (driver.failOnPageErrors && pageErrors.length > 0) {
+      // Fails the test rather than the hook, so the following tests still run
+      this.test.error(new Error(`${pageErrors.length} uncaught page exception(s):\n${pageErrors.map(entry => `  ${formatConsoleEntry(entry)}`).join('\n')}`));
+    }
+  });
+}
@@ -0,0 +1,200 @@
+import { execFile } from 'child_process';
+import { copyFileSync, existsSync, mkdirSync, readdirSync, readFileSync, rmSync, writeFileSync } from 'fs';
+import { tmpdir } from 'os';
+import { basename, join } from 'path';
+import { promisify } from 'util';
+import { getTestFileName } from './profiler.mjs';
+
+const execFileAsync = promisify(execFile);
+
+/**
+ * Default directory crash dumps are collected into
+ */
+export const DEFAULT_CRASHES_DIR = join(tmpdir(), 'firefox-crashes');
+
+/**
+ * Environment of the browser enabling the crash reporter, without its dialog and without
+ * submitting reports, so that crashes leave a minidump in the minidumps directory of the profile.
+ * MOZ_CRASHREPORTER_SHUTDOWN also turns hangs at shutdown into crashes.
+ */
+export const CRASH_REPORTER_ENV = {
+  MOZ_CRASHREPORTER: '1',
+  MOZ_CRASHREPORTER_NO_REPORT: '1',
+  MOZ_CRASHREPORTER_SHUTDOWN: '1',
+};
+
+/**
+ * Annotations of .extra files giving the reason of a crash, in order of preference
+ */
+const REASON_ANNOTATIONS = ['MozCrashReason', 'IPCChannelError', 'AsyncShutdownTimeout', 'OOMAllocationSize'];
+
+/**
+ * Parse the crash annotations of a .extra file
+ * Current Firefox versions write JSON, older ones a Key=Value line per annotation.
+ *
+ * @param {string} content - File content
+ * @returns {Object<string, string>}
+ */
+export function parseExtraFile(content) {
+  const trimmed = content.trim();
+  if (trimmed.startsWith('{')) {
+    return JSON.parse(trimmed);
+  }
+
+  const annotations = {};
+  for (const line of trimmed.split('\n')) {
+    const separator = line.indexOf('=');
+    if (separator > 0) {
+      annotations[line.slice(0, separator)] = line.slice(separator + 1).trim();
+    }
+  }
+  return annotations;
+}
+
+/**
+ * Get the reason of a crash from its annotations
+ *
+ * @param {Object<string, string>} annotations - Annotations from parseExtraFile
+ * @returns {string|null} e.g. "MOZ_RELEASE_ASSERT(aIndex < mLength)", or "OOM allocating 1048576 bytes"
+ */
+export function getCrashReason(annotations) {
+  const name = REASON_ANNOTATIONS.find(key => annotations[key]);
+  if (!name) {
+    return null;
+  }
+  if (name === 'OOMAllocationSize') {
+    return `OOM allocating ${annotations[name]} bytes`;
+  }
+  if (name === 'AsyncShutdownTimeout') {
+    return `Shutdown hang: ${annotations[name]}`;
+  }
+  return annotations[name];
+}
+
+/**
+ * Get the signature of a crash from the output of minidump-stackwalk --json
+ * Like crash-stats, the signature lists the functions of the top frames of the crashing thread.
+ *
+ * @param {Object} stackwalk - Parsed JSON output of minidump-stackwalk
+ * @param {number} depth - Number of frames with a function name to include (default: 3)
+ * @returns {string|null} e.g. "mozilla::dom::Foo::Bar | mozilla::dom::Foo::Run"
+ */
+export function getCrashSignature(stackwalk, depth = 3) {
+  const thread = stackwalk?.crashing_thread || stackwalk?.threads?.[stackwalk?.crash_info?.crashing_thread];
+  const functions = (thread?.frames || []).map(frame => frame.function).filter(Boolean).slice(0, depth);
+  return functions.length > 0 ? functions.join(' | ') : null;
+}
+
+/**
+ * Find the minidumps of a profile
+ *
+ * @param {string} minidumpsDir - Minidumps directory of the profile
+ * @returns {string[]} Paths to the .dmp files
+ */
+export function findCrashDumps(minidumpsDir) {
+  if (!existsSync(minidumpsDir)) {
+    return [];
+  }
+  return readdirSync(minidumpsDir).filter(name => name.endsWith('.dmp')).sort().map(name => join(minidumpsDir, name));
+}
+
+/**
+ * Move the minidumps of a profile and their .extra files to the crashes directory
+ * Files are named after the test they were found after, and stackwalked when a symbols
+ * directory is given.
+ *
+ * @param {string} minidumpsDir - Minidumps directory of the profile
+ * @param {string} crashesDir - Directory to move the crashes to
+ * @param {string} name - Name prefixed to the files, e.g. the Mocha test title
+ * @param {Object} options - Stackwalk options
+ * @param {string} options.symbolsDir - Local symbols directory; stackwalks the dumps when set
+ * @param {string} options.stackwalkPath - minidump-stackwalk binary (default: minidump-stackwalk on the PATH)
+ * @returns {Promise<Array<{id: string, dumpPath: string, extraPath: string|null, stackwalkPath: string|null,
+ *   processType: string, reason: string|null, signature: string|null, annotations: Object<string, string>}>>}
+ */
+export async function collectCrashDumps(minidumpsDir, crashesDir, name, { symbolsDir, stackwalkPath = 'minidump-stackwalk' } = {}) {
+  const crashes = [];
+
+  for (const sourceDump of findCrashDumps(minidumpsDir)) {
+    mkdirSync(crashesDir, { recursive: true });
+    const id = basename(sourceDump, '.dmp');
+    const prefix = join(crashesDir, getTestFileName(name, `-${id}`, 'crash'));
+
+    const dumpPath = `${prefix}.dmp`;
+    moveFile(sourceDump, dumpPath);
+
+    const sourceExtra = join(minidumpsDir, `${id}.extra`);
+    let extraPath = null;
+    let annotations = {};
+    if (existsSync(sourceExtra)) {
+      extraPath = `${prefix}.extra`;
+      moveFile(sourceExtra, extraPath);
+      try {
+        annotations = parseExtraFile(readFileSync(extraPath, 'utf8'));
+      } catch (err) {
+        console.log(`✗ Could not parse ${extraPath}: ${err.message}`);
+      }
+    }
+
+    let stackwalk = null;
+    let stackwalkOutput = null;
+    if (symbolsDir) {
+      try {
+        const { stdout } = await execFileAsync(stackwalkPath, ['--json', '--symbols-path', symbolsDir, dumpPath], { maxBuffer: 256 * 1024 * 1024 });
+        stackwalk = JSON.parse(stdout);
+        stackwalkOutput = `${prefix}.json`;
+        writeFileSync(stackwalkOutput, JSON.stringify(stackwalk, null, 2) + '\n');
+      } catch (err) {
+        console.log(`✗ Could not stackwalk ${dumpPath}: ${err.message}`);
+      }
+    }
+
+    crashes.push({
+      id,
+      dumpPath,
+      extraPath,
+      stackwalkPath: stackwalkOutput,
+      processType: annotations.ProcessType || 'main',
+      reason: getCrashReason(annotations) || stackwalk?.crash_info?.type || null,
+      signature: annotations.Signature || getCrashSignature(stackwalk),
+      annotations,
+    });
+  }
+
+  return crashes;
+}
+
+/**
+ * Format the error message of a test during which Firefox crashed
+ *
+ * @param {string} title - Test title, e.g. Mocha's fullTitle()
+ * @param {Array<Object>} crashes - Crashes from collectCrashDumps
+ * @returns {string} e.g. 'Firefox crashed during "tests load": MOZ_CRASH(boom) @ Foo::Bar (main process, minidump: ...)'
+ */
+export function formatCrashMessage(title, crashes) {
+  if (crashes.length === 0) {
+    return `Firefox exited during "${title}" without leaving a minidump`;
+  }
+
+  const describe = crash => [
+    crash.reason || 'unknown reason',
+    crash.signature ? ` @ ${crash.signature}` : '',
+    ` (${crash.processType} process, minidump: ${crash.dumpPath})`,
+  ].join('');
+
+  if (crashes.length === 1) {
+    return `Firefox crashed during "${title}": ${describe(crashes[0])}`;
+  }
+  return `Firefox crashed during "${title}" (${crashes.length} crashes):\n${crashes.map(crash => `  ${describe(crash)}`).join('\n')}`;
+}
+
+/**
+ * Move a file, also across file systems
+ *
+ * @param {string} source - File to move
+ * @param {string} destination - New path
+ */
+function moveFile(source, destination) {
+  copyFileSync(source, destination);
+  rmSync(source, { force: true });
+}
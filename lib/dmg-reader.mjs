@@ -0,0 +1,416 @@
+import { open } from 'fs/promises';
+import { Readable } from 'stream';
+import { inflateSync } from 'zlib';
+import unbzip2 from 'unbzip2-stream';
+import { decompressXz } from './xar-reader.mjs';
+import { decompressLzfse } from './lzfse.mjs';
+import { HfsPlusVolume } from './hfsplus-reader.mjs';
+
+const SECTOR_SIZE = 512;
+
+/**
+ * UDIF block chunk types
+ */
+const CHUNK_ZERO = 0x00000000;
+const CHUNK_RAW = 0x00000001;
+const CHUNK_IGNORE = 0x00000002;
+const CHUNK_ADC = 0x80000004;
+const CHUNK_ZLIB = 0x80000005;
+const CHUNK_BZIP2 = 0x80000006;
+const CHUNK_LZFSE = 0x80000007;
+const CHUNK_LZMA = 0x80000008;
+const CHUNK_COMMENT = 0x7ffffffe;
+const CHUNK_TERMINATOR = 0xffffffff;
+
+/**
+ * Extract the .app bundles of a .dmg file without mounting it
+ *
+ * @param {string} dmgPath - Path to the .dmg file
+ * @param {string} extractDir - Directory to extract to
+ * @returns {Promise<string[]>} Names of the extracted bundles
+ */
+export async function extractDmgImage(dmgPath, extractDir) {
+  const image = await UdifImage.open(dmgPath);
+
+  try {
+    const volume = await openHfsVolume(image);
+    return await volume.extractApps(extractDir);
+  } finally {
+    await image.close();
+  }
+}
+
+/**
+ * Find the HFS+ partition of a disk image
+ * Partitions named Apple_HFS/Apple_HFSX are tried first, then the others are probed.
+ *
+ * @param {UdifImage} image - Opened disk image
+ * @returns {Promise<HfsPlusVolume>}
+ */
+async function openHfsVolume(image) {
+  const isHfsName = partition => /Apple_HFSX?\b/.test(partition.name);
+  const partitions = [
+    ...image.partitions.filter(isHfsName),
+    ...image.partitions.filter(partition => !isHfsName(partition)),
+  ];
+
+  for (const partition of partitions) {
+    if (partition.sectorCount * SECTOR_SIZE < 1024 + 512) {
+      continue;
+    }
+
+    const reader = image.openPartition(partition);
+    const signature = (await reader.read(1024, 2)).toString('latin1');
+    if (signature === 'H+' || signature === 'HX') {
+      return HfsPlusVolume.open(reader);
+    }
+  }
+
+  throw new Error('No HFS+ partition found in disk image');
+}
+
+/**
+ * UdifImage - Reader for Apple UDIF disk images (.dmg)
+ *
+ * A UDIF image is a data fork holding compressed runs of disk sectors, followed by
+ * an XML property list whose "blkx" entries describe each partition as a table of
+ * chunks, and a 512-byte "koly" trailer locating both.
+ */
+export class UdifImage {
+  /**
+   * @param {import('fs/promises').FileHandle} file - Open .dmg file
+   * @param {Object} koly - Parsed koly trailer
+   * @param {Array<{name: string, chunks: Object[], sectorCount: number}>} partitions - Partitions of the image
+   */
+  constructor(file, koly, partitions) {
+    this.file = file;
+    this.koly = koly;
+    this.partitions = partitions;
+  }
+
+  /**
+   * Open a .dmg file and read its partition tables
+   * @param {string} dmgPath - Path to the .dmg file
+   * @returns {Promise<UdifImage>}
+   */
+  static async open(dmgPath) {
+    const file = await open(dmgPath, 'r');
+
+    try {
+      const { size } = await file.stat();
+      const trailer = await readAt(file, size - SECTOR_SIZE, SECTOR_SIZE);
+      if (trailer.toString('latin1', 0, 4) !== 'koly') {
+        throw new Error('Not a UDIF disk image (missing koly trailer)');
+      }
+
+      const koly = {
+        dataForkOffset: Number(trailer.readBigUInt64BE(24)),
+        xmlOffset: Number(trailer.readBigUInt64BE(216)),
+        xmlLength: Number(trailer.readBigUInt64BE(224)),
+        sectorCount: Number(trailer.readBigUInt64BE(492)),
+      };
+
+      if (!koly.xmlLength) {
+        throw new Error('UDIF images without a property list are not supported');
+      }
+
+      const plist = (await readAt(file, koly.xmlOffset, koly.xmlLength)).toString('utf8');
+      return new UdifImage(file, koly, parseBlkxEntries(plist));
+    } catch (err) {
+      await file.close();
+      throw err;
+    }
+  }
+
+  /**
+   * Close the underlying file
+   */
+  async close() {
+    await this.file.close();
+  }
+
+  /**
+   * Get a random-access reader over the decompressed sectors of a partition
+   * @param {Object} partition - One of this.partitions
+   * @returns {PartitionReader}
+   */
+  openPartition(partition) {
+    return new PartitionReader(this, partition);
+  }
+
+  /**
+   * Read and decompress one chunk of a partition
+   * @param {Object} chunk - Chunk description from the blkx table
+   * @returns {Promise<Buffer>} Decompressed chunk data
+   */
+  async readChunk(chunk) {
+    const length = chunk.sectorCount * SECTOR_SIZE;
+
+    switch (chunk.type) {
+      case CHUNK_ZERO:
+      case CHUNK_IGNORE:
+        return Buffer.alloc(length);
+      case CHUNK_RAW:
+        return this.readCompressed(chunk);
+      case CHUNK_ZLIB:
+        return inflateSync(await this.readCompressed(chunk));
+      case CHUNK_BZIP2:
+        return decompressBzip2(await this.readCompressed(chunk));
+      case CHUNK_LZMA:
+        return decompressXz(await this.readCompressed(chunk));
+      case CHUNK_ADC:
+        return decompressAdc(await this.readCompressed(chunk), length);
+      case CHUNK_LZFSE:
+        return decompressLzfse(await this.readCompressed(chunk), length);
+      default:
+        throw new Error(`Unsupported UDIF chunk type 0x${chunk.type.toString(16)}`);
+    }
+  }
+
+  /**
+   * Read the stored bytes of a chunk
+   * @param {Object} chunk - Chunk description from the blkx table
+   * @returns {Promise<Buffer>}
+   */
+  readCompressed(chunk) {
+    return readAt(this.file, this.koly.dataForkOffset + chunk.compressedOffset, chunk.compressedLength);
+  }
+}
+
+/**
+ * PartitionReader - Random access to the decompressed content of a UDIF partition
+ * Keeps the most recently decompressed chunks in memory, since file system
+ * structures are read in many small pieces.
+ */
+class PartitionReader {
+  /**
+   * @param {UdifImage} image - Image the partition belongs to
+   * @param {Object} partition - Partition description
+   */
+  constructor(image, partition) {
+    this.image = image;
+    this.chunks = partition.chunks;
+    this.size = partition.sectorCount * SECTOR_SIZE;
+    this.cache = new Map();
+    this.maxCachedChunks = 8;
+  }
+
+  /**
+   * Read bytes from the partition
+   * @param {number} offset - Byte offset in the partition
+   * @param {number} length - Number of bytes to read
+   * @returns {Promise<Buffer>}
+   */
+  async read(offset, length) {
+    const result = Buffer.alloc(length);
+    let done = 0;
+
+    while (done < length) {
+      const position = offset + done;
+      const chunk = this.findChunk(Math.floor(position / SECTOR_SIZE));
+      if (!chunk) {
+        throw new Error(`Read beyond the end of the partition at byte ${position}`);
+      }
+
+      const data = await this.getChunkData(chunk);
+      const chunkStart = chunk.sectorNumber * SECTOR_SIZE;
+      const copied = data.copy(result, done, position - chunkStart, Math.min(data.length, position - chunkStart + length - done));
+      if (copied === 0) {
+        throw new Error(`Chunk at sector ${chunk.sectorNumber} is shorter than declared`);
+      }
+      done += copied;
+    }
+
+    return result;
+  }
+
+  /**
+   * Find the chunk containing a sector (binary search, chunks are sorted)
+   * @param {number} sector - Sector number in the partition
+   * @returns {Object|undefined}
+   */
+  findChunk(sector) {
+    let low = 0;
+    let high = this.chunks.length - 1;
+
+    while (low <= high) {
+      const middle = (low + high) >> 1;
+      const chunk = this.chunks[middle];
+      if (sector < chunk.sectorNumber) {
+        high = middle - 1;
+      } else if (sector >= chunk.sectorNumber + chunk.sectorCount) {
+        low = middle + 1;
+      } else {
+        return chunk;
+      }
+    }
+
+    return undefined;
+  }
+
+  /**
+   * Get the decompressed data of a chunk, from the cache if possible
+   * @param {Object} chunk - Chunk description
+   * @returns {Promise<Buffer>}
+   */
+  async getChunkData(chunk) {
+    let data = this.cache.get(chunk);
+    if (data) {
+      // Move to the end of the map, which is kept in least recently used order
+      this.cache.delete(chunk);
+    } else {
+      data = await this.image.readChunk(chunk);
+    }
+
+    this.cache.set(chunk, data);
+    if (this.cache.size > this.maxCachedChunks) {
+      this.cache.delete(this.cache.keys().next().value);
+    }
+    return data;
+  }
+}
+
+/**
+ * Parse the blkx partition tables from a UDIF property list
+ *
+ * @param {string} plist - Property list XML
+ * @returns {Array<{name: string, sectorCount: number, chunks: Object[]}>}
+ */
+function parseBlkxEntries(plist) {
+  const blkxMatch = plist.match(/<key>blkx<\/key>\s*<array>([\s\S]*?)<\/array>/);
+  if (!blkxMatch) {
+    throw new Error('UDIF property list has no blkx entries');
+  }
+
+  const partitions = [];
+  for (const [entry] of blkxMatch[1].matchAll(/<dict>[\s\S]*?<\/dict>/g)) {
+    const name = (entry.match(/<key>(?:CFName|Name)<\/key>\s*<string>([^<]*)<\/string>/) || [])[1] || '';
+    const data = (entry.match(/<key>Data<\/key>\s*<data>([^<]*)<\/data>/) || [])[1];
+    if (data) {
+      partitions.push({ name, ...parseMishTable(Buffer.from(data.replace(/\s+/g, ''), 'base64')) });
+    }
+  }
+
+  return partitions;
+}
+
+/**
+ * Parse a "mish" block table describing the chunks of a partition
+ *
+ * @param {Buffer} table - Decoded table data
+ * @returns {{sectorCount: number, chunks: Object[]}}
+ */
+function parseMishTable(table) {
+  if (table.toString('latin1', 0, 4) !== 'mish') {
+    throw new Error('Invalid UDIF block table');
+  }
+
+  const dataOffset = Number(table.readBigUInt64BE(24));
+  const chunkCount = table.readUInt32BE(200);
+  const chunks = [];
+  let sectorCount = 0;
+
+  for (let i = 0; i < chunkCount; i++) {
+    const offset = 204 + i * 40;
+    const type = table.readUInt32BE(offset);
+    if (type === CHUNK_TERMINATOR) {
+      break;
+    }
+    if (type === CHUNK_COMMENT) {
+      continue;
+    }
+
+    const chunk = {
+      type,
+      sectorNumber: Number(table.readBigUInt64BE(offset + 8)),
+      sectorCount: Number(table.readBigUInt64BE(offset + 16)),
+      compressedOffset: dataOffset + Number(table.readBigUInt64BE(offset + 24)),
+      compressedLength: Number(table.readBigUInt64BE(offset + 32)),
+    };
+    if (chunk.sectorCount > 0) {
+      chunks.push(chunk);
+      sectorCount = Math.max(sectorCount, chunk.sectorNumber + chunk.sectorCount);
+    }
+  }
+
+  chunks.sort((a, b) => a.sectorNumber - b.sectorNumber);
+  return { sectorCount, chunks };
+}
+
+/**
+ * Read bytes at a position of an open file
+ *
+ * @param {import('fs/promises').FileHandle} file - Open file
+ * @param {number} position - Byte offset
+ * @param {number} length - Number of bytes
+ * @returns {Promise<Buffer>}
+ */
+async function readAt(file, position, length) {
+  const buffer = Buffer.alloc(length);
+  const { bytesRead } = await file.read(buffer, 0, length, position);
+  if (bytesRead !== length) {
+    throw new Error(`Unexpected end of disk image at byte ${position + bytesRead}`);
+  }
+  return buffer;
+}
+
+/**
+ * Decompress an in-memory bzip2 stream
+ *
+ * @param {Buffer} data - Compressed data
+ * @returns {Promise<Buffer>}
+ */
+function decompressBzip2(data) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    Readable.from([data]).pipe(unbzip2())
+      .on('data', chunk => chunks.push(chunk))
+      .on('end', () => resolve(Buffer.concat(chunks)))
+      .on('error', reject);
+  });
+}
+
+/**
+ * Decompress Apple Data Compression (ADC), used by old UDCO images
+ *
+ * @param {Buffer} data - Compressed data
+ * @param {number} length - Decompressed length
+ * @returns {Buffer}
+ */
+function decompressAdc(data, length) {
+  const output = Buffer.alloc(length);
+  let input = 0;
+  let position = 0;
+
+  while (input < data.length && position < length) {
+    const byte = data[input];
+    if (byte & 0x80) {
+      // Literal run of 1-128 bytes
+      const count = (byte & 0x7f) + 1;
+      data.copy(output, position, input + 1, input + 1 + count);
+      position += count;
+      input += count + 1;
+      continue;
+    }
+
+    let count;
+    let distance;
+    if (byte & 0x40) {
+      // Three-byte copy: 4-67 bytes at a 16-bit distance
+      count = (byte & 0x3f) + 4;
+      distance = data.readUInt16BE(input + 1);
+      input += 3;
+    } else {
+      // Two-byte copy: 3-18 bytes at a 10-bit distance
+      count = ((byte >> 2) & 0x0f) + 3;
+      distance = ((byte & 0x03) << 8) | data[input + 1];
+      input += 2;
+    }
+
+    for (let i = 0; i < count; i++, position++) {
+      output[position] = output[position - distance - 1];
+    }
+  }
+
+  return output;
+}
@@ -1,6 +1,8 @@
 #!/usr/bin/env node
 
 import { downloadFirefox } from './firefox-downloader.mjs';
+import { FirefoxCache } from './cache-manager.mjs';
+import { getBuildOutputs } from './build-info.mjs';
 import { writeFileSync } from 'fs';
 import { join } from 'path';
 
@@ -8,14 +10,35 @@ import { join } from 'path';
  * CLI tool for downloading Firefox binaries
  *
  * Usage:
- *   node download-firefox-cli.mjs <url> [options]
+ *   node download-firefox-cli.mjs <url|spec> [options]
+ *   node download-firefox-cli.mjs --task <id> | --index <route> | --revision <rev> [options]
+ *   node download-firefox-cli.mjs cache list|prune|clear [options]
  *
  * Options:
  *   --cache-dir <path>  - Directory to cache downloads
  *   --force            - Force re-download even if cached
  *   --output-env       - Write FIREFOX_BINARY to .env file
+ *   --platform <name>  - Platform to resolve build specs for
+ *   --locale <locale>  - Locale to resolve build specs for
+ *   --task <id>        - Download the build artifact of a Taskcluster task
+ *   --index <route>    - Download the build artifact of an indexed Taskcluster task
+ *   --revision <rev>   - Download the build of a push revision
+ *   --project <name>   - Repository of --revision (default: mozilla-central)
+ *   --sha256 <hash>    - Expected SHA-256 of the archive
+ *   --sha512 <hash>    - Expected SHA-512 of the archive
+ *   --no-verify        - Skip looking up the published checksum
+ *   --retries <n>      - Number of download retries
+ *   --timeout <ms>     - Abort a download attempt after this long without data
+ *   --header <header>  - Additional request header ("Name: value"), repeatable
+ *   --delete-archive   - Delete the downloaded archive once extracted
+ *   --dmg-extractor    - How to extract .dmg builds: auto, js or hdiutil
+ *   --max-cache-size   - Evict least recently used builds beyond this size (e.g. 2GB)
+ *   --max-cache-age    - Evict builds not used for this long (e.g. 7d)
  *
  * Examples:
+ *   # Download the latest Nightly
+ *   node download-firefox-cli.mjs nightly
+ *
  *   # Download from Mozilla FTP
  *   node download-firefox-cli.mjs https://ftp.mozilla.org/pub/firefox/releases/147.0/mac/en-US/firefox-147.0.tar.bz2
  *
@@ -28,57 +51,181 @@ async function main() {
 
   if (args.length === 0 || args.includes('--help') || args.includes('-h')) {
     console.log(`
-Usage: node download-firefox-cli.mjs <url> [options]
+Usage: node download-firefox-cli.mjs <url|spec> [options]
+       node download-firefox-cli.mjs --task <id> | --index <route> | --revision <rev> [options]
+       node download-firefox-cli.mjs cache list|prune|clear [options]
 
-Downloads and extracts Firefox binary from a URL.
+Downloads and extracts Firefox binary from a URL, build spec or Taskcluster task.
 
 Arguments:
-  url                 URL to Firefox archive (.tar.bz2 or .dmg)
+  url                 URL to Firefox archive (.tar.xz, .tar.bz2, .zip, .dmg, .pkg)
+  spec                Build to resolve from archive.mozilla.org:
+                        release, beta, devedition, esr, nightly
+                        a version such as 147.0, 148.0b3 or 140.4.0esr
+                        nightly@YYYY-MM-DD for the Nightly of a given date
 
 Options:
   --cache-dir <path>  Directory to cache downloads (default: OS temp dir)
   --force             Force re-download even if cached
   --output-env        Write FIREFOX_BINARY to .env file in current directory
+  --platform <name>   Platform to resolve builds for: mac, linux-x86_64,
+                      linux-aarch64, win64... (default: current platform)
+  --locale <locale>   Locale to resolve specs for (default: en-US)
+  --sha256 <hash>     Expected SHA-256 of the archive
+  --sha512 <hash>     Expected SHA-512 of the archive
+  --no-verify         Do not look up the checksum published alongside the
+                      archive (SHA512SUMS or .checksums)
+  --retries <n>       Number of retries for failed downloads (default: 3)
+  --timeout <ms>      Abort a download attempt after this long without
+                      receiving data (default: 60000)
+  --header <header>   Additional request header as "Name: value", e.g. for
+                      Taskcluster authorization (can be repeated)
+  --delete-archive    Delete the downloaded archive once extracted
+  --dmg-extractor <method>
+                      How to extract .dmg builds: auto (read the image in
+                      JavaScript, fall back to hdiutil on macOS), js or
+                      hdiutil (default: auto)
+  --max-cache-size <size>
+                      Evict least recently used builds when the cache grows
+                      beyond this size (e.g. 500MB, 2GB)
+  --max-cache-age <age>
+                      Evict builds not used for this long (e.g. 12h, 7d)
   --help, -h          Show this help message
 
+Taskcluster options:
+  --task <id>         Download the build artifact of a task (latest completed run)
+  --index <route>     Download the build artifact of the task indexed at a route
+  --revision <rev>    Download the build of a push revision (full hash)
+  --project <name>    Repository of the revision: mozilla-central, try,
+                      autoland... (default: mozilla-central)
+  --build-type <type> Build type of the revision: opt, shippable (indexed as
+                      shippable-opt) or debug (default: opt)
+  --taskcluster-url <url>
+                      Taskcluster root URL (default: TASKCLUSTER_ROOT_URL or
+                      https://firefox-ci-tc.services.mozilla.com)
+
+Cache commands:
+  cache list          List cached builds, most recently used first
+  cache prune         Evict builds according to --max-cache-size and
+                      --max-cache-age
+  cache clear         Remove all cached builds
+  All cache commands accept --cache-dir <path>.
+
 Examples:
+  # Download the latest Nightly for the current platform
+  node download-firefox-cli.mjs nightly
+
+  # Download Firefox 147.0 in French
+  node download-firefox-cli.mjs 147.0 --locale fr
+
+  # Download the Nightly built on a given date
+  node download-firefox-cli.mjs nightly@2026-10-01
+
   # Download from Mozilla FTP (macOS .dmg)
   node download-firefox-cli.mjs https://download-installer.cdn.mozilla.net/pub/firefox/releases/147.0/mac/en-US/Firefox%20147.0.dmg
 
   # Download from Firefox CI (.tar.bz2)
   node download-firefox-cli.mjs https://firefox-ci-tc.services.mozilla.com/api/queue/v1/task/TASK_ID/artifacts/public/build/firefox.tar.bz2
 
+  # Download the build of a Try push for the current platform
+  node download-firefox-cli.mjs --revision <40-char hash> --project try
+
+  # Download the build artifact of a task, as shown in Treeherder
+  node download-firefox-cli.mjs --task HwBbl4aeSQSgasgu0ipHRQ
+
   # Download and save path to .env
   node download-firefox-cli.mjs <url> --output-env
 
 Environment:
+  HTTPS_PROXY, HTTP_PROXY and NO_PROXY are honoured for all requests.
+
   The downloaded binary path is automatically exported as FIREFOX_BINARY
   for use in subsequent test commands in CI environments.
 `);
     process.exit(args.includes('--help') || args.includes('-h') ? 0 : 1);
   }
 
+  if (args[0] === 'cache') {
+    runCacheCommand(args.slice(1));
+    return;
+  }
+
   // Parse arguments
-  const url = args[0];
+  const source = getTaskclusterSource(args) || args[0];
   const options = {
     forceDownload: args.includes('--force'),
+    verifyChecksum: !args.includes('--no-verify'),
+    deleteArchive: args.includes('--delete-archive'),
+    onProgress: createProgressReporter(),
   };
 
-  const cacheDirIndex = args.indexOf('--cache-dir');
-  if (cacheDirIndex !== -1 && args[cacheDirIndex + 1]) {
-    options.cacheDir = args[cacheDirIndex + 1];
+  const cacheDir = getOptionValue(args, '--cache-dir');
+  if (cacheDir) {
+    options.cacheDir = cacheDir;
+  }
+
+  const platform = getOptionValue(args, '--platform');
+  if (platform) {
+    options.platform = platform;
+  }
+
+  const locale = getOptionValue(args, '--locale');
+  if (locale) {
+    options.locale = locale;
+  }
+
+  const dmgExtractor = getOptionValue(args, '--dmg-extractor');
+  if (dmgExtractor) {
+    options.dmgExtractor = dmgExtractor;
+  }
+
+  for (const algorithm of ['sha256', 'sha512']) {
+    const hash = getOptionValue(args, `--${algorithm}`);
+    if (hash) {
+      options[algorithm] = hash;
+    }
+  }
+
+  for (const name of ['retries', 'timeout']) {
+    const value = getOptionValue(args, `--${name}`);
+    if (value) {
+      options[name] = Number(value);
+    }
+  }
+
+  Object.assign(options, getCacheLimits(args));
+
+  const headers = getOptionValues(args, '--header');
+  if (headers.length > 0) {
+    options.headers = Object.fromEntries(headers.map(header => {
+      const separator = header.indexOf(':');
+      return [header.slice(0, separator).trim(), header.slice(separator + 1).trim()];
+    }));
+  }
+
+  const rootUrl = getOptionValue(args, '--taskcluster-url');
+  if (rootUrl) {
+    options.rootUrl = rootUrl;
   }
 
   const outputEnv = args.includes('--output-env');
 
   try {
-    console.log(`\nDownloading Firefox from: ${url}\n`);
+    const sourceLabel = typeof source === 'object' ? `Taskcluster ${JSON.stringify(source)}` : source;
+    console.log(`\nDownloading Firefox from: ${sourceLabel}\n`);
 
-    const result = await downloadFirefox(url, options);
+    const result = await downloadFirefox(source, options);
 
     console.log('\n✓ Download complete!');
     console.log(`  Binary path: ${result.binaryPath}`);
     console.log(`  Version: ${result.version}`);
+    console.log(`  Build ID: ${result.buildId || 'unknown'}`);
+    if (result.channel) {
+      console.log(`  Channel: ${result.channel}`);
+    }
+    if (result.sourceStamp) {
+      console.log(`  Changeset: ${result.changesetUrl || result.sourceStamp}`);
+    }
     console.log(`  Extract path: ${result.extractPath}`);
 
     // Export for use in CI
@@ -100,11 +247,12 @@ Environment:
       console.log(`\n✓ Set GitHub Actions environment variable: FIREFOX_BINARY`);
     }
 
-    // Also set step output (useful if steps want to reference it as an output)
+    // Also set step outputs (binary path and build metadata, to tie results to a changeset)
     if (process.env.GITHUB_OUTPUT) {
-      const output = `firefox_binary=${result.binaryPath}\n`;
+      const outputs = getBuildOutputs(result);
+      const output = Object.entries(outputs).map(([name, value]) => `${name}=${value}\n`).join('');
       writeFileSync(process.env.GITHUB_OUTPUT, output, { flag: 'a' });
-      console.log(`✓ Set GitHub Actions step output: firefox_binary`);
+      console.log(`✓ Set GitHub Actions step outputs: ${Object.keys(outputs).join(', ')}`);
     }
 
     // Set environment variable for current process
@@ -116,4 +264,208 @@ Environment:
   }
 }
 
+/**
+ * Get the value following a command line option
+ *
+ * @param {string[]} args - Command line arguments
+ * @param {string} name - Option name (e.g. --cache-dir)
+ * @returns {string|undefined}
+ */
+function getOptionValue(args, name) {
+  const index = args.indexOf(name);
+  if (index !== -1 && args[index + 1]) {
+    return args[index + 1];
+  }
+  return undefined;
+}
+
+/**
+ * Run a cache subcommand: list, prune or clear
+ *
+ * @param {string[]} args - Command line arguments after "cache"
+ */
+function runCacheCommand(args) {
+  const [command] = args;
+  const cache = new FirefoxCache(getOptionValue(args, '--cache-dir'));
+
+  try {
+    if (command === 'list') {
+      const records = cache.list();
+      if (records.length === 0) {
+        console.log(`No cached Firefox builds in ${cache.cacheDir}`);
+        return;
+      }
+
+      let totalSize = 0;
+      for (const record of records) {
+        totalSize += record.size || 0;
+        console.log(`${record.key}  ${record.version || 'unknown'}${record.buildId ? ` (${record.buildId})` : ''}`);
+        console.log(`  URL: ${record.url || 'unknown'}`);
+        console.log(`  Binary: ${record.binaryPath}`);
+        console.log(`  Size: ${formatBytes(record.size || 0)}, last used: ${record.lastUsed ? new Date(record.lastUsed).toISOString() : 'unknown'}`);
+      }
+      console.log(`\n${records.length} build(s), ${formatBytes(totalSize)} in ${cache.cacheDir}`);
+    } else if (command === 'prune') {
+      const { maxCacheSize, maxCacheAge } = getCacheLimits(args);
+      if (maxCacheSize === undefined && maxCacheAge === undefined) {
+        throw new Error('cache prune requires --max-cache-size and/or --max-cache-age');
+      }
+
+      const removed = cache.prune({ maxSize: maxCacheSize, maxAge: maxCacheAge });
+      for (const record of removed) {
+        console.log(`Removed ${record.key} (${record.url || 'unknown URL'})`);
+      }
+      console.log(`✓ Pruned ${removed.length} build(s)`);
+    } else if (command === 'clear') {
+      const count = cache.clear();
+      console.log(`✓ Removed ${count} cache entries from ${cache.cacheDir}`);
+    } else {
+      throw new Error(`Unknown cache command: ${command || '(none)'}. Expected list, prune or clear`);
+    }
+  } catch (err) {
+    console.error(`\n✗ Error: ${err.message}`);
+    process.exit(1);
+  }
+}
+
+/**
+ * Parse --max-cache-size and --max-cache-age
+ *
+ * @param {string[]} args - Command line arguments
+ * @returns {{maxCacheSize?: number, maxCacheAge?: number}}
+ */
+function getCacheLimits(args) {
+  const limits = {};
+
+  const size = getOptionValue(args, '--max-cache-size');
+  if (size) {
+    limits.maxCacheSize = parseWithUnit(size, { B: 1, KB: 1024, MB: 1024 ** 2, GB: 1024 ** 3 }, 'B');
+  }
+
+  const age = getOptionValue(args, '--max-cache-age');
+  if (age) {
+    limits.maxCacheAge = parseWithUnit(age, { ms: 1, s: 1000, m: 60000, h: 3600000, d: 86400000 }, 'ms');
+  }
+
+  return limits;
+}
+
+/**
+ * Parse a number followed by an optional unit, e.g. "2GB" or "7d"
+ *
+ * @param {string} value - Value to parse
+ * @param {Object} units - Multiplier of each unit
+ * @param {string} defaultUnit - Unit used when none is given
+ * @returns {number}
+ */
+function parseWithUnit(value, units, defaultUnit) {
+  const match = value.trim().match(/^(\d+(?:\.\d+)?)\s*([a-z]*)$/i);
+  const unit = match && Object.keys(units).find(name => name.toLowerCase() === (match[2] || defaultUnit).toLowerCase());
+  if (!unit) {
+    throw new Error(`Invalid value "${value}", expected a number followed by one of: ${Object.keys(units).join(', ')}`);
+  }
+  return Number(match[1]) * units[unit];
+}
+
+/**
+ * Get the values of a command line option that can be repeated
+ *
+ * @param {string[]} args - Command line arguments
+ * @param {string} name - Option name (e.g. --header)
+ * @returns {string[]}
+ */
+function getOptionValues(args, name) {
+  const values = [];
+  args.forEach((arg, index) => {
+    if (arg === name && args[index + 1]) {
+      values.push(args[index + 1]);
+    }
+  });
+  return values;
+}
+
+/**
+ * Create a download progress callback
+ * Renders a progress line on a terminal, and logs every 10% in CI logs.
+ *
+ * @returns {Function} Progress callback for downloadFirefox
+ */
+function createProgressReporter() {
+  const isTTY = process.stdout.isTTY;
+  let lastRender = 0;
+  let lastStep = -1;
+
+  return ({ bytes, total, rate }) => {
+    const done = bytes === total;
+    const percent = total ? Math.floor((bytes / total) * 100) : null;
+    const line = `${formatBytes(bytes)}${total ? ` / ${formatBytes(total)} (${percent}%)` : ''} at ${formatBytes(rate)}/s`;
+
+    if (isTTY) {
+      const now = Date.now();
+      if (done || now - lastRender >= 100) {
+        lastRender = now;
+        process.stdout.write(`\r  ${line}\x1b[K${done ? '\n' : ''}`);
+      }
+      return;
+    }
+
+    // Without a total, log every 10 MB instead of every 10%
+    const step = total ? Math.floor(percent / 10) : Math.floor(bytes / (10 * 1024 * 1024));
+    if (step !== lastStep || done) {
+      lastStep = step;
+      console.log(`  Downloaded ${line}`);
+    }
+  };
+}
+
+/**
+ * Format a byte count for display
+ *
+ * @param {number} bytes - Number of bytes
+ * @returns {string}
+ */
+function formatBytes(bytes) {
+  if (bytes >= 1024 * 1024) {
+    return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+  }
+  if (bytes >= 1024) {
+    return `${(bytes / 1024).toFixed(1)} KB`;
+  }
+  return `${Math.round(bytes)} B`;
+}
+
+/**
+ * Build a Taskcluster source from --task, --index or --revision
+ *
+ * @param {string[]} args - Command line arguments
+ * @returns {Object|null} Source for downloadFirefox, or null if none given
+ */
+function getTaskclusterSource(args) {
+  const taskId = getOptionValue(args, '--task');
+  if (taskId) {
+    return { taskId };
+  }
+
+  const index = getOptionValue(args, '--index');
+  if (index) {
+    return { index };
+  }
+
+  const revision = getOptionValue(args, '--revision');
+  if (revision) {
+    const source = { revision };
+    const project = getOptionValue(args, '--project');
+    if (project) {
+      source.project = project;
+    }
+    const buildType = getOptionValue(args, '--build-type');
+    if (buildType) {
+      source.buildType = buildType;
+    }
+    return source;
+  }
+
+  return null;
+}
+
 main();
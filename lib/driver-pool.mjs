@@ -0,0 +1,123 @@
+import { availableParallelism } from 'os';
+import { FirefoxDriver } from './webdriver-helper.mjs';
+
+/**
+ * Pool of Firefox instances, for running independent work concurrently in one process
+ *
+ * Browsers start on demand, up to size. Each FirefoxDriver runs its own geckodriver, which
+ * selenium starts on a free port, with a new temporary profile, so the browsers share no state.
+ * Within Mocha, prefer --parallel (see lib/test-runner.mjs): each worker gets its own browser
+ * from the root hooks.
+ */
+export class DriverPool {
+  /**
+   * @param {Object} options - Pool options
+   * @param {number} options.size - Maximum number of browsers (default: number of CPUs, at most 4)
+   * @param {Object} options.driverOptions - FirefoxDriver options of every browser
+   */
+  constructor({ size = Math.min(availableParallelism(), 4), driverOptions = {} } = {}) {
+    if (!Number.isInteger(size) || size < 1) {
+      throw new Error(`Invalid pool size: ${size}`);
+    }
+    this.size = size;
+    this.driverOptions = driverOptions;
+    this.drivers = new Set();
+    this.idle = [];
+    this.waiters = [];
+    this.starting = 0;
+    this.closed = false;
+  }
+
+  /**
+   * Get a browser for exclusive use, starting one if none is idle and the pool is not full,
+   * or waiting for one to be released
+   * @returns {Promise<FirefoxDriver>}
+   */
+  async acquire() {
+    if (this.closed) {
+      throw new Error('Driver pool is closed');
+    }
+    if (this.idle.length > 0) {
+      return this.idle.pop();
+    }
+    if (this.drivers.size + this.starting >= this.size) {
+      return new Promise((resolve, reject) => this.waiters.push({ resolve, reject }));
+    }
+
+    this.starting++;
+    const driver = new FirefoxDriver(this.driverOptions);
+    try {
+      await driver.build();
+    } catch (err) {
+      // Nothing would be released to the calls waiting for a browser
+      if (this.drivers.size === 0 && this.starting === 1) {
+        for (const waiter of this.waiters.splice(0)) {
+          waiter.reject(err);
+        }
+      }
+      throw err;
+    } finally {
+      this.starting--;
+    }
+    if (this.closed) {
+      await driver.quit();
+      throw new Error('Driver pool is closed');
+    }
+    this.drivers.add(driver);
+    return driver;
+  }
+
+  /**
+   * Return a browser acquired from the pool
+   * @param {FirefoxDriver} driver - Browser returned by acquire
+   */
+  release(driver) {
+    if (!this.drivers.has(driver)) {
+      throw new Error('Released a driver that does not belong to the pool');
+    }
+    const waiter = this.waiters.shift();
+    if (waiter) {
+      waiter.resolve(driver);
+    } else {
+      this.idle.push(driver);
+    }
+  }
+
+  /**
+   * Run a function with a browser of the pool, released when the function settles
+   * @param {Function} fn - Called with the FirefoxDriver
+   * @returns {Promise<any>} The value returned by the function
+   */
+  async use(fn) {
+    const driver = await this.acquire();
+    try {
+      return await fn(driver);
+    } finally {
+      this.release(driver);
+    }
+  }
+
+  /**
+   * Run a function for each item, on up to size browsers at a time
+   * @param {Array} items - Items, e.g. page URLs
+   * @param {Function} fn - Called with the FirefoxDriver and an item
+   * @returns {Promise<Array>} Values returned by the function, in the order of the items
+   */
+  async map(items, fn) {
+    return Promise.all(items.map(item => this.use(driver => fn(driver, item))));
+  }
+
+  /**
+   * Quit every browser, and fail the calls waiting for one
+   */
+  async close() {
+    this.closed = true;
+    for (const waiter of this.waiters.splice(0)) {
+      waiter.reject(new Error('Driver pool is closed'));
+    }
+    const drivers = [...this.drivers];
+    this.drivers.clear();
+    this.idle = [];
+    await Promise.all(drivers.map(driver => driver.quit()));
+  }
+}
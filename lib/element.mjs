@@ -0,0 +1,330 @@
+import { By } from 'selenium-webdriver';
+import { writeFileSync } from 'fs';
+
+/**
+ * Separator of the shadow-piercing selector parts, e.g. "my-app >>> button.primary"
+ */
+const SHADOW_SEPARATOR = '>>>';
+
+/**
+ * Quote a string as an XPath literal, using concat() when it contains both kinds of quotes
+ *
+ * @param {string} value - String to quote
+ * @returns {string}
+ */
+export function toXPathLiteral(value) {
+  if (!value.includes('"')) {
+    return `"${value}"`;
+  }
+  if (!value.includes("'")) {
+    return `'${value}'`;
+  }
+  return `concat(${value.split('"').map(part => `"${part}"`).join(', \'"\', ')})`;
+}
+
+/**
+ * Convert a selector to a selenium locator
+ * - "text=Sign in": element whose own text is "Sign in" (whitespace trimmed)
+ * - "text*=Sign": element whose own text contains "Sign"
+ * - starting with "/", "./" or "(": XPath
+ * - anything else: CSS
+ * Text and XPath locators starting with "//" search the whole document, "./" the current scope.
+ *
+ * @param {string} selector - Selector
+ * @param {boolean} scoped - Whether the search is scoped to an element (text locators stay within it)
+ * @returns {import('selenium-webdriver').Locator}
+ */
+export function toLocator(selector, scoped = false) {
+  const prefix = scoped ? './/' : '//';
+  if (selector.startsWith('text=')) {
+    return By.xpath(`${prefix}*[text()[normalize-space(.) = ${toXPathLiteral(selector.slice(5).trim())}]]`);
+  }
+  if (selector.startsWith('text*=')) {
+    return By.xpath(`${prefix}*[text()[contains(., ${toXPathLiteral(selector.slice(6))})]]`);
+  }
+  if (/^(\/|\.\/|\()/.test(selector)) {
+    return By.xpath(selector);
+  }
+  return By.css(selector);
+}
+
+/**
+ * Find the elements matching a selector in a page or element
+ * Parts separated by ">>>" are searched in the shadow root of the elements matching the previous
+ * part; WebDriver only supports CSS selectors in shadow roots.
+ *
+ * @param {import('selenium-webdriver').WebDriver|import('selenium-webdriver').WebElement} scope - Where to search
+ * @param {string} selector - Selector (see toLocator)
+ * @returns {Promise<import('selenium-webdriver').WebElement[]>}
+ */
+export async function findElements(scope, selector) {
+  const [first, ...shadowParts] = selector.split(SHADOW_SEPARATOR).map(part => part.trim());
+  let elements = await scope.findElements(toLocator(first, typeof scope.getShadowRoot === 'function'));
+
+  for (const part of shadowParts) {
+    const found = [];
+    for (const host of elements) {
+      const root = await host.getShadowRoot();
+      found.push(...await root.findElements(By.css(part)));
+    }
+    elements = found;
+  }
+
+  return elements;
+}
+
+/**
+ * Element of the page, returned by FirefoxDriver.$ and $$
+ *
+ * Actions (click, typing, selecting) first wait for the element to be displayed and enabled,
+ * up to the driver's waitTimeout.
+ */
+export class FirefoxElement {
+  /**
+   * @param {import('./webdriver-helper.mjs').FirefoxDriver} driver - Driver the element belongs to
+   * @param {import('selenium-webdriver').WebElement} element - selenium element
+   * @param {string} selector - Selector the element was found with, for error messages
+   */
+  constructor(driver, element, selector) {
+    this.driver = driver;
+    this.element = element;
+    this.selector = selector;
+  }
+
+  /**
+   * Find the first element matching a selector inside this element, waiting for it to exist
+   * @param {string} selector - Selector (CSS, XPath, text=, text*=, with >>> to pierce shadow roots)
+   * @param {Object} options - Wait options
+   * @param {number} options.timeout - Timeout in milliseconds (default: driver's waitTimeout)
+   * @returns {Promise<FirefoxElement>}
+   */
+  async $(selector, options = {}) {
+    return this.driver.findElement(this.element, selector, `${this.selector} ${selector}`, options);
+  }
+
+  /**
+   * Find every element matching a selector inside this element, without waiting
+   * @param {string} selector - Selector
+   * @returns {Promise<FirefoxElement[]>}
+   */
+  async $$(selector) {
+    const elements = await findElements(this.element, selector);
+    return elements.map(element => new FirefoxElement(this.driver, element, `${this.selector} ${selector}`));
+  }
+
+  /**
+   * Get the rendered text of the element
+   * @returns {Promise<string>}
+   */
+  async getText() {
+    return await this.element.getText();
+  }
+
+  /**
+   * Get an HTML attribute
+   * @param {string} name - Attribute name
+   * @returns {Promise<string|null>}
+   */
+  async getAttribute(name) {
+    return await this.element.getAttribute(name);
+  }
+
+  /**
+   * Get a DOM property, e.g. "value", "checked" or "naturalWidth"
+   * @param {string} name - Property name
+   * @returns {Promise<any>}
+   */
+  async getProperty(name) {
+    return await this.element.getProperty(name);
+  }
+
+  /**
+   * Get the current value of an input, textarea or select
+   * @returns {Promise<string>}
+   */
+  async getValue() {
+    return await this.element.getProperty('value');
+  }
+
+  /**
+   * Get the computed value of a CSS property
+   * @param {string} name - CSS property, e.g. "color"
+   * @returns {Promise<string>}
+   */
+  async getCSSProperty(name) {
+    return await this.element.getCssValue(name);
+  }
+
+  /**
+   * Get the position and size of the element, relative to the viewport
+   * @returns {Promise<{x: number, y: number, width: number, height: number, top: number, right: number,
+   *   bottom: number, left: number}>}
+   */
+  async getBoundingClientRect() {
+    return await this.driver.execute('return arguments[0].getBoundingClientRect().toJSON();', this.element);
+  }
+
+  /**
+   * Get the tag name of the element, in lower case
+   * @returns {Promise<string>}
+   */
+  async getTagName() {
+    return (await this.element.getTagName()).toLowerCase();
+  }
+
+  /**
+   * @returns {Promise<boolean>}
+   */
+  async isDisplayed() {
+    return await this.element.isDisplayed();
+  }
+
+  /**
+   * @returns {Promise<boolean>}
+   */
+  async isEnabled() {
+    return await this.element.isEnabled();
+  }
+
+  /**
+   * Whether a checkbox, radio button or option is selected
+   * @returns {Promise<boolean>}
+   */
+  async isSelected() {
+    return await this.element.isSelected();
+  }
+
+  /**
+   * Wait for the element to be displayed, or hidden with reverse
+   * @param {Object} options - Wait options
+   * @param {boolean} options.reverse - Wait for the element to be hidden instead (default: false)
+   * @param {number} options.timeout - Timeout in milliseconds (default: driver's waitTimeout)
+   */
+  async waitForDisplayed({ reverse = false, timeout = this.driver.waitTimeout } = {}) {
+    await this.driver.waitUntil(
+      async () => (await this.element.isDisplayed()) !== reverse,
+      timeout,
+      `Timeout waiting for ${this.selector} to be ${reverse ? 'hidden' : 'displayed'}`
+    );
+  }
+
+  /**
+   * Wait for the element to be displayed and enabled, before acting on it
+   * @param {number} timeout - Timeout in milliseconds (default: driver's waitTimeout)
+   */
+  async waitForActionable(timeout = this.driver.waitTimeout) {
+    await this.driver.waitUntil(
+      async () => (await this.element.isDisplayed()) && (await this.element.isEnabled()),
+      timeout,
+      `Timeout waiting for ${this.selector} to be displayed and enabled`
+    );
+  }
+
+  /**
+   * Click the element
+   */
+  async click() {
+    await this.waitForActionable();
+    await this.element.click();
+  }
+
+  /**
+   * Replace the value of an input or textarea
+   * @param {string|number} value - Text to type
+   */
+  async setValue(value) {
+    await this.waitForActionable();
+    await this.element.clear();
+    await this.element.sendKeys(String(value));
+  }
+
+  /**
+   * Type text after the current value, keys from selenium's Key included
+   * @param {string|number} value - Text to type
+   */
+  async addValue(value) {
+    await this.waitForActionable();
+    await this.element.sendKeys(String(value));
+  }
+
+  /**
+   * Clear the value of an input or textarea
+   */
+  async clearValue() {
+    await this.waitForActionable();
+    await this.element.clear();
+  }
+
+  /**
+   * Select the option of a <select> by its text
+   * @param {string} text - Option text (whitespace trimmed)
+   */
+  async selectByVisibleText(text) {
+    await this.selectOption(`.//option[normalize-space(.) = ${toXPathLiteral(text.trim())}]`, `text ${JSON.stringify(text)}`);
+  }
+
+  /**
+   * Select the option of a <select> by its value attribute
+   * @param {string} value - Option value
+   */
+  async selectByValue(value) {
+    await this.selectOption(`.//option[@value = ${toXPathLiteral(String(value))}]`, `value ${JSON.stringify(value)}`);
+  }
+
+  /**
+   * Select the option of a <select> by its position
+   * @param {number} index - Option index, from 0
+   */
+  async selectByIndex(index) {
+    await this.selectOption(`(.//option)[${index + 1}]`, `index ${index}`);
+  }
+
+  /**
+   * Scroll the page so that the element is visible
+   * @param {Object} options - scrollIntoView options (default: {block: 'center'})
+   */
+  async scrollIntoView(options = { block: 'center' }) {
+    await this.driver.execute('arguments[0].scrollIntoView(arguments[1]);', this.element, options);
+  }
+
+  /**
+   * Take a PNG screenshot of the element
+   * @param {string} path - File to save the screenshot to (optional)
+   * @returns {Promise<Buffer>} PNG data
+   */
+  async takeScreenshot(path) {
+    await this.scrollIntoView();
+    const png = Buffer.from(await this.element.takeScreenshot(), 'base64');
+    if (path) {
+      writeFileSync(path, png);
+    }
+    return png;
+  }
+
+  /**
+   * Get the underlying selenium WebElement
+   * For advanced operations not covered by helper methods
+   * @returns {import('selenium-webdriver').WebElement}
+   */
+  getElement() {
+    return this.element;
+  }
+
+  /**
+   * Click the first option of this <select> matching an XPath
+   * @param {string} xpath - XPath relative to the select
+   * @param {string} description - Description of the option for error messages
+   */
+  async selectOption(xpath, description) {
+    await this.waitForActionable();
+    if ((await this.getTagName()) !== 'select') {
+      throw new Error(`${this.selector} is not a <select> element`);
+    }
+
+    const [option] = await this.element.findElements(By.xpath(xpath));
+    if (!option) {
+      throw new Error(`No option with ${description} in ${this.selector}`);
+    }
+    await option.click();
+  }
+}
@@ -1,75 +1,121 @@
-import { spawn } from 'child_process';
+#!/usr/bin/env node
+
+import { writeFileSync } from 'fs';
+import { ensureGeckodriver } from './geckodriver-manager.mjs';
+import { readBuildInfo } from './build-info.mjs';
 
 /**
- * Verify geckodriver is installed and accessible
- * The geckodriver npm package handles installation automatically
+ * Download and verify the geckodriver release matching the Firefox build under test
+ *
+ * Usage:
+ *   node ensure-geckodriver.mjs [options]
+ *
+ * Options:
+ *   --firefox-binary <path>  - Firefox build to match (default: FIREFOX_BINARY)
+ *   --geckodriver-version <v> - geckodriver release to use (default: GECKODRIVER_VERSION,
+ *                              or the newest release supporting the Firefox build)
+ *   --geckodriver-path <path> - Existing geckodriver binary to check (default: GECKODRIVER_PATH)
+ *   --mirror <url>           - Base URL of geckodriver releases (default: GECKODRIVER_CDNURL or GitHub)
+ *   --cache-dir <path>       - Directory to cache downloads
+ *
+ * When run as the npm postinstall script, failures are reported but do not fail the install,
+ * and nothing is downloaded unless a Firefox build or geckodriver version was configured.
  */
-async function ensureGeckodriver() {
-  console.log('Checking geckodriver installation...');
-
-  try {
-    const isInstalled = await checkGeckodriverVersion();
-    if (isInstalled) {
-      console.log('✓ geckodriver is installed and accessible');
-      return true;
+
+const isPostinstall = process.env.npm_lifecycle_event === 'postinstall';
+
+async function main() {
+  const args = process.argv.slice(2);
+
+  if (args.includes('--help') || args.includes('-h')) {
+    console.log(`
+Usage: node ensure-geckodriver.mjs [options]
+
+Downloads (and caches) the geckodriver release matching a Firefox build, and checks
+that it supports the build's version.
+
+Options:
+  --firefox-binary <path>   Firefox build to match (default: FIREFOX_BINARY)
+  --geckodriver-version <v> geckodriver release to use, e.g. 0.36.0
+                            (default: GECKODRIVER_VERSION, or the newest release
+                            supporting the Firefox build)
+  --geckodriver-path <path> Check an existing geckodriver binary instead of
+                            downloading one (default: GECKODRIVER_PATH)
+  --mirror <url>            Base URL of geckodriver releases (default:
+                            GECKODRIVER_CDNURL or GitHub releases)
+  --cache-dir <path>        Directory to cache downloads (default: OS temp dir)
+  --help, -h                Show this help message
+
+In GitHub Actions, the geckodriver path is exported as GECKODRIVER_PATH for
+subsequent steps and set as the geckodriver_path step output.
+`);
+    return;
+  }
+
+  const firefoxBinary = getOptionValue(args, '--firefox-binary') || process.env.FIREFOX_BINARY;
+  const options = {
+    geckodriverVersion: getOptionValue(args, '--geckodriver-version') || process.env.GECKODRIVER_VERSION,
+    geckodriverPath: getOptionValue(args, '--geckodriver-path') || process.env.GECKODRIVER_PATH,
+  };
+
+  if (isPostinstall && !firefoxBinary && !options.geckodriverVersion && !options.geckodriverPath) {
+    console.log('No Firefox build or geckodriver version configured, skipping geckodriver download.');
+    console.log('Run `npm run ensure:geckodriver` once FIREFOX_BINARY or GECKODRIVER_VERSION is set.');
+    return;
+  }
+
+  const mirrorUrl = getOptionValue(args, '--mirror');
+  if (mirrorUrl) {
+    options.mirrorUrl = mirrorUrl;
+  }
+
+  const cacheDir = getOptionValue(args, '--cache-dir');
+  if (cacheDir) {
+    options.cacheDir = cacheDir;
+  }
+
+  if (firefoxBinary) {
+    const buildInfo = readBuildInfo(firefoxBinary);
+    if (buildInfo?.version) {
+      console.log(`Matching geckodriver to Firefox ${buildInfo.version} (${firefoxBinary})`);
+      options.firefoxVersion = buildInfo.version;
+    } else {
+      console.warn(`Could not read the version of ${firefoxBinary}, geckodriver compatibility is not checked`);
     }
-  } catch (err) {
-    console.error('✗ geckodriver check failed:', err.message);
   }
 
-  console.log('\nIf geckodriver is not found, it will be automatically downloaded');
-  console.log('when selenium-webdriver first tries to use it.');
-  console.log('\nYou can also set the GECKODRIVER_AUTO_INSTALL=1 environment variable');
-  console.log('to force installation during npm install.');
+  const geckodriver = await ensureGeckodriver(options);
 
-  return false;
+  console.log(`\n✓ geckodriver ${geckodriver.version || '(unknown version)'} is ready`);
+  console.log(`  Path: ${geckodriver.path}`);
+
+  if (process.env.GITHUB_ENV) {
+    writeFileSync(process.env.GITHUB_ENV, `GECKODRIVER_PATH=${geckodriver.path}\n`, { flag: 'a' });
+    console.log(`\n✓ Set GitHub Actions environment variable: GECKODRIVER_PATH`);
+  }
+
+  if (process.env.GITHUB_OUTPUT) {
+    writeFileSync(process.env.GITHUB_OUTPUT, `geckodriver_path=${geckodriver.path}\n`, { flag: 'a' });
+  }
 }
 
 /**
- * Check if geckodriver is accessible and get version
- * @returns {Promise<boolean>}
+ * Get the value following a command line option
+ *
+ * @param {string[]} args - Command line arguments
+ * @param {string} name - Option name (e.g. --cache-dir)
+ * @returns {string|undefined}
  */
-function checkGeckodriverVersion() {
-  return new Promise((resolve, reject) => {
-    const proc = spawn('geckodriver', ['--version'], {
-      stdio: 'pipe',
-    });
-
-    let output = '';
-
-    proc.stdout.on('data', (data) => {
-      output += data.toString();
-    });
-
-    proc.stderr.on('data', (data) => {
-      output += data.toString();
-    });
-
-    proc.on('close', (code) => {
-      if (code === 0) {
-        const versionMatch = output.match(/geckodriver\s+(\S+)/);
-        if (versionMatch) {
-          console.log(`Found geckodriver version: ${versionMatch[1]}`);
-        }
-        resolve(true);
-      } else {
-        reject(new Error('geckodriver command failed'));
-      }
-    });
-
-    proc.on('error', (err) => {
-      if (err.code === 'ENOENT') {
-        reject(new Error('geckodriver not found in PATH'));
-      } else {
-        reject(err);
-      }
-    });
-  });
+function getOptionValue(args, name) {
+  const index = args.indexOf(name);
+  if (index !== -1 && args[index + 1]) {
+    return args[index + 1];
+  }
+  return undefined;
 }
 
-// Run the check
-ensureGeckodriver().catch((err) => {
-  console.error('Failed to verify geckodriver:', err.message);
-  // Don't fail the postinstall - let the tests discover the issue
-  process.exit(0);
+main().catch((err) => {
+  console.error(`\n✗ Error: ${err.message}`);
+  // Don't fail npm install - the tests will report the issue with more context
+  process.exit(isPostinstall ? 0 : 1);
 });
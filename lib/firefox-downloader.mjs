@@ -1,95 +1,168 @@
-import { createWriteStream, existsSync, mkdirSync, chmodSync, readFileSync, writeFileSync } from 'fs';
-import { join, basename } from 'path';
-import { pipeline } from 'stream/promises';
-import { createHash } from 'crypto';
-import fetch from 'node-fetch';
-import * as tar from 'tar';
-import { tmpdir } from 'os';
+import { existsSync, chmodSync, unlinkSync, rmSync } from 'fs';
+import { join } from 'path';
 import { readdir } from 'fs/promises';
+import { isUrl, resolveFirefoxBuild } from './build-resolver.mjs';
+import { resolveTaskclusterBuild } from './taskcluster.mjs';
+import { findPublishedChecksum, verifyFile, IntegrityError } from './integrity.mjs';
+import { downloadFile, proxyAgent } from './http-download.mjs';
+import { FirefoxCache, DEFAULT_CACHE_DIR } from './cache-manager.mjs';
+import { extractArchive, findNestedArchives } from './archive-extractor.mjs';
+import { readBuildInfo } from './build-info.mjs';
+
+export { IntegrityError };
 
 /**
- * Downloads and extracts Firefox binary from a URL
+ * Downloads and extracts Firefox binary from a URL or build spec
  *
- * @param {string} url - URL to Firefox archive (.tar.bz2, .tar.gz, or .dmg)
+ * @param {string|Object} source - URL to Firefox archive (.tar.bz2, .tar.gz, .tar.xz, .zip, .dmg or .pkg), a
+ *   build spec such as "nightly", "beta", "147.0" or "nightly@2026-10-01", or a Taskcluster
+ *   build given as {taskId}, {index} or {revision, project} (see resolveTaskclusterBuild)
  * @param {Object} options - Options for download
  * @param {string} options.cacheDir - Directory to cache downloads (default: OS temp dir)
  * @param {boolean} options.forceDownload - Force re-download even if cached (default: false)
- * @returns {Promise<{binaryPath: string, version: string, extractPath: string}>}
+ * @param {string} options.platform - Archive platform used to resolve build specs (default: current platform)
+ * @param {string} options.locale - Locale used to resolve build specs (default: en-US)
+ * @param {string} options.archiveUrl - Base URL of the Mozilla archive used to resolve build specs
+ * @param {string} options.productDetailsUrl - Base URL of product-details used to resolve build specs
+ * @param {string} options.rootUrl - Taskcluster root URL used to resolve Taskcluster builds
+ * @param {string} options.sha256 - Expected SHA-256 of the archive (optional)
+ * @param {string} options.sha512 - Expected SHA-512 of the archive (optional)
+ * @param {boolean} options.verifyChecksum - Look up the checksum published alongside the archive
+ *   (SHA512SUMS or .checksums) when no explicit hash is given (default: true)
+ * @param {number} options.retries - Number of download retries (default: 3)
+ * @param {number} options.retryDelay - Delay before the first retry in ms, doubled for each retry (default: 1000)
+ * @param {number} options.timeout - Time in ms without receiving data before a download attempt is aborted (default: 60000)
+ * @param {Object} options.headers - Additional request headers, e.g. Taskcluster authorization
+ * @param {Function} options.onProgress - Download progress callback, called with {bytes, total, rate}
+ * @param {boolean} options.deleteArchive - Delete the downloaded archive once extracted (default: false)
+ * @param {string} options.dmgExtractor - How to extract .dmg builds: 'auto' reads them in JavaScript and falls
+ *   back to hdiutil on macOS, 'js' or 'hdiutil' force one method (default: 'auto')
+ * @param {number} options.maxCacheSize - Evict least recently used builds beyond this total size in bytes (optional)
+ * @param {number} options.maxCacheAge - Evict builds not used for this many ms (optional)
+ * @returns {Promise<{binaryPath: string, extractPath: string, version: string, buildId: string|null,
+ *   sourceRepository: string|null, sourceStamp: string|null, changesetUrl: string|null, channel: string|null}>}
+ *   Cache manifest record of the build, with the metadata read from application.ini/platform.ini
+ * @throws {IntegrityError} If the downloaded archive does not match its expected size or checksum
  */
-export async function downloadFirefox(url, options = {}) {
-  const { cacheDir = join(tmpdir(), 'firefox-downloads'), forceDownload = false } = options;
-
-  // Create cache directory if it doesn't exist
-  if (!existsSync(cacheDir)) {
-    mkdirSync(cacheDir, { recursive: true });
+export async function downloadFirefox(source, options = {}) {
+  const {
+    cacheDir = DEFAULT_CACHE_DIR,
+    forceDownload = false,
+    deleteArchive = false,
+    maxCacheSize,
+    maxCacheAge,
+  } = options;
+
+  let url = source;
+  if (typeof source === 'object') {
+    const build = await resolveTaskclusterBuild(source, options);
+    console.log(`Resolved Taskcluster task ${build.taskId} run ${build.runId} to ${build.artifact}`);
+    url = build.url;
+  } else if (!isUrl(source)) {
+    const build = await resolveFirefoxBuild(source, options);
+    console.log(`Resolved ${source} to Firefox ${build.version}: ${build.url}`);
+    url = build.url;
   }
 
-  // Generate a unique identifier for this URL
-  const urlHash = createHash('md5').update(url).digest('hex');
-  const cacheFile = join(cacheDir, `${urlHash}.json`);
+  const cache = new FirefoxCache(cacheDir);
 
   // Check if we have a cached download
-  if (!forceDownload && existsSync(cacheFile)) {
-    try {
-      const cached = JSON.parse(readFileSync(cacheFile, 'utf8'));
-      if (existsSync(cached.binaryPath)) {
-        console.log(`Using cached Firefox binary from: ${cached.binaryPath}`);
+  if (!forceDownload) {
+    const cached = cache.get(url);
+    if (cached) {
+      console.log(`Using cached Firefox binary from: ${cached.binaryPath}`);
+      return cached;
+    }
+  }
+
+  const record = await cache.withLock(url, async () => {
+    // Another process may have completed the download while we waited for the lock
+    if (!forceDownload) {
+      const cached = cache.get(url);
+      if (cached) {
+        console.log(`Using Firefox binary downloaded by another process: ${cached.binaryPath}`);
         return cached;
       }
-    } catch (err) {
-      console.warn('Failed to read cache file, re-downloading...', err.message);
+    }
+
+    // Keep a partial archive around so that the download can resume
+    const paths = cache.pathsFor(url);
+    if (forceDownload) {
+      cache.remove(paths.key);
+    } else {
+      rmSync(paths.extractPath, { recursive: true, force: true });
+    }
+
+    const result = await downloadAndExtract(url, paths, options);
+
+    if (deleteArchive) {
+      rmSync(paths.archivePath, { force: true });
+    }
+
+    // Cache the result
+    return cache.put(url, result);
+  });
+
+  if (maxCacheSize !== undefined || maxCacheAge !== undefined) {
+    const evicted = cache.prune({ maxSize: maxCacheSize, maxAge: maxCacheAge, keep: [record.key] });
+    for (const entry of evicted) {
+      console.log(`Evicted cached Firefox build: ${entry.url}`);
     }
   }
 
+  return record;
+}
+
+/**
+ * Download, verify and extract a Firefox archive into the cache
+ *
+ * @param {string} url - URL to Firefox archive
+ * @param {Object} paths - Cache paths of the build (see FirefoxCache.pathsFor)
+ * @param {Object} options - Options passed to downloadFirefox
+ * @returns {Promise<Object>} Binary and extraction paths with the build metadata
+ */
+async function downloadAndExtract(url, { archivePath: downloadPath, extractPath: extractDir }, options) {
   console.log(`Downloading Firefox from: ${url}`);
 
   // Download the archive
-  const archiveName = basename(url).split('?')[0]; // Remove query params
-  const downloadPath = join(cacheDir, archiveName);
-
+  let expectedSize;
   try {
-    const response = await fetch(url);
-    if (!response.ok) {
-      throw new Error(`Failed to download Firefox: ${response.status} ${response.statusText}`);
-    }
-
-    await pipeline(response.body, createWriteStream(downloadPath));
+    ({ total: expectedSize } = await downloadFile(url, downloadPath, options));
     console.log(`Downloaded to: ${downloadPath}`);
   } catch (err) {
     throw new Error(`Failed to download Firefox from ${url}: ${err.message}`);
   }
 
-  // Extract the archive
-  const extractDir = join(cacheDir, `firefox-${urlHash}`);
-  if (!existsSync(extractDir)) {
-    mkdirSync(extractDir, { recursive: true });
-  }
+  await verifyDownload(downloadPath, url, expectedSize, options);
 
+  // Extract the archive
   console.log(`Extracting to: ${extractDir}`);
 
   try {
-    if (downloadPath.endsWith('.tar.bz2')) {
-      await tar.extract({
-        file: downloadPath,
-        cwd: extractDir,
-      });
-    } else if (downloadPath.endsWith('.tar.gz')) {
-      await tar.extract({
-        file: downloadPath,
-        cwd: extractDir,
-      });
-    } else if (downloadPath.endsWith('.dmg')) {
-      // Handle macOS .dmg files
-      await extractDmg(downloadPath, extractDir);
-    } else {
-      throw new Error(`Unsupported archive format: ${downloadPath}`);
-    }
+    const format = await extractArchive(downloadPath, extractDir, options);
+    console.log(`Extracted ${format} archive`);
   } catch (err) {
     throw new Error(`Failed to extract Firefox archive: ${err.message}`);
   }
 
-  // Find the Firefox binary
-  const binaryPath = await findFirefoxBinary(extractDir);
+  // Find the Firefox binary, unpacking a nested archive if the build was packaged in one
+  let binaryPath = await findFirefoxBinary(extractDir);
+
+  if (!binaryPath) {
+    for (const nestedPath of await findNestedArchives(extractDir)) {
+      console.log(`Extracting nested archive: ${nestedPath}`);
+      try {
+        await extractArchive(nestedPath, extractDir, options);
+      } catch (err) {
+        console.warn(`Could not extract nested archive ${nestedPath}: ${err.message}`);
+        continue;
+      }
+      binaryPath = await findFirefoxBinary(extractDir);
+      if (binaryPath) {
+        break;
+      }
+    }
+  }
 
   if (!binaryPath) {
     throw new Error(`Could not find Firefox binary in extracted archive at ${extractDir}`);
@@ -102,111 +175,148 @@ export async function downloadFirefox(url, options = {}) {
     console.warn(`Warning: Failed to make binary executable: ${err.message}`);
   }
 
-  // Try to determine Firefox version
-  const version = await getFirefoxVersion(binaryPath) || 'unknown';
+  // Read version, build ID and changeset from application.ini/platform.ini
+  const buildInfo = readBuildInfo(binaryPath);
+  if (buildInfo) {
+    console.log(`Firefox ${buildInfo.version} (build ${buildInfo.buildId}, ${buildInfo.sourceStamp || 'unknown changeset'})`);
+  } else {
+    console.warn(`Could not find application.ini or platform.ini for ${binaryPath}`);
+  }
+
+  console.log(`Firefox binary ready at: ${binaryPath}`);
 
-  const result = {
+  return {
     binaryPath,
-    version,
     extractPath: extractDir,
+    version: buildInfo?.version || 'unknown',
+    buildId: buildInfo?.buildId ?? null,
+    sourceRepository: buildInfo?.sourceRepository ?? null,
+    sourceStamp: buildInfo?.sourceStamp ?? null,
+    changesetUrl: buildInfo?.changesetUrl ?? null,
+    channel: buildInfo?.channel ?? null,
   };
+}
 
-  // Cache the result
-  writeFileSync(cacheFile, JSON.stringify(result, null, 2));
-  console.log(`Firefox binary ready at: ${binaryPath}`);
+/**
+ * Verify a downloaded archive against its Content-Length and expected checksum
+ * The archive is deleted if verification fails, so it is never extracted or cached.
+ *
+ * @param {string} downloadPath - Path to the downloaded archive
+ * @param {string} url - URL the archive was downloaded from
+ * @param {number|undefined} expectedSize - Size announced by the server
+ * @param {Object} options - Options passed to downloadFirefox
+ * @returns {Promise<void>}
+ */
+async function verifyDownload(downloadPath, url, expectedSize, options) {
+  const { sha256, sha512, verifyChecksum = true, headers } = options;
+
+  let checksum = null;
+  if (sha512) {
+    checksum = { algorithm: 'sha512', hash: sha512 };
+  } else if (sha256) {
+    checksum = { algorithm: 'sha256', hash: sha256 };
+  } else if (verifyChecksum) {
+    checksum = await findPublishedChecksum(url, { headers, agent: proxyAgent });
+    if (!checksum) {
+      console.warn(`No published checksum found for ${url}, skipping checksum verification`);
+    }
+  }
 
-  return result;
+  try {
+    await verifyFile(downloadPath, {
+      size: expectedSize ?? checksum?.size,
+      algorithm: checksum?.algorithm,
+      hash: checksum?.hash,
+    });
+  } catch (err) {
+    if (err instanceof IntegrityError) {
+      console.error(`Removing corrupted download: ${downloadPath}`);
+      unlinkSync(downloadPath);
+    }
+    throw err;
+  }
+
+  if (checksum) {
+    console.log(`Verified ${checksum.algorithm} checksum of ${downloadPath}`);
+  }
 }
 
 /**
  * Find Firefox binary in extracted directory
- * Handles both macOS (.app bundle) and Linux (firefox directory) structures
+ * Handles macOS (.app bundle), Linux and Windows (firefox directory) structures,
+ * whatever the current platform, so that builds for other platforms can be inspected
  *
  * @param {string} extractDir - Directory containing extracted Firefox
  * @returns {Promise<string|null>} Path to Firefox binary or null
  */
 async function findFirefoxBinary(extractDir) {
-  const platform = process.platform;
-
   // macOS: Look for any .app bundle and find executable inside
-  if (platform === 'darwin') {
-    try {
-      const entries = await readdir(extractDir, { withFileTypes: true });
-
-      // Find all .app bundles
-      const appBundles = entries.filter(entry =>
-        entry.isDirectory() && entry.name.endsWith('.app')
-      );
-
-      for (const appBundle of appBundles) {
-        const macOSDir = join(extractDir, appBundle.name, 'Contents', 'MacOS');
-
-        if (existsSync(macOSDir)) {
-          // Common Firefox executable names
-          const executableNames = [
-            'firefox',
-            'firefox-bin',
-            'Firefox Nightly',
-            'Firefox Developer Edition',
-            'Firefox',
-          ];
-
-          // Try known executable names first
-          for (const execName of executableNames) {
-            const execPath = join(macOSDir, execName);
-            if (existsSync(execPath)) {
-              return execPath;
-            }
-          }
+  try {
+    const entries = await readdir(extractDir, { withFileTypes: true });
 
-          // If none found, take the first executable file in MacOS directory
-          try {
-            const macOSEntries = await readdir(macOSDir, { withFileTypes: true });
-            for (const entry of macOSEntries) {
-              if (entry.isFile()) {
-                const execPath = join(macOSDir, entry.name);
-                return execPath;
-              }
-            }
-          } catch (err) {
-            console.warn(`Error reading MacOS directory: ${err.message}`);
+    // Find all .app bundles
+    const appBundles = entries.filter(entry =>
+      entry.isDirectory() && entry.name.endsWith('.app')
+    );
+
+    for (const appBundle of appBundles) {
+      const macOSDir = join(extractDir, appBundle.name, 'Contents', 'MacOS');
+
+      if (existsSync(macOSDir)) {
+        // Common Firefox executable names
+        const executableNames = [
+          'firefox',
+          'firefox-bin',
+          'Firefox Nightly',
+          'Firefox Developer Edition',
+          'Firefox',
+        ];
+
+        // Try known executable names first
+        for (const execName of executableNames) {
+          const execPath = join(macOSDir, execName);
+          if (existsSync(execPath)) {
+            return execPath;
           }
         }
-      }
 
-      // Also check for nested structures (e.g., firefox/Firefox.app)
-      for (const entry of entries) {
-        if (entry.isDirectory() && !entry.name.endsWith('.app')) {
-          const found = await findFirefoxBinary(join(extractDir, entry.name));
-          if (found) {
-            return found;
+        // If none found, take the first executable file in MacOS directory
+        try {
+          const macOSEntries = await readdir(macOSDir, { withFileTypes: true });
+          for (const entry of macOSEntries) {
+            if (entry.isFile()) {
+              const execPath = join(macOSDir, entry.name);
+              return execPath;
+            }
           }
+        } catch (err) {
+          console.warn(`Error reading MacOS directory: ${err.message}`);
         }
       }
-    } catch (err) {
-      console.warn(`Error searching for .app bundles: ${err.message}`);
     }
+
+  } catch (err) {
+    console.warn(`Error searching for .app bundles: ${err.message}`);
   }
 
-  // Linux: Look for firefox/firefox
-  if (platform === 'linux') {
-    const linuxPaths = [
-      join(extractDir, 'firefox', 'firefox'),
-      join(extractDir, 'firefox', 'firefox-bin'),
-    ];
+  // Linux and Windows: Look for firefox/firefox or firefox/firefox.exe
+  const binaryPaths = [
+    join(extractDir, 'firefox', 'firefox'),
+    join(extractDir, 'firefox', 'firefox-bin'),
+    join(extractDir, 'firefox', 'firefox.exe'),
+  ];
 
-    for (const path of linuxPaths) {
-      if (existsSync(path)) {
-        return path;
-      }
+  for (const path of binaryPaths) {
+    if (existsSync(path)) {
+      return path;
     }
   }
 
-  // Fallback: recursively search for firefox binary
+  // Fallback: recursively search nested structures (e.g., firefox/Firefox.app)
   try {
     const entries = await readdir(extractDir, { withFileTypes: true });
     for (const entry of entries) {
-      if (entry.isDirectory()) {
+      if (entry.isDirectory() && !entry.name.endsWith('.app')) {
         const found = await findFirefoxBinary(join(extractDir, entry.name));
         if (found) {
           return found;
@@ -219,78 +329,3 @@ async function findFirefoxBinary(extractDir) {
 
   return null;
 }
-
-/**
- * Extract a .dmg file on macOS
- * Mounts the DMG, copies the .app bundle (Firefox.app, Firefox Nightly.app, etc.), then unmounts
- *
- * @param {string} dmgPath - Path to .dmg file
- * @param {string} extractDir - Directory to extract to
- * @returns {Promise<void>}
- */
-async function extractDmg(dmgPath, extractDir) {
-  const { exec } = await import('child_process');
-  const { promisify } = await import('util');
-  const execAsync = promisify(exec);
-
-  console.log('Mounting DMG...');
-
-  // Mount the DMG
-  const { stdout: attachOutput } = await execAsync(`hdiutil attach "${dmgPath}" -nobrowse -noautoopen`);
-
-  // Parse the mount point from hdiutil output
-  // Format: /dev/disk4s2          Apple_HFS                       /Volumes/Firefox Nightly
-  // The mount point is the last field on the line, can contain spaces
-  const mountMatch = attachOutput.match(/\/Volumes\/.+$/m);
-  if (!mountMatch) {
-    throw new Error('Could not determine DMG mount point');
-  }
-
-  const mountPoint = mountMatch[0].trim();
-  console.log(`Mounted at: ${mountPoint}`);
-
-  try {
-    // Find the .app bundle (could be Firefox.app, Firefox Nightly.app, etc.)
-    const { stdout: lsOutput } = await execAsync(`ls "${mountPoint}"`);
-    const appBundle = lsOutput.split('\n').find(name => name.endsWith('.app'));
-
-    if (!appBundle) {
-      throw new Error('Could not find .app bundle in mounted DMG');
-    }
-
-    console.log(`Found app bundle: ${appBundle}`);
-    console.log(`Copying ${appBundle}...`);
-    await execAsync(`cp -R "${mountPoint}/${appBundle}" "${extractDir}/"`);
-    console.log(`${appBundle} copied successfully`);
-  } finally {
-    // Always unmount the DMG, even if copy fails
-    console.log('Unmounting DMG...');
-    try {
-      await execAsync(`hdiutil detach "${mountPoint}"`);
-      console.log('DMG unmounted');
-    } catch (err) {
-      console.warn(`Warning: Failed to unmount DMG: ${err.message}`);
-    }
-  }
-}
-
-/**
- * Attempt to get Firefox version from binary
- *
- * @param {string} binaryPath - Path to Firefox binary
- * @returns {Promise<string|null>} Version string or null
- */
-async function getFirefoxVersion(binaryPath) {
-  try {
-    const { exec } = await import('child_process');
-    const { promisify } = await import('util');
-    const execAsync = promisify(exec);
-
-    const { stdout } = await execAsync(`"${binaryPath}" --version`, { timeout: 5000 });
-    const match = stdout.match(/Firefox\s+(\S+)/);
-    return match ? match[1] : null;
-  } catch (err) {
-    console.warn(`Could not determine Firefox version: ${err.message}`);
-    return null;
-  }
-}
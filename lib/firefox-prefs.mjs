@@ -0,0 +1,251 @@
+import { existsSync, readFileSync, readdirSync } from 'fs';
+import { join, dirname, basename, extname } from 'path';
+import { fileURLToPath } from 'url';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+
+export const DEFAULT_PREFS_FILE = join(__dirname, '..', 'config', 'firefox-prefs.json');
+export const PRESETS_DIR = join(__dirname, '..', 'config', 'presets');
+
+const ENV_PREFIX = 'FIREFOX_PREF_';
+
+/**
+ * Merge the preference layers of a run, later layers overriding earlier ones:
+ * base file, presets, imported user.js/prefs.js files, suite overrides, test overrides,
+ * and finally FIREFOX_PREF_<name> environment variables.
+ *
+ * @param {Object} options - Preference layers
+ * @param {string|false} options.baseFile - JSON or prefs.js file (default: config/firefox-prefs.json, false to skip)
+ * @param {string[]} options.presets - Names of presets from config/presets (optional)
+ * @param {string[]} options.importFiles - user.js/prefs.js (or JSON) files to import (optional)
+ * @param {Object} options.suite - Per-suite overrides (optional)
+ * @param {Object} options.test - Per-test overrides (optional)
+ * @param {Object} options.env - Environment to read FIREFOX_PREF_<name> variables from (default: process.env)
+ * @param {string} options.presetsDir - Directory of presets (default: config/presets)
+ * @returns {{preferences: Object, sources: Object<string, string>}} Effective preferences, and the layer each came from
+ */
+export function resolvePreferences(options = {}) {
+  const {
+    baseFile = DEFAULT_PREFS_FILE,
+    presets = [],
+    importFiles = [],
+    suite = {},
+    test = {},
+    env = process.env,
+    presetsDir = PRESETS_DIR,
+  } = options;
+
+  const layers = [];
+  if (baseFile) {
+    layers.push({ source: `file:${basename(baseFile)}`, prefs: loadPrefsFile(baseFile) });
+  }
+  for (const name of presets) {
+    layers.push({ source: `preset:${name}`, prefs: loadPreset(name, presetsDir) });
+  }
+  for (const path of importFiles) {
+    layers.push({ source: `file:${basename(path)}`, prefs: loadPrefsFile(path) });
+  }
+  layers.push({ source: 'suite', prefs: suite });
+  layers.push({ source: 'test', prefs: test });
+  layers.push({ source: 'env', prefs: getEnvPreferences(env) });
+
+  const preferences = {};
+  const sources = {};
+  for (const { source, prefs } of layers) {
+    for (const [name, value] of Object.entries(prefs)) {
+      preferences[name] = value;
+      sources[name] = source;
+    }
+  }
+
+  return { preferences, sources };
+}
+
+/**
+ * Load preferences from a JSON object file, or a user.js/prefs.js file
+ *
+ * @param {string} path - Path to the file
+ * @returns {Object} Preferences keyed by name
+ */
+export function loadPrefsFile(path) {
+  if (!existsSync(path)) {
+    throw new Error(`Preferences file not found: ${path}`);
+  }
+
+  const content = readFileSync(path, 'utf8');
+  if (extname(path) === '.json') {
+    return JSON.parse(content);
+  }
+  return parsePrefsJs(content);
+}
+
+/**
+ * Load a named preset
+ *
+ * @param {string} name - Preset name, e.g. "profiling"
+ * @param {string} presetsDir - Directory of presets
+ * @returns {Object} Preferences keyed by name
+ */
+export function loadPreset(name, presetsDir = PRESETS_DIR) {
+  const path = join(presetsDir, `${name}.json`);
+  if (!existsSync(path)) {
+    throw new Error(`Unknown preferences preset: ${name} (available: ${listPresets(presetsDir).join(', ')})`);
+  }
+  return JSON.parse(readFileSync(path, 'utf8'));
+}
+
+/**
+ * List the available presets
+ *
+ * @param {string} presetsDir - Directory of presets
+ * @returns {string[]}
+ */
+export function listPresets(presetsDir = PRESETS_DIR) {
+  if (!existsSync(presetsDir)) {
+    return [];
+  }
+  return readdirSync(presetsDir)
+    .filter(name => name.endsWith('.json'))
+    .map(name => name.slice(0, -'.json'.length))
+    .sort();
+}
+
+/**
+ * Parse the user_pref()/pref() calls of a user.js or prefs.js file
+ *
+ * @param {string} content - File content
+ * @returns {Object} Preferences keyed by name
+ */
+export function parsePrefsJs(content) {
+  const prefs = {};
+  const string = String.raw`"(?:[^"\\]|\\.)*"|'(?:[^'\\]|\\.)*'`;
+  const statement = new RegExp(
+    String.raw`\b(?:user_pref|pref|sticky_pref)\(\s*(${string})\s*,\s*(true|false|-?\d+|${string})\s*(?:,[^)]*)?\)\s*;`,
+    'g',
+  );
+
+  // Drop comments, so that commented out prefs are ignored
+  const code = content
+    .replace(/\/\*[\s\S]*?\*\//g, '')
+    .split(/\r?\n/)
+    .filter(line => !/^\s*(\/\/|#)/.test(line))
+    .join('\n');
+
+  for (const [, name, value] of code.matchAll(statement)) {
+    prefs[unquote(name)] = parsePrefsJsValue(value);
+  }
+
+  return prefs;
+}
+
+/**
+ * Parse a value literal of a prefs.js file
+ *
+ * @param {string} literal - true, false, an integer or a quoted string
+ * @returns {boolean|number|string}
+ */
+function parsePrefsJsValue(literal) {
+  if (literal === 'true' || literal === 'false') {
+    return literal === 'true';
+  }
+  if (/^-?\d+$/.test(literal)) {
+    return Number(literal);
+  }
+  return unquote(literal);
+}
+
+/**
+ * Remove the quotes and escapes of a string literal
+ *
+ * @param {string} literal - Single or double quoted string
+ * @returns {string}
+ */
+function unquote(literal) {
+  return literal.slice(1, -1).replace(/\\(u[0-9a-fA-F]{4}|x[0-9a-fA-F]{2}|.)/g, (match, escape) => {
+    if (escape.length > 1) {
+      return String.fromCharCode(parseInt(escape.slice(1), 16));
+    }
+    return { n: '\n', r: '\r', t: '\t' }[escape] ?? escape;
+  });
+}
+
+/**
+ * Read FIREFOX_PREF_<name>=value environment variables
+ * Dots in names can be written as "__" for shells that do not allow them, e.g.
+ * FIREFOX_PREF_fission__autostart=false. Values "true", "false" and integers are
+ * converted; quote a value as JSON ('"1"') to keep it a string.
+ *
+ * @param {Object} env - Environment variables
+ * @returns {Object} Preferences keyed by name
+ */
+export function getEnvPreferences(env = process.env) {
+  const prefs = {};
+  for (const [key, value] of Object.entries(env)) {
+    if (key.startsWith(ENV_PREFIX) && key.length > ENV_PREFIX.length && value !== undefined) {
+      prefs[key.slice(ENV_PREFIX.length).replace(/__/g, '.')] = parsePrefValue(value);
+    }
+  }
+  return prefs;
+}
+
+/**
+ * Convert a preference value given as text (environment, command line)
+ *
+ * @param {string} value - Text value
+ * @returns {boolean|number|string}
+ */
+export function parsePrefValue(value) {
+  if (value === 'true' || value === 'false') {
+    return value === 'true';
+  }
+  if (/^-?\d+$/.test(value)) {
+    return Number(value);
+  }
+  if (/^".*"$/.test(value)) {
+    return JSON.parse(value);
+  }
+  return value;
+}
+
+/**
+ * Get the presets and imported files selected on the command line or in the environment
+ * --prefs-preset and --prefs-import can be repeated or take comma separated lists,
+ * FIREFOX_PREFS_PRESET and FIREFOX_PREFS_IMPORT take comma separated lists.
+ *
+ * @param {string[]} argv - Command line arguments (default: process.argv)
+ * @param {Object} env - Environment variables (default: process.env)
+ * @returns {{presets: string[], importFiles: string[]}}
+ */
+export function getPreferenceSelection(argv = process.argv, env = process.env) {
+  const collect = (option, variable) => {
+    const values = [env[variable] || ''];
+    argv.forEach((arg, index) => {
+      if (arg === option && argv[index + 1]) {
+        values.push(argv[index + 1]);
+      } else if (arg.startsWith(`${option}=`)) {
+        values.push(arg.slice(option.length + 1));
+      }
+    });
+    return [...new Set(values.flatMap(value => value.split(',')).map(value => value.trim()).filter(Boolean))];
+  };
+
+  return {
+    presets: collect('--prefs-preset', 'FIREFOX_PREFS_PRESET'),
+    importFiles: collect('--prefs-import', 'FIREFOX_PREFS_IMPORT'),
+  };
+}
+
+/**
+ * Format effective preferences for logs, one "name = value (source)" line each
+ *
+ * @param {Object} preferences - Effective preferences
+ * @param {Object<string, string>} sources - Layer of each preference
+ * @returns {string}
+ */
+export function formatPreferences(preferences, sources = {}) {
+  return Object.keys(preferences)
+    .sort()
+    .map(name => `  ${name} = ${JSON.stringify(preferences[name])}${sources[name] ? ` (${sources[name]})` : ''}`)
+    .join('\n');
+}
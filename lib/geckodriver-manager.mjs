@@ -0,0 +1,257 @@
+import { execFile } from 'child_process';
+import { existsSync, chmodSync, renameSync, rmSync } from 'fs';
+import { join } from 'path';
+import { promisify } from 'util';
+import { downloadFile } from './http-download.mjs';
+import { extractArchive } from './archive-extractor.mjs';
+import { FirefoxCache, DEFAULT_CACHE_DIR } from './cache-manager.mjs';
+
+const execFileAsync = promisify(execFile);
+
+export const DEFAULT_GECKODRIVER_MIRROR = 'https://github.com/mozilla/geckodriver/releases/download';
+
+/**
+ * Firefox versions supported by each geckodriver release, newest first
+ * From https://firefox-source-docs.mozilla.org/testing/geckodriver/Support.html
+ * (maxFirefox is null when there is no upper bound)
+ */
+export const GECKODRIVER_RELEASES = [
+  { version: '0.36.0', minFirefox: 128, maxFirefox: null },
+  { version: '0.35.0', minFirefox: 115, maxFirefox: null },
+  { version: '0.34.0', minFirefox: 115, maxFirefox: null },
+  { version: '0.33.0', minFirefox: 102, maxFirefox: 120 },
+  { version: '0.32.2', minFirefox: 102, maxFirefox: 120 },
+  { version: '0.32.1', minFirefox: 102, maxFirefox: 120 },
+  { version: '0.32.0', minFirefox: 102, maxFirefox: 120 },
+  { version: '0.31.0', minFirefox: 91, maxFirefox: 120 },
+  { version: '0.30.0', minFirefox: 78, maxFirefox: 90 },
+  { version: '0.29.1', minFirefox: 60, maxFirefox: 90 },
+  { version: '0.29.0', minFirefox: 60, maxFirefox: 90 },
+];
+
+/**
+ * Release asset name suffix of each platform
+ */
+const ASSET_PLATFORMS = {
+  'linux-x64': 'linux64.tar.gz',
+  'linux-arm64': 'linux-aarch64.tar.gz',
+  'linux-ia32': 'linux32.tar.gz',
+  'darwin-x64': 'macos.tar.gz',
+  'darwin-arm64': 'macos-aarch64.tar.gz',
+  'win32-x64': 'win64.zip',
+  'win32-arm64': 'win-aarch64.zip',
+  'win32-ia32': 'win32.zip',
+};
+
+/**
+ * Error thrown when geckodriver does not support the Firefox build under test
+ */
+export class GeckodriverCompatibilityError extends Error {
+  /**
+   * @param {string} message - Error message
+   * @param {Object} details - Compatibility details
+   * @param {string} details.geckodriverVersion - Version of geckodriver
+   * @param {string} details.firefoxVersion - Version of Firefox
+   * @param {string|null} details.suggestedVersion - A geckodriver release supporting this Firefox, if any
+   */
+  constructor(message, { geckodriverVersion, firefoxVersion, suggestedVersion }) {
+    super(message);
+    this.name = 'GeckodriverCompatibilityError';
+    this.geckodriverVersion = geckodriverVersion;
+    this.firefoxVersion = firefoxVersion;
+    this.suggestedVersion = suggestedVersion;
+  }
+}
+
+/**
+ * Get a geckodriver binary matching the Firefox build under test
+ *
+ * An explicit geckodriverPath is used as-is. Otherwise the requested release (or the
+ * newest release supporting firefoxVersion) is downloaded from the mirror and cached.
+ * Either way, the driver is checked against firefoxVersion before any session is created.
+ *
+ * @param {Object} options - Geckodriver options
+ * @param {string} options.geckodriverPath - Path to an existing geckodriver binary (optional)
+ * @param {string} options.geckodriverVersion - geckodriver release to download, e.g. "0.36.0" (optional)
+ * @param {string} options.firefoxVersion - Version of the Firefox build under test, e.g. "147.0a1" (optional)
+ * @param {string} options.mirrorUrl - Base URL of geckodriver releases
+ *   (default: GECKODRIVER_CDNURL environment variable, or GitHub releases)
+ * @param {string} options.cacheDir - Download cache directory (default: OS temp dir)
+ * @param {string} options.platform - Platform as "<process.platform>-<process.arch>" (default: current platform)
+ * @returns {Promise<{path: string, version: string|null}>}
+ * @throws {GeckodriverCompatibilityError} If geckodriver does not support firefoxVersion
+ */
+export async function ensureGeckodriver(options = {}) {
+  const { geckodriverPath, firefoxVersion } = options;
+
+  if (geckodriverPath) {
+    if (!existsSync(geckodriverPath)) {
+      throw new Error(`geckodriver not found at ${geckodriverPath}`);
+    }
+    const version = await getGeckodriverVersion(geckodriverPath);
+    checkGeckodriverCompatibility(version, firefoxVersion);
+    return { path: geckodriverPath, version };
+  }
+
+  const version = options.geckodriverVersion || pickGeckodriverVersion(firefoxVersion);
+  checkGeckodriverCompatibility(version, firefoxVersion);
+  const path = await downloadGeckodriver(version, options);
+  return { path, version };
+}
+
+/**
+ * Download a geckodriver release into the cache, unless it is already there
+ *
+ * @param {string} version - geckodriver release, e.g. "0.36.0"
+ * @param {Object} options - Options passed to ensureGeckodriver
+ * @returns {Promise<string>} Path to the geckodriver binary
+ */
+export async function downloadGeckodriver(version, options = {}) {
+  const {
+    mirrorUrl = process.env.GECKODRIVER_CDNURL || DEFAULT_GECKODRIVER_MIRROR,
+    cacheDir = DEFAULT_CACHE_DIR,
+    platform = `${process.platform}-${process.arch}`,
+  } = options;
+
+  const asset = ASSET_PLATFORMS[platform];
+  if (!asset) {
+    throw new Error(`geckodriver is not available for platform ${platform}`);
+  }
+
+  const url = `${mirrorUrl.replace(/\/+$/, '')}/v${version}/geckodriver-v${version}-${asset}`;
+  const installDir = join(cacheDir, `geckodriver-${version}-${platform}`);
+  const binaryPath = join(installDir, platform.startsWith('win32') ? 'geckodriver.exe' : 'geckodriver');
+
+  if (existsSync(binaryPath)) {
+    console.log(`Using cached geckodriver ${version}: ${binaryPath}`);
+    return binaryPath;
+  }
+
+  const cache = new FirefoxCache(cacheDir);
+  return cache.withLock(url, async () => {
+    if (existsSync(binaryPath)) {
+      return binaryPath;
+    }
+
+    console.log(`Downloading geckodriver ${version} from: ${url}`);
+    const archivePath = `${installDir}-${asset}`;
+    try {
+      await downloadFile(url, archivePath, options);
+    } catch (err) {
+      throw new Error(`Failed to download geckodriver ${version} from ${url}: ${err.message}`);
+    }
+
+    // Extract next to the final location, so an interrupted extraction is never picked up
+    const tmpDir = `${installDir}.tmp`;
+    rmSync(tmpDir, { recursive: true, force: true });
+    try {
+      await extractArchive(archivePath, tmpDir);
+      if (!existsSync(join(tmpDir, binaryPath.slice(installDir.length + 1)))) {
+        throw new Error(`geckodriver archive ${url} does not contain a geckodriver binary`);
+      }
+      rmSync(installDir, { recursive: true, force: true });
+      renameSync(tmpDir, installDir);
+    } finally {
+      rmSync(tmpDir, { recursive: true, force: true });
+      rmSync(archivePath, { force: true });
+    }
+
+    chmodSync(binaryPath, 0o755);
+    console.log(`geckodriver ${version} ready at: ${binaryPath}`);
+    return binaryPath;
+  });
+}
+
+/**
+ * Get the version of a geckodriver binary
+ *
+ * @param {string} geckodriverPath - Path to geckodriver
+ * @returns {Promise<string|null>} Version such as "0.36.0", or null if it could not be determined
+ */
+export async function getGeckodriverVersion(geckodriverPath) {
+  try {
+    const { stdout } = await execFileAsync(geckodriverPath, ['--version'], { timeout: 10000 });
+    const match = stdout.match(/geckodriver\s+v?(\d+\.\d+\.\d+)/);
+    return match ? match[1] : null;
+  } catch (err) {
+    console.warn(`Could not determine geckodriver version: ${err.message}`);
+    return null;
+  }
+}
+
+/**
+ * Pick the newest geckodriver release supporting a Firefox version
+ *
+ * @param {string} firefoxVersion - Firefox version, or undefined to pick the newest release
+ * @returns {string} geckodriver version
+ * @throws {GeckodriverCompatibilityError} If no known release supports firefoxVersion
+ */
+export function pickGeckodriverVersion(firefoxVersion) {
+  if (!firefoxVersion || getMajorVersion(firefoxVersion) === null) {
+    return GECKODRIVER_RELEASES[0].version;
+  }
+
+  const release = GECKODRIVER_RELEASES.find(candidate => supportsFirefox(candidate, firefoxVersion));
+  if (!release) {
+    throw new GeckodriverCompatibilityError(
+      `No known geckodriver release supports Firefox ${firefoxVersion}`,
+      { geckodriverVersion: null, firefoxVersion, suggestedVersion: null },
+    );
+  }
+  return release.version;
+}
+
+/**
+ * Check that a geckodriver release supports a Firefox version
+ * Releases missing from GECKODRIVER_RELEASES, and unknown versions, are let through with a warning.
+ *
+ * @param {string|null} geckodriverVersion - geckodriver version
+ * @param {string|null} firefoxVersion - Firefox version
+ * @throws {GeckodriverCompatibilityError} If the release does not support firefoxVersion
+ */
+export function checkGeckodriverCompatibility(geckodriverVersion, firefoxVersion) {
+  if (!geckodriverVersion || !firefoxVersion || getMajorVersion(firefoxVersion) === null) {
+    return;
+  }
+
+  const release = GECKODRIVER_RELEASES.find(candidate => candidate.version === geckodriverVersion);
+  if (!release) {
+    console.warn(`Unknown geckodriver release ${geckodriverVersion}, cannot check that it supports Firefox ${firefoxVersion}`);
+    return;
+  }
+
+  if (supportsFirefox(release, firefoxVersion)) {
+    return;
+  }
+
+  const range = release.maxFirefox ? `${release.minFirefox} to ${release.maxFirefox}` : `${release.minFirefox} and later`;
+  const suggested = GECKODRIVER_RELEASES.find(candidate => supportsFirefox(candidate, firefoxVersion));
+  throw new GeckodriverCompatibilityError(
+    `geckodriver ${geckodriverVersion} supports Firefox ${range}, but the Firefox build under test is ${firefoxVersion}`
+      + (suggested ? `. Use geckodriver ${suggested.version} instead (geckodriverVersion option or GECKODRIVER_VERSION)` : ''),
+    { geckodriverVersion, firefoxVersion, suggestedVersion: suggested?.version ?? null },
+  );
+}
+
+/**
+ * Check whether a release supports a Firefox version
+ *
+ * @param {{minFirefox: number, maxFirefox: number|null}} release - geckodriver release
+ * @param {string} firefoxVersion - Firefox version
+ * @returns {boolean}
+ */
+function supportsFirefox(release, firefoxVersion) {
+  const major = getMajorVersion(firefoxVersion);
+  return major >= release.minFirefox && (release.maxFirefox === null || major <= release.maxFirefox);
+}
+
+/**
+ * Get the major version of a Firefox version string
+ *
+ * @param {string} firefoxVersion - e.g. "147.0a1", "140.4.0esr"
+ * @returns {number|null}
+ */
+function getMajorVersion(firefoxVersion) {
+  const match = String(firefoxVersion).match(/^(\d+)\./);
+  return match ? Number(match[1]) : null;
+}
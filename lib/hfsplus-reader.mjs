@@ -0,0 +1,373 @@
+import { mkdirSync, symlinkSync, chmodSync } from 'fs';
+import { open } from 'fs/promises';
+import { join } from 'path';
+
+const ROOT_FOLDER_ID = 2;
+const CATALOG_FILE_ID = 4;
+
+const RECORD_FOLDER = 1;
+const RECORD_FILE = 2;
+
+/**
+ * BSD owner flag of files whose data is stored compressed in an extended attribute
+ */
+const UF_COMPRESSED = 0x20;
+
+/**
+ * Name of the hidden folder holding the content of hard-linked files
+ */
+const PRIVATE_DATA_FOLDER = '\0\0\0\0HFS+ Private Data';
+
+/**
+ * Size of the pieces in which file data is copied
+ */
+const COPY_SIZE = 1024 * 1024;
+
+/**
+ * HfsPlusVolume - Read-only access to an HFS+ (or HFSX) file system
+ *
+ * Only what is needed to copy application bundles out of a disk image is supported:
+ * the catalog and extents overflow B-trees are walked leaf by leaf, and regular files,
+ * folders, symlinks and file hard links are extracted with their permissions.
+ */
+export class HfsPlusVolume {
+  /**
+   * @param {{read: Function}} reader - Partition reader, with an async read(offset, length) method
+   * @param {Buffer} header - Volume header
+   */
+  constructor(reader, header) {
+    this.reader = reader;
+    this.blockSize = header.readUInt32BE(40);
+    this.extentsFork = parseFork(header, 192);
+    this.catalogFork = parseFork(header, 272);
+    this.overflowExtents = new Map();
+    this.children = null;
+  }
+
+  /**
+   * Open the HFS+ volume of a partition
+   * @param {{read: Function}} reader - Partition reader
+   * @returns {Promise<HfsPlusVolume>}
+   */
+  static async open(reader) {
+    const header = await reader.read(1024, 512);
+    const signature = header.toString('latin1', 0, 2);
+    if (signature !== 'H+' && signature !== 'HX') {
+      throw new Error('Not an HFS+ volume');
+    }
+
+    const volume = new HfsPlusVolume(reader, header);
+    await volume.loadOverflowExtents();
+    volume.catalogFork = volume.withOverflowExtents(CATALOG_FILE_ID, volume.catalogFork);
+    return volume;
+  }
+
+  /**
+   * Read the extents overflow file, which lists the extents of forks that do not
+   * fit in the 8 extents of their catalog record
+   */
+  async loadOverflowExtents() {
+    if (this.extentsFork.logicalSize === 0) {
+      return;
+    }
+
+    for await (const record of this.leafRecords(this.extentsFork)) {
+      const keyLength = record.readUInt16BE(0);
+      const forkType = record[2];
+      const fileID = record.readUInt32BE(4);
+      const startBlock = record.readUInt32BE(8);
+      if (forkType !== 0) {
+        // Resource forks are not extracted
+        continue;
+      }
+
+      const entries = this.overflowExtents.get(fileID) || [];
+      entries.push({ startBlock, extents: parseExtents(record, 2 + keyLength) });
+      this.overflowExtents.set(fileID, entries);
+    }
+  }
+
+  /**
+   * Append the overflow extents of a file to its fork
+   * @param {number} fileID - Catalog node ID of the file
+   * @param {Object} fork - Fork from the catalog record
+   * @returns {Object} Fork with all of its extents
+   */
+  withOverflowExtents(fileID, fork) {
+    const entries = this.overflowExtents.get(fileID);
+    if (!entries) {
+      return fork;
+    }
+
+    const extents = [...fork.extents];
+    for (const entry of entries.sort((a, b) => a.startBlock - b.startBlock)) {
+      extents.push(...entry.extents);
+    }
+    return { ...fork, extents };
+  }
+
+  /**
+   * Iterate over the records of the leaf nodes of a B-tree, in key order
+   * @param {Object} fork - Fork of the B-tree file
+   * @returns {AsyncGenerator<Buffer>}
+   */
+  async* leafRecords(fork) {
+    const headerNode = await this.readFork(fork, 0, 512);
+    const firstLeafNode = headerNode.readUInt32BE(14 + 10);
+    const nodeSize = headerNode.readUInt16BE(14 + 18);
+    const visited = new Set();
+
+    for (let nodeNumber = firstLeafNode; nodeNumber !== 0; ) {
+      if (visited.has(nodeNumber)) {
+        throw new Error(`B-tree node ${nodeNumber} is linked twice`);
+      }
+      visited.add(nodeNumber);
+
+      const node = await this.readFork(fork, nodeNumber * nodeSize, nodeSize);
+      const recordCount = node.readUInt16BE(10);
+      for (let i = 0; i < recordCount; i++) {
+        const start = node.readUInt16BE(nodeSize - 2 * (i + 1));
+        const end = node.readUInt16BE(nodeSize - 2 * (i + 2));
+        yield node.subarray(start, end);
+      }
+      nodeNumber = node.readUInt32BE(0);
+    }
+  }
+
+  /**
+   * Read bytes of a fork
+   * @param {Object} fork - Fork with its extents
+   * @param {number} offset - Byte offset in the fork
+   * @param {number} length - Number of bytes
+   * @returns {Promise<Buffer>}
+   */
+  async readFork(fork, offset, length) {
+    const result = Buffer.alloc(length);
+    let extentStart = 0;
+    let done = 0;
+
+    for (const { startBlock, blockCount } of fork.extents) {
+      const extentLength = blockCount * this.blockSize;
+      const position = offset + done;
+      if (position < extentStart + extentLength) {
+        const count = Math.min(length - done, extentStart + extentLength - position);
+        const data = await this.reader.read(startBlock * this.blockSize + position - extentStart, count);
+        data.copy(result, done);
+        done += count;
+        if (done === length) {
+          return result;
+        }
+      }
+      extentStart += extentLength;
+    }
+
+    throw new Error(`Read beyond the end of a fork at byte ${offset + done}`);
+  }
+
+  /**
+   * Read the catalog, indexing files and folders by parent folder
+   * @returns {Promise<Map<number, Object[]>>} Entries of each folder ID
+   */
+  async readCatalog() {
+    if (this.children) {
+      return this.children;
+    }
+
+    const children = new Map();
+    for await (const record of this.leafRecords(this.catalogFork)) {
+      const entry = parseCatalogRecord(record);
+      if (entry) {
+        if (!children.has(entry.parentID)) {
+          children.set(entry.parentID, []);
+        }
+        children.get(entry.parentID).push(entry);
+      }
+    }
+
+    this.children = children;
+    return children;
+  }
+
+  /**
+   * Copy the .app bundles found at the root of the volume
+   * @param {string} extractDir - Directory to copy the bundles to
+   * @returns {Promise<string[]>} Names of the copied bundles
+   */
+  async extractApps(extractDir) {
+    const children = await this.readCatalog();
+    const apps = (children.get(ROOT_FOLDER_ID) || [])
+      .filter(entry => entry.type === 'folder' && entry.name.endsWith('.app'));
+
+    if (apps.length === 0) {
+      throw new Error('Could not find .app bundle in disk image');
+    }
+
+    const deferredModes = [];
+    for (const app of apps) {
+      console.log(`Copying ${app.name}...`);
+      await this.extractFolder(app, join(extractDir, app.name), deferredModes);
+    }
+
+    // Apply folder permissions last, in case they are read-only
+    for (const [path, mode] of deferredModes.reverse()) {
+      chmodSync(path, mode | 0o700);
+    }
+
+    return apps.map(app => app.name);
+  }
+
+  /**
+   * Recursively copy a folder
+   * @param {Object} folder - Catalog entry of the folder
+   * @param {string} targetPath - Destination path
+   * @param {Array} deferredModes - Collects [path, mode] of created folders
+   */
+  async extractFolder(folder, targetPath, deferredModes) {
+    mkdirSync(targetPath, { recursive: true });
+    deferredModes.push([targetPath, folder.mode & 0o7777 || 0o755]);
+
+    for (const entry of this.children.get(folder.id) || []) {
+      if (entry.name === '' || entry.name === '.' || entry.name === '..') {
+        throw new Error(`Invalid file name in disk image: "${entry.name}"`);
+      }
+
+      const entryPath = join(targetPath, entry.name);
+      if (entry.type === 'folder') {
+        await this.extractFolder(entry, entryPath, deferredModes);
+      } else {
+        await this.extractFile(entry, entryPath);
+      }
+    }
+  }
+
+  /**
+   * Copy a file, symlink or file hard link
+   * @param {Object} file - Catalog entry of the file
+   * @param {string} targetPath - Destination path
+   */
+  async extractFile(file, targetPath) {
+    if (file.ownerFlags & UF_COMPRESSED) {
+      throw new Error(`${file.name} uses HFS+ compression, which is not supported`);
+    }
+
+    if (file.fileType === 'slnk' && file.creator === 'rhap') {
+      const target = await this.readFork(this.withOverflowExtents(file.id, file.dataFork), 0, file.dataFork.logicalSize);
+      symlinkSync(target.toString('utf8'), targetPath);
+      return;
+    }
+
+    if (file.fileType === 'hlnk' && file.creator === 'hfs+') {
+      const inode = this.findHardLinkTarget(file.special);
+      await this.extractFile({ ...inode, mode: file.mode || inode.mode }, targetPath);
+      return;
+    }
+
+    const fork = this.withOverflowExtents(file.id, file.dataFork);
+    const output = await open(targetPath, 'w', file.mode & 0o7777 || 0o644);
+    try {
+      for (let offset = 0; offset < fork.logicalSize; offset += COPY_SIZE) {
+        const data = await this.readFork(fork, offset, Math.min(COPY_SIZE, fork.logicalSize - offset));
+        await output.write(data);
+      }
+    } finally {
+      await output.close();
+    }
+
+    if (file.mode & 0o7777) {
+      chmodSync(targetPath, file.mode & 0o7777);
+    }
+  }
+
+  /**
+   * Find the file holding the content of a hard link
+   * @param {number} linkID - Link reference number from the hard link record
+   * @returns {Object} Catalog entry of the linked file
+   */
+  findHardLinkTarget(linkID) {
+    const privateFolder = (this.children.get(ROOT_FOLDER_ID) || [])
+      .find(entry => entry.type === 'folder' && entry.name === PRIVATE_DATA_FOLDER);
+    const inode = privateFolder && (this.children.get(privateFolder.id) || [])
+      .find(entry => entry.name === `iNode${linkID}`);
+
+    if (!inode) {
+      throw new Error(`Could not find the target of hard link ${linkID}`);
+    }
+    return inode;
+  }
+}
+
+/**
+ * Parse a catalog leaf record
+ *
+ * @param {Buffer} record - Record, starting with its key
+ * @returns {Object|null} File or folder entry, or null for thread records
+ */
+function parseCatalogRecord(record) {
+  const keyLength = record.readUInt16BE(0);
+  const parentID = record.readUInt32BE(2);
+  const nameLength = record.readUInt16BE(6);
+  // Names are UTF-16BE; "/" is allowed in HFS+ names and shows as ":" in paths
+  const name = Buffer.from(record.subarray(8, 8 + nameLength * 2)).swap16().toString('utf16le').replace(/\//g, ':');
+  const data = record.subarray(2 + keyLength);
+  const type = data.readInt16BE(0);
+
+  if (type === RECORD_FOLDER) {
+    return {
+      type: 'folder',
+      parentID,
+      name,
+      id: data.readUInt32BE(8),
+      mode: data.readUInt16BE(42),
+    };
+  }
+
+  if (type === RECORD_FILE) {
+    return {
+      type: 'file',
+      parentID,
+      name,
+      id: data.readUInt32BE(8),
+      ownerFlags: data[41],
+      mode: data.readUInt16BE(42),
+      special: data.readUInt32BE(44),
+      fileType: data.toString('latin1', 48, 52),
+      creator: data.toString('latin1', 52, 56),
+      dataFork: parseFork(data, 88),
+    };
+  }
+
+  return null;
+}
+
+/**
+ * Parse an HFSPlusForkData structure
+ *
+ * @param {Buffer} buffer - Buffer containing the structure
+ * @param {number} offset - Offset of the structure
+ * @returns {{logicalSize: number, extents: Array<{startBlock: number, blockCount: number}>}}
+ */
+function parseFork(buffer, offset) {
+  return {
+    logicalSize: Number(buffer.readBigUInt64BE(offset)),
+    extents: parseExtents(buffer, offset + 16),
+  };
+}
+
+/**
+ * Parse an extent record of 8 extent descriptors, ignoring empty ones
+ *
+ * @param {Buffer} buffer - Buffer containing the record
+ * @param {number} offset - Offset of the record
+ * @returns {Array<{startBlock: number, blockCount: number}>}
+ */
+function parseExtents(buffer, offset) {
+  const extents = [];
+  for (let i = 0; i < 8; i++) {
+    const startBlock = buffer.readUInt32BE(offset + i * 8);
+    const blockCount = buffer.readUInt32BE(offset + i * 8 + 4);
+    if (blockCount > 0) {
+      extents.push({ startBlock, blockCount });
+    }
+  }
+  return extents;
+}
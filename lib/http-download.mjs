@@ -0,0 +1,228 @@
+import { openSync, writeSync, closeSync, existsSync, statSync, renameSync, unlinkSync } from 'fs';
+import fetch from 'node-fetch';
+import { HttpProxyAgent } from 'http-proxy-agent';
+import { HttpsProxyAgent } from 'https-proxy-agent';
+
+const proxyAgents = new Map();
+
+/**
+ * Error thrown when a download fails
+ */
+export class DownloadError extends Error {
+  /**
+   * @param {string} message - Error message
+   * @param {Object} details - Failure details
+   * @param {number} details.status - HTTP status, if the server responded
+   * @param {boolean} details.retryable - Whether retrying may succeed (default: true)
+   */
+  constructor(message, { status, retryable = true } = {}) {
+    super(message);
+    this.name = 'DownloadError';
+    this.status = status;
+    this.retryable = retryable;
+  }
+}
+
+/**
+ * Get the proxy agent to use for a URL, following HTTPS_PROXY, HTTP_PROXY and NO_PROXY
+ * HTTPS requests are tunneled through the proxy with CONNECT, plain HTTP requests are sent
+ * to it with their absolute URL. Can be passed directly as the `agent` option of node-fetch.
+ *
+ * @param {URL} url - Request URL
+ * @returns {import('http').Agent|undefined} Proxy agent, or undefined for a direct connection
+ */
+export function proxyAgent(url) {
+  const env = process.env;
+  const proxy = url.protocol === 'https:'
+    ? env.HTTPS_PROXY || env.https_proxy || env.HTTP_PROXY || env.http_proxy
+    : env.HTTP_PROXY || env.http_proxy;
+
+  if (!proxy || isProxyBypassed(url, env.NO_PROXY || env.no_proxy || '')) {
+    return undefined;
+  }
+
+  const key = `${url.protocol}${proxy}`;
+  if (!proxyAgents.has(key)) {
+    proxyAgents.set(key, url.protocol === 'https:' ? new HttpsProxyAgent(proxy) : new HttpProxyAgent(proxy));
+  }
+  return proxyAgents.get(key);
+}
+
+/**
+ * Check whether a URL matches a NO_PROXY list
+ * Entries are host names, optionally with a port; a leading "." or "*." matches subdomains
+ * and "*" matches every host.
+ *
+ * @param {URL} url - Request URL
+ * @param {string} noProxy - Comma or space separated NO_PROXY list
+ * @returns {boolean}
+ */
+export function isProxyBypassed(url, noProxy) {
+  const hostname = url.hostname.toLowerCase();
+  const port = url.port || (url.protocol === 'https:' ? '443' : '80');
+
+  return noProxy.split(/[\s,]+/).filter(Boolean).some(entry => {
+    if (entry === '*') {
+      return true;
+    }
+
+    const [entryHost, entryPort] = entry.toLowerCase().split(':');
+    if (entryPort && entryPort !== port) {
+      return false;
+    }
+
+    const suffix = entryHost.replace(/^\*/, '');
+    if (suffix.startsWith('.')) {
+      return hostname.endsWith(suffix) || hostname === suffix.slice(1);
+    }
+    return hostname === suffix;
+  });
+}
+
+/**
+ * Download a URL to a file, resuming and retrying on failure
+ *
+ * Data is written to "<destPath>.part" and renamed to destPath once complete. When
+ * a .part file already exists, the download resumes from its end with an HTTP Range
+ * request, falling back to a full download if the server does not support ranges.
+ *
+ * @param {string} url - URL to download
+ * @param {string} destPath - Path of the downloaded file
+ * @param {Object} options - Download options
+ * @param {number} options.retries - Number of retries after the first attempt (default: 3)
+ * @param {number} options.retryDelay - Delay before the first retry in ms, doubled for each retry (default: 1000)
+ * @param {number} options.timeout - Time in ms without receiving data before an attempt is aborted (default: 60000)
+ * @param {Object} options.headers - Additional request headers (e.g. Authorization)
+ * @param {Function} options.onProgress - Called with {bytes, total, rate} as data arrives;
+ *   total is undefined if the server did not announce a size, rate is in bytes per second
+ * @returns {Promise<{size: number, total: number|undefined}>}
+ * @throws {DownloadError} If the download still fails after all retries
+ */
+export async function downloadFile(url, destPath, options = {}) {
+  const { retries = 3, retryDelay = 1000 } = options;
+  const partPath = `${destPath}.part`;
+
+  for (let attempt = 0; ; attempt++) {
+    try {
+      const result = await downloadAttempt(url, partPath, options);
+      renameSync(partPath, destPath);
+      return result;
+    } catch (err) {
+      if (err.retryable === false || attempt >= retries) {
+        throw err;
+      }
+
+      const delay = retryDelay * 2 ** attempt;
+      console.warn(`Download failed: ${err.message}. Retrying in ${delay}ms (${attempt + 1}/${retries})...`);
+      await new Promise(resolve => setTimeout(resolve, delay));
+    }
+  }
+}
+
+/**
+ * Make a single download attempt, appending to an existing partial file if possible
+ *
+ * @param {string} url - URL to download
+ * @param {string} partPath - Path of the partial file
+ * @param {Object} options - Options passed to downloadFile
+ * @returns {Promise<{size: number, total: number|undefined}>}
+ */
+async function downloadAttempt(url, partPath, options) {
+  const { timeout = 60000, headers = {}, onProgress } = options;
+  const offset = existsSync(partPath) ? statSync(partPath).size : 0;
+
+  const controller = new AbortController();
+  let timer;
+  const resetTimer = () => {
+    clearTimeout(timer);
+    timer = setTimeout(() => controller.abort(), timeout);
+  };
+
+  const requestHeaders = { ...headers };
+  if (offset > 0) {
+    requestHeaders.Range = `bytes=${offset}-`;
+  }
+
+  resetTimer();
+  try {
+    const response = await fetch(url, {
+      headers: requestHeaders,
+      signal: controller.signal,
+      compress: false,
+      agent: proxyAgent,
+    });
+
+    if (response.status === 416 && offset > 0) {
+      // The partial file is not a prefix of the current resource, start over
+      unlinkSync(partPath);
+      throw new DownloadError(`Could not resume download at byte ${offset}`, { status: 416 });
+    }
+
+    if (!response.ok) {
+      const { status, statusText } = response;
+      throw new DownloadError(`${status} ${statusText}`, {
+        status,
+        retryable: status >= 500 || status === 429 || status === 408,
+      });
+    }
+
+    const resumed = response.status === 206;
+    if (offset > 0) {
+      console.log(resumed
+        ? `Resuming download at byte ${offset}`
+        : 'Server does not support resuming, restarting download');
+    }
+
+    const total = getTotalSize(response, resumed);
+    let bytes = resumed ? offset : 0;
+    const startBytes = bytes;
+    const startTime = Date.now();
+
+    // Chunks are written as they arrive, so that everything received before an interruption
+    // is in the partial file when the download is resumed
+    const fd = openSync(partPath, resumed ? 'a' : 'w');
+    try {
+      for await (const chunk of response.body) {
+        writeSync(fd, chunk);
+        bytes += chunk.length;
+        resetTimer();
+        if (onProgress) {
+          const elapsed = (Date.now() - startTime) / 1000;
+          onProgress({ bytes, total, rate: elapsed > 0 ? (bytes - startBytes) / elapsed : 0 });
+        }
+      }
+    } finally {
+      closeSync(fd);
+    }
+
+    if (total !== undefined && bytes !== total) {
+      throw new DownloadError(`Connection closed after ${bytes} of ${total} bytes`);
+    }
+
+    return { size: bytes, total };
+  } catch (err) {
+    if (controller.signal.aborted) {
+      throw new DownloadError(`No data received for ${timeout}ms`);
+    }
+    throw err;
+  } finally {
+    clearTimeout(timer);
+  }
+}
+
+/**
+ * Get the full size of the resource from Content-Range or Content-Length
+ *
+ * @param {import('node-fetch').Response} response - Download response
+ * @param {boolean} resumed - Whether this is a 206 Partial Content response
+ * @returns {number|undefined}
+ */
+function getTotalSize(response, resumed) {
+  if (resumed) {
+    const match = (response.headers.get('content-range') || '').match(/\/(\d+)$/);
+    return match ? Number(match[1]) : undefined;
+  }
+
+  const contentLength = response.headers.get('content-length');
+  return contentLength ? Number(contentLength) : undefined;
+}
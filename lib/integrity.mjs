@@ -0,0 +1,181 @@
+import { createReadStream } from 'fs';
+import { stat } from 'fs/promises';
+import { createHash } from 'crypto';
+import fetch from 'node-fetch';
+
+const ARCHIVE_EXTENSIONS = ['.tar.bz2', '.tar.gz', '.tar.xz', '.dmg', '.zip', '.pkg'];
+
+/**
+ * Error thrown when a downloaded archive does not match its expected size or checksum
+ */
+export class IntegrityError extends Error {
+  /**
+   * @param {string} message - Error message
+   * @param {Object} details - Verification details
+   * @param {string} details.path - Path to the file that failed verification
+   * @param {string} details.check - Failed check: "size" or the hash algorithm
+   * @param {string|number} details.expected - Expected value
+   * @param {string|number} details.actual - Actual value
+   */
+  constructor(message, { path, check, expected, actual }) {
+    super(message);
+    this.name = 'IntegrityError';
+    this.path = path;
+    this.check = check;
+    this.expected = expected;
+    this.actual = actual;
+  }
+}
+
+/**
+ * Compute the hash of a file
+ *
+ * @param {string} path - Path to the file
+ * @param {string} algorithm - Hash algorithm (sha256, sha512...)
+ * @returns {Promise<string>} Hex digest
+ */
+export async function hashFile(path, algorithm) {
+  const hash = createHash(algorithm);
+  for await (const chunk of createReadStream(path)) {
+    hash.update(chunk);
+  }
+  return hash.digest('hex');
+}
+
+/**
+ * Verify the size and checksum of a downloaded file
+ *
+ * @param {string} path - Path to the file
+ * @param {Object} expected - Expected values, any of which may be omitted
+ * @param {number} expected.size - Size in bytes
+ * @param {string} expected.algorithm - Hash algorithm of expected.hash
+ * @param {string} expected.hash - Hex digest
+ * @returns {Promise<void>}
+ * @throws {IntegrityError} If the file does not match
+ */
+export async function verifyFile(path, { size, algorithm, hash }) {
+  if (size !== undefined && size !== null) {
+    const { size: actual } = await stat(path);
+    if (actual !== size) {
+      throw new IntegrityError(
+        `Downloaded file ${path} is ${actual} bytes, expected ${size} bytes`,
+        { path, check: 'size', expected: size, actual }
+      );
+    }
+  }
+
+  if (hash) {
+    const actual = await hashFile(path, algorithm);
+    if (actual !== hash.toLowerCase()) {
+      throw new IntegrityError(
+        `${algorithm} checksum mismatch for ${path}: expected ${hash}, got ${actual}`,
+        { path, check: algorithm, expected: hash, actual }
+      );
+    }
+  }
+}
+
+/**
+ * Get the URL of the checksums file published alongside an archive
+ *
+ * Releases and candidates list every file of a version in a SHA512SUMS file at
+ * the root of the version directory. Nightly and Taskcluster builds publish a
+ * sibling .checksums file (e.g. target.dmg -> target.checksums).
+ *
+ * @param {string} url - Archive URL
+ * @returns {{url: string, format: string, name: string}|null}
+ */
+export function getChecksumsLocation(url) {
+  const cleanUrl = url.split('?')[0];
+
+  const releaseMatch = cleanUrl.match(/^(.*\/pub\/firefox\/(?:releases\/[^/]+|candidates\/[^/]+\/build\d+))\/(.+)$/);
+  if (releaseMatch) {
+    return {
+      url: `${releaseMatch[1]}/SHA512SUMS`,
+      format: 'sums',
+      name: decodeURIComponent(releaseMatch[2]),
+    };
+  }
+
+  const slash = cleanUrl.lastIndexOf('/');
+  const fileName = cleanUrl.slice(slash + 1);
+  const extension = ARCHIVE_EXTENSIONS.find(ext => fileName.endsWith(ext));
+  if (!extension) {
+    return null;
+  }
+
+  return {
+    url: `${cleanUrl.slice(0, slash + 1)}${fileName.slice(0, -extension.length)}.checksums`,
+    format: 'checksums',
+    name: decodeURIComponent(fileName),
+  };
+}
+
+/**
+ * Look up the published checksum of an archive
+ *
+ * @param {string} url - Archive URL
+ * @param {Object} fetchOptions - Options passed to fetch (e.g. headers)
+ * @returns {Promise<{algorithm: string, hash: string, size?: number}|null>} Checksum, or null if none is published
+ */
+export async function findPublishedChecksum(url, fetchOptions = {}) {
+  const location = getChecksumsLocation(url);
+  if (!location) {
+    return null;
+  }
+
+  let text;
+  try {
+    const response = await fetch(location.url, fetchOptions);
+    if (!response.ok) {
+      return null;
+    }
+    text = await response.text();
+  } catch (err) {
+    console.warn(`Could not fetch checksums from ${location.url}: ${err.message}`);
+    return null;
+  }
+
+  return location.format === 'sums'
+    ? parseSumsFile(text, location.name)
+    : parseChecksumsFile(text, location.name);
+}
+
+/**
+ * Find an entry in a SHA512SUMS file ("<hash>  <path>" lines)
+ *
+ * @param {string} text - File contents
+ * @param {string} name - Path of the archive relative to the version directory
+ * @returns {{algorithm: string, hash: string}|null}
+ */
+function parseSumsFile(text, name) {
+  for (const line of text.split('\n')) {
+    const match = line.match(/^([0-9a-f]{128})\s+\*?(.+)$/i);
+    if (match && match[2].trim() === name) {
+      return { algorithm: 'sha512', hash: match[1].toLowerCase() };
+    }
+  }
+  return null;
+}
+
+/**
+ * Find an entry in a .checksums file ("<hash> <algorithm> <size> <name>" lines)
+ * Prefers sha512 over other algorithms listed for the same file.
+ *
+ * @param {string} text - File contents
+ * @param {string} name - File name of the archive
+ * @returns {{algorithm: string, hash: string, size: number}|null}
+ */
+function parseChecksumsFile(text, name) {
+  const entries = [];
+
+  for (const line of text.split('\n')) {
+    const [hash, algorithm, size, ...rest] = line.trim().split(/\s+/);
+    const entryName = rest.join(' ');
+    if (entryName && (entryName === name || entryName.endsWith(`/${name}`))) {
+      entries.push({ algorithm: algorithm.toLowerCase(), hash: hash.toLowerCase(), size: Number(size) });
+    }
+  }
+
+  return entries.find(entry => entry.algorithm === 'sha512') || entries[0] || null;
+}
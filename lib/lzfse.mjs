@@ -0,0 +1,505 @@
+/**
+ * LZFSE stream decoder, following Apple's reference implementation
+ * (https://github.com/lzfse/lzfse). Used for ULFO disk images.
+ *
+ * A stream is a sequence of blocks, each starting with a 4-byte magic:
+ *   bvx-  uncompressed block
+ *   bvx1  LZFSE block with uncompressed frequency tables
+ *   bvx2  LZFSE block with compressed frequency tables
+ *   bvxn  LZVN block
+ *   bvx$  end of stream
+ */
+
+const L_SYMBOLS = 20;
+const M_SYMBOLS = 20;
+const D_SYMBOLS = 64;
+const LITERAL_SYMBOLS = 256;
+const L_STATES = 64;
+const M_STATES = 64;
+const D_STATES = 256;
+const LITERAL_STATES = 1024;
+
+const L_EXTRA_BITS = [0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 2, 3, 5, 8];
+const L_BASE_VALUE = [0, 1, 2, 3, 4, 5, 6, 7, 8, 9, 10, 11, 12, 13, 14, 15, 16, 20, 28, 60];
+const M_EXTRA_BITS = [0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 3, 5, 8, 11];
+const M_BASE_VALUE = [0, 1, 2, 3, 4, 5, 6, 7, 8, 9, 10, 11, 12, 13, 14, 15, 16, 24, 56, 312];
+const D_EXTRA_BITS = Array.from({ length: D_SYMBOLS }, (_, i) => i >> 2);
+const D_BASE_VALUE = [
+  0, 1, 2, 3, 4, 6, 8, 10, 12, 16, 20, 24, 28, 36, 44, 52,
+  60, 76, 92, 108, 124, 156, 188, 220, 252, 316, 380, 444, 508, 636, 764, 892,
+  1020, 1276, 1532, 1788, 2044, 2556, 3068, 3580, 4092, 5116, 6140, 7164, 8188, 10236, 12284, 14332,
+  16380, 20476, 24572, 28668, 32764, 40956, 49148, 57340, 65532, 81916, 98300, 114684, 131068, 163836, 196604, 229372,
+];
+
+/**
+ * Decompress an LZFSE stream
+ *
+ * @param {Buffer} data - Compressed stream
+ * @param {number} sizeHint - Expected decompressed size, if known
+ * @returns {Buffer}
+ */
+export function decompressLzfse(data, sizeHint = 0) {
+  const output = new OutputBuffer(sizeHint);
+  let offset = 0;
+
+  while (offset + 4 <= data.length) {
+    const magic = data.toString('latin1', offset, offset + 4);
+
+    switch (magic) {
+      case 'bvx$':
+        return output.toBuffer();
+      case 'bvx-': {
+        const rawBytes = data.readUInt32LE(offset + 4);
+        output.append(data.subarray(offset + 8, offset + 8 + rawBytes));
+        offset += 8 + rawBytes;
+        break;
+      }
+      case 'bvxn': {
+        const rawBytes = data.readUInt32LE(offset + 4);
+        const payloadBytes = data.readUInt32LE(offset + 8);
+        output.reserve(rawBytes);
+        decodeLzvn(data.subarray(offset + 12, offset + 12 + payloadBytes), output, rawBytes);
+        offset += 12 + payloadBytes;
+        break;
+      }
+      case 'bvx1':
+      case 'bvx2': {
+        const header = magic === 'bvx1' ? parseV1Header(data, offset) : parseV2Header(data, offset);
+        output.reserve(header.rawBytes);
+        decodeLzfseBlock(data, offset + header.headerSize, header, output);
+        offset += header.headerSize + header.literalPayloadBytes + header.lmdPayloadBytes;
+        break;
+      }
+      default:
+        throw new Error(`Invalid LZFSE block magic at offset ${offset}`);
+    }
+  }
+
+  throw new Error('Truncated LZFSE stream');
+}
+
+/**
+ * Growable output buffer, which matches can reference back into
+ */
+class OutputBuffer {
+  /**
+   * @param {number} capacity - Initial capacity
+   */
+  constructor(capacity) {
+    this.buffer = Buffer.alloc(Math.max(capacity, 4096));
+    this.length = 0;
+  }
+
+  /**
+   * Make room for a number of additional bytes
+   * @param {number} size - Bytes about to be written
+   */
+  reserve(size) {
+    if (this.length + size > this.buffer.length) {
+      const buffer = Buffer.alloc(Math.max(this.length + size, this.buffer.length * 2));
+      this.buffer.copy(buffer, 0, 0, this.length);
+      this.buffer = buffer;
+    }
+  }
+
+  /**
+   * Append bytes
+   * @param {Buffer} bytes - Bytes to append
+   */
+  append(bytes) {
+    this.reserve(bytes.length);
+    bytes.copy(this.buffer, this.length);
+    this.length += bytes.length;
+  }
+
+  /**
+   * Copy a match of previously written bytes, which may overlap the output
+   * @param {number} distance - Distance back from the end of the output
+   * @param {number} count - Number of bytes
+   */
+  copyMatch(distance, count) {
+    if (distance <= 0 || distance > this.length) {
+      throw new Error(`Invalid LZFSE match distance ${distance}`);
+    }
+    this.reserve(count);
+    for (let i = 0; i < count; i++, this.length++) {
+      this.buffer[this.length] = this.buffer[this.length - distance];
+    }
+  }
+
+  /**
+   * @returns {Buffer} Written bytes
+   */
+  toBuffer() {
+    return this.buffer.subarray(0, this.length);
+  }
+}
+
+/**
+ * Parse a bvx1 block header, which stores frequency tables as plain 16-bit values
+ *
+ * @param {Buffer} data - Stream
+ * @param {number} offset - Offset of the block
+ * @returns {Object} Block header
+ */
+function parseV1Header(data, offset) {
+  const freq = [];
+  for (let i = 0; i < L_SYMBOLS + M_SYMBOLS + D_SYMBOLS + LITERAL_SYMBOLS; i++) {
+    freq.push(data.readUInt16LE(offset + 50 + i * 2));
+  }
+
+  return {
+    headerSize: 50 + freq.length * 2,
+    rawBytes: data.readUInt32LE(offset + 4),
+    literalCount: data.readUInt32LE(offset + 12),
+    matchCount: data.readUInt32LE(offset + 16),
+    literalPayloadBytes: data.readUInt32LE(offset + 20),
+    lmdPayloadBytes: data.readUInt32LE(offset + 24),
+    literalBits: data.readInt32LE(offset + 28),
+    literalStates: [0, 1, 2, 3].map(i => data.readUInt16LE(offset + 32 + i * 2)),
+    lmdBits: data.readInt32LE(offset + 40),
+    lState: data.readUInt16LE(offset + 44),
+    mState: data.readUInt16LE(offset + 46),
+    dState: data.readUInt16LE(offset + 48),
+    ...splitFrequencies(freq),
+  };
+}
+
+/**
+ * Parse a bvx2 block header, whose fields are bit-packed and frequency tables
+ * encoded with a variable-length code
+ *
+ * @param {Buffer} data - Stream
+ * @param {number} offset - Offset of the block
+ * @returns {Object} Block header
+ */
+function parseV2Header(data, offset) {
+  const packed = [0, 1, 2].map(i => data.readBigUInt64LE(offset + 8 + i * 8));
+  const field = (value, start, bits) => Number((value >> BigInt(start)) & ((1n << BigInt(bits)) - 1n));
+  const headerSize = field(packed[2], 0, 32);
+
+  const freq = [];
+  let position = offset + 32;
+  const end = offset + headerSize;
+  let accum = 0;
+  let accumBits = 0;
+  for (let i = 0; i < L_SYMBOLS + M_SYMBOLS + D_SYMBOLS + LITERAL_SYMBOLS; i++) {
+    while (position < end && accumBits + 8 <= 32) {
+      accum = (accum | (data[position] << accumBits)) >>> 0;
+      accumBits += 8;
+      position++;
+    }
+    const { value, bits } = decodeFrequency(accum);
+    if (bits > accumBits) {
+      throw new Error('Invalid LZFSE frequency table');
+    }
+    freq.push(value);
+    accum >>>= bits;
+    accumBits -= bits;
+  }
+
+  return {
+    headerSize,
+    rawBytes: data.readUInt32LE(offset + 4),
+    literalCount: field(packed[0], 0, 20),
+    literalPayloadBytes: field(packed[0], 20, 20),
+    matchCount: field(packed[0], 40, 20),
+    literalBits: field(packed[0], 60, 3) - 7,
+    literalStates: [0, 1, 2, 3].map(i => field(packed[1], i * 10, 10)),
+    lmdPayloadBytes: field(packed[1], 40, 20),
+    lmdBits: field(packed[1], 60, 3) - 7,
+    lState: field(packed[2], 32, 10),
+    mState: field(packed[2], 42, 10),
+    dState: field(packed[2], 52, 10),
+    ...splitFrequencies(freq),
+  };
+}
+
+/**
+ * Decode one value of a bvx2 frequency table from the low bits of an accumulator
+ *
+ * @param {number} accum - Bit accumulator
+ * @returns {{value: number, bits: number}}
+ */
+function decodeFrequency(accum) {
+  const low = accum & 0x1f;
+  if ((low & 0x3) === 0) {
+    return { value: 0, bits: 2 };
+  }
+  if ((low & 0x3) === 2) {
+    return { value: 1, bits: 2 };
+  }
+  if ((low & 0x7) === 1) {
+    return { value: 2, bits: 3 };
+  }
+  if ((low & 0x7) === 5) {
+    return { value: 3, bits: 3 };
+  }
+  if ((low & 0xf) === 7) {
+    return { value: 8 + ((accum >>> 4) & 0xf), bits: 8 };
+  }
+  if ((low & 0xf) === 15) {
+    return { value: 24 + ((accum >>> 4) & 0x3ff), bits: 14 };
+  }
+  return { value: 4 + (low >> 3), bits: 5 };
+}
+
+/**
+ * Split the concatenated frequency tables of a block header
+ *
+ * @param {number[]} freq - L, M, D and literal frequencies
+ * @returns {Object}
+ */
+function splitFrequencies(freq) {
+  return {
+    lFreq: freq.slice(0, L_SYMBOLS),
+    mFreq: freq.slice(L_SYMBOLS, L_SYMBOLS + M_SYMBOLS),
+    dFreq: freq.slice(L_SYMBOLS + M_SYMBOLS, L_SYMBOLS + M_SYMBOLS + D_SYMBOLS),
+    literalFreq: freq.slice(L_SYMBOLS + M_SYMBOLS + D_SYMBOLS),
+  };
+}
+
+/**
+ * Decode an LZFSE block: FSE-coded literals, then FSE-coded (L, M, D) triplets
+ * each copying L literals followed by a match of M bytes at distance D
+ *
+ * @param {Buffer} data - Stream
+ * @param {number} payloadOffset - Offset of the block payload
+ * @param {Object} header - Block header
+ * @param {OutputBuffer} output - Output
+ */
+function decodeLzfseBlock(data, payloadOffset, header, output) {
+  const literalDecoder = buildDecoderTable(LITERAL_STATES, header.literalFreq);
+  const lDecoder = buildValueDecoderTable(L_STATES, header.lFreq, L_EXTRA_BITS, L_BASE_VALUE);
+  const mDecoder = buildValueDecoderTable(M_STATES, header.mFreq, M_EXTRA_BITS, M_BASE_VALUE);
+  const dDecoder = buildValueDecoderTable(D_STATES, header.dFreq, D_EXTRA_BITS, D_BASE_VALUE);
+
+  const literals = Buffer.alloc(header.literalCount + 4);
+  const literalStream = new BackwardBitStream(
+    data.subarray(payloadOffset, payloadOffset + header.literalPayloadBytes),
+    header.literalBits,
+  );
+  const states = [...header.literalStates];
+  for (let i = 0; i < header.literalCount; i += 4) {
+    for (let j = 0; j < 4; j++) {
+      const entry = literalDecoder[states[j]];
+      if (!entry) {
+        throw new Error('Invalid LZFSE literal state');
+      }
+      literals[i + j] = entry.symbol;
+      states[j] = entry.delta + literalStream.pull(entry.bits);
+    }
+  }
+
+  const lmdOffset = payloadOffset + header.literalPayloadBytes;
+  const lmdStream = new BackwardBitStream(data.subarray(lmdOffset, lmdOffset + header.lmdPayloadBytes), header.lmdBits);
+  const lmdStates = { l: header.lState, m: header.mState, d: header.dState };
+  const decodeValue = (table, name) => {
+    const entry = table[lmdStates[name]];
+    if (!entry) {
+      throw new Error('Invalid LZFSE match state');
+    }
+    const bits = lmdStream.pull(entry.totalBits);
+    lmdStates[name] = entry.delta + Math.floor(bits / 2 ** entry.valueBits);
+    return entry.base + (bits % 2 ** entry.valueBits);
+  };
+
+  const blockEnd = output.length + header.rawBytes;
+  let literalIndex = 0;
+  let distance = -1;
+  for (let i = 0; i < header.matchCount; i++) {
+    const literalLength = decodeValue(lDecoder, 'l');
+    const matchLength = decodeValue(mDecoder, 'm');
+    const newDistance = decodeValue(dDecoder, 'd');
+    distance = newDistance || distance;
+
+    if (literalIndex + literalLength > header.literalCount) {
+      throw new Error('Invalid LZFSE literal length');
+    }
+    output.append(literals.subarray(literalIndex, literalIndex + literalLength));
+    literalIndex += literalLength;
+    if (matchLength > 0) {
+      output.copyMatch(distance, matchLength);
+    }
+  }
+
+  if (output.length !== blockEnd) {
+    throw new Error(`LZFSE block decoded to ${output.length - blockEnd + header.rawBytes} bytes instead of ${header.rawBytes}`);
+  }
+}
+
+/**
+ * Build the FSE decoding table of a symbol alphabet
+ *
+ * @param {number} stateCount - Number of states
+ * @param {number[]} freq - Frequency of each symbol, summing to at most stateCount
+ * @returns {Array<{symbol: number, bits: number, delta: number}>} Entry of each state
+ */
+function buildDecoderTable(stateCount, freq) {
+  const table = [];
+  forEachState(stateCount, freq, (symbol, bits, delta) => table.push({ symbol, bits, delta }));
+  return table;
+}
+
+/**
+ * Build the FSE decoding table of a value alphabet, where each symbol stands for a
+ * base value plus a number of extra bits read from the stream
+ *
+ * @param {number} stateCount - Number of states
+ * @param {number[]} freq - Frequency of each symbol
+ * @param {number[]} extraBits - Extra bits of each symbol
+ * @param {number[]} baseValue - Base value of each symbol
+ * @returns {Array<{base: number, valueBits: number, totalBits: number, delta: number}>} Entry of each state
+ */
+function buildValueDecoderTable(stateCount, freq, extraBits, baseValue) {
+  const table = [];
+  forEachState(stateCount, freq, (symbol, bits, delta) => table.push({
+    base: baseValue[symbol],
+    valueBits: extraBits[symbol],
+    totalBits: bits + extraBits[symbol],
+    delta,
+  }));
+  return table;
+}
+
+/**
+ * Enumerate the FSE states of each symbol, in state order
+ *
+ * @param {number} stateCount - Number of states
+ * @param {number[]} freq - Frequency of each symbol
+ * @param {Function} callback - Called with (symbol, bits, delta) for each state
+ */
+function forEachState(stateCount, freq, callback) {
+  let total = 0;
+
+  freq.forEach((f, symbol) => {
+    if (f === 0) {
+      return;
+    }
+    total += f;
+    if (total > stateCount) {
+      throw new Error('Invalid LZFSE frequency table');
+    }
+
+    // Number of bits such that stateCount <= (f << k) < 2 * stateCount
+    const k = Math.clz32(f) - Math.clz32(stateCount);
+    const j0 = ((2 * stateCount) >> k) - f;
+    for (let j = 0; j < f; j++) {
+      if (j < j0) {
+        callback(symbol, k, ((f + j) << k) - stateCount);
+      } else {
+        callback(symbol, k - 1, (j - j0) << (k - 1));
+      }
+    }
+  });
+}
+
+/**
+ * Bit stream read backwards from the end of a buffer
+ *
+ * The payload is a little-endian integer whose most significant bits are read first.
+ * The last byte holds -extraBits unused high bits.
+ */
+class BackwardBitStream {
+  /**
+   * @param {Buffer} buffer - Payload
+   * @param {number} extraBits - Bit adjustment of the last byte (between -7 and 0)
+   */
+  constructor(buffer, extraBits) {
+    this.buffer = buffer;
+    this.position = buffer.length * 8 + extraBits;
+  }
+
+  /**
+   * Read the next bits
+   * @param {number} count - Number of bits (at most 32)
+   * @returns {number}
+   */
+  pull(count) {
+    if (count === 0) {
+      return 0;
+    }
+
+    this.position -= count;
+    if (this.position < 0) {
+      throw new Error('Unexpected end of LZFSE bit stream');
+    }
+
+    const firstByte = this.position >> 3;
+    const lastByte = (this.position + count - 1) >> 3;
+    let value = 0;
+    for (let i = lastByte; i >= firstByte; i--) {
+      value = value * 256 + this.buffer[i];
+    }
+    return Math.floor(value / 2 ** (this.position & 7)) % 2 ** count;
+  }
+}
+
+/**
+ * Decode an LZVN payload
+ *
+ * @param {Buffer} data - Payload
+ * @param {OutputBuffer} output - Output
+ * @param {number} rawBytes - Expected decoded size
+ */
+function decodeLzvn(data, output, rawBytes) {
+  const end = output.length + rawBytes;
+  let position = 0;
+  let distance = 0;
+
+  while (position < data.length) {
+    const opcode = data[position];
+    let literalLength = 0;
+    let matchLength = 0;
+
+    if (opcode === 0x06) {
+      // End of stream
+      break;
+    } else if (opcode === 0x0e || opcode === 0x16) {
+      // No operation
+      position += 1;
+      continue;
+    } else if (opcode >= 0xf0) {
+      // Match at the previous distance: 1111MMMM, or 11110000 MMMMMMMM
+      matchLength = opcode === 0xf0 ? data[position + 1] + 16 : opcode & 0x0f;
+      position += opcode === 0xf0 ? 2 : 1;
+    } else if (opcode >= 0xe0) {
+      // Literals: 1110LLLL, or 11100000 LLLLLLLL
+      literalLength = opcode === 0xe0 ? data[position + 1] + 16 : opcode & 0x0f;
+      position += opcode === 0xe0 ? 2 : 1;
+    } else if (opcode >= 0xa0 && opcode < 0xc0) {
+      // Medium distance: 101LLMMM DDDDDDMM DDDDDDDD
+      const operand = data.readUInt16LE(position + 1);
+      literalLength = (opcode >> 3) & 0x3;
+      matchLength = (((opcode & 0x7) << 2) | (operand & 0x3)) + 3;
+      distance = operand >> 2;
+      position += 3;
+    } else if ((opcode >= 0x70 && opcode < 0x80) || (opcode >= 0xd0 && opcode < 0xe0)
+      || (opcode < 0x40 && (opcode & 0x7) === 6)) {
+      throw new Error(`Invalid LZVN opcode 0x${opcode.toString(16)}`);
+    } else {
+      // LLMMMDDD with a small (DDD DDDDDDDD), previous (110) or large (111 + 16 bits) distance
+      literalLength = opcode >> 6;
+      matchLength = ((opcode >> 3) & 0x7) + 3;
+      if ((opcode & 0x7) === 6) {
+        position += 1;
+      } else if ((opcode & 0x7) === 7) {
+        distance = data.readUInt16LE(position + 1);
+        position += 3;
+      } else {
+        distance = ((opcode & 0x7) << 8) | data[position + 1];
+        position += 2;
+      }
+    }
+
+    output.append(data.subarray(position, position + literalLength));
+    position += literalLength;
+    if (matchLength > 0) {
+      output.copyMatch(distance, matchLength);
+    }
+  }
+
+  if (output.length !== end) {
+    throw new Error(`LZVN block decoded to ${output.length - end + rawBytes} bytes instead of ${rawBytes}`);
+  }
+}
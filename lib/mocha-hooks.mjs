@@ -0,0 +1,204 @@
+import { FirefoxDriver } from './webdriver-helper.mjs';
+import { startTestServer } from './test-server.mjs';
+import { parseShard, selectShardTests } from './test-runner.mjs';
+import { collectTestResults, startRecording, stopRecording, writeTestResults } from './test-report.mjs';
+
+/**
+ * How tests are isolated from each other
+ * - context: each test runs in a tab of a new BiDi user context (own cookies, storage and cache)
+ * - browser: each test gets a new browser
+ * - none: tests share the browser and its state, and start on about:blank
+ */
+export const ISOLATION_MODES = ['context', 'browser', 'none'];
+
+let activeDriver = null;
+let activeServer = null;
+
+/**
+ * Create Mocha root hooks managing the test server and the browser
+ * The server and browser start once before all tests and stop after them. Tests, and suite
+ * hooks, get them as this.driver and this.server, or from getDriver() and getServer().
+ * A test during which Firefox crashed fails with the reason of the crash, its minidumps are
+ * moved to the driver's crashesDir, and the browser restarts if it is gone. A test during
+ * which an interceptRequests handler threw fails with its errors.
+ *
+ * Export the result as mochaHooks from a file required in .mocharc.json, e.g.
+ *   export const mochaHooks = createMochaHooks({ driverOptions: { failOnPageErrors: true } });
+ *
+ * @param {Object} options - Hook options
+ * @param {'context'|'browser'|'none'} options.isolation - How tests are isolated, see ISOLATION_MODES
+ *   (default: FIREFOX_ISOLATION, or context)
+ * @param {boolean} options.restartOnFailure - Restart the browser after a failed test, so that a broken
+ *   browser does not fail the following tests (default: true when FIREFOX_RESTART_ON_FAILURE is set)
+ * @param {Object|false} options.server - Options of startTestServer, or false to start no server
+ *   (default: serve test/ on a free port)
+ * @param {Object} options.driverOptions - FirefoxDriver options (baseUrl defaults to the server URL)
+ * @param {string} options.shard - Only run one shard of the tests, e.g. "2/3" (default: FIREFOX_SHARD,
+ *   or every test). In parallel mode, the tests of each spec file are sharded separately.
+ * @param {string} options.reportDir - Directory to write the result, metrics, Firefox build and preferences
+ *   of each test to, for lib/report-cli.mjs (default: FIREFOX_REPORT_DIR, or no results)
+ * @returns {{beforeAll: Function, beforeEach: Function, afterEach: Function, afterAll: Function}}
+ */
+export function createMochaHooks({
+  isolation = process.env.FIREFOX_ISOLATION || 'context',
+  restartOnFailure = Boolean(process.env.FIREFOX_RESTART_ON_FAILURE),
+  server: serverOptions = { root: 'test' },
+  driverOptions = {},
+  shard = process.env.FIREFOX_SHARD,
+  reportDir = process.env.FIREFOX_REPORT_DIR,
+} = {}) {
+  if (!ISOLATION_MODES.includes(isolation)) {
+    throw new Error(`Unknown isolation mode "${isolation}" (expected ${ISOLATION_MODES.join(', ')})`);
+  }
+  const shardSpec = shard ? parseShard(shard) : null;
+  let rootSuite = null;
+  const testDetails = new Map();
+
+  const startDriver = async () => {
+    const driver = new FirefoxDriver({ ...(activeServer ? { baseUrl: activeServer.url } : {}), ...driverOptions });
+    await driver.build();
+    activeDriver = driver;
+    console.log('Firefox driver initialized');
+  };
+
+  const stopDriver = async () => {
+    const driver = activeDriver;
+    activeDriver = null;
+    if (driver) {
+      await driver.quit();
+      console.log('Firefox driver closed');
+    }
+  };
+
+  // Metrics recorded during the test, and the build and preferences it ran with
+  const getTestDetails = async () => {
+    let build = null;
+    try {
+      build = activeDriver ? await activeDriver.getBuildInfo() : null;
+    } catch (err) {
+      // The browser crashed or quit, the result is kept without its build
+    }
+    return { metrics: stopRecording(), build, preferences: activeDriver ? { ...activeDriver.preferences } : null };
+  };
+
+  return {
+    async beforeAll() {
+      // Tests and hooks inherit the properties of the root context
+      Object.defineProperty(this, 'driver', { get: getDriver, configurable: true });
+      Object.defineProperty(this, 'server', { get: getServer, configurable: true });
+
+      if (shardSpec) {
+        const { selected, total } = selectShardTests(this.test.parent, shardSpec);
+        console.log(`Shard ${shard}: running ${selected} of ${total} test(s)`);
+        if (selected === 0) {
+          return;
+        }
+      }
+      rootSuite = this.test.parent;
+
+      if (serverOptions) {
+        activeServer = await startTestServer(serverOptions);
+      }
+      if (isolation !== 'browser') {
+        await startDriver();
+      }
+    },
+
+    async beforeEach() {
+      if (reportDir) {
+        startRecording();
+      }
+
+      // Without a browser after a restart, or with one browser per test
+      if (!activeDriver) {
+        await startDriver();
+      }
+
+      if (isolation === 'context') {
+        await activeDriver.newUserContext();
+      } else if (isolation === 'none') {
+        await activeDriver.url('about:blank');
+      }
+    },
+
+    async afterEach() {
+      if (reportDir) {
+        testDetails.set(this.currentTest, await getTestDetails());
+      }
+
+      if (!activeDriver) {
+        return;
+      }
+
+      const crash = await activeDriver.checkForCrashes(this.currentTest.fullTitle());
+      if (crash) {
+        // Fails the test rather than the hook, so the following tests still run
+        this.test.error(new Error(crash.message));
+        if (crash.exited) {
+          console.log('✗ Firefox crashed, restarting it');
+          await stopDriver();
+          return;
+        }
+      }
+
+      const routeErrors = activeDriver.takeNetworkRouteErrors();
+      if (routeErrors.length > 0) {
+        this.test.error(new Error(`${routeErrors.length} network route handler(s) failed:\n${routeErrors.map(err => `  ${err.message}`).join('\n')}`));
+      }
+
+      if (isolation === 'browser') {
+        await stopDriver();
+        return;
+      }
+      if (restartOnFailure && this.currentTest?.state === 'failed') {
+        console.log(`Restarting Firefox after the failure of "${this.currentTest.fullTitle()}"`);
+        await stopDriver();
+        return;
+      }
+
+      if (isolation === 'context') {
+        try {
+          await activeDriver.closeUserContext();
+        } catch (err) {
+          // The browser is unusable, start a new one for the next test
+          console.log(`✗ Could not close the user context (${err.message}), restarting Firefox`);
+          await stopDriver();
+        }
+      }
+    },
+
+    async afterAll() {
+      if (reportDir && rootSuite) {
+        const resultsPath = writeTestResults(reportDir, collectTestResults(rootSuite, testDetails));
+        console.log(`Wrote the test results to ${resultsPath}`);
+        rootSuite = null;
+        testDetails.clear();
+      }
+
+      await stopDriver();
+      if (activeServer) {
+        await activeServer.close();
+        activeServer = null;
+      }
+    },
+  };
+}
+
+/**
+ * Get the FirefoxDriver of the current test, started by the root hooks
+ * For helpers registering their own hooks, e.g. captureConsoleEachTest(getDriver).
+ *
+ * @returns {FirefoxDriver|null}
+ */
+export function getDriver() {
+  return activeDriver;
+}
+
+/**
+ * Get the test server started by the root hooks
+ *
+ * @returns {import('./test-server.mjs').TestServer|null}
+ */
+export function getServer() {
+  return activeServer;
+}
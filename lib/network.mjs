@@ -0,0 +1,248 @@
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { getTestFileName } from './profiler.mjs';
+
+/**
+ * Default directory for HAR files
+ */
+export const DEFAULT_HAR_DIR = join(tmpdir(), 'firefox-har');
+
+/**
+ * BiDi network events recorded by FirefoxDriver
+ */
+export const NETWORK_EVENTS = [
+  'network.beforeRequestSent',
+  'network.responseStarted',
+  'network.responseCompleted',
+  'network.fetchError',
+];
+
+/**
+ * Throttling profiles of the Firefox DevTools network monitor
+ * latency is added to every request in milliseconds, downloadThroughput is in bits per second.
+ */
+export const THROTTLING_PROFILES = {
+  'GPRS': { latency: 500, downloadThroughput: 50 * 1000 },
+  'Regular 2G': { latency: 300, downloadThroughput: 250 * 1000 },
+  'Good 2G': { latency: 150, downloadThroughput: 450 * 1000 },
+  'Regular 3G': { latency: 100, downloadThroughput: 750 * 1000 },
+  'Good 3G': { latency: 40, downloadThroughput: 1.5 * 1000 * 1000 },
+  'Regular 4G': { latency: 20, downloadThroughput: 4 * 1000 * 1000 },
+  'DSL': { latency: 5, downloadThroughput: 2 * 1000 * 1000 },
+  'Wi-Fi': { latency: 2, downloadThroughput: 30 * 1000 * 1000 },
+};
+
+/**
+ * Check whether a URL matches an interception pattern
+ * Strings match the whole URL, with "*" matching any characters; regular expressions are tested as-is.
+ *
+ * @param {string|RegExp} pattern - URL pattern, e.g. "https://ads.example.com/*"
+ * @param {string} url - Request URL
+ * @returns {boolean}
+ */
+export function matchesUrl(pattern, url) {
+  if (pattern instanceof RegExp) {
+    return pattern.test(url);
+  }
+  const source = pattern.split('*').map(part => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&')).join('.*');
+  return new RegExp(`^${source}$`).test(url);
+}
+
+/**
+ * Convert BiDi headers to {name, value} pairs
+ *
+ * @param {Array<{name: string, value: {type: string, value: string}}>} headers - BiDi headers
+ * @returns {Array<{name: string, value: string}>}
+ */
+export function parseHeaders(headers = []) {
+  return headers.map(({ name, value }) => ({
+    name,
+    value: value.type === 'base64' ? Buffer.from(value.value, 'base64').toString('latin1') : value.value,
+  }));
+}
+
+/**
+ * Convert {name: value} headers to BiDi headers
+ *
+ * @param {Object<string, string>} headers - Headers
+ * @returns {Array<{name: string, value: {type: string, value: string}}>}
+ */
+export function toBidiHeaders(headers) {
+  return Object.entries(headers).map(([name, value]) => ({ name, value: { type: 'string', value: String(value) } }));
+}
+
+/**
+ * Create a network record from a BiDi network.beforeRequestSent event
+ *
+ * @param {Object} params - Event parameters
+ * @returns {Object} Record, completed by updateNetworkRecord
+ */
+export function createNetworkRecord(params) {
+  const { request } = params;
+  return {
+    id: request.request,
+    url: request.url,
+    method: request.method,
+    requestHeaders: parseHeaders(request.headers),
+    requestBodySize: request.bodySize ?? 0,
+    context: params.context ?? null,
+    navigation: params.navigation ?? null,
+    redirectCount: params.redirectCount ?? 0,
+    startedAt: params.timestamp,
+    status: null,
+    statusText: null,
+    protocol: null,
+    mimeType: null,
+    responseHeaders: [],
+    fromCache: false,
+    bytesReceived: 0,
+    duration: null,
+    timings: request.timings || {},
+    error: null,
+    intercepted: null,
+  };
+}
+
+/**
+ * Update a network record from a response or error event
+ *
+ * @param {Object} record - Record from createNetworkRecord
+ * @param {string} method - Event name
+ * @param {Object} params - Event parameters
+ */
+export function updateNetworkRecord(record, method, params) {
+  record.timings = params.request.timings || record.timings;
+
+  if (method === 'network.fetchError') {
+    record.error = params.errorText;
+    record.duration = params.timestamp - record.startedAt;
+    return;
+  }
+
+  const { response } = params;
+  Object.assign(record, {
+    status: response.status,
+    statusText: response.statusText,
+    protocol: response.protocol,
+    mimeType: response.mimeType,
+    responseHeaders: parseHeaders(response.headers),
+    fromCache: response.fromCache,
+    bytesReceived: response.bytesReceived ?? record.bytesReceived,
+  });
+  if (method === 'network.responseCompleted') {
+    record.duration = params.timestamp - record.startedAt;
+  }
+}
+
+/**
+ * Build a HAR 1.2 log from network records
+ *
+ * @param {Array<Object>} records - Records of FirefoxDriver.getNetworkRequests
+ * @param {Object} options - HAR options
+ * @param {string} options.browserVersion - Firefox version (optional)
+ * @returns {Object} HAR document, which the DevTools network monitor can import
+ */
+export function createHar(records, { browserVersion = '' } = {}) {
+  return {
+    log: {
+      version: '1.2',
+      creator: { name: 'github-action-test-firefox', version: '' },
+      browser: { name: 'Firefox', version: browserVersion },
+      pages: [],
+      entries: records.map(record => {
+        const timings = getHarTimings(record.timings);
+        const headerValue = name => record.responseHeaders.find(header => header.name.toLowerCase() === name)?.value || '';
+        return {
+          startedDateTime: new Date(record.startedAt).toISOString(),
+          // ssl is part of connect
+          time: ['blocked', 'dns', 'connect', 'send', 'wait', 'receive'].reduce((sum, name) => sum + Math.max(timings[name], 0), 0),
+          request: {
+            method: record.method,
+            url: record.url,
+            httpVersion: record.protocol || '',
+            cookies: [],
+            headers: record.requestHeaders,
+            queryString: [...new URL(record.url).searchParams].map(([name, value]) => ({ name, value })),
+            headersSize: -1,
+            bodySize: record.requestBodySize,
+          },
+          response: {
+            status: record.status ?? 0,
+            statusText: record.error || record.statusText || '',
+            httpVersion: record.protocol || '',
+            cookies: [],
+            headers: record.responseHeaders,
+            content: { size: record.bytesReceived, mimeType: record.mimeType || '' },
+            redirectURL: headerValue('location'),
+            headersSize: -1,
+            bodySize: record.fromCache ? 0 : record.bytesReceived,
+          },
+          cache: {},
+          timings,
+          _fromCache: record.fromCache,
+          _intercepted: record.intercepted,
+        };
+      }),
+    },
+  };
+}
+
+/**
+ * Register Mocha hooks saving the network requests of each test as a HAR file
+ * Requests are cleared before each test, and saved after it in the driver's harDir,
+ * named after the full title of the test. Nothing is saved when Firefox crashed during the test.
+ *
+ * @param {Function} getDriver - Returns the FirefoxDriver in use (called when the hooks run)
+ */
+export function recordNetworkEachTest(getDriver) {
+  beforeEach(function () {
+    getDriver().clearNetworkRequests();
+  });
+
+  afterEach(async function () {
+    const driver = getDriver();
+    const title = this.currentTest.fullTitle();
+    if (!driver.isBrowserRunning()) {
+      console.log(`✗ Could not save the network requests of "${title}": Firefox is not running`);
+      return;
+    }
+    try {
+      await driver.saveHar(title);
+    } catch (err) {
+      console.log(`✗ Could not save the network requests of "${title}": ${err.message}`);
+    }
+  });
+}
+
+/**
+ * Get the HAR file name of a test
+ *
+ * @param {string} title - Test title, e.g. Mocha's fullTitle()
+ * @returns {string} e.g. "tests-test-1.har"
+ */
+export function getHarFileName(title) {
+  return getTestFileName(title, '.har', 'network');
+}
+
+/**
+ * Convert BiDi fetch timings to HAR timings (milliseconds, -1 when not applicable)
+ *
+ * @param {Object} timings - BiDi FetchTimingInfo
+ * @returns {{blocked: number, dns: number, connect: number, ssl: number, send: number, wait: number, receive: number}}
+ */
+function getHarTimings(timings) {
+  const span = (start, end) => (timings[start] > 0 && timings[end] >= timings[start] ? timings[end] - timings[start] : -1);
+  const dns = span('dnsStart', 'dnsEnd');
+  const connect = span('connectStart', 'connectEnd');
+  const blocked = span('fetchStart', 'requestStart');
+
+  return {
+    blocked: blocked === -1 ? -1 : Math.max(0, blocked - Math.max(dns, 0) - Math.max(connect, 0)),
+    dns,
+    connect,
+    ssl: span('tlsStart', 'connectEnd'),
+    send: 0,
+    wait: Math.max(span('requestStart', 'responseStart'), 0),
+    receive: Math.max(span('responseStart', 'responseEnd'), 0),
+  };
+}
@@ -0,0 +1,214 @@
+/**
+ * Minimal PNG codec for screenshot comparison (https://www.w3.org/TR/png/)
+ *
+ * Decodes non-interlaced 8-bit grayscale, RGB and palette images, with or without alpha,
+ * which covers the screenshots of Firefox and most baselines saved by image editors.
+ * Encodes RGBA images.
+ */
+
+import { deflateSync, inflateSync } from 'zlib';
+
+const SIGNATURE = Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]);
+
+const COLOR_GRAYSCALE = 0;
+const COLOR_RGB = 2;
+const COLOR_PALETTE = 3;
+const COLOR_GRAYSCALE_ALPHA = 4;
+const COLOR_RGBA = 6;
+
+const CHANNELS = {
+  [COLOR_GRAYSCALE]: 1,
+  [COLOR_RGB]: 3,
+  [COLOR_PALETTE]: 1,
+  [COLOR_GRAYSCALE_ALPHA]: 2,
+  [COLOR_RGBA]: 4,
+};
+
+const CRC_TABLE = Array.from({ length: 256 }, (_, n) => {
+  let c = n;
+  for (let k = 0; k < 8; k++) {
+    c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+  }
+  return c >>> 0;
+});
+
+/**
+ * Decode a PNG image
+ *
+ * @param {Buffer} data - PNG file contents
+ * @returns {{width: number, height: number, data: Buffer}} RGBA pixels, 4 bytes per pixel, row by row
+ */
+export function decodePng(data) {
+  if (data.length < SIGNATURE.length || !data.subarray(0, SIGNATURE.length).equals(SIGNATURE)) {
+    throw new Error('Not a PNG image');
+  }
+
+  let header = null;
+  let palette = null;
+  let transparency = null;
+  const idat = [];
+
+  for (let offset = SIGNATURE.length; offset + 8 <= data.length;) {
+    const length = data.readUInt32BE(offset);
+    const type = data.toString('latin1', offset + 4, offset + 8);
+    const chunk = data.subarray(offset + 8, offset + 8 + length);
+    offset += 12 + length;
+
+    if (type === 'IHDR') {
+      header = {
+        width: chunk.readUInt32BE(0),
+        height: chunk.readUInt32BE(4),
+        bitDepth: chunk[8],
+        colorType: chunk[9],
+        interlace: chunk[12],
+      };
+    } else if (type === 'PLTE') {
+      palette = chunk;
+    } else if (type === 'tRNS') {
+      transparency = chunk;
+    } else if (type === 'IDAT') {
+      idat.push(chunk);
+    } else if (type === 'IEND') {
+      break;
+    }
+  }
+
+  if (!header) {
+    throw new Error('PNG image has no IHDR chunk');
+  }
+  const { width, height, bitDepth, colorType, interlace } = header;
+  if (bitDepth !== 8 || !CHANNELS[colorType] || interlace !== 0) {
+    throw new Error(`Unsupported PNG format (bit depth ${bitDepth}, color type ${colorType}, interlace ${interlace})`);
+  }
+  if (colorType === COLOR_PALETTE && !palette) {
+    throw new Error('PNG palette image has no PLTE chunk');
+  }
+
+  const bytesPerPixel = CHANNELS[colorType];
+  const pixels = unfilter(inflateSync(Buffer.concat(idat)), width, height, bytesPerPixel);
+  const rgba = Buffer.alloc(width * height * 4);
+
+  for (let i = 0; i < width * height; i++) {
+    const source = i * bytesPerPixel;
+    const target = i * 4;
+    switch (colorType) {
+      case COLOR_GRAYSCALE:
+      case COLOR_GRAYSCALE_ALPHA:
+        rgba.fill(pixels[source], target, target + 3);
+        rgba[target + 3] = colorType === COLOR_GRAYSCALE_ALPHA ? pixels[source + 1] : 255;
+        break;
+      case COLOR_RGB:
+      case COLOR_RGBA:
+        pixels.copy(rgba, target, source, source + 3);
+        rgba[target + 3] = colorType === COLOR_RGBA ? pixels[source + 3] : 255;
+        break;
+      case COLOR_PALETTE: {
+        const index = pixels[source];
+        palette.copy(rgba, target, index * 3, index * 3 + 3);
+        rgba[target + 3] = transparency && index < transparency.length ? transparency[index] : 255;
+        break;
+      }
+    }
+  }
+
+  return { width, height, data: rgba };
+}
+
+/**
+ * Encode an RGBA image as PNG
+ *
+ * @param {{width: number, height: number, data: Buffer}} image - RGBA pixels, 4 bytes per pixel, row by row
+ * @returns {Buffer} PNG file contents
+ */
+export function encodePng({ width, height, data }) {
+  const stride = width * 4;
+  const raw = Buffer.alloc((stride + 1) * height);
+  for (let y = 0; y < height; y++) {
+    // Filter type 0 (none) for every row
+    data.copy(raw, y * (stride + 1) + 1, y * stride, (y + 1) * stride);
+  }
+
+  const header = Buffer.alloc(13);
+  header.writeUInt32BE(width, 0);
+  header.writeUInt32BE(height, 4);
+  header[8] = 8;
+  header[9] = COLOR_RGBA;
+
+  return Buffer.concat([
+    SIGNATURE,
+    createChunk('IHDR', header),
+    createChunk('IDAT', deflateSync(raw)),
+    createChunk('IEND', Buffer.alloc(0)),
+  ]);
+}
+
+/**
+ * Reverse the per-row filters of decompressed image data
+ *
+ * @param {Buffer} data - Decompressed IDAT data, each row prefixed with its filter type
+ * @param {number} width - Image width
+ * @param {number} height - Image height
+ * @param {number} bytesPerPixel - Bytes per pixel
+ * @returns {Buffer} Unfiltered pixels
+ */
+function unfilter(data, width, height, bytesPerPixel) {
+  const stride = width * bytesPerPixel;
+  if (data.length < (stride + 1) * height) {
+    throw new Error('PNG image data is truncated');
+  }
+
+  const pixels = Buffer.alloc(stride * height);
+  for (let y = 0; y < height; y++) {
+    const filter = data[y * (stride + 1)];
+    const row = y * stride;
+    const source = y * (stride + 1) + 1;
+
+    for (let x = 0; x < stride; x++) {
+      const left = x >= bytesPerPixel ? pixels[row + x - bytesPerPixel] : 0;
+      const up = y > 0 ? pixels[row - stride + x] : 0;
+      const upLeft = y > 0 && x >= bytesPerPixel ? pixels[row - stride + x - bytesPerPixel] : 0;
+      let predictor;
+      switch (filter) {
+        case 0: predictor = 0; break;
+        case 1: predictor = left; break;
+        case 2: predictor = up; break;
+        case 3: predictor = (left + up) >> 1; break;
+        case 4: predictor = paeth(left, up, upLeft); break;
+        default: throw new Error(`Invalid PNG filter type ${filter}`);
+      }
+      pixels[row + x] = (data[source + x] + predictor) & 0xff;
+    }
+  }
+  return pixels;
+}
+
+/**
+ * Paeth predictor of filter type 4
+ */
+function paeth(a, b, c) {
+  const p = a + b - c;
+  const pa = Math.abs(p - a);
+  const pb = Math.abs(p - b);
+  const pc = Math.abs(p - c);
+  if (pa <= pb && pa <= pc) {
+    return a;
+  }
+  return pb <= pc ? b : c;
+}
+
+/**
+ * Build a PNG chunk: length, type, data and CRC of type and data
+ */
+function createChunk(type, data) {
+  const chunk = Buffer.alloc(12 + data.length);
+  chunk.writeUInt32BE(data.length, 0);
+  chunk.write(type, 4, 'latin1');
+  data.copy(chunk, 8);
+
+  let crc = 0xffffffff;
+  for (const byte of chunk.subarray(4, 8 + data.length)) {
+    crc = CRC_TABLE[(crc ^ byte) & 0xff] ^ (crc >>> 8);
+  }
+  chunk.writeUInt32BE((crc ^ 0xffffffff) >>> 0, 8 + data.length);
+  return chunk;
+}
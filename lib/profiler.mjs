@@ -0,0 +1,99 @@
+import { tmpdir } from 'os';
+import { join } from 'path';
+
+export const DEFAULT_PROFILES_DIR = join(tmpdir(), 'firefox-profiles');
+
+/**
+ * Default profiler settings, based on the "Firefox Platform" preset of about:profiling
+ */
+export const DEFAULT_PROFILER_OPTIONS = {
+  features: ['js', 'stackwalk', 'cpu', 'screenshots', 'processcpu'],
+  threads: ['GeckoMain', 'Compositor', 'Renderer', 'DOM Worker'],
+  interval: 1,
+  entries: 128 * 1024 * 1024,
+};
+
+/**
+ * Chrome context script starting the profiler: arguments are entries, interval (ms),
+ * features and threads. Resolves once the profiler runs in every process.
+ */
+export const START_PROFILER_SCRIPT = `
+  const [entries, interval, features, threads] = arguments;
+  return Services.profiler.StartProfiler(entries, interval, features, threads);
+`;
+
+/**
+ * Chrome context script collecting the profile of every process and stopping the profiler.
+ * Returns the gzipped profile as base64, as WebDriver can only return JSON values.
+ */
+export const STOP_PROFILER_SCRIPT = `
+  return (async () => {
+    Services.profiler.Pause();
+    try {
+      const bytes = new Uint8Array(await Services.profiler.getProfileDataAsGzippedArrayBuffer());
+      let binary = '';
+      for (let i = 0; i < bytes.length; i += 0x8000) {
+        binary += String.fromCharCode.apply(null, bytes.subarray(i, i + 0x8000));
+      }
+      return btoa(binary);
+    } finally {
+      Services.profiler.StopProfiler();
+    }
+  })();
+`;
+
+/**
+ * Get the file name of the profile of a test
+ *
+ * @param {string} title - Test title, e.g. Mocha's fullTitle()
+ * @returns {string} e.g. "tests-test-1.json.gz"
+ */
+export function getProfileFileName(title) {
+  return getTestFileName(title, '.json.gz', 'profile');
+}
+
+/**
+ * Get a file name for an artifact of a test, keeping only safe characters of its title
+ *
+ * @param {string} title - Test title, e.g. Mocha's fullTitle()
+ * @param {string} extension - File extension, e.g. ".har"
+ * @param {string} fallback - Name used when no character of the title is kept
+ * @returns {string}
+ */
+export function getTestFileName(title, extension, fallback) {
+  const name = title.trim().replace(/[^a-zA-Z0-9._-]+/g, '-').replace(/^-+|-+$/g, '').slice(0, 200);
+  return `${name || fallback}${extension}`;
+}
+
+/**
+ * Register Mocha hooks capturing a profile of each test
+ * The profiler is started before each test and the profile saved after it, named after
+ * the full title of the test, whether the test passed or not. No profile is saved when
+ * Firefox crashed during the test.
+ *
+ * @param {Function} getDriver - Returns the FirefoxDriver to profile (it may be created in a before hook)
+ * @param {Object} options - Options passed to FirefoxDriver.startProfiler
+ */
+export function profileEachTest(getDriver, options = {}) {
+  beforeEach(async function () {
+    await getDriver().startProfiler(options);
+  });
+
+  afterEach(async function () {
+    const driver = getDriver();
+    if (!driver.isProfilerRunning) {
+      return;
+    }
+
+    const title = this.currentTest.fullTitle();
+    if (!driver.isBrowserRunning()) {
+      console.log(`✗ Could not save the profile of "${title}": Firefox is not running`);
+      return;
+    }
+    try {
+      await driver.stopProfiler(title);
+    } catch (err) {
+      console.log(`✗ Could not save the profile of "${title}": ${err.message}`);
+    }
+  });
+}
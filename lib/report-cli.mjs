@@ -0,0 +1,127 @@
+#!/usr/bin/env node
+
+import { existsSync, mkdirSync, readFileSync, writeFileSync } from 'fs';
+import { join } from 'path';
+import { readTestResults, createReport, checkThresholds, formatJUnit, formatReportMarkdown } from './test-report.mjs';
+
+/**
+ * CLI tool reporting the results of a test run
+ *
+ * Usage:
+ *   node report-cli.mjs [--dir <path>] [--thresholds <file>] [--baseline <results.json>]
+ *
+ * Options:
+ *   --dir <path>              - Report directory the root hooks wrote results to (default: FIREFOX_REPORT_DIR)
+ *   --thresholds <file>       - JSON file of metric thresholds; regressions make the exit code 1
+ *   --baseline <results.json> - Report of an earlier run, for maxIncrease thresholds
+ */
+
+async function main() {
+  const args = process.argv.slice(2);
+
+  if (args.includes('--help') || args.includes('-h')) {
+    console.log(`
+Usage: node report-cli.mjs [--dir <path>] [--thresholds <file>] [--baseline <results.json>]
+
+Merges the test results written by the Mocha root hooks when FIREFOX_REPORT_DIR is set,
+from every worker and run, into results.json and junit.xml in the report directory.
+In GitHub Actions, a Markdown table of the results is added to the job summary.
+
+Failed tests do not change the exit code: it is 1 only when a metric regressed past
+its threshold. Thresholds are keyed by metric name, e.g.
+  { "fcp": { "max": 1000 }, "load": { "maxIncrease": 0.2 } }
+where max is an upper bound, and maxIncrease the largest growth over the same metric
+of the same test in the --baseline report (0.2 for 20%).
+
+Options:
+  --dir <path>               Report directory (default: FIREFOX_REPORT_DIR)
+  --thresholds <file>        JSON file of metric thresholds
+  --baseline <results.json>  Report of an earlier run, e.g. of the main branch
+  --help, -h                 Show this help message
+
+Examples:
+  # Report the results of a run
+  FIREFOX_REPORT_DIR=/tmp/report npm run test:e2e:firefox
+  node report-cli.mjs --dir /tmp/report
+
+  # Fail on FCP above 1 second, or 20% above the last report
+  node report-cli.mjs --dir /tmp/report --thresholds config/thresholds.json --baseline main/results.json
+`);
+    return;
+  }
+
+  const dir = getOptionValue(args, '--dir') || process.env.FIREFOX_REPORT_DIR;
+  if (!dir) {
+    throw new Error('No report directory, set --dir or FIREFOX_REPORT_DIR');
+  }
+  const thresholdsPath = getOptionValue(args, '--thresholds');
+  const baselinePath = getOptionValue(args, '--baseline');
+  const thresholds = thresholdsPath ? readJson(thresholdsPath) : {};
+  const baseline = baselinePath ? readJson(baselinePath) : null;
+
+  // Results are removed once merged, so that the next run in the directory starts afresh
+  const results = readTestResults(dir, { remove: true });
+  if (results.length === 0) {
+    throw new Error(`No test results in ${dir} (were the tests run with FIREFOX_REPORT_DIR=${dir}?)`);
+  }
+  const report = createReport(results, { regressions: checkThresholds(results, thresholds, baseline) });
+  const { summary } = report;
+
+  mkdirSync(dir, { recursive: true });
+  writeFileSync(join(dir, 'results.json'), JSON.stringify(report, null, 2) + '\n');
+  writeFileSync(join(dir, 'junit.xml'), formatJUnit(report));
+  console.log(`✓ Wrote results.json and junit.xml to ${dir}`);
+
+  if (process.env.GITHUB_STEP_SUMMARY) {
+    writeFileSync(process.env.GITHUB_STEP_SUMMARY, formatReportMarkdown(report), { flag: 'a' });
+    console.log('✓ Added the results to the GitHub Actions job summary');
+  }
+
+  console.log(`\n${summary.passed} passed, ${summary.failed} failed, ${summary.skipped} skipped`);
+  for (const test of report.tests.filter(test => test.state === 'failed')) {
+    console.log(`✗ ${test.fullTitle}: ${(test.error?.message || 'Test failed').split('\n')[0]}`);
+  }
+
+  if (report.regressions.length > 0) {
+    console.error(`\n✗ ${report.regressions.length} metric(s) regressed past their thresholds:`);
+    for (const regression of report.regressions) {
+      console.error(`  ${regression.test}: ${regression.message}`);
+    }
+    process.exitCode = 1;
+  } else if (thresholdsPath) {
+    console.log('✓ No metric regressed past its threshold');
+  }
+}
+
+/**
+ * Read a JSON file
+ *
+ * @param {string} path - File path
+ * @returns {*}
+ */
+function readJson(path) {
+  if (!existsSync(path)) {
+    throw new Error(`File not found: ${path}`);
+  }
+  return JSON.parse(readFileSync(path, 'utf8'));
+}
+
+/**
+ * Get the value following a command line option
+ *
+ * @param {string[]} args - Command line arguments
+ * @param {string} name - Option name (e.g. --dir)
+ * @returns {string|undefined}
+ */
+function getOptionValue(args, name) {
+  const index = args.indexOf(name);
+  if (index !== -1 && args[index + 1]) {
+    return args[index + 1];
+  }
+  return undefined;
+}
+
+main().catch((err) => {
+  console.error(`\n✗ Error: ${err.message}`);
+  process.exit(1);
+});
@@ -0,0 +1,89 @@
+#!/usr/bin/env node
+
+import { runTests, PERF_TAG } from './test-runner.mjs';
+
+/**
+ * CLI tool running the Firefox tests in parallel, or one shard of them
+ *
+ * Usage:
+ *   node run-tests-cli.mjs [--parallel] [--jobs <n>] [--shard <i/n>] [-- mocha args]
+ *
+ * Options:
+ *   --parallel     - Run the tests in parallel Mocha workers, then the @perf tests serially
+ *   --jobs <n>     - Number of parallel workers (default: number of CPUs - 1)
+ *   --shard <i/n>  - Only run the i-th of n shards of the tests
+ */
+
+async function main() {
+  const separator = process.argv.indexOf('--');
+  const args = separator === -1 ? process.argv.slice(2) : process.argv.slice(2, separator);
+  const mochaArgs = separator === -1 ? [] : process.argv.slice(separator + 1);
+
+  if (args.includes('--help') || args.includes('-h')) {
+    console.log(`
+Usage: node run-tests-cli.mjs [--parallel] [--jobs <n>] [--shard <i/n>] [-- mocha args]
+
+Runs the Firefox tests with Mocha and the root hooks of .mocharc.json.
+
+With --parallel, spec files run in parallel Mocha workers, each with its own browser
+and test server. Tests tagged ${PERF_TAG} in their title are left out, and run one at a
+time once the other tests are done, so that measurements are not skewed by the load
+of concurrent browsers.
+
+Options:
+  --parallel      Run the tests in parallel workers, then the ${PERF_TAG} tests serially
+  --jobs <n>      Number of parallel workers (default: number of CPUs - 1)
+  --shard <i/n>   Only run the i-th of n shards of the tests, e.g. in CI jobs of a matrix
+  --help, -h      Show this help message
+
+Arguments after -- are passed to Mocha (--grep cannot be combined with --parallel).
+
+Examples:
+  # Run every spec file in 4 workers
+  node run-tests-cli.mjs --parallel --jobs 4
+
+  # Run the second half of the tests
+  node run-tests-cli.mjs --shard 2/2
+`);
+    return;
+  }
+
+  const jobs = getOptionValue(args, '--jobs');
+  if (jobs !== undefined && !(Number.isInteger(Number(jobs)) && Number(jobs) > 0)) {
+    throw new Error(`Invalid --jobs value: ${jobs}`);
+  }
+
+  const exitCode = await runTests({
+    parallel: args.includes('--parallel'),
+    jobs: jobs === undefined ? undefined : Number(jobs),
+    shard: getOptionValue(args, '--shard'),
+    mochaArgs,
+  });
+
+  if (exitCode !== 0) {
+    console.error(`\n✗ Tests failed (exit code ${exitCode})`);
+  } else {
+    console.log('\n✓ Tests passed');
+  }
+  process.exitCode = exitCode;
+}
+
+/**
+ * Get the value following a command line option
+ *
+ * @param {string[]} args - Command line arguments
+ * @param {string} name - Option name (e.g. --jobs)
+ * @returns {string|undefined}
+ */
+function getOptionValue(args, name) {
+  const index = args.indexOf(name);
+  if (index !== -1 && args[index + 1]) {
+    return args[index + 1];
+  }
+  return undefined;
+}
+
+main().catch((err) => {
+  console.error(`\n✗ Error: ${err.message}`);
+  process.exit(1);
+});
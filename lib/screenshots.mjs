@@ -0,0 +1,95 @@
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { getTestFileName } from './profiler.mjs';
+
+/**
+ * Default directory for screenshots of failed tests and of screenshot mismatches
+ */
+export const DEFAULT_SCREENSHOTS_DIR = join(tmpdir(), 'firefox-screenshots');
+
+/**
+ * Default directory of the baselines compareScreenshot compares against, relative to the working directory
+ */
+export const DEFAULT_BASELINES_DIR = join('test', 'baselines');
+
+/**
+ * Compare two RGBA images of the same size pixel by pixel
+ * Two pixels differ when one of their channels differs by more than colorThreshold.
+ * The diff image shows differing pixels in red over a faded copy of the expected image.
+ *
+ * @param {{width: number, height: number, data: Buffer}} actual - Image to check, as returned by decodePng
+ * @param {{width: number, height: number, data: Buffer}} expected - Reference image
+ * @param {Object} options - Comparison options
+ * @param {number} options.colorThreshold - Tolerated difference per channel, from 0 to 1 (default: 0.1)
+ * @returns {{mismatchedPixels: number, ratio: number, diff: {width: number, height: number, data: Buffer}}}
+ */
+export function diffImages(actual, expected, { colorThreshold = 0.1 } = {}) {
+  if (actual.width !== expected.width || actual.height !== expected.height) {
+    throw new Error(`Image size ${actual.width}x${actual.height} differs from ${expected.width}x${expected.height}`);
+  }
+
+  const tolerance = colorThreshold * 255;
+  const pixelCount = actual.width * actual.height;
+  const diff = Buffer.alloc(pixelCount * 4);
+  let mismatchedPixels = 0;
+
+  for (let offset = 0; offset < pixelCount * 4; offset += 4) {
+    let mismatch = false;
+    for (let channel = 0; channel < 4; channel++) {
+      if (Math.abs(actual.data[offset + channel] - expected.data[offset + channel]) > tolerance) {
+        mismatch = true;
+        break;
+      }
+    }
+
+    if (mismatch) {
+      mismatchedPixels++;
+      diff.set([255, 0, 0, 255], offset);
+    } else {
+      const [r, g, b] = expected.data.subarray(offset, offset + 3);
+      const gray = 255 - (255 - (0.299 * r + 0.587 * g + 0.114 * b)) * 0.1;
+      diff.fill(Math.round(gray), offset, offset + 3);
+      diff[offset + 3] = 255;
+    }
+  }
+
+  return {
+    mismatchedPixels,
+    ratio: pixelCount === 0 ? 0 : mismatchedPixels / pixelCount,
+    diff: { width: actual.width, height: actual.height, data: diff },
+  };
+}
+
+/**
+ * Register Mocha hooks capturing a screenshot of each failed test
+ * Full-page screenshots are saved in the driver's screenshotsDir, named after the full title
+ * of the test. Failing to capture one (e.g. because the browser crashed) is only reported.
+ *
+ * @param {Function} getDriver - Returns the FirefoxDriver in use (called when the hooks run)
+ */
+export function screenshotOnFailureEachTest(getDriver) {
+  afterEach(async function () {
+    if (this.currentTest.state !== 'failed') {
+      return;
+    }
+
+    const driver = getDriver();
+    const screenshotPath = join(driver.screenshotsDir, getScreenshotFileName(this.currentTest.fullTitle()));
+    try {
+      await driver.screenshot(screenshotPath, { fullPage: true });
+    } catch (err) {
+      console.log(`✗ Could not capture a screenshot of "${this.currentTest.fullTitle()}": ${err.message}`);
+    }
+  });
+}
+
+/**
+ * Get the screenshot file name of a test or comparison
+ *
+ * @param {string} title - Test title, e.g. Mocha's fullTitle(), or compareScreenshot name
+ * @param {string} suffix - Suffix before the extension, e.g. "-diff" (default: none)
+ * @returns {string} e.g. "tests-test-1.png"
+ */
+export function getScreenshotFileName(title, suffix = '') {
+  return getTestFileName(title, `${suffix}.png`, 'screenshot');
+}
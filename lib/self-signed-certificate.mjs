@@ -0,0 +1,142 @@
+/**
+ * Self-signed X.509 certificates for the HTTPS test server
+ *
+ * Certificates are built directly in DER (https://www.rfc-editor.org/rfc/rfc5280) with a P-256
+ * key, so that no openssl binary is needed. Browsers only accept them when told to ignore
+ * certificate errors (FirefoxDriver's acceptInsecureCerts option).
+ */
+
+import { generateKeyPairSync, randomBytes, sign } from 'crypto';
+import { isIP } from 'net';
+
+const OID_ECDSA_WITH_SHA256 = '1.2.840.10045.4.3.2';
+const OID_COMMON_NAME = '2.5.4.3';
+const OID_SUBJECT_ALT_NAME = '2.5.29.17';
+const OID_BASIC_CONSTRAINTS = '2.5.29.19';
+
+/**
+ * Create a self-signed certificate and its private key
+ *
+ * @param {Object} options - Certificate options
+ * @param {string} options.commonName - Subject and issuer common name (default: localhost)
+ * @param {string[]} options.altNames - DNS names and IP addresses the certificate is valid for
+ *   (default: localhost, 127.0.0.1 and ::1)
+ * @param {number} options.days - Validity in days, starting a day ago to tolerate clock skew (default: 30)
+ * @returns {{key: string, cert: string}} PEM-encoded private key and certificate
+ */
+export function createSelfSignedCertificate({ commonName = 'localhost', altNames = ['localhost', '127.0.0.1', '::1'], days = 30 } = {}) {
+  const { publicKey, privateKey } = generateKeyPairSync('ec', { namedCurve: 'P-256' });
+  const day = 24 * 60 * 60 * 1000;
+  const now = Date.now();
+
+  const signatureAlgorithm = sequence(oid(OID_ECDSA_WITH_SHA256));
+  const name = sequence(set(sequence(oid(OID_COMMON_NAME), der(0x0c, Buffer.from(commonName, 'utf-8')))));
+
+  // Positive serial number of 16 random bytes
+  const serial = randomBytes(16);
+  serial[0] &= 0x7f;
+
+  const tbsCertificate = sequence(
+    der(0xa0, integer(Buffer.from([2]))), // version 3
+    integer(serial),
+    signatureAlgorithm,
+    name,
+    sequence(time(new Date(now - day)), time(new Date(now + days * day))),
+    name,
+    publicKey.export({ type: 'spki', format: 'der' }),
+    der(0xa3, sequence(
+      sequence(oid(OID_BASIC_CONSTRAINTS), der(0x04, sequence())),
+      sequence(oid(OID_SUBJECT_ALT_NAME), der(0x04, sequence(...altNames.map(encodeGeneralName)))),
+    )),
+  );
+
+  const signature = sign('sha256', tbsCertificate, privateKey);
+  const certificate = sequence(tbsCertificate, signatureAlgorithm, der(0x03, Buffer.concat([Buffer.from([0]), signature])));
+
+  return {
+    key: privateKey.export({ type: 'pkcs8', format: 'pem' }),
+    cert: toPem('CERTIFICATE', certificate),
+  };
+}
+
+/**
+ * Encode a DER value: tag, length and contents
+ *
+ * @param {number} tag - Tag byte
+ * @param {Buffer} contents - Encoded contents
+ * @returns {Buffer}
+ */
+function der(tag, contents) {
+  let length;
+  if (contents.length < 0x80) {
+    length = Buffer.from([contents.length]);
+  } else {
+    const bytes = [];
+    for (let n = contents.length; n > 0; n >>= 8) {
+      bytes.unshift(n & 0xff);
+    }
+    length = Buffer.from([0x80 | bytes.length, ...bytes]);
+  }
+  return Buffer.concat([Buffer.from([tag]), length, contents]);
+}
+
+function sequence(...values) {
+  return der(0x30, Buffer.concat(values));
+}
+
+function set(...values) {
+  return der(0x31, Buffer.concat(values));
+}
+
+function integer(bytes) {
+  return der(0x02, bytes);
+}
+
+/**
+ * Encode an object identifier, e.g. "2.5.4.3"
+ */
+function oid(value) {
+  const [first, second, ...rest] = value.split('.').map(Number);
+  const bytes = [first * 40 + second];
+  for (const component of rest) {
+    const base128 = [component & 0x7f];
+    for (let n = component >> 7; n > 0; n >>= 7) {
+      base128.unshift(0x80 | (n & 0x7f));
+    }
+    bytes.push(...base128);
+  }
+  return der(0x06, Buffer.from(bytes));
+}
+
+/**
+ * Encode a date as UTCTime (years up to 2049) or GeneralizedTime
+ */
+function time(date) {
+  const digits = date.toISOString().replace(/[-:T]|\.\d+/g, '');
+  return date.getUTCFullYear() < 2050
+    ? der(0x17, Buffer.from(digits.slice(2), 'latin1'))
+    : der(0x18, Buffer.from(digits, 'latin1'));
+}
+
+/**
+ * Encode a subject alternative name: dNSName [2] or iPAddress [7]
+ */
+function encodeGeneralName(name) {
+  const version = isIP(name);
+  if (version === 4) {
+    return der(0x87, Buffer.from(name.split('.').map(Number)));
+  }
+  if (version === 6) {
+    const [head, tail = ''] = name.split('::');
+    const groups = part => (part ? part.split(':') : []);
+    const missing = 8 - groups(head).length - groups(tail).length;
+    const words = [...groups(head), ...Array(name.includes('::') ? missing : 0).fill('0'), ...groups(tail)];
+    return der(0x87, Buffer.from(words.flatMap(word => [parseInt(word, 16) >> 8, parseInt(word, 16) & 0xff])));
+  }
+  return der(0x82, Buffer.from(name, 'latin1'));
+}
+
+function toPem(label, data) {
+  const lines = data.toString('base64').match(/.{1,64}/g);
+  return `-----BEGIN ${label}-----\n${lines.join('\n')}\n-----END ${label}-----\n`;
+}
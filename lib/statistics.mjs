@@ -0,0 +1,187 @@
+/**
+ * Largest n1 + n2 for which Mann-Whitney p-values are computed exactly (when there are no ties)
+ */
+const EXACT_MAX_SAMPLES = 50;
+
+/**
+ * Two-sided Mann-Whitney U test of whether two samples come from the same distribution
+ *
+ * Without ties and for up to 50 samples in total, the p-value comes from the exact
+ * distribution of U. Otherwise the normal approximation is used, with tie and
+ * continuity corrections.
+ *
+ * @param {number[]} a - First sample
+ * @param {number[]} b - Second sample
+ * @returns {{u: number, z: number|null, pValue: number, exact: boolean}} U of the first sample, the
+ *   standardized statistic (null when exact), and the two-sided p-value
+ */
+export function mannWhitneyU(a, b) {
+  const n1 = a.length;
+  const n2 = b.length;
+  if (n1 === 0 || n2 === 0) {
+    throw new Error('Mann-Whitney U test needs at least one value in each sample');
+  }
+
+  const { ranks, tieGroups } = rank([...a, ...b]);
+  const rankSumA = ranks.slice(0, n1).reduce((sum, value) => sum + value, 0);
+  const u = rankSumA - (n1 * (n1 + 1)) / 2;
+  const mean = (n1 * n2) / 2;
+
+  if (tieGroups.length === 0 && n1 + n2 <= EXACT_MAX_SAMPLES) {
+    const distribution = exactUDistribution(n1, n2);
+    const lower = Math.min(u, n1 * n2 - u);
+    let tail = 0;
+    for (let k = 0; k <= lower; k++) {
+      tail += distribution[k];
+    }
+    return { u, z: null, pValue: Math.min(1, 2 * tail), exact: true };
+  }
+
+  const n = n1 + n2;
+  const tieCorrection = tieGroups.reduce((sum, t) => sum + (t ** 3 - t), 0) / (n * (n - 1));
+  const variance = ((n1 * n2) / 12) * (n + 1 - tieCorrection);
+  if (variance === 0) {
+    return { u, z: 0, pValue: 1, exact: false };
+  }
+
+  const z = (Math.abs(u - mean) - 0.5) / Math.sqrt(variance);
+  return { u, z: Math.max(0, z), pValue: Math.min(1, 2 * (1 - normalCdf(Math.max(0, z)))), exact: false };
+}
+
+/**
+ * Hodges-Lehmann estimate of the shift from sample a to sample b, with its confidence interval
+ * The estimate is the median of all pairwise differences b[j] - a[i], and the interval
+ * bounds are the pairwise differences at the ranks given by the Mann-Whitney statistic.
+ *
+ * @param {number[]} a - Baseline sample
+ * @param {number[]} b - Candidate sample
+ * @param {number} confidence - Confidence level, e.g. 0.95
+ * @returns {{estimate: number, low: number, high: number}}
+ */
+export function hodgesLehmann(a, b, confidence = 0.95) {
+  const differences = [];
+  for (const x of a) {
+    for (const y of b) {
+      differences.push(y - x);
+    }
+  }
+  differences.sort((x, y) => x - y);
+
+  const m = differences.length;
+  const z = normalQuantile(1 - (1 - confidence) / 2);
+  const k = Math.max(0, Math.floor(m / 2 - z * Math.sqrt((a.length * b.length * (a.length + b.length + 1)) / 12)));
+  const middle = (m - 1) / 2;
+
+  return {
+    estimate: (differences[Math.floor(middle)] + differences[Math.ceil(middle)]) / 2,
+    low: differences[Math.min(k, m - 1)],
+    high: differences[Math.max(m - 1 - k, 0)],
+  };
+}
+
+/**
+ * Cumulative distribution function of the standard normal distribution
+ *
+ * @param {number} x - Value
+ * @returns {number}
+ */
+export function normalCdf(x) {
+  return 0.5 * (1 + erf(x / Math.SQRT2));
+}
+
+/**
+ * Quantile function of the standard normal distribution, found by bisection
+ *
+ * @param {number} p - Probability, between 0 and 1 exclusive
+ * @returns {number}
+ */
+export function normalQuantile(p) {
+  if (!(p > 0 && p < 1)) {
+    throw new Error(`Invalid probability: ${p}`);
+  }
+
+  let low = -10;
+  let high = 10;
+  for (let i = 0; i < 100; i++) {
+    const middle = (low + high) / 2;
+    if (normalCdf(middle) < p) {
+      low = middle;
+    } else {
+      high = middle;
+    }
+  }
+  return (low + high) / 2;
+}
+
+/**
+ * Error function (Abramowitz and Stegun 7.1.26, absolute error below 1.5e-7)
+ *
+ * @param {number} x - Value
+ * @returns {number}
+ */
+function erf(x) {
+  const sign = Math.sign(x);
+  const t = 1 / (1 + 0.3275911 * Math.abs(x));
+  const polynomial = t * (0.254829592 + t * (-0.284496736 + t * (1.421413741 + t * (-1.453152027 + t * 1.061405429))));
+  return sign * (1 - polynomial * Math.exp(-x * x));
+}
+
+/**
+ * Rank values from 1, giving tied values the average of their ranks
+ *
+ * @param {number[]} values - Values
+ * @returns {{ranks: number[], tieGroups: number[]}} Rank of each value, and the size of each group of ties
+ */
+function rank(values) {
+  const order = values.map((value, index) => ({ value, index })).sort((x, y) => x.value - y.value);
+  const ranks = new Array(values.length);
+  const tieGroups = [];
+
+  for (let start = 0; start < order.length;) {
+    let end = start;
+    while (end + 1 < order.length && order[end + 1].value === order[start].value) {
+      end++;
+    }
+    const averageRank = (start + end) / 2 + 1;
+    for (let i = start; i <= end; i++) {
+      ranks[order[i].index] = averageRank;
+    }
+    if (end > start) {
+      tieGroups.push(end - start + 1);
+    }
+    start = end + 1;
+  }
+
+  return { ranks, tieGroups };
+}
+
+/**
+ * Probability of each value of U for samples of sizes n1 and n2 without ties
+ * Counts the arrangements giving each U with the recurrence
+ * f(n1, n2, u) = f(n1 - 1, n2, u - n2) + f(n1, n2 - 1, u).
+ *
+ * @param {number} n1 - Size of the first sample
+ * @param {number} n2 - Size of the second sample
+ * @returns {number[]} Probability of U = 0 .. n1 * n2
+ */
+function exactUDistribution(n1, n2) {
+  // counts[j] holds the counts for (i, j) while iterating over i
+  let counts = Array.from({ length: n2 + 1 }, () => [1]);
+
+  for (let i = 1; i <= n1; i++) {
+    const next = [[1]];
+    for (let j = 1; j <= n2; j++) {
+      const size = i * j + 1;
+      const row = new Array(size).fill(0);
+      for (let u = 0; u < size; u++) {
+        row[u] = (counts[j][u - j] || 0) + (next[j - 1][u] || 0);
+      }
+      next.push(row);
+    }
+    counts = next;
+  }
+
+  const row = counts[n2];
+  const total = row.reduce((sum, value) => sum + value, 0);
+  return row.map(value => value / total);
+}
@@ -0,0 +1,196 @@
+import fetch from 'node-fetch';
+import { getArchivePlatform, PLATFORM_EXTENSIONS } from './build-resolver.mjs';
+import { proxyAgent } from './http-download.mjs';
+
+const DEFAULT_ROOT_URL = 'https://firefox-ci-tc.services.mozilla.com';
+
+/**
+ * Taskcluster build platform names for each archive platform
+ */
+const BUILD_PLATFORMS = {
+  'mac': 'macosx64',
+  'linux-x86_64': 'linux64',
+  'linux-i686': 'linux',
+  'linux-aarch64': 'linux64-aarch64',
+  'win64': 'win64',
+  'win32': 'win32',
+  'win64-aarch64': 'win64-aarch64',
+};
+
+/**
+ * Index route suffixes of each build type
+ */
+const BUILD_TYPE_SUFFIXES = {
+  'opt': 'opt',
+  'debug': 'debug',
+  'shippable': 'shippable-opt',
+};
+
+/**
+ * Resolve a Taskcluster build to the URL of its Firefox archive artifact
+ *
+ * Exactly one of taskId, index or revision must be given. Revisions are looked
+ * up through the gecko.v2.<project>.revision.<revision>.firefox.<platform>-<suffix>
+ * index route, where the suffix is opt, debug or shippable-opt.
+ *
+ * @param {Object} source - Build to look up
+ * @param {string} source.taskId - Build task ID
+ * @param {string} source.index - Index route (namespace) of the build task
+ * @param {string} source.revision - Full push revision of the build
+ * @param {string} source.project - Repository of the revision (default: mozilla-central)
+ * @param {string} source.buildType - Build type of the revision: opt, debug or shippable (default: opt)
+ * @param {Object} options - Lookup options
+ * @param {string} options.platform - Archive platform name (default: current platform)
+ * @param {string} options.rootUrl - Taskcluster root URL (default: TASKCLUSTER_ROOT_URL or Firefox CI)
+ * @param {Object} options.headers - Additional request headers, e.g. Authorization for private artifacts
+ * @returns {Promise<{url: string, taskId: string, runId: number, artifact: string}>}
+ */
+export async function resolveTaskclusterBuild(source, options = {}) {
+  const {
+    platform = getArchivePlatform(),
+    rootUrl = process.env.TASKCLUSTER_ROOT_URL || DEFAULT_ROOT_URL,
+    headers = {},
+  } = options;
+
+  if (!PLATFORM_EXTENSIONS[platform]) {
+    throw new Error(`Unknown archive platform: ${platform}`);
+  }
+
+  const baseUrl = rootUrl.replace(/\/$/, '');
+  const fetchOptions = { headers, agent: proxyAgent };
+  let { taskId } = source;
+
+  if (!taskId && source.index) {
+    taskId = await findIndexedTask(baseUrl, source.index, fetchOptions);
+  } else if (!taskId && source.revision) {
+    const { project = 'mozilla-central', buildType = 'opt' } = source;
+    if (!BUILD_TYPE_SUFFIXES[buildType]) {
+      throw new Error(`Unknown build type: ${buildType} (expected ${Object.keys(BUILD_TYPE_SUFFIXES).join(', ')})`);
+    }
+    const route = `gecko.v2.${project}.revision.${source.revision}.firefox.${BUILD_PLATFORMS[platform]}-${BUILD_TYPE_SUFFIXES[buildType]}`;
+    taskId = await findIndexedTask(baseUrl, route, fetchOptions);
+  }
+
+  if (!taskId) {
+    throw new Error('A Taskcluster task ID, index route or revision is required');
+  }
+
+  const runId = await findCompletedRun(baseUrl, taskId, fetchOptions);
+  const artifacts = await listArtifacts(baseUrl, taskId, runId, fetchOptions);
+  const artifact = pickBuildArtifact(artifacts.map(a => a.name), platform);
+
+  if (!artifact) {
+    throw new Error(`Task ${taskId} run ${runId} has no Firefox build artifact for ${platform}`);
+  }
+
+  return {
+    url: `${baseUrl}/api/queue/v1/task/${taskId}/runs/${runId}/artifacts/${artifact}`,
+    taskId,
+    runId,
+    artifact,
+  };
+}
+
+/**
+ * Look up the task ID indexed under a route
+ *
+ * @param {string} baseUrl - Taskcluster root URL
+ * @param {string} route - Index namespace
+ * @param {Object} fetchOptions - Headers and agent for the request
+ * @returns {Promise<string>}
+ */
+async function findIndexedTask(baseUrl, route, fetchOptions) {
+  const response = await fetch(`${baseUrl}/api/index/v1/task/${route}`, fetchOptions);
+  if (response.status === 404) {
+    throw new Error(`No task indexed at ${route}`);
+  }
+  if (!response.ok) {
+    throw new Error(`Failed to query index route ${route}: ${response.status} ${response.statusText}`);
+  }
+
+  const { taskId } = await response.json();
+  return taskId;
+}
+
+/**
+ * Find the latest completed run of a task
+ *
+ * @param {string} baseUrl - Taskcluster root URL
+ * @param {string} taskId - Task ID
+ * @param {Object} fetchOptions - Headers and agent for the request
+ * @returns {Promise<number>}
+ */
+async function findCompletedRun(baseUrl, taskId, fetchOptions) {
+  const response = await fetch(`${baseUrl}/api/queue/v1/task/${taskId}/status`, fetchOptions);
+  if (response.status === 404) {
+    throw new Error(`Task ${taskId} does not exist`);
+  }
+  if (!response.ok) {
+    throw new Error(`Failed to get status of task ${taskId}: ${response.status} ${response.statusText}`);
+  }
+
+  const { status } = await response.json();
+  const completedRuns = (status.runs || []).filter(run => run.state === 'completed');
+
+  if (completedRuns.length === 0) {
+    throw new Error(`Task ${taskId} has no completed run (task state: ${status.state})`);
+  }
+
+  return Math.max(...completedRuns.map(run => run.runId));
+}
+
+/**
+ * List all artifacts of a task run, following continuation tokens
+ *
+ * @param {string} baseUrl - Taskcluster root URL
+ * @param {string} taskId - Task ID
+ * @param {number} runId - Run ID
+ * @param {Object} fetchOptions - Headers and agent for the requests
+ * @returns {Promise<Array<{name: string}>>}
+ */
+async function listArtifacts(baseUrl, taskId, runId, fetchOptions) {
+  const artifacts = [];
+  let continuationToken;
+
+  do {
+    const query = continuationToken ? `?continuationToken=${encodeURIComponent(continuationToken)}` : '';
+    const response = await fetch(`${baseUrl}/api/queue/v1/task/${taskId}/runs/${runId}/artifacts${query}`, fetchOptions);
+    if (!response.ok) {
+      throw new Error(`Failed to list artifacts of task ${taskId} run ${runId}: ${response.status} ${response.statusText}`);
+    }
+
+    const page = await response.json();
+    artifacts.push(...page.artifacts);
+    continuationToken = page.continuationToken;
+  } while (continuationToken);
+
+  return artifacts;
+}
+
+/**
+ * Pick the Firefox build artifact for a platform
+ * Prefers public/build/target.<ext>, then any other public/build archive
+ *
+ * @param {string[]} names - Artifact names
+ * @param {string} platform - Archive platform name
+ * @returns {string|undefined}
+ */
+export function pickBuildArtifact(names, platform) {
+  const buildArtifacts = names.filter(name => name.startsWith('public/build/'));
+
+  for (const extension of PLATFORM_EXTENSIONS[platform]) {
+    const target = `public/build/target${extension}`;
+    if (buildArtifacts.includes(target)) {
+      return target;
+    }
+  }
+
+  for (const extension of PLATFORM_EXTENSIONS[platform]) {
+    const match = buildArtifacts.find(name => name.endsWith(extension) && !name.includes('/host/'));
+    if (match) {
+      return match;
+    }
+  }
+
+  return undefined;
+}
@@ -0,0 +1,347 @@
+import { existsSync, mkdirSync, readdirSync, readFileSync, rmSync, writeFileSync } from 'fs';
+import { join } from 'path';
+
+/**
+ * Subdirectory of the report directory holding the results written by each Mocha process
+ * (one file per run of the root hooks, so parallel workers never write the same file)
+ */
+export const RESULTS_PARTS_DIR = 'parts';
+
+let currentMetrics = null;
+let resultsFileCount = 0;
+
+/**
+ * Start collecting the metrics of a test, called by the root hooks before each test
+ */
+export function startRecording() {
+  currentMetrics = {};
+}
+
+/**
+ * Stop collecting the metrics of a test
+ *
+ * @returns {Object<string, number>} Metrics recorded since startRecording
+ */
+export function stopRecording() {
+  const metrics = currentMetrics || {};
+  currentMetrics = null;
+  return metrics;
+}
+
+/**
+ * Add metrics to the result of the current test
+ * runBenchmark records the median of each of its metrics. Outside of a recorded test, e.g.
+ * without FIREFOX_REPORT_DIR, this does nothing.
+ *
+ * @param {Object<string, number>} metrics - Values keyed by metric name, e.g. {fcp: 231.5}
+ */
+export function recordMetrics(metrics) {
+  if (!currentMetrics) {
+    return;
+  }
+  for (const [name, value] of Object.entries(metrics)) {
+    if (typeof value !== 'number' || !Number.isFinite(value)) {
+      throw new Error(`Invalid value of metric ${name}: ${value}`);
+    }
+    currentMetrics[name] = value;
+  }
+}
+
+/**
+ * Get the result of every test of a Mocha suite and its child suites, in run order
+ * Tests that did not run, e.g. after a failed hook, are reported as skipped.
+ *
+ * @param {Object} suite - Mocha suite, e.g. the root suite
+ * @param {Map<Object, {metrics: Object, build: Object|null, preferences: Object}>} details - Details
+ *   recorded after each test, keyed by Mocha test
+ * @returns {Array<{title: string, fullTitle: string, suite: string, file: string|null, state: string,
+ *   duration: number|null, error: {message: string, stack: string}|null, metrics: Object<string, number>,
+ *   build: Object|null, preferences: Object|null}>}
+ */
+export function collectTestResults(suite, details = new Map()) {
+  const results = [];
+
+  const visit = current => {
+    for (const test of current.tests) {
+      const { metrics = {}, build = null, preferences = null } = details.get(test) || {};
+      const state = test.state === 'passed' || test.state === 'failed' ? test.state : 'skipped';
+      results.push({
+        title: test.title,
+        fullTitle: test.fullTitle(),
+        suite: current.fullTitle(),
+        file: test.file || null,
+        state,
+        duration: state === 'skipped' ? null : (test.duration ?? null),
+        error: test.err ? { message: test.err.message, stack: test.err.stack || null } : null,
+        metrics,
+        build,
+        preferences,
+      });
+    }
+    current.suites.forEach(visit);
+  };
+  visit(suite);
+
+  return results;
+}
+
+/**
+ * Write the test results of one Mocha process to the report directory
+ *
+ * @param {string} dir - Report directory
+ * @param {Array<Object>} results - Results from collectTestResults
+ * @returns {string} Path to the written file
+ */
+export function writeTestResults(dir, results) {
+  const partsDir = join(dir, RESULTS_PARTS_DIR);
+  mkdirSync(partsDir, { recursive: true });
+  const path = join(partsDir, `results-${process.pid}-${Date.now()}-${++resultsFileCount}.json`);
+  writeFileSync(path, JSON.stringify(results) + '\n');
+  return path;
+}
+
+/**
+ * Read the test results written to a report directory by every Mocha process
+ * A test is reported once: a run that skipped it, e.g. the serial run of the @perf tests
+ * excluding the others with --grep, does not add it again next to the run that ran it.
+ *
+ * @param {string} dir - Report directory
+ * @param {Object} options - Read options
+ * @param {boolean} options.remove - Remove the files once read, so the next run starts afresh (default: false)
+ * @returns {Array<Object>} Results from collectTestResults
+ */
+export function readTestResults(dir, { remove = false } = {}) {
+  const partsDir = join(dir, RESULTS_PARTS_DIR);
+  if (!existsSync(partsDir)) {
+    return [];
+  }
+
+  const files = readdirSync(partsDir).filter(name => name.endsWith('.json')).sort();
+  const results = new Map();
+  for (const result of files.flatMap(name => JSON.parse(readFileSync(join(partsDir, name), 'utf8')))) {
+    const key = `${result.file}\n${result.fullTitle}`;
+    if (result.state !== 'skipped' || !results.has(key)) {
+      results.set(key, result);
+    }
+  }
+  if (remove) {
+    rmSync(partsDir, { recursive: true, force: true });
+  }
+  return [...results.values()];
+}
+
+/**
+ * Create a report from test results
+ *
+ * @param {Array<Object>} results - Results from collectTestResults
+ * @param {Object} options - Report options
+ * @param {Array<Object>} options.regressions - Regressions from checkThresholds (default: none)
+ * @returns {{createdAt: string, summary: {tests: number, passed: number, failed: number, skipped: number,
+ *   duration: number}, builds: Array<Object>, tests: Array<Object>, regressions: Array<Object>}}
+ */
+export function createReport(results, { regressions = [] } = {}) {
+  const count = state => results.filter(result => result.state === state).length;
+  const builds = new Map();
+  for (const { build } of results) {
+    if (build) {
+      builds.set(JSON.stringify(build), build);
+    }
+  }
+
+  return {
+    createdAt: new Date().toISOString(),
+    summary: {
+      tests: results.length,
+      passed: count('passed'),
+      failed: count('failed'),
+      skipped: count('skipped'),
+      duration: results.reduce((sum, result) => sum + (result.duration || 0), 0),
+    },
+    builds: [...builds.values()],
+    tests: results,
+    regressions,
+  };
+}
+
+/**
+ * Find the metrics past their thresholds
+ * Thresholds are keyed by metric name. A metric regresses when it is above max, or when it grew
+ * by more than maxIncrease (a ratio, e.g. 0.1 for 10%) over the same metric of the same test in
+ * a baseline report.
+ *
+ * @param {Array<Object>} results - Results from collectTestResults
+ * @param {Object<string, {max: number, maxIncrease: number}>} thresholds - Thresholds of each metric
+ * @param {Object} baseline - Report of an earlier run, e.g. results.json of the main branch (optional)
+ * @returns {Array<{test: string, metric: string, value: number, limit: number, baseline: number|null,
+ *   message: string}>}
+ */
+export function checkThresholds(results, thresholds, baseline = null) {
+  const baselineTests = new Map((baseline?.tests || []).map(test => [test.fullTitle, test]));
+  const regressions = [];
+
+  for (const result of results) {
+    for (const [metric, value] of Object.entries(result.metrics)) {
+      const { max, maxIncrease } = thresholds[metric] || {};
+      const baselineValue = baselineTests.get(result.fullTitle)?.metrics?.[metric];
+
+      if (max !== undefined && value > max) {
+        regressions.push({
+          test: result.fullTitle,
+          metric,
+          value,
+          limit: max,
+          baseline: baselineValue ?? null,
+          message: `${metric} is ${formatNumber(value)}, above the maximum of ${max}`,
+        });
+      } else if (maxIncrease !== undefined && typeof baselineValue === 'number' && baselineValue > 0) {
+        const limit = baselineValue * (1 + maxIncrease);
+        if (value > limit) {
+          const increase = ((value - baselineValue) / baselineValue) * 100;
+          regressions.push({
+            test: result.fullTitle,
+            metric,
+            value,
+            limit,
+            baseline: baselineValue,
+            message: `${metric} is ${formatNumber(value)}, ${formatNumber(increase)}% above the baseline of ${formatNumber(baselineValue)} (at most ${formatNumber(maxIncrease * 100)}%)`,
+          });
+        }
+      }
+    }
+  }
+
+  return regressions;
+}
+
+/**
+ * Format a report as JUnit XML, with one testsuite per spec file
+ * Metrics, the Firefox build and the preferences of each test are added as properties.
+ *
+ * @param {Object} report - Report from createReport
+ * @returns {string}
+ */
+export function formatJUnit(report) {
+  const files = new Map();
+  for (const test of report.tests) {
+    const file = test.file || 'tests';
+    files.set(file, [...(files.get(file) || []), test]);
+  }
+
+  const counts = tests => {
+    const failures = tests.filter(test => test.state === 'failed').length;
+    const skipped = tests.filter(test => test.state === 'skipped').length;
+    const time = tests.reduce((sum, test) => sum + (test.duration || 0), 0) / 1000;
+    return `tests="${tests.length}" failures="${failures}" errors="0" skipped="${skipped}" time="${time.toFixed(3)}"`;
+  };
+  const property = (name, value) => `<property name="${escapeXml(name)}" value="${escapeXml(String(value))}"/>`;
+
+  const lines = [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    `<testsuites name="Firefox tests" ${counts(report.tests)}>`,
+  ];
+  for (const [file, tests] of files) {
+    lines.push(`  <testsuite name="${escapeXml(file)}" timestamp="${report.createdAt}" ${counts(tests)}>`);
+    for (const test of tests) {
+      const time = ((test.duration || 0) / 1000).toFixed(3);
+      lines.push(`    <testcase classname="${escapeXml(test.suite || file)}" name="${escapeXml(test.title)}" time="${time}">`);
+
+      const properties = [
+        ...Object.entries(test.metrics).map(([name, value]) => property(`metric.${name}`, value)),
+        ...Object.entries(test.build || {}).filter(([, value]) => value !== null).map(([name, value]) => property(`firefox.${name}`, value)),
+        ...Object.entries(test.preferences || {}).map(([name, value]) => property(`pref.${name}`, value)),
+      ];
+      if (properties.length > 0) {
+        lines.push('      <properties>', ...properties.map(line => `        ${line}`), '      </properties>');
+      }
+
+      if (test.state === 'failed') {
+        const message = test.error?.message || 'Test failed';
+        lines.push(`      <failure message="${escapeXml(message)}" type="Error">${escapeXml(test.error?.stack || message)}</failure>`);
+      } else if (test.state === 'skipped') {
+        lines.push('      <skipped/>');
+      }
+      lines.push('    </testcase>');
+    }
+    lines.push('  </testsuite>');
+  }
+  lines.push('</testsuites>');
+
+  return lines.join('\n') + '\n';
+}
+
+/**
+ * Format a report as Markdown, e.g. for GITHUB_STEP_SUMMARY
+ *
+ * @param {Object} report - Report from createReport
+ * @returns {string}
+ */
+export function formatReportMarkdown(report) {
+  const { summary } = report;
+  const states = { passed: '✅ passed', failed: '❌ failed', skipped: '⏭️ skipped' };
+
+  const lines = [
+    '## Firefox test results',
+    '',
+    `${summary.passed} passed, ${summary.failed} failed, ${summary.skipped} skipped (${summary.tests} test(s) in ${formatNumber(summary.duration / 1000)} s)`,
+    '',
+  ];
+
+  if (report.builds.length > 0) {
+    lines.push('| Firefox | Build ID | Platform | Changeset |', '| --- | --- | --- | --- |');
+    for (const build of report.builds) {
+      const changeset = build.changesetUrl ? `[${(build.sourceStamp || '').slice(0, 12)}](${build.changesetUrl})` : (build.sourceStamp || 'unknown');
+      lines.push(`| ${build.version || 'unknown'} | ${build.buildId || 'unknown'} | ${build.platform || 'unknown'} | ${changeset} |`);
+    }
+    lines.push('');
+  }
+
+  lines.push('| Test | Result | Duration | Metrics |', '| --- | --- | ---: | --- |');
+  for (const test of report.tests) {
+    const duration = test.duration === null ? '' : `${formatNumber(test.duration)} ms`;
+    const metrics = Object.entries(test.metrics).map(([name, value]) => `${name}: ${formatNumber(value)}`).join(', ');
+    lines.push(`| ${escapeMarkdown(test.fullTitle)} | ${states[test.state]} | ${duration} | ${escapeMarkdown(metrics)} |`);
+  }
+
+  const failures = report.tests.filter(test => test.state === 'failed');
+  if (failures.length > 0) {
+    lines.push('', '### Failures', '');
+    for (const test of failures) {
+      lines.push(`- **${escapeMarkdown(test.fullTitle)}**: ${escapeMarkdown((test.error?.message || 'Test failed').split('\n')[0])}`);
+    }
+  }
+
+  if (report.regressions.length > 0) {
+    lines.push('', '### Regressions', '');
+    for (const regression of report.regressions) {
+      lines.push(`- **${escapeMarkdown(regression.test)}**: ${escapeMarkdown(regression.message)}`);
+    }
+  }
+
+  return lines.join('\n') + '\n';
+}
+
+/**
+ * Escape text for XML attributes and content, dropping characters XML cannot contain
+ */
+function escapeXml(text) {
+  return text
+    .replace(/[\u0000-\u0008\u000b\u000c\u000e-\u001f]/g, '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+/**
+ * Escape text for a Markdown table cell
+ */
+function escapeMarkdown(text) {
+  return text.replace(/\|/g, '\\|').replace(/\n/g, ' ');
+}
+
+/**
+ * Format a number with at most one decimal
+ */
+function formatNumber(value) {
+  return String(Math.round(value * 10) / 10);
+}
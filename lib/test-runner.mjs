@@ -0,0 +1,117 @@
+import { spawn } from 'child_process';
+import { createRequire } from 'module';
+import { dirname, join } from 'path';
+import { fileURLToPath } from 'url';
+
+const require = createRequire(import.meta.url);
+const __dirname = dirname(fileURLToPath(import.meta.url));
+
+/**
+ * Tag marking performance-sensitive tests in their title, e.g. it('first contentful paint @perf', ...)
+ * runTests runs them alone, after the other tests, so that concurrent browsers do not skew measurements.
+ */
+export const PERF_TAG = '@perf';
+
+/**
+ * Parse a shard specification
+ *
+ * @param {string} value - Shard, e.g. "2/3" for the second of three shards
+ * @returns {{index: number, total: number}}
+ */
+export function parseShard(value) {
+  const match = /^(\d+)\/(\d+)$/.exec(String(value).trim());
+  const index = match ? Number(match[1]) : NaN;
+  const total = match ? Number(match[2]) : NaN;
+  if (!(index >= 1 && index <= total)) {
+    throw new Error(`Invalid shard "${value}" (expected i/n, with 1 <= i <= n)`);
+  }
+  return { index, total };
+}
+
+/**
+ * Keep only the tests of a shard in a Mocha suite and its child suites
+ * Tests are dealt to the shards in turn, in the order they would run, so every shard runs
+ * about as many tests. Every shard must load the same spec files with the same options.
+ * Suites left without tests are skipped by Mocha, hooks included.
+ *
+ * @param {Object} suite - Mocha suite, e.g. the root suite
+ * @param {{index: number, total: number}} shard - Shard, as returned by parseShard
+ * @returns {{selected: number, total: number}} Number of tests kept, and of tests before selection
+ */
+export function selectShardTests(suite, { index, total }) {
+  let position = 0;
+  let selected = 0;
+
+  const visit = current => {
+    current.tests = current.tests.filter(() => {
+      const keep = position++ % total === index - 1;
+      selected += keep ? 1 : 0;
+      return keep;
+    });
+    current.suites.forEach(visit);
+  };
+  visit(suite);
+
+  return { selected, total: position };
+}
+
+/**
+ * Run the Mocha suite, optionally in parallel and for one shard
+ * With parallel, Mocha first runs the tests without PERF_TAG in parallel workers, each with its
+ * own browser, then the tagged tests one at a time.
+ *
+ * @param {Object} options - Run options
+ * @param {boolean} options.parallel - Run in Mocha's parallel mode (default: false)
+ * @param {number} options.jobs - Number of parallel workers (default: Mocha's, number of CPUs - 1)
+ * @param {string} options.shard - Shard to run, e.g. "1/2", passed to the root hooks as FIREFOX_SHARD
+ * @param {string[]} options.mochaArgs - Extra Mocha arguments
+ * @param {Function} options.runMocha - Runs Mocha with (args, env) and resolves with its exit code
+ *   (default: spawns Mocha)
+ * @returns {Promise<number>} 0 when every run passed, otherwise the first non-zero exit code
+ */
+export async function runTests({ parallel = false, jobs, shard, mochaArgs = [], runMocha = spawnMocha }) {
+  const env = {};
+  if (shard) {
+    parseShard(shard);
+    env.FIREFOX_SHARD = shard;
+  }
+
+  const runs = [mochaArgs];
+  if (parallel) {
+    if (mochaArgs.some(arg => ['--grep', '-g', '--fgrep', '-f', '--invert', '-i'].includes(arg))) {
+      throw new Error('--grep and --invert cannot be combined with --parallel, which uses them to run the performance tests serially');
+    }
+    const jobArgs = jobs ? ['--jobs', String(jobs)] : [];
+    runs.splice(0, 1,
+      ['--parallel', ...jobArgs, '--grep', PERF_TAG, '--invert', ...mochaArgs],
+      ['--grep', PERF_TAG, ...mochaArgs],
+    );
+    console.log(`Running the tests in parallel${jobs ? ` (${jobs} jobs)` : ''}, then the ${PERF_TAG} tests serially`);
+  }
+
+  let exitCode = 0;
+  for (const args of runs) {
+    const code = await runMocha(args, env);
+    exitCode = exitCode || code;
+  }
+  return exitCode;
+}
+
+/**
+ * Spawn Mocha in the repository root
+ *
+ * @param {string[]} args - Mocha arguments
+ * @param {Object<string, string>} env - Extra environment variables
+ * @returns {Promise<number>} Exit code
+ */
+function spawnMocha(args, env) {
+  return new Promise((resolve, reject) => {
+    const proc = spawn(process.execPath, [require.resolve('mocha/bin/mocha.js'), ...args], {
+      cwd: join(__dirname, '..'),
+      stdio: 'inherit',
+      env: { ...process.env, ...env },
+    });
+    proc.on('error', reject);
+    proc.on('close', code => resolve(code ?? 1));
+  });
+}
@@ -0,0 +1,279 @@
+import express from 'express';
+import http from 'http';
+import https from 'https';
+import { readFile } from 'fs/promises';
+import { extname, join, resolve, sep } from 'path';
+import { matchesUrl } from './network.mjs';
+import { createSelfSignedCertificate } from './self-signed-certificate.mjs';
+
+/**
+ * Headers making pages cross-origin isolated, which enables SharedArrayBuffer and
+ * high-resolution timers
+ */
+export const CROSS_ORIGIN_ISOLATION_HEADERS = {
+  'Cross-Origin-Opener-Policy': 'same-origin',
+  'Cross-Origin-Embedder-Policy': 'require-corp',
+};
+
+/**
+ * Headers disabling the HTTP cache, for cold loads on every navigation
+ */
+export const NO_CACHE_HEADERS = {
+  'Cache-Control': 'no-store',
+};
+
+/**
+ * Start an HTTP(S) server for the test pages
+ *
+ * Files are served from root. Routes added with route() change the responses of some paths:
+ * delays, headers, generated bodies, and bodies streamed in chunks. Every request is logged
+ * in the requests of the server.
+ *
+ * @param {Object} options - Server options
+ * @param {number} options.port - Port to listen on (default: 0, any free port)
+ * @param {string} options.host - Host to listen on (default: localhost)
+ * @param {string} options.root - Directory of the files to serve (default: test)
+ * @param {boolean|{key: string, cert: string}} options.https - Serve HTTPS, with a generated self-signed
+ *   certificate for localhost when true, or the given PEM key and certificate (default: false)
+ * @param {Object<string, string>} options.headers - Headers added to every response, e.g.
+ *   CROSS_ORIGIN_ISOLATION_HEADERS (default: none)
+ * @param {boolean} options.quiet - Do not log the server start and stop (default: false)
+ * @returns {Promise<TestServer>}
+ */
+export async function startTestServer({ port = 0, host = 'localhost', root = 'test', https: tls = false, headers = {}, quiet = false } = {}) {
+  const server = new TestServer({ root, headers, quiet });
+  await server.listen(port, host, tls === true ? createSelfSignedCertificate() : tls || null);
+  return server;
+}
+
+/**
+ * Test server started by startTestServer
+ */
+export class TestServer {
+  /**
+   * @param {Object} options - Options of startTestServer (root, headers, quiet)
+   */
+  constructor({ root, headers, quiet }) {
+    this.root = resolve(root);
+    this.headers = headers;
+    this.quiet = quiet;
+    this.routes = [];
+    this.requests = [];
+    this.server = null;
+    this.url = null;
+    this.port = null;
+    this.certificate = null;
+
+    this.app = express();
+    this.app.use((req, res, next) => this.logRequest(req, res, next));
+    this.app.use((req, res, next) => {
+      res.set(this.headers);
+      next();
+    });
+    this.app.use((req, res, next) => this.handleRoute(req, res, next));
+    this.app.use(express.static(this.root));
+  }
+
+  /**
+   * Start listening
+   * @param {number} port - Port, 0 for any free port
+   * @param {string} host - Host
+   * @param {{key: string, cert: string}|null} certificate - PEM key and certificate to serve HTTPS with
+   */
+  async listen(port, host, certificate) {
+    this.certificate = certificate;
+    this.server = certificate ? https.createServer(certificate, this.app) : http.createServer(this.app);
+
+    await new Promise((resolvePromise, reject) => {
+      this.server.once('error', reject);
+      this.server.listen(port, host, resolvePromise);
+    });
+
+    this.port = this.server.address().port;
+    this.url = `${certificate ? 'https' : 'http'}://${host}:${this.port}`;
+    if (!this.quiet) {
+      console.log(`Test server is running on ${this.url} (serving ${this.root})`);
+    }
+  }
+
+  /**
+   * Change the responses of the paths matching a pattern
+   * Without body, the file of the path is served, with the route's delay, headers and chunking.
+   * The first matching route wins.
+   * @param {string|RegExp} pattern - Path pattern: the whole path with "*" wildcards, e.g. "/api/*",
+   *   or a regular expression
+   * @param {Object} response - Response options
+   * @param {number} response.status - HTTP status (default: 200)
+   * @param {Object<string, string>} response.headers - Response headers, e.g. {'Cache-Control': 'max-age=3600'}
+   * @param {string} response.contentType - Content type or extension, e.g. "html" (default: from the path)
+   * @param {string|Buffer|Object|Array<string|Buffer>} response.body - Body: string, buffer, object sent as
+   *   JSON, or array of chunks written one by one (default: the file of the path)
+   * @param {number} response.delay - Milliseconds to wait before sending the headers (default: 0)
+   * @param {number} response.chunkSize - Split the body in chunks of this many bytes (default: one chunk)
+   * @param {number} response.chunkDelay - Milliseconds to wait between chunks (default: 0)
+   * @returns {Function} Removes the route
+   */
+  route(pattern, response = {}) {
+    const route = { pattern, response };
+    this.routes.push(route);
+    return () => {
+      this.routes = this.routes.filter(entry => entry !== route);
+    };
+  }
+
+  /**
+   * Remove every route
+   */
+  clearRoutes() {
+    this.routes = [];
+  }
+
+  /**
+   * Get the logged requests, optionally only those whose path matches a pattern
+   * @param {Object} filter - Filter
+   * @param {string|RegExp} filter.path - Path pattern, as for route()
+   * @returns {Array<{method: string, path: string, url: string, headers: Object, startedAt: number,
+   *   status: number|null, duration: number|null}>}
+   */
+  getRequests({ path } = {}) {
+    return path === undefined ? [...this.requests] : this.requests.filter(request => matchesUrl(path, request.path));
+  }
+
+  /**
+   * Clear the request log
+   */
+  clearRequests() {
+    this.requests = [];
+  }
+
+  /**
+   * Stop the server, closing open connections
+   */
+  async close() {
+    if (!this.server) {
+      return;
+    }
+    const server = this.server;
+    this.server = null;
+    await new Promise(resolvePromise => {
+      server.close(resolvePromise);
+      server.closeAllConnections();
+    });
+    if (!this.quiet) {
+      console.log(`Test server on ${this.url} stopped`);
+    }
+  }
+
+  /**
+   * Log a request, completed with its status and duration when the response is sent
+   */
+  logRequest(req, res, next) {
+    const entry = {
+      method: req.method,
+      path: req.path,
+      url: req.originalUrl,
+      headers: req.headers,
+      startedAt: Date.now(),
+      status: null,
+      duration: null,
+    };
+    this.requests.push(entry);
+    res.on('finish', () => {
+      entry.status = res.statusCode;
+      entry.duration = Date.now() - entry.startedAt;
+    });
+    next();
+  }
+
+  /**
+   * Answer requests matching a route, and pass the others to the static files
+   */
+  async handleRoute(req, res, next) {
+    const route = this.routes.find(entry => matchesUrl(entry.pattern, req.path));
+    if (!route) {
+      next();
+      return;
+    }
+
+    try {
+      const { status = 200, headers = {}, contentType, delay = 0, chunkSize = 0, chunkDelay = 0 } = route.response;
+      let { body } = route.response;
+
+      if (body === undefined) {
+        body = await this.readFile(req.path);
+        if (body === null) {
+          next();
+          return;
+        }
+      }
+
+      await pause(delay);
+      if (res.destroyed) {
+        return;
+      }
+
+      const isJson = !Array.isArray(body) && !Buffer.isBuffer(body) && typeof body === 'object';
+      let chunks;
+      if (Array.isArray(body)) {
+        chunks = body.map(chunk => Buffer.from(chunk));
+      } else {
+        const data = Buffer.from(isJson ? JSON.stringify(body) : body);
+        chunks = chunkSize > 0 ? splitBuffer(data, chunkSize) : [data];
+      }
+
+      res.status(status);
+      res.type(contentType || (isJson ? 'json' : extname(req.path) || 'html'));
+      res.set(headers);
+      if (chunks.length === 1) {
+        res.end(chunks[0]);
+        return;
+      }
+
+      // No Content-Length: the body is sent with chunked transfer encoding, each chunk flushed
+      for (const [index, chunk] of chunks.entries()) {
+        if (index > 0) {
+          await pause(chunkDelay);
+        }
+        if (res.destroyed) {
+          return;
+        }
+        res.write(chunk);
+      }
+      res.end();
+    } catch (err) {
+      next(err);
+    }
+  }
+
+  /**
+   * Read the file of a path under root
+   * @param {string} path - URL path
+   * @returns {Promise<Buffer|null>} Contents, or null when there is no such file
+   */
+  async readFile(path) {
+    const filePath = join(this.root, decodeURIComponent(path).replace(/\/$/, '/index.html'));
+    if (!filePath.startsWith(this.root + sep)) {
+      return null;
+    }
+    try {
+      return await readFile(filePath);
+    } catch (err) {
+      if (err.code === 'ENOENT' || err.code === 'EISDIR') {
+        return null;
+      }
+      throw err;
+    }
+  }
+}
+
+function pause(ms) {
+  return new Promise(resolvePromise => setTimeout(resolvePromise, ms));
+}
+
+function splitBuffer(data, size) {
+  const chunks = [];
+  for (let offset = 0; offset < data.length; offset += size) {
+    chunks.push(data.subarray(offset, offset + size));
+  }
+  return chunks.length > 0 ? chunks : [data];
+}
@@ -1,11 +1,152 @@
-import { Builder, Browser, By, until } from 'selenium-webdriver';
+import { Builder, Browser, until } from 'selenium-webdriver';
 import firefox from 'selenium-webdriver/firefox.js';
-import { readFileSync } from 'fs';
+import { writeFileSync, mkdirSync, existsSync, readFileSync, mkdtempSync, rmSync } from 'fs';
 import { join, dirname } from 'path';
-import { fileURLToPath } from 'url';
+import { tmpdir } from 'os';
+import { ensureGeckodriver } from './geckodriver-manager.mjs';
+import { readBuildInfo } from './build-info.mjs';
+import { resolvePreferences, getPreferenceSelection, formatPreferences, DEFAULT_PREFS_FILE } from './firefox-prefs.mjs';
+import {
+  DEFAULT_PROFILER_OPTIONS,
+  DEFAULT_PROFILES_DIR,
+  START_PROFILER_SCRIPT,
+  STOP_PROFILER_SCRIPT,
+  getProfileFileName,
+} from './profiler.mjs';
+import { parseLogEntry } from './console-logs.mjs';
+import { FirefoxElement, findElements } from './element.mjs';
+import { decodePng, encodePng } from './png.mjs';
+import { DEFAULT_SCREENSHOTS_DIR, DEFAULT_BASELINES_DIR, diffImages, getScreenshotFileName } from './screenshots.mjs';
+import { CRASH_REPORTER_ENV, DEFAULT_CRASHES_DIR, collectCrashDumps, formatCrashMessage } from './crashes.mjs';
+import {
+  DEFAULT_HAR_DIR,
+  NETWORK_EVENTS,
+  THROTTLING_PROFILES,
+  createHar,
+  createNetworkRecord,
+  getHarFileName,
+  matchesUrl,
+  toBidiHeaders,
+  updateNetworkRecord,
+} from './network.mjs';
 
-const __filename = fileURLToPath(import.meta.url);
-const __dirname = dirname(__filename);
+/**
+ * Chrome context script reading preferences: arguments[0] is a list of names.
+ * Returns {name: {exists, value, locked, hasDefault}} for each name.
+ */
+const READ_PREFS_SCRIPT = `
+  const [names] = arguments;
+  const { prefs } = Services;
+  const defaults = prefs.getDefaultBranch('');
+  const read = (branch, name) => {
+    switch (branch.getPrefType(name)) {
+      case branch.PREF_BOOL: return branch.getBoolPref(name);
+      case branch.PREF_INT: return branch.getIntPref(name);
+      case branch.PREF_STRING: return branch.getStringPref(name);
+      default: return undefined;
+    }
+  };
+  const result = {};
+  for (const name of names) {
+    const value = read(prefs, name);
+    result[name] = {
+      exists: value !== undefined,
+      value: value === undefined ? null : value,
+      locked: prefs.prefIsLocked(name),
+      hasDefault: defaults.getPrefType(name) !== defaults.PREF_INVALID,
+    };
+  }
+  return result;
+`;
+
+/**
+ * Chrome context script setting a preference: arguments are the name and value.
+ * The setter is picked from the JavaScript type of the value. Returns null, or the
+ * type of the existing preference when it differs, as Firefox cannot change pref types.
+ */
+const SET_PREF_SCRIPT = `
+  const [name, value] = arguments;
+  const { prefs } = Services;
+  if (prefs.prefIsLocked(name)) {
+    throw new Error('Preference ' + name + ' is locked');
+  }
+  let type = prefs.PREF_STRING;
+  if (typeof value === 'boolean') {
+    type = prefs.PREF_BOOL;
+  } else if (typeof value === 'number' && Number.isInteger(value)) {
+    type = prefs.PREF_INT;
+  }
+  const existingType = prefs.getPrefType(name);
+  if (existingType !== prefs.PREF_INVALID && existingType !== type) {
+    return { [prefs.PREF_BOOL]: 'boolean', [prefs.PREF_INT]: 'integer', [prefs.PREF_STRING]: 'string' }[existingType];
+  }
+  if (type === prefs.PREF_BOOL) {
+    prefs.setBoolPref(name, value);
+  } else if (type === prefs.PREF_INT) {
+    prefs.setIntPref(name, value);
+  } else {
+    prefs.setStringPref(name, String(value));
+  }
+  return null;
+`;
+
+/**
+ * browsingContext events that can end the wait of url() for each waitFor value
+ * Later events imply the earlier ones, and same-document navigations only fire fragmentNavigated.
+ * navigationCommitted is not emitted by older Firefox versions, domContentLoaded then ends "commit" waits.
+ */
+const NAVIGATION_WAIT_EVENTS = {
+  commit: [
+    'browsingContext.navigationCommitted',
+    'browsingContext.domContentLoaded',
+    'browsingContext.load',
+    'browsingContext.fragmentNavigated',
+  ],
+  domcontentloaded: ['browsingContext.domContentLoaded', 'browsingContext.load', 'browsingContext.fragmentNavigated'],
+  load: ['browsingContext.load', 'browsingContext.fragmentNavigated'],
+};
+
+/**
+ * browsingContext events ending a navigation without loading its document
+ */
+const NAVIGATION_FAILURE_EVENTS = {
+  'browsingContext.navigationFailed': 'failed',
+  'browsingContext.navigationAborted': 'was aborted',
+};
+
+/**
+ * Number of navigations whose events are kept for url() to find them
+ */
+const MAX_TRACKED_NAVIGATIONS = 50;
+
+/**
+ * Page script resolving with the first performance entry of a type (and name, if given), or null.
+ * Entry types only delivered to observers, like largest-contentful-paint, are read through a
+ * buffered PerformanceObserver.
+ */
+const FIND_PERFORMANCE_ENTRY_SCRIPT = `
+  const [type, name] = arguments;
+  const find = entries => entries.find(entry => name === null || entry.name === name);
+  return new Promise(resolve => {
+    const found = find(performance.getEntriesByType(type));
+    if (found || !PerformanceObserver.supportedEntryTypes.includes(type)) {
+      resolve(found ? found.toJSON() : null);
+      return;
+    }
+    const observer = new PerformanceObserver(list => {
+      const entry = find(list.getEntries());
+      if (entry) {
+        observer.disconnect();
+        resolve(entry.toJSON());
+      }
+    });
+    observer.observe({ type, buffered: true });
+    setTimeout(() => {
+      observer.disconnect();
+      resolve(null);
+    }, 50);
+  });
+`;
 
 /**
  * FirefoxDriver - WebDriver BiDi wrapper for Firefox
@@ -15,31 +156,163 @@ export class FirefoxDriver {
   /**
    * @param {Object} options - Driver configuration
    * @param {string} options.firefoxBinary - Path to custom Firefox binary (optional)
-   * @param {Object} options.preferences - Firefox preferences to set (optional)
+   * @param {Object} options.preferences - Per-suite preference overrides, layered on top of the base file,
+   *   presets and imported files (optional)
+   * @param {string|false} options.prefsFile - Base preferences file (default: config/firefox-prefs.json,
+   *   false to start from no preferences)
+   * @param {string[]} options.presets - Preference presets from config/presets
+   *   (default: --prefs-preset arguments and FIREFOX_PREFS_PRESET)
+   * @param {string[]} options.importPrefs - user.js/prefs.js files to import
+   *   (default: --prefs-import arguments and FIREFOX_PREFS_IMPORT)
+   * @param {string} options.prefsOutput - File to write the effective preferences to as JSON
+   *   (optional, env: FIREFOX_PREFS_OUTPUT)
+   * @param {'warn'|'error'|false} options.verifyPreferences - Check at startup that every preference took
+   *   effect, and warn or fail on mismatches (default: warn)
    * @param {string} options.baseUrl - Base URL for relative navigation (default: http://localhost:9090)
+   * @param {string} options.geckodriverPath - Path to the geckodriver binary to use (optional, env: GECKODRIVER_PATH)
+   * @param {string} options.geckodriverVersion - geckodriver release to download and use, e.g. "0.36.0"
+   *   (optional, env: GECKODRIVER_VERSION)
+   * @param {string} options.profilesDir - Directory to save profiles from stopProfiler in
+   *   (default: FIREFOX_PROFILES_DIR, or firefox-profiles in the OS temp dir)
+   * @param {boolean} options.failOnPageErrors - Fail tests during which the page threw uncaught exceptions,
+   *   with the hooks of captureConsoleEachTest (default: false)
+   * @param {string} options.harDir - Directory to save HAR files from saveHar in
+   *   (default: FIREFOX_HAR_DIR, or firefox-har in the OS temp dir)
+   * @param {number} options.waitTimeout - Milliseconds $ waits for elements to exist, and element actions
+   *   for them to be displayed and enabled (default: 10000)
+   * @param {string} options.screenshotsDir - Directory to save screenshots of failed tests and mismatches in
+   *   (default: FIREFOX_SCREENSHOTS_DIR, or firefox-screenshots in the OS temp dir)
+   * @param {string} options.baselinesDir - Directory of the compareScreenshot baselines
+   *   (default: FIREFOX_BASELINES_DIR, or test/baselines)
+   * @param {boolean} options.updateBaselines - Make compareScreenshot replace the baselines instead of
+   *   comparing against them (default: true when FIREFOX_UPDATE_BASELINES is set)
+   * @param {boolean} options.acceptInsecureCerts - Accept invalid certificates, e.g. the self-signed one
+   *   of startTestServer({ https: true }) (default: false)
+   * @param {string} options.crashesDir - Directory to move crash dumps and their .extra files to
+   *   (default: FIREFOX_CRASHES_DIR, or firefox-crashes in the OS temp dir)
+   * @param {string} options.symbolsDir - Local symbols directory to stackwalk crash dumps with
+   *   (optional, env: FIREFOX_SYMBOLS_DIR)
+   * @param {string} options.stackwalkPath - minidump-stackwalk binary
+   *   (default: MINIDUMP_STACKWALK, or minidump-stackwalk on the PATH)
    */
   constructor(options = {}) {
     this.firefoxBinaryPath = options.firefoxBinary || process.env.FIREFOX_BINARY;
+    this.geckodriverPath = options.geckodriverPath || process.env.GECKODRIVER_PATH;
+    this.geckodriverVersion = options.geckodriverVersion || process.env.GECKODRIVER_VERSION;
     this.baseUrl = options.baseUrl || 'http://localhost:9090';
     this.driver = null;
     this.capabilities = {
       browserName: 'firefox',
     };
 
-    // Load preferences from config file if not provided
-    if (options.preferences) {
-      this.preferences = options.preferences;
-    } else {
-      try {
-        const prefsPath = join(__dirname, '..', 'config', 'firefox-prefs.json');
-        this.preferences = JSON.parse(readFileSync(prefsPath, 'utf8'));
-      } catch (err) {
-        console.warn('Could not load Firefox preferences from config:', err.message);
-        this.preferences = {};
-      }
+    // Preference layers, merged into this.preferences (see resolvePreferences)
+    const selection = getPreferenceSelection();
+    this.preferenceLayers = {
+      baseFile: options.prefsFile ?? DEFAULT_PREFS_FILE,
+      presets: options.presets || selection.presets,
+      importFiles: options.importPrefs || selection.importFiles,
+      suite: options.preferences || {},
+      test: {},
+    };
+    this.prefsOutput = options.prefsOutput || process.env.FIREFOX_PREFS_OUTPUT;
+    this.verifyPreferencesMode = options.verifyPreferences ?? 'warn';
+    this.profilesDir = options.profilesDir || process.env.FIREFOX_PROFILES_DIR || DEFAULT_PROFILES_DIR;
+    this.isProfilerRunning = false;
+    this.failOnPageErrors = options.failOnPageErrors ?? false;
+    this.bidi = null;
+    this.consoleLogs = [];
+    this.consoleListeners = new Set();
+    this.harDir = options.harDir || process.env.FIREFOX_HAR_DIR || DEFAULT_HAR_DIR;
+    this.networkRequests = [];
+    this.networkRoutes = [];
+    this.networkRouteErrors = [];
+    this.networkThrottling = null;
+    this.networkIntercept = null;
+    this.navigationEvents = new Map();
+    this.navigationWaiters = new Set();
+    this.waitTimeout = options.waitTimeout ?? 10000;
+    this.screenshotsDir = options.screenshotsDir || process.env.FIREFOX_SCREENSHOTS_DIR || DEFAULT_SCREENSHOTS_DIR;
+    this.baselinesDir = options.baselinesDir || process.env.FIREFOX_BASELINES_DIR || DEFAULT_BASELINES_DIR;
+    this.updateBaselines = options.updateBaselines ?? Boolean(process.env.FIREFOX_UPDATE_BASELINES);
+    this.acceptInsecureCerts = options.acceptInsecureCerts ?? false;
+    this.userContext = null;
+    this.crashesDir = options.crashesDir || process.env.FIREFOX_CRASHES_DIR || DEFAULT_CRASHES_DIR;
+    this.symbolsDir = options.symbolsDir || process.env.FIREFOX_SYMBOLS_DIR;
+    this.stackwalkPath = options.stackwalkPath || process.env.MINIDUMP_STACKWALK || 'minidump-stackwalk';
+    this.profileDir = null;
+    this.processId = null;
+    this.updatePreferences();
+  }
+
+  /**
+   * Merge the preference layers into this.preferences and this.preferenceSources
+   * @returns {boolean} Whether the effective preferences changed
+   */
+  updatePreferences() {
+    const { preferences, sources } = resolvePreferences(this.preferenceLayers);
+    const changed = JSON.stringify(preferences) !== JSON.stringify(this.preferences);
+    this.preferences = preferences;
+    this.preferenceSources = sources;
+    return changed;
+  }
+
+  /**
+   * Override preferences for the current test
+   * Preferences are read at startup, so a running browser is restarted when they change.
+   * @param {Object} preferences - Per-test overrides
+   */
+  async setTestPreferences(preferences) {
+    this.preferenceLayers.test = preferences;
+    if (this.updatePreferences() && this.driver) {
+      console.log('Restarting Firefox with per-test preferences');
+      await this.restart();
     }
   }
 
+  /**
+   * Remove the per-test overrides of setTestPreferences, restarting the browser if needed
+   */
+  async clearTestPreferences() {
+    await this.setTestPreferences({});
+  }
+
+  /**
+   * Log the effective preferences and write them to prefsOutput
+   */
+  reportPreferences() {
+    console.log(`Firefox preferences (${Object.keys(this.preferences).length}):`);
+    console.log(formatPreferences(this.preferences, this.preferenceSources));
+
+    if (this.prefsOutput) {
+      const report = Object.fromEntries(Object.keys(this.preferences).sort().map(name => [
+        name,
+        { value: this.preferences[name], source: this.preferenceSources[name] },
+      ]));
+      writeFileSync(this.prefsOutput, JSON.stringify(report, null, 2) + '\n');
+      console.log(`Wrote effective preferences to ${this.prefsOutput}`);
+    }
+  }
+
+  /**
+   * Get the version and build of the running Firefox
+   * The session capabilities give the version, build ID and platform of any build, and the
+   * application.ini of a custom binary adds its changeset and channel.
+   * @returns {Promise<{version: string|null, buildId: string|null, platform: string|null,
+   *   sourceStamp: string|null, changesetUrl: string|null, channel: string|null}>}
+   */
+  async getBuildInfo() {
+    const capabilities = await this.driver.getCapabilities();
+    const fileInfo = this.firefoxBinaryPath ? readBuildInfo(this.firefoxBinaryPath) : null;
+    return {
+      version: capabilities.get('browserVersion') || fileInfo?.version || null,
+      buildId: capabilities.get('moz:buildID') || fileInfo?.buildId || null,
+      platform: capabilities.get('platformName') || null,
+      sourceStamp: fileInfo?.sourceStamp || null,
+      changesetUrl: fileInfo?.changesetUrl || null,
+      channel: fileInfo?.channel || null,
+    };
+  }
+
   /**
    * Build and initialize the WebDriver instance
    * @returns {Promise<import('selenium-webdriver').WebDriver>}
@@ -54,6 +327,7 @@ export class FirefoxDriver {
     }
 
     // Apply Firefox preferences
+    this.reportPreferences();
     Object.entries(this.preferences).forEach(([key, value]) => {
       firefoxOptions.setPreference(key, value);
     });
@@ -61,34 +335,724 @@ export class FirefoxDriver {
     // Set page load strategy to 'none' (similar to WebdriverIO behavior)
     firefoxOptions.setPageLoadStrategy('none');
 
-    // Build driver
-    this.driver = await new Builder()
+    if (this.acceptInsecureCerts) {
+      firefoxOptions.setAcceptInsecureCerts(true);
+    }
+
+    // Allow the Marionette chrome context used by executeInChrome and the pref helpers
+    // (required since Firefox 138, ignored by older versions)
+    firefoxOptions.addArguments('-remote-allow-system-access');
+
+    // Start from a profile of our own, where the crash reporter writes minidumps
+    // (geckodriver otherwise uses a temporary profile it removes on quit)
+    this.profileDir = mkdtempSync(join(tmpdir(), 'firefox-profile-'));
+    firefoxOptions.addArguments('-profile', this.profileDir);
+    const vendorOptions = firefoxOptions.get('moz:firefoxOptions');
+    vendorOptions.env = { ...vendorOptions.env, ...CRASH_REPORTER_ENV };
+
+    // Open a WebDriver BiDi connection, used to collect console logs and network requests,
+    // and to follow navigations
+    firefoxOptions.enableBidi();
+
+    const builder = new Builder()
       .forBrowser(Browser.FIREFOX)
-      .setFirefoxOptions(firefoxOptions)
-      .build();
+      .setFirefoxOptions(firefoxOptions);
+
+    // Use a specific geckodriver, checked against the Firefox build before starting a session
+    // (otherwise selenium picks whatever geckodriver it finds)
+    if (this.geckodriverPath || this.geckodriverVersion) {
+      const buildInfo = this.firefoxBinaryPath ? readBuildInfo(this.firefoxBinaryPath) : null;
+      const geckodriver = await ensureGeckodriver({
+        geckodriverPath: this.geckodriverPath,
+        geckodriverVersion: this.geckodriverVersion,
+        firefoxVersion: buildInfo?.version,
+      });
+      console.log(`Using geckodriver ${geckodriver.version || '(unknown version)'}: ${geckodriver.path}`);
+      builder.setFirefoxService(new firefox.ServiceBuilder(geckodriver.path));
+    }
+
+    // Build driver
+    try {
+      this.driver = await builder.build();
+    } catch (err) {
+      const crash = await this.checkForCrashes('startup');
+      if (crash?.crashes.length > 0) {
+        err.message = `${err.message}\n${crash.message}`;
+      }
+      await this.quit();
+      throw err;
+    }
+
+    try {
+      this.processId = (await this.driver.getCapabilities()).get('moz:processID') ?? null;
+      await this.listenToBidi();
+      if (this.verifyPreferencesMode) {
+        await this.verifyPreferences();
+      }
+    } catch (err) {
+      await this.quit();
+      throw err;
+    }
 
     return this.driver;
   }
 
+  /**
+   * Subscribe to the BiDi log, network and browsingContext events, collecting console messages
+   * and page errors of every browsing context into getConsoleLogs() and passing them to onConsole
+   * callbacks, recording requests into getNetworkRequests(), and tracking navigations for url()
+   */
+  async listenToBidi() {
+    this.bidi = await this.driver.getBidi();
+    // The whole browsingContext module, as subscribing to an event unknown to the build would fail
+    await this.bidi.subscribe(['log.entryAdded', ...NETWORK_EVENTS, 'browsingContext']);
+
+    this.bidi.socket.on('message', (data) => {
+      const { method, params } = JSON.parse(data.toString());
+      if (method === 'log.entryAdded') {
+        this.handleLogEntry(params);
+      } else if (NETWORK_EVENTS.includes(method)) {
+        this.handleNetworkEvent(method, params);
+      } else if (method?.startsWith('browsingContext.') && params.navigation) {
+        this.handleNavigationEvent(method, params);
+      }
+    });
+
+    // Interceptions and throttling outlive browser restarts
+    this.networkIntercept = null;
+    await this.updateNetworkIntercept();
+  }
+
+  /**
+   * Collect a console message or page error
+   * @param {Object} params - Parameters of the log.entryAdded event
+   */
+  handleLogEntry(params) {
+    const entry = parseLogEntry(params);
+    this.consoleLogs.push(entry);
+    for (const callback of this.consoleListeners) {
+      try {
+        callback(entry);
+      } catch (err) {
+        console.warn('Error in console callback:', err.message);
+      }
+    }
+  }
+
+  /**
+   * Get the console messages and page errors collected since the browser started,
+   * or since the last clearConsoleLogs()
+   * @param {Object} filter - Only return matching entries (optional)
+   * @param {string} filter.type - "console" for the console API, "javascript" for uncaught exceptions
+   * @param {string} filter.level - "debug", "info", "warn" or "error"
+   * @returns {Array<Object>} Entries (see parseLogEntry), oldest first
+   */
+  getConsoleLogs({ type, level } = {}) {
+    return this.consoleLogs.filter(entry =>
+      (type === undefined || entry.type === type) && (level === undefined || entry.level === level)
+    );
+  }
+
+  /**
+   * Get the uncaught exceptions thrown by pages since the last clearConsoleLogs()
+   * @returns {Array<Object>}
+   */
+  getPageErrors() {
+    return this.getConsoleLogs({ type: 'javascript' });
+  }
+
+  /**
+   * Forget the collected console logs
+   */
+  clearConsoleLogs() {
+    this.consoleLogs = [];
+  }
+
+  /**
+   * Call a function for every new console message and page error
+   * @param {Function} callback - Called with each entry (see parseLogEntry)
+   * @returns {Function} Removes the callback
+   */
+  onConsole(callback) {
+    this.consoleListeners.add(callback);
+    return () => this.consoleListeners.delete(callback);
+  }
+
+  /**
+   * Record a navigation event, and end the url() waits it satisfies
+   * @param {string} method - Event name
+   * @param {Object} params - Event parameters, with the navigation ID
+   */
+  handleNavigationEvent(method, params) {
+    const { navigation } = params;
+    if (!this.navigationEvents.has(navigation)) {
+      this.navigationEvents.set(navigation, new Map());
+      if (this.navigationEvents.size > MAX_TRACKED_NAVIGATIONS) {
+        this.navigationEvents.delete(this.navigationEvents.keys().next().value);
+      }
+    }
+    this.navigationEvents.get(navigation).set(method, params);
+
+    for (const waiter of this.navigationWaiters) {
+      if (waiter.navigation === navigation && (waiter.events.includes(method) || NAVIGATION_FAILURE_EVENTS[method])) {
+        waiter.resolve({ method, params });
+      }
+    }
+  }
+
+  /**
+   * Wait for one of the events of a navigation
+   * @param {string} navigation - Navigation ID
+   * @param {string[]} events - Event names
+   * @param {number} timeout - Timeout in milliseconds
+   * @param {string} message - Timeout message
+   * @returns {Promise<Object>} Parameters of the event
+   */
+  async waitForNavigationEvent(navigation, events, timeout, message) {
+    let waiter;
+    let timer;
+
+    try {
+      const { method, params } = await new Promise((resolve, reject) => {
+        waiter = { navigation, events, resolve };
+        this.navigationWaiters.add(waiter);
+        timer = setTimeout(() => reject(new Error(message)), timeout);
+
+        // The events may have arrived before the navigate command returned
+        const seen = this.navigationEvents.get(navigation);
+        const method = seen && [...events, ...Object.keys(NAVIGATION_FAILURE_EVENTS)].find(name => seen.has(name));
+        if (method) {
+          resolve({ method, params: seen.get(method) });
+        }
+      });
+
+      if (NAVIGATION_FAILURE_EVENTS[method]) {
+        throw new Error(`Navigation to ${params.url} ${NAVIGATION_FAILURE_EVENTS[method]}`);
+      }
+      return params;
+    } finally {
+      clearTimeout(timer);
+      this.navigationWaiters.delete(waiter);
+    }
+  }
+
+  /**
+   * Record a network event, and handle requests and responses paused by our intercept
+   * @param {string} method - Event name
+   * @param {Object} params - Event parameters
+   */
+  handleNetworkEvent(method, params) {
+    const id = params.request.request;
+    let record;
+    if (method === 'network.beforeRequestSent') {
+      record = createNetworkRecord(params);
+      this.networkRequests.push(record);
+    } else {
+      // Redirects reuse the request ID, the latest record is the current one
+      record = this.networkRequests.findLast(request => request.id === id);
+      if (!record) {
+        return;
+      }
+      updateNetworkRecord(record, method, params);
+    }
+
+    if (params.isBlocked && this.networkIntercept && params.intercepts?.includes(this.networkIntercept.id)) {
+      const resume = method === 'network.beforeRequestSent'
+        ? this.resumeRequest(record)
+        : this.resumeResponse(record);
+      resume.catch(err => console.warn(`Error resuming intercepted request ${record.url}:`, err.message));
+    }
+  }
+
+  /**
+   * Continue, mock or block a paused request, after the throttling latency
+   * @param {Object} record - Network record of the request
+   */
+  async resumeRequest(record) {
+    if (this.networkThrottling?.latency) {
+      await this.pause(this.networkThrottling.latency);
+    }
+
+    const route = this.networkRoutes.find(({ pattern }) => matchesUrl(pattern, record.url));
+    let action;
+    try {
+      action = route ? await route.handler(record) : undefined;
+    } catch (err) {
+      // Fail the request so the page does not wait for it forever, and keep the error for the test
+      this.networkRouteErrors.push(new Error(`Route handler of ${record.url} failed: ${err.message}`, { cause: err }));
+      action = 'block';
+    }
+
+    if (action === 'block') {
+      record.intercepted = 'blocked';
+      await this.sendBidi('network.failRequest', { request: record.id });
+    } else if (action) {
+      const { status = 200, statusText = 'OK', headers = {}, contentType, body = '' } = action;
+      const allHeaders = contentType ? { 'Content-Type': contentType, ...headers } : headers;
+      record.intercepted = 'mocked';
+      await this.sendBidi('network.provideResponse', {
+        request: record.id,
+        statusCode: status,
+        reasonPhrase: statusText,
+        headers: toBidiHeaders(allHeaders),
+        body: Buffer.isBuffer(body)
+          ? { type: 'base64', value: body.toString('base64') }
+          : { type: 'string', value: typeof body === 'string' ? body : JSON.stringify(body) },
+      });
+    } else {
+      await this.sendBidi('network.continueRequest', { request: record.id });
+    }
+  }
+
+  /**
+   * Continue a paused response after the time its body takes at the throttled bandwidth
+   * Bandwidth is emulated from the Content-Length header: responses without it are not slowed down.
+   * @param {Object} record - Network record of the request
+   */
+  async resumeResponse(record) {
+    const length = Number(record.responseHeaders.find(({ name }) => name.toLowerCase() === 'content-length')?.value);
+    const throughput = this.networkThrottling?.downloadThroughput;
+    if (throughput && length > 0) {
+      await this.pause((length * 8 * 1000) / throughput);
+    }
+    await this.sendBidi('network.continueResponse', { request: record.id });
+  }
+
+  /**
+   * Add, replace or remove the network intercept needed by the current routes and throttling
+   * Requests are paused before being sent when there are routes or latency, and responses
+   * when there is a bandwidth limit.
+   */
+  async updateNetworkIntercept() {
+    if (!this.bidi) {
+      return;
+    }
+
+    const phases = [];
+    if (this.networkRoutes.length > 0 || this.networkThrottling?.latency) {
+      phases.push('beforeRequestSent');
+    }
+    if (this.networkThrottling?.downloadThroughput) {
+      phases.push('responseStarted');
+    }
+    if (phases.join() === (this.networkIntercept?.phases.join() ?? '')) {
+      return;
+    }
+
+    if (this.networkIntercept) {
+      await this.sendBidi('network.removeIntercept', { intercept: this.networkIntercept.id });
+      this.networkIntercept = null;
+    }
+    if (phases.length > 0) {
+      const { intercept } = await this.sendBidi('network.addIntercept', { phases });
+      this.networkIntercept = { id: intercept, phases };
+    }
+  }
+
+  /**
+   * Send a BiDi command
+   * @param {string} method - Command name, e.g. "network.addIntercept"
+   * @param {Object} params - Command parameters
+   * @returns {Promise<Object>} Command result
+   */
+  async sendBidi(method, params) {
+    const response = await this.bidi.send({ method, params });
+    if (response.type === 'error') {
+      throw new Error(`${method} failed: ${response.error} (${response.message})`);
+    }
+    return response.result;
+  }
+
+  /**
+   * Get the network requests recorded since the browser started, or since the last clearNetworkRequests()
+   * Each record has the request (url, method, requestHeaders), its response (status, statusText,
+   * mimeType, responseHeaders, fromCache, bytesReceived), startedAt and duration in milliseconds,
+   * the BiDi timings, the error of failed requests, and whether it was 'mocked' or 'blocked'.
+   * @param {Object} filter - Only return matching requests (optional)
+   * @param {string|RegExp} filter.url - URL pattern, as for interceptRequests
+   * @returns {Array<Object>} Records, oldest first
+   */
+  getNetworkRequests({ url } = {}) {
+    return url === undefined
+      ? [...this.networkRequests]
+      : this.networkRequests.filter(record => matchesUrl(url, record.url));
+  }
+
+  /**
+   * Forget the recorded network requests
+   */
+  clearNetworkRequests() {
+    this.networkRequests = [];
+  }
+
+  /**
+   * Get the recorded network requests as a HAR document
+   * @returns {Promise<Object>}
+   */
+  async getHar() {
+    const capabilities = await this.driver.getCapabilities();
+    return createHar(this.networkRequests, { browserVersion: capabilities.get('browserVersion') });
+  }
+
+  /**
+   * Save the recorded network requests as a HAR file
+   * @param {string} name - File name, e.g. the Mocha test title (default: network)
+   * @returns {Promise<string>} Path to the saved file
+   */
+  async saveHar(name = 'network') {
+    const har = await this.getHar();
+    mkdirSync(this.harDir, { recursive: true });
+    const harPath = join(this.harDir, getHarFileName(name));
+    writeFileSync(harPath, JSON.stringify(har, null, 2) + '\n');
+    console.log(`Saved ${har.log.entries.length} network request(s) to ${harPath}`);
+    return harPath;
+  }
+
+  /**
+   * Intercept the requests matching a URL pattern
+   * The handler is called with the network record of each request, and returns 'block' to
+   * fail it, a response ({status, statusText, headers, contentType, body}) to mock it, or
+   * nothing to let it through. The first matching pattern wins. When the handler throws,
+   * the request fails and the error is kept for takeNetworkRouteErrors().
+   * @param {string|RegExp} pattern - URL pattern: the whole URL with "*" wildcards, or a regular expression
+   * @param {Function} handler - async (record) => 'block'|Object|undefined
+   * @returns {Promise<Function>} Removes the interception
+   */
+  async interceptRequests(pattern, handler) {
+    const route = { pattern, handler };
+    this.networkRoutes.push(route);
+    await this.updateNetworkIntercept();
+
+    return async () => {
+      this.networkRoutes = this.networkRoutes.filter(other => other !== route);
+      await this.updateNetworkIntercept();
+    };
+  }
+
+  /**
+   * Get the errors thrown by interceptRequests handlers since the last call, and forget them
+   * The requests whose handler threw were failed.
+   * @returns {Error[]}
+   */
+  takeNetworkRouteErrors() {
+    const errors = this.networkRouteErrors;
+    this.networkRouteErrors = [];
+    return errors;
+  }
+
+  /**
+   * Answer the requests matching a URL pattern with a fixed response
+   * @param {string|RegExp} pattern - URL pattern
+   * @param {Object} response - Response to send
+   * @param {number} response.status - Status code (default: 200)
+   * @param {Object} response.headers - Response headers
+   * @param {string} response.contentType - Content-Type header (optional)
+   * @param {string|Buffer|Object} response.body - Response body, objects are sent as JSON (default: empty)
+   * @returns {Promise<Function>} Removes the mock
+   */
+  async mockResponse(pattern, response) {
+    return this.interceptRequests(pattern, () => response);
+  }
+
+  /**
+   * Fail the requests matching a URL pattern, e.g. third-party scripts
+   * @param {string|RegExp} pattern - URL pattern
+   * @returns {Promise<Function>} Removes the block
+   */
+  async blockRequests(pattern) {
+    return this.interceptRequests(pattern, () => 'block');
+  }
+
+  /**
+   * Remove every interception added with interceptRequests, mockResponse or blockRequests
+   */
+  async clearInterceptions() {
+    this.networkRoutes = [];
+    await this.updateNetworkIntercept();
+  }
+
+  /**
+   * Emulate a slow network by delaying requests and responses
+   * Bandwidth is emulated from the Content-Length header, by delaying the whole response before
+   * its body is sent: responses without it (e.g. chunked) are not slowed down, and the body
+   * arrives at full speed once the delay is over.
+   * @param {string|Object|null} profile - Name of a THROTTLING_PROFILES entry (e.g. "Regular 3G"),
+   *   {latency, downloadThroughput} in milliseconds and bits per second, or null to stop throttling
+   */
+  async setNetworkThrottling(profile) {
+    if (typeof profile === 'string') {
+      if (!THROTTLING_PROFILES[profile]) {
+        throw new Error(`Unknown throttling profile: ${profile} (available: ${Object.keys(THROTTLING_PROFILES).join(', ')})`);
+      }
+      this.networkThrottling = THROTTLING_PROFILES[profile];
+    } else {
+      this.networkThrottling = profile;
+    }
+    await this.updateNetworkIntercept();
+  }
+
+  /**
+   * Check that every configured preference has the expected value in the running browser
+   * Mismatches usually mean the pref is locked by policy, or was renamed or removed.
+   * Depending on the verifyPreferences option, mismatches are logged or thrown.
+   * @returns {Promise<Array<{name: string, expected: any, actual: any, reason: string}>>} Mismatches
+   */
+  async verifyPreferences() {
+    const names = Object.keys(this.preferences);
+    const state = await this.executeInChrome(READ_PREFS_SCRIPT, names);
+    const mismatches = [];
+
+    for (const name of names) {
+      const expected = this.preferences[name];
+      const { exists, value, locked, hasDefault } = state[name];
+
+      if (!exists) {
+        mismatches.push({ name, expected, actual: null, reason: 'not set' });
+      } else if (value !== expected) {
+        // Prefs without a default are fine as long as they hold the value, e.g. prefs only read by tests
+        let reason = 'different value';
+        if (locked) {
+          reason = 'locked';
+        } else if (!hasDefault) {
+          reason = 'unknown to this build (renamed or removed?)';
+        }
+        mismatches.push({ name, expected, actual: value, reason });
+      }
+    }
+
+    if (mismatches.length > 0) {
+      const details = mismatches
+        .map(({ name, expected, actual, reason }) =>
+          `  ${name}: expected ${JSON.stringify(expected)}, got ${JSON.stringify(actual)} (${reason}, from ${this.preferenceSources[name]})`)
+        .join('\n');
+      const message = `${mismatches.length} Firefox preference(s) did not take effect:\n${details}`;
+      if (this.verifyPreferencesMode === 'error') {
+        throw new Error(message);
+      }
+      console.warn(message);
+    } else {
+      console.log(`Verified ${names.length} Firefox preferences`);
+    }
+
+    return mismatches;
+  }
+
+  /**
+   * Execute JavaScript in the privileged chrome context (Marionette), e.g. to use Services
+   * @param {string|Function} script - Script to execute
+   * @param  {...any} args - Arguments to pass to the script
+   * @returns {Promise<any>}
+   */
+  async executeInChrome(script, ...args) {
+    const previousContext = await this.driver.getContext();
+    await this.driver.setContext(firefox.Context.CHROME);
+    try {
+      return await this.driver.executeScript(script, ...args);
+    } finally {
+      await this.driver.setContext(previousContext);
+    }
+  }
+
+  /**
+   * Read a preference from the running browser
+   * @param {string} name - Preference name
+   * @returns {Promise<boolean|number|string|null>} Value, or null if the preference does not exist
+   */
+  async getPref(name) {
+    const state = await this.executeInChrome(READ_PREFS_SCRIPT, [name]);
+    return state[name].value;
+  }
+
+  /**
+   * Change a preference in the running browser, without restarting it
+   * Booleans, integers and strings are set with the matching pref type, which must be
+   * the type of the preference when it already exists.
+   * @param {string} name - Preference name
+   * @param {boolean|number|string} value - New value
+   */
+  async setPref(name, value) {
+    const existingType = await this.executeInChrome(SET_PREF_SCRIPT, name, value);
+    if (existingType) {
+      throw new Error(`Cannot set preference ${name} to ${JSON.stringify(value)}: the preference is of type ${existingType}`);
+    }
+  }
+
+  /**
+   * Reset a preference of the running browser to its default value
+   * @param {string} name - Preference name
+   */
+  async clearPref(name) {
+    await this.executeInChrome('Services.prefs.clearUserPref(arguments[0]);', name);
+  }
+
+  /**
+   * Start the Gecko profiler in every process, to profile only the code that follows
+   * @param {Object} options - Profiler settings (default: DEFAULT_PROFILER_OPTIONS)
+   * @param {string[]} options.features - Profiler features, e.g. ['js', 'stackwalk', 'cpu']
+   * @param {string[]} options.threads - Threads to sample, e.g. ['GeckoMain', 'Compositor']
+   * @param {number} options.interval - Sampling interval in milliseconds
+   * @param {number} options.entries - Size of the profiler buffer, in entries
+   */
+  async startProfiler(options = {}) {
+    const { features, threads, interval, entries } = { ...DEFAULT_PROFILER_OPTIONS, ...options };
+    await this.executeInChrome(START_PROFILER_SCRIPT, entries, interval, features, threads);
+    this.isProfilerRunning = true;
+  }
+
+  /**
+   * Stop the profiler and save the profile as gzipped JSON, loadable in https://profiler.firefox.com
+   * @param {string} name - Profile name, e.g. the Mocha test title (default: profile)
+   * @returns {Promise<string>} Path to the saved profile
+   */
+  async stopProfiler(name = 'profile') {
+    if (!this.isProfilerRunning) {
+      throw new Error('The profiler is not running, call startProfiler() first');
+    }
+
+    this.isProfilerRunning = false;
+    const profile = Buffer.from(await this.executeInChrome(STOP_PROFILER_SCRIPT), 'base64');
+
+    mkdirSync(this.profilesDir, { recursive: true });
+    const profilePath = join(this.profilesDir, getProfileFileName(name));
+    writeFileSync(profilePath, profile);
+    console.log(`Saved profile to ${profilePath}`);
+    return profilePath;
+  }
+
   /**
    * Navigate to a URL (supports relative paths with baseUrl)
+   * The navigation is followed through BiDi browsingContext events, up to the waitFor state:
+   * - 'commit': the new document replaced the previous one
+   * - 'domcontentloaded': DOMContentLoaded fired
+   * - 'load': the load event fired
+   * - 'networkidle': after load, no request was in flight for 500ms
+   * - any other string: a CSS selector, present after commit
    * @param {string} urlPath - URL or path to navigate to
+   * @param {Object} options - Navigation options
+   * @param {string} options.waitFor - State to wait for (default: commit)
+   * @param {number} options.timeout - Timeout in milliseconds (default: 10000)
    */
-  async url(urlPath) {
+  async url(urlPath, { waitFor = 'commit', timeout = 10000 } = {}) {
     const isAbsoluteUrl = urlPath.includes(':');
     const fullUrl = isAbsoluteUrl ? urlPath : this.baseUrl + urlPath;
-    await this.driver.get(fullUrl);
+    const deadline = Date.now() + timeout;
+    const message = `Timeout waiting for navigation to ${urlPath} (${waitFor})`;
 
-    // Wait for URL to match (Firefox pageLoadStrategy: none handling)
-    // Similar to the Firefox workaround in the original test
-    await this.driver.wait(async () => {
-      try {
-        const currentUrl = await this.driver.getCurrentUrl();
-        return currentUrl.endsWith(urlPath) || currentUrl === fullUrl;
-      } catch (err) {
+    // With the "none" page load strategy, navigate returns as soon as the navigation started
+    const context = await this.driver.getWindowHandle();
+    const { navigation } = await this.sendBidi('browsingContext.navigate', { context, url: fullUrl, wait: 'none' });
+
+    const events = NAVIGATION_WAIT_EVENTS[waitFor === 'networkidle' ? 'load' : waitFor] || NAVIGATION_WAIT_EVENTS.commit;
+    await this.waitForNavigationEvent(navigation, events, timeout, message);
+
+    if (waitFor === 'networkidle') {
+      await this.waitForNetworkIdle({ context, timeout: Math.max(deadline - Date.now(), 0) });
+    } else if (!NAVIGATION_WAIT_EVENTS[waitFor]) {
+      await this.waitForSelector(waitFor, { timeout: Math.max(deadline - Date.now(), 0) });
+    }
+  }
+
+  /**
+   * Wait until no request of a browsing context has been in flight for some time
+   * @param {Object} options - Wait options
+   * @param {string} options.context - Browsing context ID (default: all contexts)
+   * @param {number} options.idleTime - Milliseconds without requests in flight (default: 500)
+   * @param {number} options.timeout - Timeout in milliseconds (default: 10000)
+   */
+  async waitForNetworkIdle({ context, idleTime = 500, timeout = 10000 } = {}) {
+    let idleSince = null;
+    await this.waitUntil(() => {
+      const inFlight = this.networkRequests.some(record =>
+        (context === undefined || record.context === context) && record.duration === null
+      );
+      if (inFlight) {
+        idleSince = null;
         return false;
       }
-    }, 10000, `Timeout waiting for navigation to ${urlPath}`);
+      idleSince = idleSince ?? Date.now();
+      return Date.now() - idleSince >= idleTime;
+    }, timeout, `Timeout waiting for the network to be idle for ${idleTime}ms`);
+  }
+
+  /**
+   * Wait for an element to be in the page
+   * @param {string} selector - Selector, as for $
+   * @param {Object} options - Wait options
+   * @param {boolean} options.visible - Also wait for the element to be displayed (default: false)
+   * @param {number} options.timeout - Timeout in milliseconds (default: waitTimeout)
+   * @returns {Promise<FirefoxElement>}
+   */
+  async waitForSelector(selector, { visible = false, timeout = this.waitTimeout } = {}) {
+    const deadline = Date.now() + timeout;
+    const element = await this.$(selector, { timeout });
+    if (visible) {
+      await element.waitForDisplayed({ timeout: Math.max(deadline - Date.now(), 0) });
+    }
+    return element;
+  }
+
+  /**
+   * Wait for a page function to return a truthy value
+   * @param {string|Function} fn - Script or function run in the page
+   * @param {Array} args - Arguments to pass to the function
+   * @param {Object} options - Wait options
+   * @param {number} options.timeout - Timeout in milliseconds (default: 10000)
+   * @returns {Promise<any>} The value returned by the function
+   */
+  async waitForFunction(fn, args = [], { timeout = 10000 } = {}) {
+    let value;
+    await this.waitUntil(async () => {
+      value = await this.execute(fn, ...args);
+      return value;
+    }, timeout, `Timeout waiting for function to return a truthy value: ${String(fn).slice(0, 100)}`);
+    return value;
+  }
+
+  /**
+   * Wait for a performance entry of the current page, e.g. waitForPerformanceEntry('paint', 'first-contentful-paint')
+   * @param {string} type - Entry type, e.g. "paint", "largest-contentful-paint", "mark"
+   * @param {string} name - Entry name (default: any entry of the type)
+   * @param {Object} options - Wait options
+   * @param {number} options.timeout - Timeout in milliseconds (default: 10000)
+   * @returns {Promise<Object>} The entry, as serialized by its toJSON()
+   */
+  async waitForPerformanceEntry(type, name = null, { timeout = 10000 } = {}) {
+    let entry;
+    await this.waitUntil(async () => {
+      entry = await this.execute(FIND_PERFORMANCE_ENTRY_SCRIPT, type, name);
+      return entry;
+    }, timeout, `Timeout waiting for performance entry ${type}${name ? ` ${name}` : ''}`);
+    return entry;
+  }
+
+  /**
+   * Open a tab in a new BiDi user context and switch to it
+   * A user context has its own cookies, storage and HTTP cache, like a container tab; the other
+   * tabs stay open. Used by the Mocha root hooks to isolate tests from each other.
+   * @returns {Promise<{userContext: string, context: string, previousContext: string}>}
+   */
+  async newUserContext() {
+    await this.closeUserContext();
+    const previousContext = await this.driver.getWindowHandle();
+    const { userContext } = await this.sendBidi('browser.createUserContext', {});
+    const { context } = await this.sendBidi('browsingContext.create', { type: 'tab', userContext });
+    await this.driver.switchTo().window(context);
+    this.userContext = { userContext, context, previousContext };
+    return this.userContext;
+  }
+
+  /**
+   * Remove the user context opened by newUserContext, closing its tabs, and switch back to the
+   * previous tab
+   */
+  async closeUserContext() {
+    if (!this.userContext) {
+      return;
+    }
+    const { userContext, previousContext } = this.userContext;
+    this.userContext = null;
+    await this.sendBidi('browser.removeUserContext', { userContext });
+    await this.driver.switchTo().window(previousContext);
   }
 
   /**
@@ -108,43 +1072,116 @@ export class FirefoxDriver {
   }
 
   /**
-   * Find element by CSS selector
-   * Returns an object with WebdriverIO-like methods
-   * @param {string} selector - CSS selector
-   * @returns {Promise<{getText: () => Promise<string>, click: () => Promise<void>}>}
+   * Find the first element matching a selector, waiting for it to be in the page
+   * @param {string} selector - CSS selector, XPath ("//…", "(…)"), "text=Exact text", "text*=Partial text",
+   *   with ">>>" to pierce shadow roots, e.g. "my-app >>> button"
+   * @param {Object} options - Wait options
+   * @param {number} options.timeout - Timeout in milliseconds (default: waitTimeout)
+   * @returns {Promise<FirefoxElement>}
    */
-  async $(selector) {
-    const element = await this.driver.findElement(By.css(selector));
-
-    return {
-      getText: async () => {
-        return await element.getText();
-      },
-      click: async () => {
-        return await element.click();
-      },
-      getAttribute: async (name) => {
-        return await element.getAttribute(name);
-      },
-      isDisplayed: async () => {
-        return await element.isDisplayed();
-      },
-    };
+  async $(selector, options = {}) {
+    return this.findElement(this.driver, selector, selector, options);
   }
 
   /**
-   * Find multiple elements by CSS selector
-   * @param {string} selector - CSS selector
-   * @returns {Promise<Array>}
+   * Find every element matching a selector, without waiting
+   * @param {string} selector - Selector, as for $
+   * @returns {Promise<FirefoxElement[]>}
    */
   async $$(selector) {
-    const elements = await this.driver.findElements(By.css(selector));
-    return elements.map(el => ({
-      getText: async () => await el.getText(),
-      click: async () => await el.click(),
-      getAttribute: async (name) => await el.getAttribute(name),
-      isDisplayed: async () => await el.isDisplayed(),
-    }));
+    const elements = await findElements(this.driver, selector);
+    return elements.map(element => new FirefoxElement(this, element, selector));
+  }
+
+  /**
+   * Wait for the first element matching a selector in a page or element
+   * Used by $ of the driver and of elements.
+   * @param {import('selenium-webdriver').WebDriver|import('selenium-webdriver').WebElement} scope - Where to search
+   * @param {string} selector - Selector, as for $
+   * @param {string} description - Description of the element for error messages
+   * @param {Object} options - Wait options
+   * @param {number} options.timeout - Timeout in milliseconds (default: waitTimeout)
+   * @returns {Promise<FirefoxElement>}
+   */
+  async findElement(scope, selector, description, { timeout = this.waitTimeout } = {}) {
+    let element;
+    await this.waitUntil(async () => {
+      [element] = await findElements(scope, selector);
+      return element;
+    }, timeout, `Timeout waiting for element ${description}`);
+    return new FirefoxElement(this, element, description);
+  }
+
+  /**
+   * Take a PNG screenshot of the viewport, the whole page or an element
+   * @param {string} path - File to save the screenshot to (optional)
+   * @param {Object} options - Screenshot options
+   * @param {boolean} options.fullPage - Capture the whole page instead of the viewport (default: false)
+   * @param {string|FirefoxElement} options.element - Capture only this element, or the element matching
+   *   this selector (optional)
+   * @returns {Promise<Buffer>} PNG data
+   */
+  async screenshot(path = null, { fullPage = false, element = null } = {}) {
+    let png;
+    if (element) {
+      const target = typeof element === 'string' ? await this.$(element) : element;
+      png = await target.takeScreenshot();
+    } else {
+      png = Buffer.from(await (fullPage ? this.driver.takeFullPageScreenshot() : this.driver.takeScreenshot()), 'base64');
+    }
+
+    if (path) {
+      mkdirSync(dirname(path), { recursive: true });
+      writeFileSync(path, png);
+      console.log(`Saved screenshot to ${path}`);
+    }
+    return png;
+  }
+
+  /**
+   * Compare a screenshot with its baseline, failing when too many pixels differ
+   * The baseline is baselinesDir/<name>.png. It is created when missing, and replaced with
+   * updateBaselines. On mismatch, the screenshot and a diff image highlighting the differing
+   * pixels in red are saved in screenshotsDir as <name>-actual.png and <name>-diff.png.
+   * @param {string} name - Screenshot name, e.g. "index page"
+   * @param {Object} options - Comparison options, and screenshot options (fullPage, element)
+   * @param {number} options.threshold - Tolerated ratio of differing pixels, from 0 to 1 (default: 0)
+   * @param {number} options.colorThreshold - Tolerated difference per color channel, from 0 to 1 (default: 0.1)
+   * @returns {Promise<{mismatchedPixels: number, ratio: number, baselinePath: string}>}
+   */
+  async compareScreenshot(name, { threshold = 0, colorThreshold = 0.1, ...screenshotOptions } = {}) {
+    const png = await this.screenshot(null, screenshotOptions);
+    const baselinePath = join(this.baselinesDir, getScreenshotFileName(name));
+
+    if (this.updateBaselines || !existsSync(baselinePath)) {
+      mkdirSync(this.baselinesDir, { recursive: true });
+      writeFileSync(baselinePath, png);
+      console.log(`${this.updateBaselines ? 'Updated' : 'Created missing'} baseline ${baselinePath}`);
+      return { mismatchedPixels: 0, ratio: 0, baselinePath };
+    }
+
+    const actual = decodePng(png);
+    const expected = decodePng(readFileSync(baselinePath));
+    const actualPath = join(this.screenshotsDir, getScreenshotFileName(name, '-actual'));
+
+    if (actual.width !== expected.width || actual.height !== expected.height) {
+      mkdirSync(this.screenshotsDir, { recursive: true });
+      writeFileSync(actualPath, png);
+      throw new Error(`Screenshot "${name}" is ${actual.width}x${actual.height}, its baseline ${baselinePath} ` +
+        `${expected.width}x${expected.height} (screenshot: ${actualPath})`);
+    }
+
+    const { mismatchedPixels, ratio, diff } = diffImages(actual, expected, { colorThreshold });
+    if (ratio > threshold) {
+      const diffPath = join(this.screenshotsDir, getScreenshotFileName(name, '-diff'));
+      mkdirSync(this.screenshotsDir, { recursive: true });
+      writeFileSync(actualPath, png);
+      writeFileSync(diffPath, encodePng(diff));
+      throw new Error(`Screenshot "${name}" differs from its baseline in ${mismatchedPixels} pixel(s) ` +
+        `(${(ratio * 100).toFixed(2)}%, threshold ${(threshold * 100).toFixed(2)}%) (diff: ${diffPath})`);
+    }
+
+    return { mismatchedPixels, ratio, baselinePath };
   }
 
   /**
@@ -181,18 +1218,100 @@ export class FirefoxDriver {
     throw new Error(message);
   }
 
+  /**
+   * Check whether the browser process is still running
+   * @returns {boolean} false once the process exited, true while it runs or when its ID is unknown
+   */
+  isBrowserRunning() {
+    if (!this.driver) {
+      return false;
+    }
+    if (this.processId === null) {
+      return true;
+    }
+    try {
+      process.kill(this.processId, 0);
+      return true;
+    } catch (err) {
+      // EPERM: the process exists, but belongs to another user
+      return err.code === 'EPERM';
+    }
+  }
+
+  /**
+   * Check whether Firefox crashed, and move the crash dumps of the profile to crashesDir
+   * Crashes of content and other child processes leave a minidump while the browser keeps running;
+   * exited is true when the browser itself is gone.
+   * @param {string} name - Name of the crash files, e.g. the Mocha test title (default: crash)
+   * @returns {Promise<{exited: boolean, crashes: Array<Object>, message: string}|null>} The crashes
+   *   (see collectCrashDumps) and an error message, or null if Firefox did not crash
+   */
+  async checkForCrashes(name = 'crash') {
+    if (!this.profileDir) {
+      return null;
+    }
+
+    const crashes = await collectCrashDumps(join(this.profileDir, 'minidumps'), this.crashesDir, name, {
+      symbolsDir: this.symbolsDir,
+      stackwalkPath: this.stackwalkPath,
+    });
+    const exited = !this.isBrowserRunning() || crashes.some(crash => crash.processType === 'main');
+    if (crashes.length === 0 && !exited) {
+      return null;
+    }
+    return { exited, crashes, message: formatCrashMessage(name, crashes) };
+  }
+
   /**
    * Clean up and quit the driver
    */
   async quit() {
     if (this.driver) {
+      if (this.bidi) {
+        try {
+          await this.bidi.close();
+        } catch (err) {
+          console.warn('Error closing the BiDi connection:', err.message);
+        }
+        this.bidi = null;
+      }
       try {
         await this.driver.quit();
       } catch (err) {
         console.warn('Error quitting driver:', err.message);
       }
       this.driver = null;
+      this.isProfilerRunning = false;
+      this.userContext = null;
     }
+
+    if (this.profileDir) {
+      const crashes = await collectCrashDumps(join(this.profileDir, 'minidumps'), this.crashesDir, 'shutdown', {
+        symbolsDir: this.symbolsDir,
+        stackwalkPath: this.stackwalkPath,
+      });
+      if (crashes.length > 0) {
+        console.log(`✗ ${formatCrashMessage('shutdown', crashes)}`);
+      }
+      rmSync(this.profileDir, { recursive: true, force: true });
+      this.profileDir = null;
+      this.processId = null;
+    }
+  }
+
+  /**
+   * Quit the browser and start a new one with the same options and preferences
+   * When the test runs in a user context of newUserContext, it continues in a new one.
+   * @returns {Promise<import('selenium-webdriver').WebDriver>}
+   */
+  async restart() {
+    const hadUserContext = Boolean(this.userContext);
+    await this.quit();
+    await this.build();
+    if (hadUserContext) {
+      await this.newUserContext();
+    }
+    return this.driver;
   }
 
   /**
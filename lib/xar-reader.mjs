@@ -0,0 +1,301 @@
+import { mkdirSync, writeFileSync, symlinkSync, chmodSync } from 'fs';
+import { open } from 'fs/promises';
+import { dirname, resolve, sep } from 'path';
+import { Readable } from 'stream';
+import { inflateSync, gunzipSync } from 'zlib';
+import xzDecompress from 'xz-decompress';
+
+const { XzReadableStream } = xzDecompress;
+
+/**
+ * Extract the payload of a macOS .pkg installer
+ *
+ * A .pkg is a xar archive whose component packages each contain a "Payload"
+ * file: a cpio archive compressed with gzip or with Apple's chunked pbzx/xz
+ * format. Every payload is unpacked into extractDir, so the Firefox .app bundle
+ * ends up at its root. Payloads are decompressed in memory.
+ *
+ * @param {string} pkgPath - Path to the .pkg file
+ * @param {string} extractDir - Directory to extract to
+ * @returns {Promise<void>}
+ */
+export async function extractPkg(pkgPath, extractDir) {
+  const file = await open(pkgPath, 'r');
+
+  try {
+    const { toc, heapOffset } = await readXarToc(file);
+    const payloads = listXarFiles(toc).filter(entry => entry.name === 'Payload' && entry.data);
+
+    if (payloads.length === 0) {
+      throw new Error('No Payload found in .pkg archive');
+    }
+
+    for (const payload of payloads) {
+      console.log(`Extracting ${payload.path}...`);
+      const data = await readXarData(file, heapOffset, payload.data);
+      extractCpio(await decompressPayload(data), extractDir);
+    }
+  } finally {
+    await file.close();
+  }
+}
+
+/**
+ * Read and inflate the XML table of contents of a xar archive
+ *
+ * @param {import('fs/promises').FileHandle} file - Open xar file
+ * @returns {Promise<{toc: string, heapOffset: number}>}
+ */
+async function readXarToc(file) {
+  const header = Buffer.alloc(28);
+  await file.read(header, 0, 28, 0);
+
+  if (header.toString('latin1', 0, 4) !== 'xar!') {
+    throw new Error('Not a xar archive');
+  }
+
+  const headerSize = header.readUInt16BE(4);
+  const tocCompressedLength = Number(header.readBigUInt64BE(8));
+
+  const compressedToc = Buffer.alloc(tocCompressedLength);
+  await file.read(compressedToc, 0, tocCompressedLength, headerSize);
+
+  return {
+    toc: inflateSync(compressedToc).toString('utf8'),
+    heapOffset: headerSize + tocCompressedLength,
+  };
+}
+
+/**
+ * List the files described by a xar table of contents
+ *
+ * @param {string} toc - Table of contents XML
+ * @returns {Array<{name: string, path: string, data: Object|null}>}
+ */
+function listXarFiles(toc) {
+  const files = [];
+  const stack = [];
+  let text = '';
+
+  for (const match of toc.matchAll(/<(\/?)([\w-]+)([^>]*?)(\/?)>|([^<]+)/g)) {
+    const [, closing, tag, attributes, selfClosing, content] = match;
+
+    if (content !== undefined) {
+      text += content;
+      continue;
+    }
+
+    if (!closing) {
+      const element = { tag, attributes, children: [], text: '' };
+      stack.at(-1)?.children.push(element);
+      if (!selfClosing) {
+        stack.push(element);
+      }
+      text = '';
+      continue;
+    }
+
+    const element = stack.pop();
+    element.text = decodeXmlText(text.trim());
+    text = '';
+
+    if (element.tag === 'file') {
+      const parents = stack.filter(parent => parent.tag === 'file');
+      const child = (name) => element.children.find(c => c.tag === name);
+      const name = child('name')?.text;
+      const data = child('data');
+
+      files.push({
+        name,
+        path: [...parents.map(parent => parent.children.find(c => c.tag === 'name')?.text), name].join('/'),
+        data: data && {
+          offset: Number(data.children.find(c => c.tag === 'offset').text),
+          length: Number(data.children.find(c => c.tag === 'length').text),
+          encoding: (data.children.find(c => c.tag === 'encoding')?.attributes.match(/style="([^"]+)"/) || [])[1],
+        },
+      });
+    }
+  }
+
+  return files;
+}
+
+/**
+ * Decode the XML entities used in xar tables of contents
+ *
+ * @param {string} text - Escaped text
+ * @returns {string}
+ */
+function decodeXmlText(text) {
+  return text
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&quot;/g, '"')
+    .replace(/&apos;/g, '\'')
+    .replace(/&amp;/g, '&');
+}
+
+/**
+ * Read the content of a file from the xar heap, undoing its xar-level encoding
+ *
+ * @param {import('fs/promises').FileHandle} file - Open xar file
+ * @param {number} heapOffset - Offset of the heap in the archive
+ * @param {{offset: number, length: number, encoding: string}} data - File data description
+ * @returns {Promise<Buffer>}
+ */
+async function readXarData(file, heapOffset, { offset, length, encoding }) {
+  const buffer = Buffer.alloc(length);
+  await file.read(buffer, 0, length, heapOffset + offset);
+
+  if (encoding === 'application/x-gzip') {
+    return inflateSync(buffer);
+  }
+  if (encoding && encoding !== 'application/octet-stream') {
+    throw new Error(`Unsupported xar encoding: ${encoding}`);
+  }
+  return buffer;
+}
+
+/**
+ * Decompress a .pkg Payload into a cpio archive
+ *
+ * @param {Buffer} data - Payload content
+ * @returns {Promise<Buffer>}
+ */
+async function decompressPayload(data) {
+  if (data[0] === 0x1f && data[1] === 0x8b) {
+    return gunzipSync(data);
+  }
+
+  if (data.toString('latin1', 0, 4) !== 'pbzx') {
+    return data;
+  }
+
+  // pbzx: magic, 64-bit flags, then chunks of
+  // (64-bit uncompressed size, 64-bit compressed size, data)
+  const chunks = [];
+  let offset = 12;
+  while (offset < data.length) {
+    const uncompressedSize = Number(data.readBigUInt64BE(offset));
+    const compressedSize = Number(data.readBigUInt64BE(offset + 8));
+    const chunk = data.subarray(offset + 16, offset + 16 + compressedSize);
+    chunks.push(compressedSize === uncompressedSize ? chunk : await decompressXz(chunk));
+    offset += 16 + compressedSize;
+  }
+
+  return Buffer.concat(chunks);
+}
+
+/**
+ * Decompress an in-memory .xz stream
+ *
+ * @param {Buffer} data - Compressed data
+ * @returns {Promise<Buffer>}
+ */
+export async function decompressXz(data) {
+  const chunks = [];
+  const stream = Readable.fromWeb(new XzReadableStream(Readable.toWeb(Readable.from([data]))));
+  for await (const chunk of stream) {
+    chunks.push(chunk);
+  }
+  return Buffer.concat(chunks);
+}
+
+/**
+ * Extract a cpio archive in "odc" (070707) or "newc" (070701/070702) format
+ *
+ * @param {Buffer} data - cpio archive
+ * @param {string} extractDir - Directory to extract to
+ */
+export function extractCpio(data, extractDir) {
+  const root = resolve(extractDir);
+  const deferredModes = [];
+  let offset = 0;
+
+  while (offset < data.length) {
+    const magic = data.toString('latin1', offset, offset + 6);
+    let mode;
+    let nameSize;
+    let fileSize;
+    let headerSize;
+    let align;
+
+    if (magic === '070707') {
+      const field = (start, length) => parseInt(data.toString('latin1', offset + start, offset + start + length), 8);
+      mode = field(18, 6);
+      nameSize = field(59, 6);
+      fileSize = field(65, 11);
+      headerSize = 76;
+      align = 1;
+    } else if (magic === '070701' || magic === '070702') {
+      const field = (index) => parseInt(data.toString('latin1', offset + 6 + index * 8, offset + 14 + index * 8), 16);
+      mode = field(1);
+      fileSize = field(6);
+      nameSize = field(11);
+      headerSize = 110;
+      align = 4;
+    } else {
+      throw new Error(`Invalid cpio header at offset ${offset}`);
+    }
+
+    const nameStart = offset + headerSize;
+    const name = data.toString('utf8', nameStart, nameStart + nameSize - 1);
+    const dataStart = alignTo(nameStart + nameSize, align);
+    const content = data.subarray(dataStart, dataStart + fileSize);
+    offset = alignTo(dataStart + fileSize, align);
+
+    if (name === 'TRAILER!!!') {
+      break;
+    }
+
+    const targetPath = resolve(root, name);
+    if (!isInside(root, targetPath)) {
+      throw new Error(`Refusing to extract ${name} outside of ${extractDir}`);
+    }
+
+    const fileType = mode & 0o170000;
+    if (fileType === 0o040000) {
+      mkdirSync(targetPath, { recursive: true });
+      deferredModes.push([targetPath, mode & 0o7777]);
+    } else if (fileType === 0o120000) {
+      // Later entries may be written through the link, so it must not lead out of the directory
+      const linkTarget = content.toString('utf8');
+      if (!isInside(root, resolve(dirname(targetPath), linkTarget))) {
+        throw new Error(`Refusing to extract symlink ${name} -> ${linkTarget} pointing outside of ${extractDir}`);
+      }
+      mkdirSync(dirname(targetPath), { recursive: true });
+      symlinkSync(linkTarget, targetPath);
+    } else if (fileType === 0o100000) {
+      mkdirSync(dirname(targetPath), { recursive: true });
+      writeFileSync(targetPath, content, { mode: mode & 0o7777 });
+    }
+  }
+
+  // Apply directory permissions last, in case they are read-only
+  for (const [path, mode] of deferredModes.reverse()) {
+    chmodSync(path, mode | 0o700);
+  }
+}
+
+/**
+ * Check whether a resolved path is a directory or one of its descendants
+ * Used to keep archive entries, and the targets of their symlinks, inside the extraction directory.
+ *
+ * @param {string} root - Resolved directory path
+ * @param {string} path - Resolved path to check
+ * @returns {boolean}
+ */
+export function isInside(root, path) {
+  return path === root || path.startsWith(root + sep);
+}
+
+/**
+ * Round an offset up to a multiple of the cpio alignment
+ *
+ * @param {number} value - Offset to align
+ * @param {number} align - Alignment in bytes
+ * @returns {number}
+ */
+function alignTo(value, align) {
+  return Math.ceil(value / align) * align;
+}
@@ -0,0 +1,87 @@
+import { createServer } from 'http';
+
+/**
+ * Start a local stand-in for archive.mozilla.org and product-details
+ *
+ * The tree maps names to content: names ending with "/" are directories whose
+ * value is another tree, anything else is a file served as-is. Directories are
+ * rendered as HTML listings in the same shape as archive.mozilla.org.
+ *
+ * @param {Object} tree - Files and directories to serve from the root
+ * @returns {Promise<{url: string, requests: string[], close: () => Promise<void>}>}
+ */
+export async function startFakeArchive(tree) {
+  const requests = [];
+
+  const server = createServer((req, res) => {
+    const path = decodeURIComponent(req.url.split('?')[0]);
+    requests.push(path);
+
+    const node = lookup(tree, path);
+    if (node === undefined) {
+      res.writeHead(404, { 'Content-Type': 'text/plain' });
+      res.end('Not Found');
+      return;
+    }
+
+    if (path.endsWith('/')) {
+      res.writeHead(200, { 'Content-Type': 'text/html' });
+      res.end(renderListing(path, node));
+      return;
+    }
+
+    const body = Buffer.isBuffer(node) ? node : Buffer.from(typeof node === 'string' ? node : JSON.stringify(node));
+    res.writeHead(200, { 'Content-Length': body.length });
+    res.end(body);
+  });
+
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+
+  return {
+    url: `http://127.0.0.1:${server.address().port}`,
+    requests,
+    close: () => new Promise(resolve => server.close(resolve)),
+  };
+}
+
+/**
+ * Find the tree node for a request path
+ *
+ * @param {Object} tree - Root of the tree
+ * @param {string} path - Request path
+ * @returns {any}
+ */
+function lookup(tree, path) {
+  const parts = path.split('/').filter(Boolean);
+  let node = tree;
+
+  for (let i = 0; i < parts.length; i++) {
+    const isLast = i === parts.length - 1;
+    const key = isLast && !path.endsWith('/') ? parts[i] : `${parts[i]}/`;
+    if (node === null || typeof node !== 'object' || Buffer.isBuffer(node) || !(key in node)) {
+      return undefined;
+    }
+    node = node[key];
+  }
+
+  return node;
+}
+
+/**
+ * Render a directory listing
+ *
+ * @param {string} path - Directory path
+ * @param {Object} node - Directory contents
+ * @returns {string}
+ */
+function renderListing(path, node) {
+  const parent = path.replace(/[^/]+\/$/, '');
+  const rows = [`<tr><td>Dir</td><td><a href="${parent}">..</a></td></tr>`];
+
+  for (const name of Object.keys(node)) {
+    const type = name.endsWith('/') ? 'Dir' : 'File';
+    rows.push(`<tr><td>${type}</td><td><a href="${path}${encodeURIComponent(name.replace(/\/$/, ''))}${type === 'Dir' ? '/' : ''}">${name}</a></td></tr>`);
+  }
+
+  return `<html><head><title>Directory Listing: ${path}</title></head><body><h1>Index of ${path}</h1><table>${rows.join('\n')}</table></body></html>`;
+}
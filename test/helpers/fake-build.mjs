@@ -0,0 +1,68 @@
+import { mkdtempSync, mkdirSync, writeFileSync, readFileSync, rmSync } from 'fs';
+import { join } from 'path';
+import { tmpdir } from 'os';
+import * as tar from 'tar';
+
+/**
+ * Create a stub Linux Firefox build packaged as a .tar.gz archive
+ * The stub binary is a shell script answering --version like Firefox does, next to
+ * the application.ini, platform.ini and channel-prefs.js of a real build.
+ *
+ * @param {Object} options - Build options
+ * @param {string} options.version - Firefox version of the stub (default: 147.0)
+ * @param {string} options.buildId - Build ID of the stub (default: 20261013091845)
+ * @param {string} options.sourceStamp - Changeset of the stub
+ * @param {string} options.channel - Update channel of the stub (default: release)
+ * @returns {Promise<Buffer>} Archive contents
+ */
+export async function createFakeFirefoxArchive({
+  version = '147.0',
+  buildId = '20261013091845',
+  sourceStamp = '6a3f1e0c9b2d4f7e8a1c5b3d9e2f4a6c8b0d1e3f',
+  channel = 'release',
+} = {}) {
+  const workDir = mkdtempSync(join(tmpdir(), 'fake-firefox-'));
+
+  try {
+    const appDir = join(workDir, 'firefox');
+    mkdirSync(appDir);
+    writeFileSync(join(appDir, 'firefox'), `#!/bin/sh\necho "Mozilla Firefox ${version}"\n`, { mode: 0o755 });
+    writeBuildMetadata(appDir, { version, buildId, sourceStamp, channel });
+
+    const archivePath = join(workDir, 'firefox.tar.gz');
+    await tar.create({ gzip: true, file: archivePath, cwd: workDir }, ['firefox']);
+    return readFileSync(archivePath);
+  } finally {
+    rmSync(workDir, { recursive: true, force: true });
+  }
+}
+
+/**
+ * Write the application.ini, platform.ini and channel-prefs.js of a build
+ *
+ * @param {string} dir - Directory of the binary (Contents/Resources on macOS)
+ * @param {Object} metadata - {version, buildId, sourceStamp, channel}
+ */
+export function writeBuildMetadata(dir, { version, buildId, sourceStamp, channel }) {
+  const repository = 'https://hg.mozilla.org/releases/mozilla-release';
+  writeFileSync(join(dir, 'application.ini'), [
+    '[App]',
+    'Vendor=Mozilla',
+    'Name=Firefox',
+    `Version=${version}`,
+    `BuildID=${buildId}`,
+    `SourceRepository=${repository}`,
+    `SourceStamp=${sourceStamp}`,
+    '',
+  ].join('\n'));
+  writeFileSync(join(dir, 'platform.ini'), [
+    '[Build]',
+    `BuildID=${buildId}`,
+    `Milestone=${version}`,
+    `SourceStamp=${sourceStamp}`,
+    `SourceRepository=${repository}`,
+    '',
+  ].join('\n'));
+  mkdirSync(join(dir, 'defaults', 'pref'), { recursive: true });
+  writeFileSync(join(dir, 'defaults', 'pref', 'channel-prefs.js'), `pref("app.update.channel", "${channel}");\n`);
+}
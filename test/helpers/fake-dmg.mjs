@@ -0,0 +1,454 @@
+import { execFileSync } from 'child_process';
+import { deflateSync } from 'zlib';
+
+const BLOCK_SIZE = 4096;
+const SECTOR_SIZE = 512;
+
+const CHUNK_TYPES = {
+  zero: 0x00000000,
+  raw: 0x00000001,
+  adc: 0x80000004,
+  zlib: 0x80000005,
+  bzip2: 0x80000006,
+  lzfse: 0x80000007,
+  xz: 0x80000008,
+};
+
+/**
+ * Create a UDIF disk image (.dmg) holding an HFS+ volume
+ *
+ * Entries are given by path. Folders are created implicitly; an entry is either a
+ * file ({content, mode}), a symlink ({symlink}) or a hard link to another file
+ * ({hardLink: path}).
+ *
+ * @param {Object} options - Image options
+ * @param {Object<string, Object>} options.files - Volume content, keyed by path
+ * @param {string} options.compression - Chunk encoding: raw, zlib, bzip2, xz, lzfse or adc (default: zlib)
+ * @param {number} options.chunkSectors - Sectors per chunk (default: 64)
+ * @param {number} options.nodeSize - B-tree node size, small values spread the catalog over several leaves (default: 4096)
+ * @param {boolean} options.fragment - Spread file data over single-block extents, overflowing into the extents file
+ * @returns {Buffer} Disk image
+ */
+export function createFakeDmg({ files, compression = 'zlib', chunkSectors = 64, nodeSize = 4096, fragment = false }) {
+  const volume = createHfsVolume(files, { nodeSize, fragment });
+  return createUdifImage(volume, { compression, chunkSectors });
+}
+
+/**
+ * Check whether the command line tool used by a chunk encoding is available
+ *
+ * @param {string} compression - Chunk encoding
+ * @returns {boolean}
+ */
+export function isCompressionAvailable(compression) {
+  if (compression !== 'bzip2' && compression !== 'xz') {
+    return true;
+  }
+  try {
+    execFileSync(compression, ['--help'], { stdio: 'ignore' });
+    return true;
+  } catch (err) {
+    return false;
+  }
+}
+
+/**
+ * Build an HFS+ volume image
+ *
+ * @param {Object<string, Object>} files - Volume content, keyed by path
+ * @param {Object} options - Layout options
+ * @returns {Buffer}
+ */
+function createHfsVolume(files, { nodeSize, fragment }) {
+  // Catalog node IDs: 1 is the root's parent, 2 the root folder, 3-15 are reserved
+  let nextID = 16;
+  const folders = new Map([['', { id: 2, parentID: 1, name: 'Firefox', mode: 0o40755 }]]);
+  const entries = [];
+
+  const getFolder = (path) => {
+    if (!folders.has(path)) {
+      const separator = path.lastIndexOf('/');
+      const parent = getFolder(path.slice(0, Math.max(separator, 0)));
+      folders.set(path, { id: nextID++, parentID: parent.id, name: path.slice(separator + 1), mode: 0o40755 });
+    }
+    return folders.get(path);
+  };
+
+  const fileIDs = new Map();
+  for (const [path, file] of Object.entries(files)) {
+    const separator = path.lastIndexOf('/');
+    const parent = getFolder(separator === -1 ? '' : path.slice(0, separator));
+    const entry = { ...file, id: nextID++, parentID: parent.id, name: path.slice(separator + 1) };
+    fileIDs.set(path, entry.id);
+    entries.push(entry);
+  }
+
+  // Hard-linked content lives in the private data folder as iNode<link ID>
+  const hardLinks = entries.filter(entry => entry.hardLink);
+  if (hardLinks.length > 0) {
+    const privateFolder = { id: nextID++, parentID: 2, name: '\0\0\0\0HFS+ Private Data', mode: 0o40000 };
+    folders.set('\0private', privateFolder);
+    for (const link of hardLinks) {
+      const target = entries.find(entry => entry.id === fileIDs.get(link.hardLink));
+      if (!target.linkID) {
+        target.linkID = nextID++;
+        entries.push({ ...target, hardLink: undefined, id: target.linkID, parentID: privateFolder.id, name: `iNode${target.linkID}` });
+      }
+      link.linkID = target.linkID;
+    }
+  }
+
+  // Allocate file data, block 0 holds the volume header
+  const blocks = [];
+  let nextBlock = 1;
+  const overflowRecords = [];
+  for (const entry of entries) {
+    const data = entry.hardLink ? Buffer.alloc(0) : Buffer.from(entry.symlink ?? entry.content ?? '');
+    entry.size = data.length;
+    const blockCount = Math.ceil(data.length / BLOCK_SIZE);
+    const extents = [];
+    for (let i = 0; i < blockCount; i++) {
+      const length = fragment ? 1 : blockCount;
+      extents.push({ startBlock: nextBlock, blockCount: length });
+      blocks.push([nextBlock, data.subarray(i * BLOCK_SIZE, (i + length) * BLOCK_SIZE)]);
+      nextBlock += length + (fragment ? 1 : 0);
+      i += length - 1;
+    }
+
+    entry.extents = extents.slice(0, 8);
+    for (let i = 8; i < extents.length; i += 8) {
+      overflowRecords.push({ fileID: entry.id, startBlock: i, extents: extents.slice(i, i + 8) });
+    }
+  }
+
+  // Catalog: a folder record and a thread record per folder, a file record per file
+  const catalogRecords = [];
+  for (const folder of folders.values()) {
+    const name = folder.id === 2 ? 'Firefox' : folder.name;
+    catalogRecords.push([catalogKey(folder.parentID, name), folderRecord(folder)]);
+    catalogRecords.push([catalogKey(folder.id, ''), threadRecord(folder.parentID, name)]);
+  }
+  for (const entry of entries) {
+    catalogRecords.push([catalogKey(entry.parentID, entry.name), fileRecord(entry)]);
+  }
+  catalogRecords.sort(([a], [b]) => a.readUInt32BE(2) - b.readUInt32BE(2) || Buffer.compare(a.subarray(6), b.subarray(6)));
+
+  const extentsRecords = overflowRecords.map(({ fileID, startBlock, extents }) => {
+    const key = Buffer.alloc(12);
+    key.writeUInt16BE(10, 0);
+    key.writeUInt32BE(fileID, 4);
+    key.writeUInt32BE(startBlock, 8);
+    return [key, extentRecord(extents)];
+  });
+
+  const catalogFile = createBTree(catalogRecords.map(([key, data]) => Buffer.concat([key, data])), nodeSize);
+  const extentsFile = createBTree(extentsRecords.map(([key, data]) => Buffer.concat([key, data])), nodeSize);
+
+  const catalogStart = nextBlock;
+  nextBlock += catalogFile.length / BLOCK_SIZE;
+  const extentsStart = nextBlock;
+  nextBlock += extentsFile.length / BLOCK_SIZE;
+  const totalBlocks = nextBlock + 1;
+
+  const volume = Buffer.alloc(totalBlocks * BLOCK_SIZE);
+  for (const [block, data] of blocks) {
+    data.copy(volume, block * BLOCK_SIZE);
+  }
+  catalogFile.copy(volume, catalogStart * BLOCK_SIZE);
+  extentsFile.copy(volume, extentsStart * BLOCK_SIZE);
+
+  const header = Buffer.alloc(512);
+  header.write('H+', 0, 'latin1');
+  header.writeUInt16BE(4, 2);
+  header.writeUInt32BE(BLOCK_SIZE, 40);
+  header.writeUInt32BE(totalBlocks, 44);
+  header.writeUInt32BE(nextID, 64);
+  forkData(extentsFile.length, [{ startBlock: extentsStart, blockCount: extentsFile.length / BLOCK_SIZE }]).copy(header, 192);
+  forkData(catalogFile.length, [{ startBlock: catalogStart, blockCount: catalogFile.length / BLOCK_SIZE }]).copy(header, 272);
+  header.copy(volume, 1024);
+  header.copy(volume, volume.length - 1024);
+
+  return volume;
+}
+
+/**
+ * Build a catalog key
+ */
+function catalogKey(parentID, name) {
+  const nameData = Buffer.from(name, 'utf16le').swap16();
+  const key = Buffer.alloc(8 + nameData.length);
+  key.writeUInt16BE(6 + nameData.length, 0);
+  key.writeUInt32BE(parentID, 2);
+  key.writeUInt16BE(nameData.length / 2, 6);
+  nameData.copy(key, 8);
+  return key;
+}
+
+/**
+ * Build an HFSPlusCatalogFolder record
+ */
+function folderRecord({ id, mode }) {
+  const record = Buffer.alloc(88);
+  record.writeInt16BE(1, 0);
+  record.writeUInt32BE(id, 8);
+  record.writeUInt16BE(mode, 42);
+  return record;
+}
+
+/**
+ * Build an HFSPlusCatalogThread record
+ */
+function threadRecord(parentID, name) {
+  const nameData = Buffer.from(name, 'utf16le').swap16();
+  const record = Buffer.alloc(10 + nameData.length);
+  record.writeInt16BE(3, 0);
+  record.writeUInt32BE(parentID, 4);
+  record.writeUInt16BE(nameData.length / 2, 8);
+  nameData.copy(record, 10);
+  return record;
+}
+
+/**
+ * Build an HFSPlusCatalogFile record
+ */
+function fileRecord(entry) {
+  const record = Buffer.alloc(248);
+  record.writeInt16BE(2, 0);
+  record.writeUInt32BE(entry.id, 8);
+  if (entry.symlink !== undefined) {
+    record.writeUInt16BE(0o120755, 42);
+    record.write('slnkrhap', 48, 'latin1');
+  } else if (entry.hardLink) {
+    record.writeUInt16BE(0o100000 | (entry.mode ?? 0o644), 42);
+    record.writeUInt32BE(entry.linkID, 44);
+    record.write('hlnkhfs+', 48, 'latin1');
+  } else {
+    record.writeUInt16BE(0o100000 | (entry.mode ?? 0o644), 42);
+  }
+  forkData(entry.size, entry.extents).copy(record, 88);
+  return record;
+}
+
+/**
+ * Build an HFSPlusForkData structure
+ */
+function forkData(logicalSize, extents) {
+  const fork = Buffer.alloc(80);
+  fork.writeBigUInt64BE(BigInt(logicalSize), 0);
+  fork.writeUInt32BE(extents.reduce((sum, extent) => sum + extent.blockCount, 0), 12);
+  extentRecord(extents).copy(fork, 16);
+  return fork;
+}
+
+/**
+ * Build an extent record of 8 extent descriptors
+ */
+function extentRecord(extents) {
+  const record = Buffer.alloc(64);
+  extents.forEach(({ startBlock, blockCount }, i) => {
+    record.writeUInt32BE(startBlock, i * 8);
+    record.writeUInt32BE(blockCount, i * 8 + 4);
+  });
+  return record;
+}
+
+/**
+ * Build a B-tree file: a header node followed by linked leaf nodes
+ * Index nodes are omitted, since only the leaves are read.
+ *
+ * @param {Buffer[]} records - Leaf records in key order
+ * @param {number} nodeSize - Node size
+ * @returns {Buffer} File content, padded to a whole number of blocks
+ */
+function createBTree(records, nodeSize) {
+  const leaves = [];
+  let current = [];
+  let used = 14 + 2;
+  for (const record of records) {
+    if (used + record.length + 2 > nodeSize && current.length > 0) {
+      leaves.push(current);
+      current = [];
+      used = 14 + 2;
+    }
+    current.push(record);
+    used += record.length + 2;
+  }
+  if (current.length > 0) {
+    leaves.push(current);
+  }
+
+  const nodes = [];
+  const headerNode = Buffer.alloc(nodeSize);
+  headerNode.writeInt8(1, 8);
+  headerNode.writeUInt16BE(3, 10);
+  headerNode.writeUInt16BE(leaves.length > 0 ? 1 : 0, 14);
+  headerNode.writeUInt32BE(leaves.length > 0 ? 1 : 0, 16);
+  headerNode.writeUInt32BE(records.length, 20);
+  headerNode.writeUInt32BE(leaves.length > 0 ? 1 : 0, 24);
+  headerNode.writeUInt32BE(leaves.length, 28);
+  headerNode.writeUInt16BE(nodeSize, 32);
+  headerNode.writeUInt16BE(516, 34);
+  headerNode.writeUInt32BE(leaves.length + 1, 36);
+  nodes.push(headerNode);
+
+  leaves.forEach((leafRecords, i) => {
+    const node = Buffer.alloc(nodeSize);
+    node.writeUInt32BE(i + 1 < leaves.length ? i + 2 : 0, 0);
+    node.writeUInt32BE(i, 4);
+    node.writeInt8(-1, 8);
+    node.writeUInt8(1, 9);
+    node.writeUInt16BE(leafRecords.length, 10);
+
+    let offset = 14;
+    leafRecords.forEach((record, j) => {
+      node.writeUInt16BE(offset, nodeSize - 2 * (j + 1));
+      record.copy(node, offset);
+      offset += record.length;
+    });
+    node.writeUInt16BE(offset, nodeSize - 2 * (leafRecords.length + 1));
+    nodes.push(node);
+  });
+
+  const content = Buffer.concat(nodes);
+  return Buffer.concat([content, Buffer.alloc((BLOCK_SIZE - (content.length % BLOCK_SIZE)) % BLOCK_SIZE)]);
+}
+
+/**
+ * Wrap a volume into a UDIF image with a single partition
+ *
+ * @param {Buffer} volume - Partition content
+ * @param {Object} options - Encoding options
+ * @returns {Buffer}
+ */
+function createUdifImage(volume, { compression, chunkSectors }) {
+  const sectorCount = volume.length / SECTOR_SIZE;
+  const chunks = [];
+  const dataParts = [];
+  let dataLength = 0;
+
+  for (let sector = 0; sector < sectorCount; sector += chunkSectors) {
+    const count = Math.min(chunkSectors, sectorCount - sector);
+    const data = volume.subarray(sector * SECTOR_SIZE, (sector + count) * SECTOR_SIZE);
+    const zero = data.every(byte => byte === 0);
+    const encoded = zero ? Buffer.alloc(0) : encodeChunk(data, compression);
+
+    chunks.push({ type: CHUNK_TYPES[zero ? 'zero' : compression], sector, count, offset: dataLength, length: encoded.length });
+    dataParts.push(encoded);
+    dataLength += encoded.length;
+  }
+
+  const table = Buffer.alloc(204 + (chunks.length + 1) * 40);
+  table.write('mish', 0, 'latin1');
+  table.writeUInt32BE(1, 4);
+  table.writeBigUInt64BE(BigInt(sectorCount), 16);
+  table.writeUInt32BE(chunks.length + 1, 200);
+  chunks.forEach((chunk, i) => {
+    const offset = 204 + i * 40;
+    table.writeUInt32BE(chunk.type, offset);
+    table.writeBigUInt64BE(BigInt(chunk.sector), offset + 8);
+    table.writeBigUInt64BE(BigInt(chunk.count), offset + 16);
+    table.writeBigUInt64BE(BigInt(chunk.offset), offset + 24);
+    table.writeBigUInt64BE(BigInt(chunk.length), offset + 32);
+  });
+  table.writeUInt32BE(0xffffffff, 204 + chunks.length * 40);
+  table.writeBigUInt64BE(BigInt(sectorCount), 204 + chunks.length * 40 + 8);
+
+  const plist = Buffer.from(`<?xml version="1.0" encoding="UTF-8"?>
+<!DOCTYPE plist PUBLIC "-//Apple//DTD PLIST 1.0//EN" "http://www.apple.com/DTDs/PropertyList-1.0.dtd">
+<plist version="1.0">
+<dict>
+	<key>resource-fork</key>
+	<dict>
+		<key>blkx</key>
+		<array>
+			<dict>
+				<key>Attributes</key>
+				<string>0x0050</string>
+				<key>CFName</key>
+				<string>disk image (Apple_HFS : 0)</string>
+				<key>Data</key>
+				<data>
+				${table.toString('base64').replace(/.{1,52}/g, '$&\n\t\t\t\t')}</data>
+				<key>ID</key>
+				<string>0</string>
+				<key>Name</key>
+				<string>disk image (Apple_HFS : 0)</string>
+			</dict>
+		</array>
+	</dict>
+</dict>
+</plist>
+`);
+
+  const koly = Buffer.alloc(512);
+  koly.write('koly', 0, 'latin1');
+  koly.writeUInt32BE(4, 4);
+  koly.writeUInt32BE(512, 8);
+  koly.writeUInt32BE(1, 12);
+  koly.writeBigUInt64BE(BigInt(dataLength), 32);
+  koly.writeUInt32BE(1, 56);
+  koly.writeUInt32BE(1, 60);
+  koly.writeBigUInt64BE(BigInt(dataLength), 216);
+  koly.writeBigUInt64BE(BigInt(plist.length), 224);
+  koly.writeUInt32BE(1, 488);
+  koly.writeBigUInt64BE(BigInt(sectorCount), 492);
+
+  return Buffer.concat([...dataParts, plist, koly]);
+}
+
+/**
+ * Encode a chunk of sectors
+ *
+ * @param {Buffer} data - Chunk content
+ * @param {string} compression - Chunk encoding
+ * @returns {Buffer}
+ */
+function encodeChunk(data, compression) {
+  switch (compression) {
+    case 'raw':
+      return Buffer.from(data);
+    case 'zlib':
+      return deflateSync(data);
+    case 'bzip2':
+      return execFileSync('bzip2', ['-c'], { input: data });
+    case 'xz':
+      return execFileSync('xz', ['-c', '--check=crc32'], { input: data });
+    case 'lzfse':
+      return encodeLzvnLiterals(data);
+    case 'adc':
+      return encodeAdcLiterals(data);
+    default:
+      throw new Error(`Unknown compression: ${compression}`);
+  }
+}
+
+/**
+ * Encode data as an LZFSE stream with a single LZVN block made of literal runs
+ */
+function encodeLzvnLiterals(data) {
+  const parts = [];
+  for (let offset = 0; offset < data.length; offset += 271) {
+    const run = data.subarray(offset, offset + 271);
+    parts.push(run.length >= 16 ? Buffer.from([0xe0, run.length - 16]) : Buffer.from([0xe0 | run.length]), run);
+  }
+  parts.push(Buffer.from([0x06, 0, 0, 0, 0, 0, 0, 0]));
+  const payload = Buffer.concat(parts);
+
+  const header = Buffer.alloc(12);
+  header.write('bvxn', 0, 'latin1');
+  header.writeUInt32LE(data.length, 4);
+  header.writeUInt32LE(payload.length, 8);
+  return Buffer.concat([header, payload, Buffer.from('bvx$', 'latin1')]);
+}
+
+/**
+ * Encode data as ADC literal runs
+ */
+function encodeAdcLiterals(data) {
+  const parts = [];
+  for (let offset = 0; offset < data.length; offset += 128) {
+    const run = data.subarray(offset, offset + 128);
+    parts.push(Buffer.from([0x80 | (run.length - 1)]), run);
+  }
+  return Buffer.concat(parts);
+}
@@ -0,0 +1,137 @@
+import { EventEmitter } from 'events';
+import { gzipSync } from 'zlib';
+
+/**
+ * Create a stand-in for a selenium Firefox session
+ *
+ * Scripts run in the "chrome" context are evaluated against a fake Services.prefs
+ * holding the given default, user and locked preferences; running them in the
+ * "content" context fails, like Services being undefined in web content.
+ * Services.profiler records its calls in profiler.calls and returns a gzipped
+ * profile of the settings it was started with.
+ * getBidi() returns a fake BiDi connection recording its subscriptions and commands,
+ * whose emit(method, params) sends an event on its socket.
+ * User contexts and tabs created over BiDi get numbered IDs, and switchTo().window() changes
+ * the window handle (initially "context-1").
+ * Screenshots return the PNG buffers set in screenshots.viewport and screenshots.fullPage.
+ *
+ * @param {Object} options - Preference state
+ * @param {Object} options.defaults - Default values keyed by name
+ * @param {Object} options.user - User values keyed by name
+ * @param {string[]} options.locked - Names of locked preferences
+ * @returns {{driver: Object, prefs: {defaults: Map, user: Map, locked: Set}, profiler: {calls: Array},
+ *   contexts: string[], bidi: Object, screenshots: {viewport: Buffer, fullPage: Buffer}}}
+ */
+export function createFakeSession({ defaults = {}, user = {}, locked = [] } = {}) {
+  const prefs = {
+    defaults: new Map(Object.entries(defaults)),
+    user: new Map(Object.entries(user)),
+    locked: new Set(locked),
+  };
+  const profiler = { calls: [], settings: null };
+  const contexts = [];
+  const screenshots = { viewport: null, fullPage: null };
+  let context = 'content';
+  let windowHandle = 'context-1';
+
+  const PREF_INVALID = 0;
+  const PREF_STRING = 32;
+  const PREF_INT = 64;
+  const PREF_BOOL = 128;
+
+  const typeOf = value => {
+    if (value === undefined) {
+      return PREF_INVALID;
+    }
+    return { boolean: PREF_BOOL, number: PREF_INT, string: PREF_STRING }[typeof value];
+  };
+
+  const createBranch = lookup => ({
+    PREF_INVALID, PREF_STRING, PREF_INT, PREF_BOOL,
+    getPrefType: name => typeOf(lookup(name)),
+    getBoolPref: lookup,
+    getIntPref: lookup,
+    getStringPref: lookup,
+  });
+
+  const Services = {
+    prefs: {
+      ...createBranch(name => (prefs.locked.has(name) || !prefs.user.has(name) ? prefs.defaults.get(name) : prefs.user.get(name))),
+      getDefaultBranch: () => createBranch(name => prefs.defaults.get(name)),
+      prefIsLocked: name => prefs.locked.has(name),
+      setBoolPref: (name, value) => prefs.user.set(name, value),
+      setIntPref: (name, value) => prefs.user.set(name, value),
+      setStringPref: (name, value) => prefs.user.set(name, value),
+      clearUserPref: name => prefs.user.delete(name),
+    },
+    profiler: {
+      StartProfiler: async (entries, interval, features, threads) => {
+        profiler.calls.push('StartProfiler');
+        profiler.settings = { entries, interval, features, threads };
+      },
+      Pause: () => profiler.calls.push('Pause'),
+      StopProfiler: () => {
+        profiler.calls.push('StopProfiler');
+        profiler.settings = null;
+      },
+      getProfileDataAsGzippedArrayBuffer: async () => {
+        profiler.calls.push('getProfileDataAsGzippedArrayBuffer');
+        const data = gzipSync(JSON.stringify({ meta: { version: 31, configuration: profiler.settings }, threads: [] }));
+        return data.buffer.slice(data.byteOffset, data.byteOffset + data.length);
+      },
+    },
+  };
+
+  const bidi = {
+    socket: new EventEmitter(),
+    subscriptions: [],
+    commands: [],
+    closed: false,
+    subscribe: async (events) => {
+      bidi.subscriptions.push(...events);
+    },
+    send: async ({ method, params }) => {
+      bidi.commands.push({ method, params });
+      const results = {
+        'network.addIntercept': () => ({ intercept: `intercept-${bidi.commands.length}` }),
+        'browsingContext.navigate': () => ({ navigation: `navigation-${bidi.commands.length}`, url: params.url }),
+        'browser.createUserContext': () => ({ userContext: `user-context-${bidi.commands.length}` }),
+        'browsingContext.create': () => ({ context: `context-${bidi.commands.length}` }),
+      };
+      const result = results[method] ? results[method]() : {};
+      return { type: 'success', id: bidi.commands.length, result };
+    },
+    close: async () => {
+      bidi.closed = true;
+    },
+    emit: (method, params) => {
+      bidi.socket.emit('message', Buffer.from(JSON.stringify({ type: 'event', method, params })));
+    },
+  };
+
+  const driver = {
+    getContext: async () => context,
+    setContext: async (value) => {
+      context = value;
+      contexts.push(value);
+    },
+    executeScript: async (script, ...args) => {
+      const body = typeof script === 'function' ? `return (${script}).apply(null, arguments);` : script;
+      const run = new Function('Services', `return (function () { ${body} }).apply(null, arguments[1]);`);
+      return run(context === 'chrome' ? Services : undefined, args);
+    },
+    getBidi: async () => bidi,
+    getWindowHandle: async () => windowHandle,
+    switchTo: () => ({
+      window: async (handle) => {
+        windowHandle = handle;
+      },
+    }),
+    getCapabilities: async () => new Map([['browserVersion', '149.0a1']]),
+    takeScreenshot: async () => screenshots.viewport.toString('base64'),
+    takeFullPageScreenshot: async () => screenshots.fullPage.toString('base64'),
+    quit: async () => {},
+  };
+
+  return { driver, prefs, profiler, contexts, bidi, screenshots };
+}
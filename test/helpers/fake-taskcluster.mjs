@@ -0,0 +1,82 @@
+import { createServer } from 'http';
+
+/**
+ * Start a local stand-in for the Taskcluster queue and index APIs
+ *
+ * @param {Object} state - Tasks and index routes to serve
+ * @param {Object} state.tasks - Map of task ID to {state, runs: [{state, artifacts: {name: content}}]}
+ * @param {Object} state.index - Map of index route to task ID
+ * @param {number} state.pageSize - Number of artifacts per listing page (default: 1000)
+ * @returns {Promise<{url: string, requests: string[], close: () => Promise<void>}>}
+ */
+export async function startFakeTaskcluster({ tasks = {}, index = {}, pageSize = 1000 }) {
+  const requests = [];
+
+  const server = createServer((req, res) => {
+    const url = new URL(req.url, 'http://localhost');
+    requests.push(url.pathname);
+
+    const sendJson = (status, body) => {
+      res.writeHead(status, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify(body));
+    };
+
+    let match = url.pathname.match(/^\/api\/index\/v1\/task\/(.+)$/);
+    if (match) {
+      const taskId = index[match[1]];
+      if (!taskId) {
+        return sendJson(404, { code: 'ResourceNotFound' });
+      }
+      return sendJson(200, { namespace: match[1], taskId, rank: 0, data: {} });
+    }
+
+    match = url.pathname.match(/^\/api\/queue\/v1\/task\/([^/]+)\/(.*)$/);
+    const task = match && tasks[match[1]];
+    if (!task) {
+      return sendJson(404, { code: 'ResourceNotFound' });
+    }
+
+    const [, taskId, rest] = match;
+    if (rest === 'status') {
+      return sendJson(200, {
+        status: {
+          taskId,
+          state: task.state,
+          runs: task.runs.map((run, runId) => ({ runId, state: run.state })),
+        },
+      });
+    }
+
+    match = rest.match(/^runs\/(\d+)\/artifacts(?:\/(.+))?$/);
+    const run = match && task.runs[Number(match[1])];
+    if (!run) {
+      return sendJson(404, { code: 'ResourceNotFound' });
+    }
+
+    const names = Object.keys(run.artifacts || {});
+    if (!match[2]) {
+      const start = Number(url.searchParams.get('continuationToken') || 0);
+      const page = { artifacts: names.slice(start, start + pageSize).map(name => ({ name })) };
+      if (start + pageSize < names.length) {
+        page.continuationToken = String(start + pageSize);
+      }
+      return sendJson(200, page);
+    }
+
+    const name = decodeURIComponent(match[2]);
+    if (!names.includes(name)) {
+      return sendJson(404, { code: 'ResourceNotFound' });
+    }
+    const body = Buffer.from(run.artifacts[name]);
+    res.writeHead(200, { 'Content-Length': body.length });
+    res.end(body);
+  });
+
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+
+  return {
+    url: `http://127.0.0.1:${server.address().port}`,
+    requests,
+    close: () => new Promise(resolve => server.close(resolve)),
+  };
+}
@@ -0,0 +1,8 @@
+import { createMochaHooks } from '../lib/mocha-hooks.mjs';
+
+// Root hooks, required in .mocharc.json: start the test server and Firefox once, and run each test
+// in a new user context (FIREFOX_ISOLATION=browser for a new browser per test, none to share state)
+export const mochaHooks = createMochaHooks({
+  server: { root: 'test' },
+  driverOptions: { failOnPageErrors: true },
+});
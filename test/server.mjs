@@ -13,15 +13,10 @@
  limitations under the License.
 */
 
-import express from 'express';
+import { startTestServer } from '../lib/test-server.mjs';
 
 // Port number
 const PORT = process.env.PORT || 9090;
 
-const app = express();
-
-app.use(express.static('./test/'));
-
-const listener = app.listen(PORT, () => {
-  console.log(`Server is running on http://localhost:${PORT}`);
-});
+// Serves ./test/ for manual browsing; the Mocha root hooks in test/hooks.mjs start their own server on a free port
+await startTestServer({ port: Number(PORT), root: './test/', https: Boolean(process.env.HTTPS) });
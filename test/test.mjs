@@ -1,46 +1,90 @@
 import assert from 'assert';
-import { FirefoxDriver } from '../lib/webdriver-helper.mjs';
-
-let driver;
+import { profileEachTest } from '../lib/profiler.mjs';
+import { captureConsoleEachTest } from '../lib/console-logs.mjs';
+import { recordNetworkEachTest } from '../lib/network.mjs';
+import { screenshotOnFailureEachTest } from '../lib/screenshots.mjs';
+import { getDriver } from '../lib/mocha-hooks.mjs';
+import { runBenchmark, measurePageLoad, assertMedian } from '../lib/benchmark.mjs';
+import { recordMetrics } from '../lib/test-report.mjs';
 
+// The server and Firefox are started by the root hooks of test/hooks.mjs, and each test
+// runs in a new user context (see "Mocha Root Hooks" in the README)
 describe('tests', function () {
-  // Initialize driver before all tests
-  before(async function () {
-    driver = new FirefoxDriver({
-      firefoxBinary: process.env.FIREFOX_BINARY, // Optional custom binary
-      baseUrl: 'http://localhost:9090',
-    });
+  // Print the console logs of failed tests, and fail tests on uncaught page exceptions
+  captureConsoleEachTest(getDriver);
 
-    await driver.build();
-    console.log('Firefox driver initialized');
-  });
+  // Save a screenshot of failed tests in FIREFOX_SCREENSHOTS_DIR
+  screenshotOnFailureEachTest(getDriver);
 
-  // Clean up driver after all tests
-  after(async function () {
-    if (driver) {
-      await driver.quit();
-      console.log('Firefox driver closed');
-    }
-  });
+  // Save a profile of each test when FIREFOX_PROFILE_TESTS is set
+  if (process.env.FIREFOX_PROFILE_TESTS) {
+    profileEachTest(getDriver);
+  }
+
+  // Save the network requests of each test when FIREFOX_HAR_DIR is set
+  if (process.env.FIREFOX_HAR_DIR) {
+    recordNetworkEachTest(getDriver);
+  }
 
-  // Navigate to blank page before each test
-  beforeEach(async function () {
-    await driver.url('about:blank');
+  it('logs the FCP candidate to the console', async function () {
+    const { driver } = this;
+    await driver.url('/index.html');
+    await driver.waitUntil(
+      () => driver.getConsoleLogs().some(entry => entry.text.startsWith('FCP candidate:')),
+      10000,
+      'Timeout waiting for the FCP candidate console message'
+    );
   });
 
-  // Run 3 FCP measurement tests
-  for (let i = 1; i <= 3; i++) {
-    it('test ' + i, async function () {
-      await driver.url('/index.html');
+  it('paints the index page', async function () {
+    const { driver } = this;
+    await driver.url('/index.html', { waitFor: 'load' });
+    const entry = await driver.waitForPerformanceEntry('paint', 'first-contentful-paint');
+    assert(entry.startTime > 0, `Unexpected FCP entry: ${JSON.stringify(entry)}`);
+    recordMetrics({ fcp: entry.startTime });
+  });
 
-      // Pause to make sure page has painted
-      await driver.pause(2500);
+  it('serves mocked responses', async function () {
+    const { driver } = this;
+    const unmock = await driver.mockResponse('*/mocked.html', {
+      contentType: 'text/html',
+      body: '<h1>Mocked</h1>',
+    });
+    try {
+      await driver.url('/mocked.html', { waitFor: 'h1' });
+      assert.strictEqual(await (await driver.$('h1')).getText(), 'Mocked');
+      const [request] = driver.getNetworkRequests({ url: '*/mocked.html' });
+      assert.strictEqual(request.intercepted, 'mocked');
+    } finally {
+      await unmock();
+    }
+  });
 
-      const output = await driver.$('#output');
-      const fcpEntry = JSON.parse(await output.getText());
+  it('renders pages streamed in chunks', async function () {
+    const { driver, server } = this;
+    const unroute = server.route('/index.html', { chunkSize: 128, chunkDelay: 50 });
+    try {
+      server.clearRequests();
+      await driver.url('/index.html', { waitFor: 'load' });
+      const [request] = server.getRequests({ path: '/index.html' });
+      assert.strictEqual(request.status, 200);
+      assert(request.duration >= 100, `Expected a streamed response, took ${request.duration}ms`);
+    } finally {
+      unroute();
+    }
+  });
 
-      console.log('Test ' + i + ' FCP entry:', fcpEntry);
-      assert(fcpEntry.startTime < 1000);
+  // Measure FCP over several loads, and check the median rather than single samples
+  // (@perf: run alone by npm run test:e2e:parallel)
+  it('first contentful paint @perf', async function () {
+    const { driver } = this;
+    const result = await runBenchmark(driver, {
+      runs: Number(process.env.BENCHMARK_RUNS || 5),
+      warmupRuns: 1,
+      metrics: ['fcp', 'load'],
+      measure: () => measurePageLoad(driver, '/index.html', { metrics: ['fcp', 'load'] }),
     });
-  }
+
+    assertMedian(result, 'fcp', { below: 1000 });
+  });
 });
@@ -0,0 +1,201 @@
+import assert from 'assert';
+import { mkdtempSync, copyFileSync, readFileSync, statSync, lstatSync, readlinkSync, existsSync, writeFileSync, rmSync } from 'fs';
+import { join, dirname } from 'path';
+import { tmpdir } from 'os';
+import { fileURLToPath } from 'url';
+import { detectArchiveFormat, extractArchive, findNestedArchives, getFormatFromName } from '../../lib/archive-extractor.mjs';
+import { downloadFirefox } from '../../lib/firefox-downloader.mjs';
+import { extractCpio } from '../../lib/xar-reader.mjs';
+import { startFakeArchive } from '../helpers/fake-archive.mjs';
+
+const FIXTURES = join(dirname(fileURLToPath(import.meta.url)), '..', 'fixtures', 'archives');
+
+describe('archive-extractor', function () {
+  let workDir;
+
+  beforeEach(function () {
+    workDir = mkdtempSync(join(tmpdir(), 'extractor-test-'));
+  });
+
+  afterEach(function () {
+    rmSync(workDir, { recursive: true, force: true });
+  });
+
+  /**
+   * Copy a fixture under a name without any extension, so only its content identifies it
+   */
+  function copyWithoutExtension(fixture) {
+    const path = join(workDir, 'target');
+    copyFileSync(join(FIXTURES, fixture), path);
+    return path;
+  }
+
+  describe('detectArchiveFormat', function () {
+    const cases = {
+      'firefox.tar.xz': 'tar.xz',
+      'firefox.tar.bz2': 'tar.bz2',
+      'firefox-win64.zip': 'zip',
+      'Firefox.pkg': 'pkg',
+      'Firefox.dmg': 'dmg',
+    };
+
+    for (const [fixture, format] of Object.entries(cases)) {
+      it(`detects ${format} from its content`, async function () {
+        assert.strictEqual(await detectArchiveFormat(copyWithoutExtension(fixture)), format);
+      });
+    }
+
+    it('detects DMG images from their koly trailer', async function () {
+      const path = join(workDir, 'image');
+      const data = Buffer.alloc(1024);
+      data.write('koly', 512, 'latin1');
+      writeFileSync(path, data);
+      assert.strictEqual(await detectArchiveFormat(path), 'dmg');
+    });
+
+    it('falls back to the file name', async function () {
+      const path = join(workDir, 'unknown.dmg');
+      writeFileSync(path, 'not really a disk image');
+      assert.strictEqual(await detectArchiveFormat(path), 'dmg');
+      assert.strictEqual(getFormatFromName('firefox.TAR.XZ'), 'tar.xz');
+      assert.strictEqual(getFormatFromName('firefox.exe'), null);
+    });
+  });
+
+  describe('extractArchive', function () {
+    it('extracts .tar.xz archives', async function () {
+      const outDir = join(workDir, 'out');
+      await extractArchive(copyWithoutExtension('firefox.tar.xz'), outDir);
+      assert.match(readFileSync(join(outDir, 'firefox', 'firefox'), 'utf8'), /Mozilla Firefox 147\.0/);
+      assert(statSync(join(outDir, 'firefox', 'firefox')).mode & 0o100);
+    });
+
+    it('extracts .tar.bz2 archives', async function () {
+      const outDir = join(workDir, 'out');
+      await extractArchive(copyWithoutExtension('firefox.tar.bz2'), outDir);
+      assert(existsSync(join(outDir, 'firefox', 'libxul.so')));
+    });
+
+    it('extracts Windows .zip builds', async function () {
+      const outDir = join(workDir, 'out');
+      await extractArchive(copyWithoutExtension('firefox-win64.zip'), outDir);
+      assert(existsSync(join(outDir, 'firefox', 'firefox.exe')));
+      assert(existsSync(join(outDir, 'firefox', 'xul.dll')));
+    });
+
+    it('restores permissions and symlinks from .zip archives', async function () {
+      const outDir = join(workDir, 'out');
+      await extractArchive(join(FIXTURES, 'firefox-symlink.zip'), outDir);
+      assert(statSync(join(outDir, 'firefox', 'firefox')).mode & 0o100);
+      assert(lstatSync(join(outDir, 'firefox', 'firefox-link')).isSymbolicLink());
+      assert.strictEqual(readlinkSync(join(outDir, 'firefox', 'firefox-link')), 'firefox');
+    });
+
+    it('refuses .zip symlinks pointing outside of the extraction directory', async function () {
+      const outDir = join(workDir, 'out');
+      await assert.rejects(
+        extractArchive(join(FIXTURES, 'symlink-escape.zip'), outDir),
+        /Refusing to extract symlink firefox\/outside -> \.\.\/\.\.\/outside pointing outside of/
+      );
+      assert(!existsSync(join(workDir, 'outside')));
+    });
+
+    it('refuses .pkg payload symlinks pointing outside of the extraction directory', function () {
+      const outDir = join(workDir, 'out');
+      assert.throws(
+        () => extractCpio(readFileSync(join(FIXTURES, 'symlink-escape.cpio')), outDir),
+        /Refusing to extract symlink firefox\/outside -> \.\.\/\.\.\/outside pointing outside of/
+      );
+      assert(!existsSync(join(workDir, 'outside')));
+    });
+
+    it('extracts the payload of .pkg installers', async function () {
+      const outDir = join(workDir, 'out');
+      await extractArchive(copyWithoutExtension('Firefox.pkg'), outDir);
+      const binary = join(outDir, 'Firefox.app', 'Contents', 'MacOS', 'firefox');
+      assert.match(readFileSync(binary, 'utf8'), /Mozilla Firefox/);
+      assert(statSync(binary).mode & 0o100);
+      assert.strictEqual(readlinkSync(join(outDir, 'Firefox.app', 'Contents', 'MacOS', 'firefox-bin')), 'firefox');
+    });
+
+    it('extracts the .app bundle of .dmg images without mounting them', async function () {
+      const outDir = join(workDir, 'out');
+      await extractArchive(copyWithoutExtension('Firefox.dmg'), outDir, { dmgExtractor: 'js' });
+      const binary = join(outDir, 'Firefox.app', 'Contents', 'MacOS', 'firefox');
+      assert.match(readFileSync(binary, 'utf8'), /Mozilla Firefox/);
+      assert(statSync(binary).mode & 0o100);
+      assert.strictEqual(readlinkSync(join(outDir, 'Firefox.app', 'Contents', 'MacOS', 'firefox-bin')), 'firefox');
+      assert(!existsSync(join(outDir, 'Applications')));
+    });
+
+    it('rejects unknown DMG extractors', async function () {
+      await assert.rejects(
+        extractArchive(join(FIXTURES, 'Firefox.dmg'), join(workDir, 'out'), { dmgExtractor: 'mount' }),
+        /Unknown DMG extractor: mount/,
+      );
+    });
+
+    it('rejects unknown formats', async function () {
+      const path = join(workDir, 'firefox.exe');
+      writeFileSync(path, 'MZ');
+      await assert.rejects(extractArchive(path, join(workDir, 'out')), /Unsupported archive format/);
+    });
+  });
+
+  describe('findNestedArchives', function () {
+    it('finds archives inside an extracted package', async function () {
+      const outDir = join(workDir, 'out');
+      await extractArchive(join(FIXTURES, 'packaged.zip'), outDir);
+      assert.deepStrictEqual(await findNestedArchives(outDir), [join(outDir, 'firefox.tar.bz2')]);
+    });
+  });
+
+  describe('downloadFirefox', function () {
+    let archive;
+
+    before(async function () {
+      archive = await startFakeArchive({
+        'target.tar.xz': readFileSync(join(FIXTURES, 'firefox.tar.xz')),
+        'target.zip': readFileSync(join(FIXTURES, 'firefox-win64.zip')),
+        'packaged.zip': readFileSync(join(FIXTURES, 'packaged.zip')),
+        'Firefox.pkg': readFileSync(join(FIXTURES, 'Firefox.pkg')),
+        'Firefox.dmg': readFileSync(join(FIXTURES, 'Firefox.dmg')),
+      });
+    });
+
+    after(async function () {
+      await archive.close();
+    });
+
+    it('installs Linux .tar.xz builds', async function () {
+      const result = await downloadFirefox(`${archive.url}/target.tar.xz`, { cacheDir: workDir, verifyChecksum: false });
+      assert(result.binaryPath.endsWith(join('firefox', 'firefox')));
+      assert.strictEqual(result.version, '147.0');
+      assert.strictEqual(result.buildId, '20261013091845');
+      assert.strictEqual(result.sourceStamp, '6a3f1e0c9b2d4f7e8a1c5b3d9e2f4a6c8b0d1e3f');
+      assert.strictEqual(result.channel, 'release');
+    });
+
+    it('finds the binary of Windows builds on any platform', async function () {
+      const result = await downloadFirefox(`${archive.url}/target.zip`, { cacheDir: workDir, verifyChecksum: false });
+      assert(result.binaryPath.endsWith(join('firefox', 'firefox.exe')));
+    });
+
+    it('finds the binary of macOS .pkg builds on any platform', async function () {
+      const result = await downloadFirefox(`${archive.url}/Firefox.pkg`, { cacheDir: workDir, verifyChecksum: false });
+      assert(result.binaryPath.endsWith(join('Firefox.app', 'Contents', 'MacOS', 'firefox')));
+    });
+
+    it('finds the binary of macOS .dmg builds on any platform', async function () {
+      const result = await downloadFirefox(`${archive.url}/Firefox.dmg`, { cacheDir: workDir, verifyChecksum: false });
+      assert(result.binaryPath.endsWith(join('Firefox.app', 'Contents', 'MacOS', 'firefox')));
+      assert.strictEqual(result.version, '147.0');
+      assert.strictEqual(result.buildId, '20261013091845');
+    });
+
+    it('unpacks builds packaged inside a .zip', async function () {
+      const result = await downloadFirefox(`${archive.url}/packaged.zip`, { cacheDir: workDir, verifyChecksum: false });
+      assert(result.binaryPath.endsWith(join('firefox', 'firefox')));
+    });
+  });
+});
@@ -0,0 +1,103 @@
+import assert from 'assert';
+import { runBenchmark, summarize, percentile, assertMedian, formatBenchmark } from '../../lib/benchmark.mjs';
+import { startRecording, stopRecording } from '../../lib/test-report.mjs';
+
+/**
+ * Create a driver stand-in recording the calls made between runs
+ */
+function createDriver() {
+  const calls = [];
+  return {
+    calls,
+    restart: async () => calls.push('restart'),
+    executeInChrome: async (script) => calls.push(script.includes('CLEAR_ALL_CACHES') ? 'clear-cache' : 'chrome'),
+  };
+}
+
+describe('benchmark', function () {
+  describe('summarize', function () {
+    it('computes median, mean, stddev, min/max and percentiles', function () {
+      const stats = summarize([5, 1, 4, 2, 3]);
+      assert.deepStrictEqual(stats, {
+        count: 5,
+        median: 3,
+        mean: 3,
+        stddev: Math.sqrt(2.5),
+        min: 1,
+        max: 5,
+        p75: 4,
+        p90: 4.6,
+        p95: 4.8,
+      });
+    });
+
+    it('interpolates the median of an even number of samples', function () {
+      assert.strictEqual(summarize([10, 40, 20, 30]).median, 25);
+      assert.strictEqual(percentile([7], 90), 7);
+      assert.strictEqual(summarize([7]).stddev, 0);
+      assert.throws(() => summarize([]), /empty list/);
+    });
+  });
+
+  describe('runBenchmark', function () {
+    it('discards warm-up runs and summarizes each metric', async function () {
+      const driver = createDriver();
+      const values = [1000, 100, 300, 200];
+
+      const result = await runBenchmark(driver, {
+        runs: 3,
+        warmupRuns: 1,
+        measure: async (measuredDriver, iteration) => {
+          assert.strictEqual(measuredDriver, driver);
+          return { fcp: values[iteration], 'app-ready': values[iteration] * 2 };
+        },
+      });
+
+      assert.strictEqual(result.runs, 3);
+      assert.deepStrictEqual(result.metrics.fcp.samples, [100, 300, 200]);
+      assert.strictEqual(result.metrics.fcp.median, 200);
+      assert.strictEqual(result.metrics['app-ready'].max, 600);
+      assert.deepStrictEqual(driver.calls, []);
+      assert.match(formatBenchmark(result), /Benchmark results \(3 runs, ms\):\n\s+metric\s+median.*\n\s+fcp\s+200\s+200\s+100\s+100\s+300/);
+    });
+
+    it('restarts the browser or clears caches between runs', async function () {
+      const restarted = createDriver();
+      await runBenchmark(restarted, { runs: 2, warmupRuns: 1, between: 'restart', measure: async () => ({ load: 1 }) });
+      assert.deepStrictEqual(restarted.calls, ['restart', 'restart']);
+
+      const cleared = createDriver();
+      await runBenchmark(cleared, { runs: 2, warmupRuns: 0, between: 'clear-cache', measure: async () => ({ load: 1 }) });
+      assert.deepStrictEqual(cleared.calls, ['clear-cache', 'clear-cache']);
+
+      await assert.rejects(runBenchmark(cleared, { between: 'reload', measure: async () => ({}) }), /Unknown benchmark option between: reload/);
+    });
+
+    it('records the median of each metric with the result of the test', async function () {
+      const values = [100, 300, 200];
+      startRecording();
+      try {
+        await runBenchmark(createDriver(), { name: 'index', runs: 3, warmupRuns: 0, measure: async (driver, iteration) => ({ fcp: values[iteration] }) });
+      } finally {
+        assert.deepStrictEqual(stopRecording(), { 'index/fcp': 200 });
+      }
+    });
+
+    it('fails when a requested metric is missing', async function () {
+      await assert.rejects(
+        runBenchmark(createDriver(), { runs: 2, warmupRuns: 0, metrics: ['lcp'], measure: async () => ({ fcp: 1 }) }),
+        /Metric lcp missing from run 1/,
+      );
+    });
+  });
+
+  describe('assertMedian', function () {
+    const result = { runs: 3, metrics: { fcp: { samples: [100, 2000, 300], ...summarize([100, 2000, 300]) } } };
+
+    it('checks the median rather than single samples', function () {
+      assertMedian(result, 'fcp', { below: 1000, above: 100 });
+      assert.throws(() => assertMedian(result, 'fcp', { below: 200 }), /Expected fcp median to be below 200, got median 300 over 3 runs \(min 100, max 2000\)/);
+      assert.throws(() => assertMedian(result, 'lcp', { below: 200 }), /Metric lcp was not measured \(measured: fcp\)/);
+    });
+  });
+});
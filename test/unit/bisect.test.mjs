@@ -0,0 +1,206 @@
+import assert from 'assert';
+import { mkdtempSync, appendFileSync, rmSync } from 'fs';
+import { join } from 'path';
+import { tmpdir } from 'os';
+import { bisectNightlies, createMochaTest, getPushlogUrl } from '../../lib/bisect.mjs';
+import { listNightlyBuilds } from '../../lib/build-resolver.mjs';
+import { readBuildInfo } from '../../lib/build-info.mjs';
+import { startFakeArchive } from '../helpers/fake-archive.mjs';
+import { createFakeFirefoxArchive } from '../helpers/fake-build.mjs';
+
+const REPOSITORY = 'https://hg.mozilla.org/mozilla-central';
+
+/**
+ * Build IDs of the fake Nightlies, oldest first, two per day
+ */
+const BUILD_IDS = [
+  '20261001094512', '20261001210344',
+  '20261002093001', '20261002212233',
+  '20261003091500', '20261003214001',
+  '20261004092010', '20261004213030',
+  '20261005090000', '20261005215959',
+];
+
+/**
+ * Changeset of a fake build: its build ID padded to 40 hex digits
+ */
+function getChangeset(buildId) {
+  return buildId.padEnd(40, 'a');
+}
+
+/**
+ * Directory name of a fake build
+ */
+function getBuildDir(buildId) {
+  return `${buildId.replace(/^(\d{4})(\d{2})(\d{2})(\d{2})(\d{2})(\d{2})$/, '$1-$2-$3-$4-$5-$6')}-mozilla-central/`;
+}
+
+describe('bisect', function () {
+  let archive;
+  let workDir;
+
+  before(async function () {
+    const month = {};
+    for (const buildId of BUILD_IDS) {
+      const changeset = getChangeset(buildId);
+      month[getBuildDir(buildId)] = {
+        'firefox-149.0a1.en-US.linux-x86_64.tar.xz': await createFakeFirefoxArchive({
+          version: '149.0a1', buildId, sourceStamp: changeset, channel: 'nightly',
+        }),
+        'firefox-149.0a1.en-US.linux-x86_64.txt': `${buildId}\n${REPOSITORY}/rev/${changeset}\n`,
+      };
+    }
+    // A build without a Linux archive is skipped
+    month['2026-10-03-23-00-00-mozilla-central/'] = { 'firefox-149.0a1.en-US.mac.dmg': 'dmg' };
+
+    archive = await startFakeArchive({
+      'pub/': {
+        'firefox/': {
+          'nightly/': {
+            '2026/': {
+              '09/': { [getBuildDir('20260930211011')]: {} },
+              '10/': month,
+            },
+          },
+        },
+      },
+    });
+  });
+
+  after(async function () {
+    await archive.close();
+  });
+
+  beforeEach(function () {
+    workDir = mkdtempSync(join(tmpdir(), 'bisect-test-'));
+  });
+
+  afterEach(function () {
+    rmSync(workDir, { recursive: true, force: true });
+  });
+
+  describe('listNightlyBuilds', function () {
+    it('lists the builds between two build IDs across months', async function () {
+      const builds = await listNightlyBuilds('20260930000000', '20261002093001', { archiveUrl: archive.url });
+
+      assert.deepStrictEqual(builds.map(build => build.buildId), [
+        '20260930211011', '20261001094512', '20261001210344', '20261002093001',
+      ]);
+      assert.strictEqual(builds[1].buildDate, '2026-10-01-09-45-12');
+      assert.strictEqual(builds[1].dirUrl, `${archive.url}/pub/firefox/nightly/2026/10/2026-10-01-09-45-12-mozilla-central/`);
+    });
+  });
+
+  describe('bisectNightlies', function () {
+    /**
+     * Bisect the fake builds, the regression landing in the given build
+     */
+    function bisect(regressionBuildId, options = {}) {
+      const tested = [];
+      const promise = bisectNightlies({
+        good: '2026-10-01',
+        bad: '2026-10-05',
+        platform: 'linux-x86_64',
+        archiveUrl: archive.url,
+        downloadOptions: { cacheDir: join(workDir, 'cache'), verifyChecksum: false },
+        test: async ({ binaryPath, buildId }) => {
+          assert.strictEqual(readBuildInfo(binaryPath).buildId, buildId);
+          tested.push(buildId);
+          return buildId >= regressionBuildId ? 'bad' : 'good';
+        },
+        ...options,
+      });
+      return promise.then(result => ({ ...result, tested }));
+    }
+
+    it('finds the first bad build and its pushlog', async function () {
+      const result = await bisect('20261003214001');
+
+      assert.strictEqual(result.good.buildId, '20261003091500');
+      assert.strictEqual(result.bad.buildId, '20261003214001');
+      assert.strictEqual(result.good.changeset, getChangeset('20261003091500'));
+      assert.strictEqual(
+        result.pushlogUrl,
+        `${REPOSITORY}/pushloghtml?fromchange=${getChangeset('20261003091500')}&tochange=${getChangeset('20261003214001')}`,
+      );
+      // 8 builds between the first builds of 10-01 and 10-05, one of them skipped
+      assert.deepStrictEqual(result.tested, ['20261003091500', '20261004092010', '20261003214001']);
+      assert.deepStrictEqual(result.steps.filter(step => step.verdict !== 'skip').map(step => step.buildId), result.tested);
+    });
+
+    it('skips builds without an archive for the platform', async function () {
+      const result = await bisect('20261004092010');
+
+      assert.strictEqual(result.good.buildId, '20261003214001');
+      assert.strictEqual(result.bad.buildId, '20261004092010');
+      assert(result.steps.some(step => step.buildId === '20261003230000' && step.verdict === 'skip'));
+      assert.deepStrictEqual(result.skipped, ['20261003230000']);
+    });
+
+    it('accepts build IDs as bounds', async function () {
+      const result = await bisect('20261002093001', { good: '20261001210344', bad: '20261002212233' });
+
+      assert.strictEqual(result.good.buildId, '20261001210344');
+      assert.strictEqual(result.bad.buildId, '20261002093001');
+      assert.deepStrictEqual(result.tested, ['20261002093001']);
+    });
+
+    it('rejects a good build newer than the bad build', async function () {
+      await assert.rejects(bisect('20261003214001', { good: '2026-10-05', bad: '2026-10-01' }), /must be older/);
+      await assert.rejects(bisect('20261003214001', { good: 'yesterday' }), /Invalid bisection bound/);
+    });
+  });
+
+  describe('createMochaTest', function () {
+    const build = { binaryPath: '/path/to/firefox', buildId: '20261003091500' };
+
+    it('classifies builds by the exit code of Mocha', async function () {
+      const calls = [];
+      const test = createMochaTest({
+        grep: 'startup',
+        runSuite: async ({ mochaArgs }) => {
+          calls.push(mochaArgs);
+          return calls.length === 1 ? 0 : 1;
+        },
+      });
+
+      assert.strictEqual(await test(build), 'good');
+      assert.strictEqual(await test(build), 'bad');
+      assert.deepStrictEqual(calls[0], ['--grep', 'startup']);
+    });
+
+    it('classifies builds by the median of a metric', async function () {
+      const medians = [90, 110];
+      const test = createMochaTest({
+        metric: 'fcp',
+        threshold: 100,
+        runSuite: async ({ outputPath }) => {
+          const median = medians.shift();
+          if (median !== undefined) {
+            appendFileSync(outputPath, JSON.stringify({ fcp: [median - 5, median, median + 50] }) + '\n');
+          }
+          return 1;
+        },
+      });
+
+      assert.strictEqual(await test(build), 'good');
+      assert.strictEqual(await test(build), 'bad');
+      assert.strictEqual(await test(build), 'skip');
+      assert.throws(() => createMochaTest({ metric: 'fcp' }), /threshold is required/);
+    });
+  });
+
+  describe('getPushlogUrl', function () {
+    it('links to hg pushlogs and GitHub comparisons', function () {
+      assert.strictEqual(
+        getPushlogUrl({ changeset: 'abc' }, { repository: REPOSITORY, changeset: 'def' }),
+        `${REPOSITORY}/pushloghtml?fromchange=abc&tochange=def`,
+      );
+      assert.strictEqual(
+        getPushlogUrl({ changeset: 'abc' }, { repository: 'https://github.com/mozilla-firefox/firefox', changeset: 'def' }),
+        'https://github.com/mozilla-firefox/firefox/compare/abc...def',
+      );
+      assert.strictEqual(getPushlogUrl({ changeset: null }, { repository: REPOSITORY, changeset: 'def' }), null);
+    });
+  });
+});
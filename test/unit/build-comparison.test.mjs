@@ -0,0 +1,113 @@
+import assert from 'assert';
+import { mkdtempSync, writeFileSync, appendFileSync, readFileSync, rmSync } from 'fs';
+import { join } from 'path';
+import { tmpdir } from 'os';
+import { fileURLToPath } from 'url';
+import { compareBuilds, compareSamples, formatComparisonMarkdown, runMochaSuite } from '../../lib/build-comparison.mjs';
+import { readBuildInfo } from '../../lib/build-info.mjs';
+import { startFakeArchive } from '../helpers/fake-archive.mjs';
+import { createFakeFirefoxArchive } from '../helpers/fake-build.mjs';
+
+const BENCHMARK_MODULE = fileURLToPath(new URL('../../lib/benchmark.mjs', import.meta.url));
+
+describe('build-comparison', function () {
+  let workDir;
+
+  beforeEach(function () {
+    workDir = mkdtempSync(join(tmpdir(), 'compare-test-'));
+  });
+
+  afterEach(function () {
+    rmSync(workDir, { recursive: true, force: true });
+  });
+
+  describe('compareSamples', function () {
+    it('reports deltas, intervals and significance per metric', function () {
+      const { metrics } = compareSamples(
+        { fcp: [100, 101, 102, 103, 104, 105], load: [200, 220, 210, 205, 215, 225], only: [1] },
+        { fcp: [110, 111, 112, 113, 114, 115], load: [205, 215, 210, 200, 220, 230] },
+      );
+
+      assert.deepStrictEqual(Object.keys(metrics), ['fcp', 'load']);
+      assert.strictEqual(metrics.fcp.delta, 10);
+      assert.strictEqual(metrics.fcp.deltaPercent, (10 / 102.5) * 100);
+      assert.strictEqual(metrics.fcp.shift, 10);
+      assert(metrics.fcp.ci[0] <= 10 && metrics.fcp.ci[1] >= 10);
+      assert.strictEqual(metrics.fcp.significant, true);
+      assert(metrics.fcp.pValue < 0.01);
+      assert.strictEqual(metrics.load.significant, false);
+    });
+  });
+
+  describe('compareBuilds', function () {
+    let archive;
+
+    before(async function () {
+      archive = await startFakeArchive({
+        'a/': { 'firefox.tar.gz': await createFakeFirefoxArchive({ version: '149.0a1', buildId: '20261001000000' }) },
+        'b/': { 'firefox.tar.gz': await createFakeFirefoxArchive({ version: '149.0a1', buildId: '20261002000000' }) },
+      });
+    });
+
+    after(async function () {
+      await archive.close();
+    });
+
+    it('runs the suite against both builds in interleaved order', async function () {
+      const runs = [];
+      const report = await compareBuilds({
+        baseline: `${archive.url}/a/firefox.tar.gz`,
+        candidate: `${archive.url}/b/firefox.tar.gz`,
+        iterations: 3,
+        downloadOptions: { cacheDir: join(workDir, 'cache'), verifyChecksum: false },
+        runSuite: async ({ binaryPath, outputPath }) => {
+          const label = readBuildInfo(binaryPath).buildId === '20261001000000' ? 'a' : 'b';
+          runs.push(label);
+          const base = label === 'a' ? 100 : 150;
+          appendFileSync(outputPath, JSON.stringify({ fcp: [base + runs.length, base + runs.length + 1] }) + '\n');
+          appendFileSync(outputPath, JSON.stringify({ 'page/app-ready': [base] }) + '\n');
+        },
+      });
+
+      assert.deepStrictEqual(runs, ['a', 'b', 'b', 'a', 'a', 'b']);
+      assert.strictEqual(report.iterations, 3);
+      assert.strictEqual(report.baseline.buildId, '20261001000000');
+      assert.strictEqual(report.candidate.buildId, '20261002000000');
+      assert.strictEqual(report.metrics.fcp.baseline.count, 6);
+      assert.strictEqual(report.metrics.fcp.significant, true);
+      assert.strictEqual(report.metrics['page/app-ready'].delta, 50);
+
+      const markdown = formatComparisonMarkdown(report);
+      assert.match(markdown, /^## Firefox build comparison/);
+      assert.match(markdown, /\| baseline \| 149\.0a1 \| 20261001000000 \| \[6a3f1e0c9b2d\]\(https:\/\/hg\.mozilla\.org\/releases\/mozilla-release\/rev\/6a3f1e0c9b2d4f7e8a1c5b3d9e2f4a6c8b0d1e3f\) \|/);
+      assert.match(markdown, /\| page\/app-ready \| 100 \(n=3\) \| 150 \(n=3\) \| \+50 \| \+50% \| \[50, 50\] \| [0-9.]+ \| \*\*yes\*\* \|/);
+    });
+
+    it('fails when the suite reports no benchmark results', async function () {
+      await assert.rejects(compareBuilds({
+        baseline: `${archive.url}/a/firefox.tar.gz`,
+        candidate: `${archive.url}/b/firefox.tar.gz`,
+        downloadOptions: { cacheDir: join(workDir, 'cache'), verifyChecksum: false },
+        runSuite: async () => {},
+      }), /No benchmark results from the baseline run/);
+    });
+  });
+
+  describe('runMochaSuite', function () {
+    it('passes the build and the output file to Mocha', async function () {
+      this.timeout(30000);
+      const spec = join(workDir, 'suite.test.mjs');
+      writeFileSync(spec, [
+        `import { runBenchmark } from ${JSON.stringify(BENCHMARK_MODULE)};`,
+        `it('measures', async function () {`,
+        `  await runBenchmark(null, { name: 'suite', runs: 2, warmupRuns: 0, measure: async () => ({ binary: process.env.FIREFOX_BINARY.length }) });`,
+        `});`,
+      ].join('\n'));
+
+      const outputPath = join(workDir, 'output.jsonl');
+      await runMochaSuite({ binaryPath: '/opt/firefox', outputPath, mochaArgs: ['--no-config', '--reporter', 'dot', spec] });
+
+      assert.deepStrictEqual(JSON.parse(readFileSync(outputPath, 'utf8')), { 'suite/binary': [12, 12] });
+    });
+  });
+});
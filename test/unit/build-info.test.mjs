@@ -0,0 +1,102 @@
+import assert from 'assert';
+import { mkdtempSync, mkdirSync, writeFileSync, rmSync } from 'fs';
+import { join } from 'path';
+import { tmpdir } from 'os';
+import { readBuildInfo, parseIni, getChangesetUrl, getBuildOutputs } from '../../lib/build-info.mjs';
+import { writeBuildMetadata } from '../helpers/fake-build.mjs';
+
+const METADATA = {
+  version: '149.0a1',
+  buildId: '20261019094512',
+  sourceStamp: '0123456789abcdef0123456789abcdef01234567',
+  channel: 'nightly',
+};
+
+describe('build-info', function () {
+  let workDir;
+
+  beforeEach(function () {
+    workDir = mkdtempSync(join(tmpdir(), 'build-info-test-'));
+  });
+
+  afterEach(function () {
+    rmSync(workDir, { recursive: true, force: true });
+  });
+
+  describe('parseIni', function () {
+    it('parses sections, skipping comments', function () {
+      const ini = parseIni('#filter substitution\r\n[App]\r\nName=Firefox\r\n; comment\r\nVersion = 147.0\r\n\r\n[Gecko]\r\nMinVersion=147.0\r\n');
+      assert.deepStrictEqual(ini, { App: { Name: 'Firefox', Version: '147.0' }, Gecko: { MinVersion: '147.0' } });
+    });
+  });
+
+  describe('readBuildInfo', function () {
+    it('reads Linux and Windows builds', function () {
+      const appDir = join(workDir, 'firefox');
+      mkdirSync(appDir);
+      writeBuildMetadata(appDir, METADATA);
+
+      assert.deepStrictEqual(readBuildInfo(join(appDir, 'firefox.exe')), {
+        version: '149.0a1',
+        buildId: '20261019094512',
+        sourceRepository: 'https://hg.mozilla.org/releases/mozilla-release',
+        sourceStamp: '0123456789abcdef0123456789abcdef01234567',
+        changesetUrl: 'https://hg.mozilla.org/releases/mozilla-release/rev/0123456789abcdef0123456789abcdef01234567',
+        channel: 'nightly',
+      });
+    });
+
+    it('reads macOS builds from Contents/Resources', function () {
+      const contentsDir = join(workDir, 'Firefox Nightly.app', 'Contents');
+      mkdirSync(join(contentsDir, 'MacOS'), { recursive: true });
+      mkdirSync(join(contentsDir, 'Resources'));
+      writeBuildMetadata(join(contentsDir, 'Resources'), METADATA);
+
+      const info = readBuildInfo(join(contentsDir, 'MacOS', 'firefox'));
+      assert.strictEqual(info.version, '149.0a1');
+      assert.strictEqual(info.buildId, '20261019094512');
+      assert.strictEqual(info.channel, 'nightly');
+    });
+
+    it('falls back to platform.ini', function () {
+      writeFileSync(join(workDir, 'platform.ini'), '[Build]\nBuildID=20261019094512\nMilestone=149.0a1\nSourceStamp=abc\nSourceRepository=https://github.com/mozilla-firefox/firefox.git\n');
+
+      const info = readBuildInfo(join(workDir, 'firefox'));
+      assert.strictEqual(info.version, '149.0a1');
+      assert.strictEqual(info.buildId, '20261019094512');
+      assert.strictEqual(info.changesetUrl, 'https://github.com/mozilla-firefox/firefox/commit/abc');
+      assert.strictEqual(info.channel, null);
+    });
+
+    it('returns null when the build has no metadata', function () {
+      assert.strictEqual(readBuildInfo(join(workDir, 'firefox')), null);
+    });
+  });
+
+  describe('getChangesetUrl', function () {
+    it('needs both a repository and a changeset', function () {
+      assert.strictEqual(getChangesetUrl('https://hg.mozilla.org/mozilla-central/', 'abc'), 'https://hg.mozilla.org/mozilla-central/rev/abc');
+      assert.strictEqual(getChangesetUrl(null, 'abc'), null);
+      assert.strictEqual(getChangesetUrl('https://hg.mozilla.org/mozilla-central', null), null);
+    });
+  });
+
+  describe('getBuildOutputs', function () {
+    it('omits unknown values', function () {
+      assert.deepStrictEqual(getBuildOutputs({
+        binaryPath: '/tmp/firefox/firefox',
+        version: '147.0',
+        buildId: '20261013091845',
+        sourceRepository: null,
+        sourceStamp: null,
+        changesetUrl: null,
+        channel: 'release',
+      }), {
+        firefox_binary: '/tmp/firefox/firefox',
+        firefox_version: '147.0',
+        firefox_build_id: '20261013091845',
+        firefox_channel: 'release',
+      });
+    });
+  });
+});
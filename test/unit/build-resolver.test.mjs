@@ -0,0 +1,186 @@
+import assert from 'assert';
+import { parseBuildSpec, getArchivePlatform, resolveFirefoxBuild, isUrl } from '../../lib/build-resolver.mjs';
+import { startFakeArchive } from '../helpers/fake-archive.mjs';
+
+const ARCHIVE_TREE = {
+  '1.0/': {
+    'firefox_versions.json': {
+      LATEST_FIREFOX_VERSION: '147.0',
+      LATEST_FIREFOX_DEVEL_VERSION: '148.0b3',
+      FIREFOX_ESR: '140.4.0esr',
+      FIREFOX_NIGHTLY: '149.0a1',
+    },
+  },
+  'pub/': {
+    'devedition/': {
+      'releases/': {
+        '148.0b3/': {
+          'linux-x86_64/': { 'en-US/': { 'firefox-148.0b3.tar.xz': 'devedition xz' } },
+        },
+      },
+    },
+    'firefox/': {
+      'releases/': {
+        '147.0/': {
+          'mac/': { 'en-US/': { 'Firefox 147.0.dmg': 'dmg' } },
+          'linux-x86_64/': {
+            'en-US/': { 'firefox-147.0.tar.xz': 'xz', 'firefox-147.0.tar.xz.asc': 'sig' },
+            'fr/': { 'firefox-147.0.tar.xz': 'xz' },
+          },
+        },
+        '148.0b3/': {
+          'linux-x86_64/': { 'en-US/': { 'firefox-148.0b3.tar.xz': 'xz' } },
+        },
+        '140.4.0esr/': {
+          'linux-x86_64/': { 'en-US/': { 'firefox-140.4.0esr.tar.xz': 'xz', 'firefox-140.4.0esr.tar.xz.asc': 'sig' } },
+          'win64/': { 'en-US/': { 'Firefox Setup 140.4.0esr.exe': 'exe', 'Firefox Setup 140.4.0esr.msi': 'msi' } },
+        },
+      },
+      'nightly/': {
+        'latest-mozilla-central/': {
+          'firefox-149.0a1.en-US.linux-x86_64.tar.xz': 'xz',
+          'firefox-149.0a1.en-US.linux-x86_64.txt': 'txt',
+          'firefox-149.0a1.en-US.mac.dmg': 'dmg',
+        },
+        '2026/': {
+          '10/': {
+            '2026-09-30-21-10-11-mozilla-central/': {
+              'firefox-148.0a1.en-US.mac.dmg': 'dmg',
+            },
+            '2026-10-01-09-45-12-mozilla-central/': {
+              'firefox-148.0a1.en-US.mac.dmg': 'dmg',
+            },
+            '2026-10-01-21-03-44-mozilla-central/': {
+              'firefox-148.0a1.en-US.mac.dmg': 'dmg',
+            },
+            '2026-10-01-09-45-12-mozilla-central-l10n/': {
+              'firefox-148.0a1.de.mac.dmg': 'dmg',
+            },
+          },
+        },
+      },
+    },
+  },
+};
+
+describe('build-resolver', function () {
+  let archive;
+  let options;
+
+  before(async function () {
+    archive = await startFakeArchive(ARCHIVE_TREE);
+    options = { archiveUrl: archive.url, productDetailsUrl: `${archive.url}/1.0` };
+  });
+
+  after(async function () {
+    await archive.close();
+  });
+
+  describe('parseBuildSpec', function () {
+    it('parses channel names', function () {
+      assert.deepStrictEqual(parseBuildSpec('Nightly'), { channel: 'nightly', version: null, date: null });
+      assert.deepStrictEqual(parseBuildSpec('esr'), { channel: 'esr', version: null, date: null });
+    });
+
+    it('infers the channel from a version', function () {
+      assert.strictEqual(parseBuildSpec('147.0').channel, 'release');
+      assert.strictEqual(parseBuildSpec('147.0.1').channel, 'release');
+      assert.strictEqual(parseBuildSpec('148.0b3').channel, 'beta');
+      assert.strictEqual(parseBuildSpec('140.4.0esr').channel, 'esr');
+      assert.strictEqual(parseBuildSpec('149.0a1').channel, 'nightly');
+    });
+
+    it('parses dated Nightly specs', function () {
+      assert.deepStrictEqual(parseBuildSpec('nightly@2026-10-01'), { channel: 'nightly', version: null, date: '2026-10-01' });
+    });
+
+    it('rejects unknown specs', function () {
+      assert.throws(() => parseBuildSpec('aurora'), /Invalid Firefox build spec/);
+      assert.throws(() => parseBuildSpec('nightly@yesterday'), /Invalid Firefox build spec/);
+    });
+  });
+
+  describe('getArchivePlatform', function () {
+    it('maps Node.js platforms to archive platforms', function () {
+      assert.strictEqual(getArchivePlatform('darwin', 'arm64'), 'mac');
+      assert.strictEqual(getArchivePlatform('linux', 'x64'), 'linux-x86_64');
+      assert.strictEqual(getArchivePlatform('linux', 'arm64'), 'linux-aarch64');
+      assert.strictEqual(getArchivePlatform('win32', 'x64'), 'win64');
+    });
+  });
+
+  describe('isUrl', function () {
+    it('distinguishes URLs from specs', function () {
+      assert(isUrl('https://archive.mozilla.org/pub/firefox/'));
+      assert(!isUrl('nightly@2026-10-01'));
+      assert(!isUrl('147.0'));
+    });
+  });
+
+  describe('resolveFirefoxBuild', function () {
+    it('resolves the release channel through product-details', async function () {
+      const build = await resolveFirefoxBuild('release', { ...options, platform: 'mac' });
+      assert.strictEqual(build.version, '147.0');
+      assert.strictEqual(build.url, `${archive.url}/pub/firefox/releases/147.0/mac/en-US/Firefox%20147.0.dmg`);
+    });
+
+    it('resolves the beta channel', async function () {
+      const build = await resolveFirefoxBuild('beta', { ...options, platform: 'linux-x86_64' });
+      assert.strictEqual(build.channel, 'beta');
+      assert.strictEqual(build.url, `${archive.url}/pub/firefox/releases/148.0b3/linux-x86_64/en-US/firefox-148.0b3.tar.xz`);
+    });
+
+    it('resolves Developer Edition to its own builds, not those of Beta', async function () {
+      const build = await resolveFirefoxBuild('devedition', { ...options, platform: 'linux-x86_64' });
+      assert.strictEqual(build.channel, 'devedition');
+      assert.strictEqual(build.version, '148.0b3');
+      assert.strictEqual(build.url, `${archive.url}/pub/devedition/releases/148.0b3/linux-x86_64/en-US/firefox-148.0b3.tar.xz`);
+    });
+
+    it('resolves the ESR channel to an archive of the platform', async function () {
+      const build = await resolveFirefoxBuild('esr', { ...options, platform: 'linux-x86_64' });
+      assert.strictEqual(build.version, '140.4.0esr');
+      assert.strictEqual(build.url, `${archive.url}/pub/firefox/releases/140.4.0esr/linux-x86_64/en-US/firefox-140.4.0esr.tar.xz`);
+    });
+
+    it('fails clearly for Windows releases, only published as installers', async function () {
+      await assert.rejects(
+        resolveFirefoxBuild('esr', { ...options, platform: 'win64' }),
+        /Firefox 140\.4\.0esr is only published as installers for win64 \(Firefox Setup 140\.4\.0esr\.exe, Firefox Setup 140\.4\.0esr\.msi\), which cannot be extracted/
+      );
+    });
+
+    it('resolves an explicit version and locale', async function () {
+      const build = await resolveFirefoxBuild('147.0', { ...options, platform: 'linux-x86_64', locale: 'fr' });
+      assert.strictEqual(build.url, `${archive.url}/pub/firefox/releases/147.0/linux-x86_64/fr/firefox-147.0.tar.xz`);
+    });
+
+    it('resolves the latest Nightly', async function () {
+      const build = await resolveFirefoxBuild('nightly', { ...options, platform: 'linux-x86_64' });
+      assert.strictEqual(build.version, '149.0a1');
+      assert.strictEqual(build.url, `${archive.url}/pub/firefox/nightly/latest-mozilla-central/firefox-149.0a1.en-US.linux-x86_64.tar.xz`);
+    });
+
+    it('resolves the first Nightly of a date', async function () {
+      const build = await resolveFirefoxBuild('nightly@2026-10-01', { ...options, platform: 'mac' });
+      assert.strictEqual(build.buildDate, '2026-10-01-09-45-12');
+      assert.strictEqual(build.url, `${archive.url}/pub/firefox/nightly/2026/10/2026-10-01-09-45-12-mozilla-central/firefox-148.0a1.en-US.mac.dmg`);
+    });
+
+    it('resolves localized dated Nightlies from the l10n directory', async function () {
+      const build = await resolveFirefoxBuild('nightly@2026-10-01', { ...options, platform: 'mac', locale: 'de' });
+      assert.strictEqual(build.url, `${archive.url}/pub/firefox/nightly/2026/10/2026-10-01-09-45-12-mozilla-central-l10n/firefox-148.0a1.de.mac.dmg`);
+    });
+
+    it('fails when no archive matches the platform', async function () {
+      await assert.rejects(
+        resolveFirefoxBuild('147.0', { ...options, platform: 'win64' }),
+        /Failed to list .*: 404/
+      );
+      await assert.rejects(
+        resolveFirefoxBuild('nightly@2026-10-02', { ...options, platform: 'mac' }),
+        /No Nightly build for mac \(en-US\) found on 2026-10-02/
+      );
+    });
+  });
+});
@@ -0,0 +1,219 @@
+import assert from 'assert';
+import { mkdtempSync, mkdirSync, writeFileSync, existsSync, readFileSync, readdirSync, rmSync, utimesSync } from 'fs';
+import { basename, join } from 'path';
+import { tmpdir, hostname } from 'os';
+import { FirefoxCache, getDiskUsage } from '../../lib/cache-manager.mjs';
+import { downloadFirefox } from '../../lib/firefox-downloader.mjs';
+import { startFakeArchive } from '../helpers/fake-archive.mjs';
+import { createFakeFirefoxArchive } from '../helpers/fake-build.mjs';
+
+/**
+ * Add a fake extracted build to the cache
+ */
+function addBuild(cache, url, { size = 100, lastUsed } = {}) {
+  const { extractPath } = cache.pathsFor(url);
+  mkdirSync(extractPath, { recursive: true });
+  const binaryPath = join(extractPath, 'firefox');
+  writeFileSync(binaryPath, Buffer.alloc(size));
+  const record = cache.put(url, { binaryPath, extractPath, version: '147.0' });
+  if (lastUsed !== undefined) {
+    cache.writeRecord(record.key, { ...record, lastUsed });
+  }
+  return record;
+}
+
+describe('cache-manager', function () {
+  let cacheDir;
+  let cache;
+
+  beforeEach(function () {
+    cacheDir = mkdtempSync(join(tmpdir(), 'cache-test-'));
+    cache = new FirefoxCache(cacheDir);
+  });
+
+  afterEach(function () {
+    rmSync(cacheDir, { recursive: true, force: true });
+  });
+
+  describe('FirefoxCache', function () {
+    it('records builds in the manifest', function () {
+      const record = addBuild(cache, 'https://example.com/a.tar.xz', { size: 1234 });
+
+      assert.strictEqual(record.url, 'https://example.com/a.tar.xz');
+      assert.strictEqual(record.size, 1234);
+      assert.strictEqual(record.buildId, null);
+      assert(record.lastUsed > 0);
+      assert.deepStrictEqual(cache.list().map(r => r.key), [record.key]);
+    });
+
+    it('updates the last-used time on lookup', function () {
+      const { key } = addBuild(cache, 'https://example.com/a.tar.xz', { lastUsed: 1 });
+
+      assert(cache.get('https://example.com/a.tar.xz').lastUsed > 1);
+      assert(cache.readRecord(key).lastUsed > 1);
+    });
+
+    it('ignores records whose binary is gone', function () {
+      const { extractPath } = addBuild(cache, 'https://example.com/a.tar.xz');
+      rmSync(extractPath, { recursive: true });
+
+      assert.strictEqual(cache.get('https://example.com/a.tar.xz'), null);
+    });
+
+    it('evicts least recently used builds beyond the maximum size', function () {
+      const oldest = addBuild(cache, 'https://example.com/a.tar.xz', { lastUsed: 1000 });
+      const middle = addBuild(cache, 'https://example.com/b.tar.xz', { lastUsed: 2000 });
+      const newest = addBuild(cache, 'https://example.com/c.tar.xz', { lastUsed: 3000 });
+
+      const removed = cache.prune({ maxSize: 250 });
+
+      assert.deepStrictEqual(removed.map(r => r.key), [oldest.key]);
+      assert.deepStrictEqual(cache.list().map(r => r.key), [newest.key, middle.key]);
+      assert(!existsSync(oldest.extractPath));
+    });
+
+    it('evicts builds not used within the maximum age', function () {
+      const stale = addBuild(cache, 'https://example.com/a.tar.xz', { lastUsed: Date.now() - 10000 });
+      const fresh = addBuild(cache, 'https://example.com/b.tar.xz');
+
+      const removed = cache.prune({ maxAge: 5000 });
+
+      assert.deepStrictEqual(removed.map(r => r.key), [stale.key]);
+      assert.deepStrictEqual(cache.list().map(r => r.key), [fresh.key]);
+    });
+
+    it('never evicts kept or locked builds', function () {
+      const kept = addBuild(cache, 'https://example.com/a.tar.xz', { lastUsed: 1 });
+      addBuild(cache, 'https://example.com/b.tar.xz', { lastUsed: 1 });
+      writeFileSync(cache.pathsFor('https://example.com/b.tar.xz').lockPath, '{}');
+
+      assert.deepStrictEqual(cache.prune({ maxSize: 0, keep: [kept.key] }), []);
+      assert.strictEqual(cache.list().length, 2);
+    });
+
+    it('clears builds and leftovers but nothing else', function () {
+      const { key } = addBuild(cache, 'https://example.com/a.tar.xz');
+      writeFileSync(join(cacheDir, `${key}-a.tar.xz.part`), 'partial');
+      writeFileSync(join(cacheDir, 'unrelated.txt'), 'keep me');
+
+      cache.clear();
+
+      assert.deepStrictEqual(readdirSync(cacheDir), ['unrelated.txt']);
+    });
+
+    it('serializes work on the same build', async function () {
+      const events = [];
+      const task = (name) => cache.withLock('https://example.com/a.tar.xz', async () => {
+        events.push(`${name} start`);
+        await new Promise(resolve => setTimeout(resolve, 50));
+        events.push(`${name} end`);
+      });
+
+      await Promise.all([task('first'), task('second')]);
+
+      assert.deepStrictEqual(events, ['first start', 'first end', 'second start', 'second end']);
+      assert(!existsSync(cache.pathsFor('https://example.com/a.tar.xz').lockPath));
+    });
+
+    it('takes over locks left by dead processes or not refreshed', async function () {
+      const { lockPath } = cache.pathsFor('https://example.com/a.tar.xz');
+
+      writeFileSync(lockPath, JSON.stringify({ pid: 2 ** 22 + 1, hostname: hostname() }));
+      assert.strictEqual(await cache.withLock('https://example.com/a.tar.xz', async () => 'dead owner'), 'dead owner');
+
+      writeFileSync(lockPath, JSON.stringify({ pid: process.pid, hostname: 'other-host' }));
+      const past = new Date(Date.now() - 5000);
+      utimesSync(lockPath, past, past);
+      assert.strictEqual(await cache.withLock('https://example.com/a.tar.xz', async () => 'stale', { staleTime: 1000 }), 'stale');
+    });
+
+    it('does not remove the lock of a waiter that took over the same stale lock first', async function () {
+      const { lockPath } = cache.pathsFor('https://example.com/a.tar.xz');
+      const deadPid = 2 ** 22 + 1;
+      const newOwner = JSON.stringify({ pid: process.pid, hostname: hostname(), token: 'faster-waiter' });
+      writeFileSync(lockPath, JSON.stringify({ pid: deadPid, hostname: hostname(), token: 'dead-owner' }));
+
+      // Another waiter replaces the stale lock right after this one judged it stale
+      const { kill } = process;
+      process.kill = (pid, signal) => {
+        if (pid === deadPid) {
+          writeFileSync(lockPath, newOwner);
+        }
+        return kill.call(process, pid, signal);
+      };
+      try {
+        await assert.rejects(
+          cache.withLock('https://example.com/a.tar.xz', async () => 'taken', { timeout: 0 }),
+          /Timed out waiting for cache lock/
+        );
+      } finally {
+        process.kill = kill;
+      }
+
+      assert.strictEqual(readFileSync(lockPath, 'utf8'), newOwner);
+      assert.deepStrictEqual(readdirSync(cacheDir), [basename(lockPath)]);
+    });
+
+    it('leaves a lock taken over by another owner in place', async function () {
+      const { lockPath } = cache.pathsFor('https://example.com/a.tar.xz');
+      const newOwner = JSON.stringify({ pid: process.pid, hostname: 'other-host', token: 'other-token' });
+
+      await cache.withLock('https://example.com/a.tar.xz', async () => {
+        assert.notStrictEqual(JSON.parse(readFileSync(lockPath, 'utf8')).token, undefined);
+        writeFileSync(lockPath, newOwner);
+      });
+
+      assert.strictEqual(readFileSync(lockPath, 'utf8'), newOwner);
+    });
+  });
+
+  describe('getDiskUsage', function () {
+    it('sums file sizes recursively', function () {
+      mkdirSync(join(cacheDir, 'dir', 'sub'), { recursive: true });
+      writeFileSync(join(cacheDir, 'dir', 'a'), Buffer.alloc(10));
+      writeFileSync(join(cacheDir, 'dir', 'sub', 'b'), Buffer.alloc(20));
+      assert.strictEqual(getDiskUsage(join(cacheDir, 'dir')), 30);
+    });
+  });
+
+  describe('downloadFirefox', function () {
+    let archive;
+
+    before(async function () {
+      archive = await startFakeArchive({ 'firefox.tar.gz': await createFakeFirefoxArchive() });
+    });
+
+    after(async function () {
+      await archive.close();
+    });
+
+    it('downloads a build only once when requested concurrently', async function () {
+      const url = `${archive.url}/firefox.tar.gz`;
+      const [first, second] = await Promise.all([
+        downloadFirefox(url, { cacheDir, verifyChecksum: false }),
+        downloadFirefox(url, { cacheDir, verifyChecksum: false }),
+      ]);
+
+      assert.strictEqual(first.binaryPath, second.binaryPath);
+      assert.strictEqual(archive.requests.filter(path => path === '/firefox.tar.gz').length, 1);
+      assert(existsSync(first.archivePath));
+    });
+
+    it('deletes the archive after extraction when asked to', async function () {
+      const record = await downloadFirefox(`${archive.url}/firefox.tar.gz`, { cacheDir, verifyChecksum: false, deleteArchive: true });
+
+      assert.strictEqual(record.archivePath, null);
+      assert.deepStrictEqual(readdirSync(cacheDir).sort(), [`${record.key}.json`, `firefox-${record.key}`]);
+    });
+
+    it('stores the build metadata in the manifest', async function () {
+      const url = `${archive.url}/firefox.tar.gz`;
+      await downloadFirefox(url, { cacheDir, verifyChecksum: false });
+
+      const record = new FirefoxCache(cacheDir).get(url);
+      assert.strictEqual(record.version, '147.0');
+      assert.strictEqual(record.buildId, '20261013091845');
+      assert.strictEqual(record.sourceStamp, '6a3f1e0c9b2d4f7e8a1c5b3d9e2f4a6c8b0d1e3f');
+    });
+  });
+});
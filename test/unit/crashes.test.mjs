@@ -0,0 +1,161 @@
+import assert from 'assert';
+import { chmodSync, existsSync, mkdirSync, mkdtempSync, readdirSync, readFileSync, rmSync, writeFileSync } from 'fs';
+import { join } from 'path';
+import { tmpdir } from 'os';
+import {
+  parseExtraFile,
+  getCrashReason,
+  getCrashSignature,
+  findCrashDumps,
+  collectCrashDumps,
+  formatCrashMessage,
+} from '../../lib/crashes.mjs';
+
+const STACKWALK_OUTPUT = {
+  crash_info: { type: 'SIGSEGV /SEGV_MAPERR', address: '0x0', crashing_thread: 0 },
+  crashing_thread: {
+    frames: [
+      { frame: 0, function: 'mozilla::dom::Foo::Bar', module: 'libxul.so' },
+      { frame: 1, module: 'libxul.so' },
+      { frame: 2, function: 'mozilla::dom::Foo::Run', module: 'libxul.so' },
+      { frame: 3, function: 'nsThread::ProcessNextEvent', module: 'libxul.so' },
+      { frame: 4, function: 'NS_ProcessNextEvent', module: 'libxul.so' },
+    ],
+  },
+};
+
+describe('crashes', function () {
+  describe('parseExtraFile', function () {
+    it('parses JSON and Key=Value annotations', function () {
+      assert.deepStrictEqual(parseExtraFile('{"ProcessType":"content","MozCrashReason":"MOZ_CRASH(boom)"}\n'), {
+        ProcessType: 'content',
+        MozCrashReason: 'MOZ_CRASH(boom)',
+      });
+      assert.deepStrictEqual(parseExtraFile('ProductName=Firefox\nMozCrashReason=MOZ_CRASH(a=b)\n\n'), {
+        ProductName: 'Firefox',
+        MozCrashReason: 'MOZ_CRASH(a=b)',
+      });
+    });
+  });
+
+  describe('getCrashReason', function () {
+    it('picks the most telling annotation', function () {
+      assert.strictEqual(getCrashReason({ MozCrashReason: 'MOZ_CRASH(boom)', IPCChannelError: 'ShutDownKill' }), 'MOZ_CRASH(boom)');
+      assert.strictEqual(getCrashReason({ IPCChannelError: 'ShutDownKill' }), 'ShutDownKill');
+      assert.strictEqual(getCrashReason({ AsyncShutdownTimeout: '{"phase":"profile-before-change"}' }), 'Shutdown hang: {"phase":"profile-before-change"}');
+      assert.strictEqual(getCrashReason({ OOMAllocationSize: '1048576' }), 'OOM allocating 1048576 bytes');
+      assert.strictEqual(getCrashReason({ ProductName: 'Firefox' }), null);
+    });
+  });
+
+  describe('getCrashSignature', function () {
+    it('joins the functions of the top frames of the crashing thread', function () {
+      assert.strictEqual(getCrashSignature(STACKWALK_OUTPUT), 'mozilla::dom::Foo::Bar | mozilla::dom::Foo::Run | nsThread::ProcessNextEvent');
+      assert.strictEqual(getCrashSignature({ crash_info: { crashing_thread: 1 }, threads: [{ frames: [] }, { frames: [{ function: 'abort' }] }] }, 1), 'abort');
+      assert.strictEqual(getCrashSignature(null), null);
+    });
+  });
+
+  describe('collectCrashDumps', function () {
+    let workDir;
+    let minidumpsDir;
+    let crashesDir;
+
+    beforeEach(function () {
+      workDir = mkdtempSync(join(tmpdir(), 'crashes-test-'));
+      minidumpsDir = join(workDir, 'profile', 'minidumps');
+      crashesDir = join(workDir, 'crashes');
+      mkdirSync(minidumpsDir, { recursive: true });
+    });
+
+    afterEach(function () {
+      rmSync(workDir, { recursive: true, force: true });
+    });
+
+    /**
+     * Write a fake minidump and its .extra file to the profile
+     */
+    function writeCrash(id, annotations) {
+      writeFileSync(join(minidumpsDir, `${id}.dmp`), 'MDMP');
+      if (annotations) {
+        writeFileSync(join(minidumpsDir, `${id}.extra`), JSON.stringify(annotations));
+      }
+    }
+
+    /**
+     * Run collectCrashDumps, returning its result and output
+     */
+    async function collect(name, options) {
+      const output = [];
+      const { log } = console;
+      console.log = (...args) => output.push(args.join(' '));
+      try {
+        return { crashes: await collectCrashDumps(minidumpsDir, crashesDir, name, options), output };
+      } finally {
+        console.log = log;
+      }
+    }
+
+    it('moves the dumps and their annotations to the crashes directory', async function () {
+      writeCrash('aaaa-1111', { ProcessType: 'content', MozCrashReason: 'MOZ_CRASH(boom)' });
+      writeCrash('bbbb-2222');
+      writeFileSync(join(minidumpsDir, 'InstallTime20261018'), '1');
+      assert.deepStrictEqual(findCrashDumps(minidumpsDir).map(path => path.slice(minidumpsDir.length + 1)), ['aaaa-1111.dmp', 'bbbb-2222.dmp']);
+
+      const { crashes } = await collect('tests paints the page');
+      assert.deepStrictEqual(crashes.map(({ id, processType, reason, signature, stackwalkPath }) => ({ id, processType, reason, signature, stackwalkPath })), [
+        { id: 'aaaa-1111', processType: 'content', reason: 'MOZ_CRASH(boom)', signature: null, stackwalkPath: null },
+        { id: 'bbbb-2222', processType: 'main', reason: null, signature: null, stackwalkPath: null },
+      ]);
+      assert.strictEqual(crashes[0].dumpPath, join(crashesDir, 'tests-paints-the-page-aaaa-1111.dmp'));
+      assert.strictEqual(crashes[0].extraPath, join(crashesDir, 'tests-paints-the-page-aaaa-1111.extra'));
+      assert.strictEqual(crashes[1].extraPath, null);
+      assert.deepStrictEqual(readdirSync(minidumpsDir), ['InstallTime20261018']);
+      assert.strictEqual(readFileSync(crashes[1].dumpPath, 'utf8'), 'MDMP');
+
+      assert.deepStrictEqual((await collect('again')).crashes, []);
+    });
+
+    it('stackwalks the dumps with a symbols directory', async function () {
+      const stackwalkPath = join(workDir, 'minidump-stackwalk');
+      writeFileSync(stackwalkPath, `#!/usr/bin/env node\nrequire('fs').writeFileSync(${JSON.stringify(join(workDir, 'args.json'))}, JSON.stringify(process.argv.slice(2)));\nprocess.stdout.write(${JSON.stringify(JSON.stringify(STACKWALK_OUTPUT))});\n`);
+      chmodSync(stackwalkPath, 0o755);
+      writeCrash('cccc-3333', { ProcessType: 'gpu' });
+
+      const { crashes } = await collect('test', { symbolsDir: join(workDir, 'symbols'), stackwalkPath });
+      assert.strictEqual(crashes[0].reason, 'SIGSEGV /SEGV_MAPERR');
+      assert.strictEqual(crashes[0].signature, 'mozilla::dom::Foo::Bar | mozilla::dom::Foo::Run | nsThread::ProcessNextEvent');
+      assert.strictEqual(crashes[0].stackwalkPath, join(crashesDir, 'test-cccc-3333.json'));
+      assert.deepStrictEqual(JSON.parse(readFileSync(crashes[0].stackwalkPath, 'utf8')), STACKWALK_OUTPUT);
+      assert.deepStrictEqual(JSON.parse(readFileSync(join(workDir, 'args.json'), 'utf8')), ['--json', '--symbols-path', join(workDir, 'symbols'), crashes[0].dumpPath]);
+    });
+
+    it('keeps the dumps that cannot be stackwalked', async function () {
+      writeCrash('dddd-4444', { MozCrashReason: 'MOZ_CRASH()' });
+      const { crashes, output } = await collect('test', { symbolsDir: workDir, stackwalkPath: join(workDir, 'missing-stackwalk') });
+      assert.strictEqual(crashes.length, 1);
+      assert.strictEqual(crashes[0].reason, 'MOZ_CRASH()');
+      assert.strictEqual(crashes[0].stackwalkPath, null);
+      assert(existsSync(crashes[0].dumpPath));
+      assert.match(output[0], /^✗ Could not stackwalk .*test-dddd-4444\.dmp: /);
+    });
+  });
+
+  describe('formatCrashMessage', function () {
+    const crash = { reason: 'MOZ_CRASH(boom)', signature: 'Foo::Bar', processType: 'main', dumpPath: '/tmp/crashes/a.dmp' };
+
+    it('describes each crash', function () {
+      assert.strictEqual(formatCrashMessage('tests load', [crash]), 'Firefox crashed during "tests load": MOZ_CRASH(boom) @ Foo::Bar (main process, minidump: /tmp/crashes/a.dmp)');
+      assert.strictEqual(
+        formatCrashMessage('tests load', [crash, { reason: null, signature: null, processType: 'content', dumpPath: '/tmp/crashes/b.dmp' }]),
+        'Firefox crashed during "tests load" (2 crashes):\n'
+          + '  MOZ_CRASH(boom) @ Foo::Bar (main process, minidump: /tmp/crashes/a.dmp)\n'
+          + '  unknown reason (content process, minidump: /tmp/crashes/b.dmp)',
+      );
+    });
+
+    it('reports browsers that exited without a dump', function () {
+      assert.strictEqual(formatCrashMessage('tests load', []), 'Firefox exited during "tests load" without leaving a minidump');
+    });
+  });
+});
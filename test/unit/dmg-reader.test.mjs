@@ -0,0 +1,115 @@
+import assert from 'assert';
+import { mkdtempSync, readFileSync, readlinkSync, statSync, existsSync, writeFileSync, rmSync } from 'fs';
+import { join } from 'path';
+import { tmpdir } from 'os';
+import { extractDmgImage, UdifImage } from '../../lib/dmg-reader.mjs';
+import { createFakeDmg, isCompressionAvailable } from '../helpers/fake-dmg.mjs';
+
+/**
+ * Content of a file spanning several blocks and chunks
+ */
+const XUL = Buffer.alloc(100000);
+for (let i = 0; i < XUL.length; i++) {
+  XUL[i] = (i * 7) % 251;
+}
+
+const FILES = {
+  'Firefox Nightly.app/Contents/MacOS/firefox': { content: '#!/bin/sh\necho "Mozilla Firefox 147.0a1"\n', mode: 0o755 },
+  'Firefox Nightly.app/Contents/MacOS/firefox-bin': { symlink: 'firefox' },
+  'Firefox Nightly.app/Contents/MacOS/XUL': { content: XUL },
+  'Firefox Nightly.app/Contents/Resources/defaults/pref/channel-prefs.js': { content: 'pref("app.update.channel", "nightly");\n' },
+  '.background/background.png': { content: 'PNG' },
+  'Applications': { symlink: '/Applications' },
+};
+
+describe('dmg-reader', function () {
+  let workDir;
+
+  beforeEach(function () {
+    workDir = mkdtempSync(join(tmpdir(), 'dmg-test-'));
+  });
+
+  afterEach(function () {
+    rmSync(workDir, { recursive: true, force: true });
+  });
+
+  /**
+   * Write a disk image and extract it
+   */
+  async function extract(options) {
+    const dmgPath = join(workDir, 'Firefox.dmg');
+    writeFileSync(dmgPath, createFakeDmg({ files: FILES, ...options }));
+    const outDir = join(workDir, 'out');
+    const apps = await extractDmgImage(dmgPath, outDir);
+    return { apps, appDir: join(outDir, 'Firefox Nightly.app', 'Contents') };
+  }
+
+  for (const compression of ['raw', 'zlib', 'bzip2', 'xz', 'lzfse', 'adc']) {
+    it(`extracts images with ${compression} chunks`, async function () {
+      if (!isCompressionAvailable(compression)) {
+        this.skip();
+      }
+
+      const { apps, appDir } = await extract({ compression });
+      assert.deepStrictEqual(apps, ['Firefox Nightly.app']);
+      assert.match(readFileSync(join(appDir, 'MacOS', 'firefox'), 'utf8'), /Mozilla Firefox 147\.0a1/);
+      assert.strictEqual(statSync(join(appDir, 'MacOS', 'firefox')).mode & 0o777, 0o755);
+      assert.strictEqual(readlinkSync(join(appDir, 'MacOS', 'firefox-bin')), 'firefox');
+      assert(readFileSync(join(appDir, 'MacOS', 'XUL')).equals(XUL));
+      assert.match(readFileSync(join(appDir, 'Resources', 'defaults', 'pref', 'channel-prefs.js'), 'utf8'), /nightly/);
+    });
+  }
+
+  it('only extracts .app bundles', async function () {
+    await extract({});
+    assert(!existsSync(join(workDir, 'out', 'Applications')));
+    assert(!existsSync(join(workDir, 'out', '.background')));
+  });
+
+  it('reads catalogs spread over several B-tree nodes', async function () {
+    const { appDir } = await extract({ nodeSize: 512 });
+    assert(readFileSync(join(appDir, 'MacOS', 'XUL')).equals(XUL));
+  });
+
+  it('follows extents from the extents overflow file', async function () {
+    const { appDir } = await extract({ compression: 'raw', fragment: true });
+    assert(readFileSync(join(appDir, 'MacOS', 'XUL')).equals(XUL));
+  });
+
+  it('extracts hard links', async function () {
+    const dmgPath = join(workDir, 'Firefox.dmg');
+    writeFileSync(dmgPath, createFakeDmg({
+      files: {
+        'Firefox.app/Contents/MacOS/XUL': { content: XUL },
+        'Firefox.app/Contents/Frameworks/XUL': { hardLink: 'Firefox.app/Contents/MacOS/XUL' },
+      },
+    }));
+    await extractDmgImage(dmgPath, join(workDir, 'out'));
+    assert(readFileSync(join(workDir, 'out', 'Firefox.app', 'Contents', 'Frameworks', 'XUL')).equals(XUL));
+  });
+
+  it('lists the partitions of an image', async function () {
+    const dmgPath = join(workDir, 'Firefox.dmg');
+    writeFileSync(dmgPath, createFakeDmg({ files: FILES }));
+    const image = await UdifImage.open(dmgPath);
+    try {
+      assert.deepStrictEqual(image.partitions.map(partition => partition.name), ['disk image (Apple_HFS : 0)']);
+      const reader = image.openPartition(image.partitions[0]);
+      assert.strictEqual((await reader.read(1024, 2)).toString('latin1'), 'H+');
+    } finally {
+      await image.close();
+    }
+  });
+
+  it('fails when the image has no .app bundle', async function () {
+    const dmgPath = join(workDir, 'Empty.dmg');
+    writeFileSync(dmgPath, createFakeDmg({ files: { 'README.txt': { content: 'nothing here' } } }));
+    await assert.rejects(extractDmgImage(dmgPath, join(workDir, 'out')), /Could not find \.app bundle/);
+  });
+
+  it('rejects files that are not UDIF images', async function () {
+    const path = join(workDir, 'Firefox.dmg');
+    writeFileSync(path, Buffer.alloc(4096));
+    await assert.rejects(extractDmgImage(path, join(workDir, 'out')), /missing koly trailer/);
+  });
+});
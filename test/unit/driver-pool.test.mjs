@@ -0,0 +1,122 @@
+import assert from 'assert';
+import { FirefoxDriver } from '../../lib/webdriver-helper.mjs';
+import { DriverPool } from '../../lib/driver-pool.mjs';
+import { createFakeSession } from '../helpers/fake-marionette.mjs';
+
+describe('driver-pool', function () {
+  const { build } = FirefoxDriver.prototype;
+  let sessions;
+  let failBuild;
+
+  // Attach drivers to fake sessions instead of starting browsers
+  before(function () {
+    FirefoxDriver.prototype.build = async function () {
+      await new Promise(resolve => setTimeout(resolve, 10));
+      if (failBuild) {
+        throw new Error('Failed to start Firefox');
+      }
+      const session = createFakeSession();
+      sessions.push(session);
+      this.driver = session.driver;
+      await this.listenToBidi();
+      return this.driver;
+    };
+  });
+
+  after(function () {
+    FirefoxDriver.prototype.build = build;
+  });
+
+  beforeEach(function () {
+    sessions = [];
+    failBuild = false;
+  });
+
+  const driverOptions = { prefsFile: false, presets: [], importPrefs: [] };
+
+  it('starts browsers on demand up to its size', async function () {
+    const pool = new DriverPool({ size: 2, driverOptions });
+    try {
+      const first = await pool.acquire();
+      pool.release(first);
+      assert.strictEqual(await pool.acquire(), first);
+      assert.strictEqual(sessions.length, 1);
+
+      const second = await pool.acquire();
+      assert.notStrictEqual(second, first);
+      assert.strictEqual(sessions.length, 2);
+
+      let third = null;
+      const waiting = pool.acquire().then(driver => {
+        third = driver;
+      });
+      await new Promise(resolve => setTimeout(resolve, 30));
+      assert.strictEqual(third, null);
+
+      pool.release(second);
+      await waiting;
+      assert.strictEqual(third, second);
+      assert.strictEqual(sessions.length, 2);
+    } finally {
+      await pool.close();
+    }
+    assert(sessions.every(session => session.bidi.closed));
+  });
+
+  it('runs work on up to size browsers at a time', async function () {
+    const pool = new DriverPool({ size: 2, driverOptions });
+    let running = 0;
+    let maxRunning = 0;
+    try {
+      const results = await pool.map([1, 2, 3, 4, 5], async (driver, item) => {
+        running++;
+        maxRunning = Math.max(maxRunning, running);
+        await new Promise(resolve => setTimeout(resolve, 20));
+        running--;
+        return item * 10;
+      });
+      assert.deepStrictEqual(results, [10, 20, 30, 40, 50]);
+      assert.strictEqual(maxRunning, 2);
+      assert.strictEqual(sessions.length, 2);
+    } finally {
+      await pool.close();
+    }
+  });
+
+  it('releases browsers when the work fails', async function () {
+    const pool = new DriverPool({ size: 1, driverOptions });
+    try {
+      await assert.rejects(pool.use(async () => {
+        throw new Error('boom');
+      }), /boom/);
+      assert.strictEqual(await pool.use(async () => 'ok'), 'ok');
+    } finally {
+      await pool.close();
+    }
+  });
+
+  it('fails the calls waiting for a browser that cannot start', async function () {
+    failBuild = true;
+    const pool = new DriverPool({ size: 1, driverOptions });
+    const results = await Promise.allSettled([pool.acquire(), pool.acquire()]);
+    assert.deepStrictEqual(results.map(result => result.reason?.message), ['Failed to start Firefox', 'Failed to start Firefox']);
+
+    failBuild = false;
+    assert(await pool.acquire());
+    await pool.close();
+  });
+
+  it('fails the calls waiting for a browser when closed', async function () {
+    const pool = new DriverPool({ size: 1, driverOptions });
+    await pool.acquire();
+    const waiting = pool.acquire();
+    await pool.close();
+    await assert.rejects(waiting, /Driver pool is closed/);
+    await assert.rejects(pool.acquire(), /Driver pool is closed/);
+  });
+
+  it('rejects invalid sizes and foreign drivers', function () {
+    assert.throws(() => new DriverPool({ size: 0 }), /Invalid pool size: 0/);
+    assert.throws(() => new DriverPool().release(new FirefoxDriver(driverOptions)), /does not belong to the pool/);
+  });
+});
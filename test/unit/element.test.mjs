@@ -0,0 +1,219 @@
+import assert from 'assert';
+import { mkdtempSync, readFileSync, rmSync } from 'fs';
+import { join } from 'path';
+import { tmpdir } from 'os';
+import { FirefoxDriver } from '../../lib/webdriver-helper.mjs';
+import { FirefoxElement, toLocator, toXPathLiteral } from '../../lib/element.mjs';
+
+describe('element', function () {
+  /**
+   * Create a stand-in for a selenium WebElement
+   * children maps locator values (CSS selector or XPath) to the elements they find,
+   * shadow maps CSS selectors to the elements found in its shadow root.
+   */
+  function createFakeElement({ tag = 'div', text = '', displayed = true, enabled = true, children = {}, shadow = null } = {}) {
+    const element = {
+      state: { displayed, enabled, value: '' },
+      actions: [],
+      children,
+      findElements: async locator => element.children[locator.value] || [],
+      getShadowRoot: async () => {
+        if (!shadow) {
+          throw new Error('no such shadow root');
+        }
+        return { findElements: async locator => shadow[locator.value] || [] };
+      },
+      getTagName: async () => tag.toUpperCase(),
+      getText: async () => text,
+      getProperty: async name => element.state[name],
+      getCssValue: async name => (name === 'color' ? 'rgb(0, 0, 0)' : ''),
+      isDisplayed: async () => element.state.displayed,
+      isEnabled: async () => element.state.enabled,
+      click: async () => element.actions.push('click'),
+      clear: async () => {
+        element.actions.push('clear');
+        element.state.value = '';
+      },
+      sendKeys: async keys => {
+        element.actions.push(`sendKeys:${keys}`);
+        element.state.value += keys;
+      },
+      takeScreenshot: async () => Buffer.from('png').toString('base64'),
+    };
+    return element;
+  }
+
+  /**
+   * Create a FirefoxDriver whose page holds the elements of a locator map
+   */
+  function createDriver(elements, options = {}) {
+    const driver = new FirefoxDriver({ prefsFile: false, presets: [], importPrefs: [], waitTimeout: 300, ...options });
+    const scripts = [];
+    driver.driver = {
+      elements,
+      scripts,
+      findElements: async locator => driver.driver.elements[locator.value] || [],
+      executeScript: async (script, ...args) => {
+        scripts.push({ script, args });
+        return null;
+      },
+    };
+    return driver;
+  }
+
+  describe('toLocator', function () {
+    it('detects XPath, text and CSS selectors', function () {
+      assert.deepStrictEqual({ ...toLocator('h1.title') }, { using: 'css selector', value: 'h1.title' });
+      assert.deepStrictEqual({ ...toLocator('//main/h1') }, { using: 'xpath', value: '//main/h1' });
+      assert.deepStrictEqual({ ...toLocator('(//li)[2]') }, { using: 'xpath', value: '(//li)[2]' });
+      assert.strictEqual(toLocator('text= Sign in ').value, '//*[text()[normalize-space(.) = "Sign in"]]');
+      assert.strictEqual(toLocator('text*=Sign', true).value, './/*[text()[contains(., "Sign")]]');
+    });
+
+    it('quotes text containing quotes', function () {
+      assert.strictEqual(toXPathLiteral('say "hi"'), '\'say "hi"\'');
+      assert.strictEqual(toXPathLiteral('it\'s "ok"'), 'concat("it\'s ", \'"\', "ok", \'"\', "")');
+    });
+  });
+
+  describe('$ and $$', function () {
+    it('waits for the element to be in the page', async function () {
+      const driver = createDriver({});
+      const heading = createFakeElement({ tag: 'h1', text: 'Hello' });
+      setTimeout(() => {
+        driver.driver.elements.h1 = [heading];
+      }, 100);
+
+      const element = await driver.$('h1');
+      assert.ok(element instanceof FirefoxElement);
+      assert.strictEqual(await element.getText(), 'Hello');
+      assert.strictEqual(element.getElement(), heading);
+    });
+
+    it('fails when the element does not appear in time', async function () {
+      const driver = createDriver({});
+      await assert.rejects(driver.$('#missing', { timeout: 150 }), /Timeout waiting for element #missing/);
+    });
+
+    it('returns every match without waiting', async function () {
+      const items = [createFakeElement({ text: 'a' }), createFakeElement({ text: 'b' })];
+      const driver = createDriver({ li: items });
+
+      assert.deepStrictEqual(await Promise.all((await driver.$$('li')).map(item => item.getText())), ['a', 'b']);
+      assert.deepStrictEqual(await driver.$$('p'), []);
+    });
+
+    it('pierces shadow roots', async function () {
+      const button = createFakeElement({ tag: 'button', text: 'OK' });
+      const hosts = [createFakeElement({ shadow: { button: [button] } }), createFakeElement({ shadow: {} })];
+      const driver = createDriver({ 'my-app': hosts });
+
+      assert.strictEqual(await (await driver.$('my-app >>> button')).getText(), 'OK');
+      assert.strictEqual((await driver.$$('my-app >>> button')).length, 1);
+    });
+
+    it('searches inside elements', async function () {
+      const link = createFakeElement({ tag: 'a', text: 'Docs' });
+      const nav = createFakeElement({ tag: 'nav', children: { './/*[text()[normalize-space(.) = "Docs"]]': [link] } });
+      const driver = createDriver({ nav: [nav] });
+
+      const element = await driver.$('nav');
+      assert.strictEqual(await (await element.$('text=Docs')).getText(), 'Docs');
+      assert.strictEqual((await element.$$('a')).length, 0);
+      await assert.rejects(element.$('a', { timeout: 150 }), /Timeout waiting for element nav a/);
+    });
+  });
+
+  describe('FirefoxElement', function () {
+    it('waits for elements to be displayed and enabled before clicking', async function () {
+      const button = createFakeElement({ tag: 'button', displayed: false, enabled: false });
+      const driver = createDriver({ button: [button] });
+      setTimeout(() => {
+        button.state.displayed = true;
+      }, 50);
+      setTimeout(() => {
+        button.state.enabled = true;
+      }, 100);
+
+      await (await driver.$('button')).click();
+      assert.deepStrictEqual(button.actions, ['click']);
+    });
+
+    it('fails actions on elements that stay disabled', async function () {
+      const input = createFakeElement({ tag: 'input', enabled: false });
+      const driver = createDriver({ input: [input] }, { waitTimeout: 150 });
+
+      await assert.rejects((await driver.$('input')).setValue('x'), /Timeout waiting for input to be displayed and enabled/);
+      assert.deepStrictEqual(input.actions, []);
+    });
+
+    it('types, appends and clears values', async function () {
+      const input = createFakeElement({ tag: 'input' });
+      const element = await createDriver({ input: [input] }).$('input');
+
+      await element.setValue(42);
+      await element.addValue('!');
+      assert.strictEqual(await element.getValue(), '42!');
+      await element.clearValue();
+      assert.strictEqual(await element.getValue(), '');
+      assert.deepStrictEqual(input.actions, ['clear', 'sendKeys:42', 'sendKeys:!', 'clear']);
+    });
+
+    it('selects options of select elements', async function () {
+      const option = createFakeElement({ tag: 'option' });
+      const select = createFakeElement({
+        tag: 'select',
+        children: {
+          './/option[@value = "fr"]': [option],
+          './/option[normalize-space(.) = "French"]': [option],
+          '(.//option)[3]': [option],
+        },
+      });
+      const element = await createDriver({ select: [select] }).$('select');
+
+      await element.selectByValue('fr');
+      await element.selectByVisibleText(' French ');
+      await element.selectByIndex(2);
+      assert.deepStrictEqual(option.actions, ['click', 'click', 'click']);
+      await assert.rejects(element.selectByValue('de'), /No option with value "de" in select/);
+    });
+
+    it('refuses to select options of other elements', async function () {
+      const element = await createDriver({ input: [createFakeElement({ tag: 'input' })] }).$('input');
+      await assert.rejects(element.selectByIndex(0), /input is not a <select> element/);
+    });
+
+    it('waits for elements to be hidden', async function () {
+      const dialog = createFakeElement();
+      const element = await createDriver({ dialog: [dialog] }).$('dialog');
+      setTimeout(() => {
+        dialog.state.displayed = false;
+      }, 100);
+
+      await element.waitForDisplayed({ reverse: true });
+      await assert.rejects(element.waitForDisplayed({ timeout: 150 }), /Timeout waiting for dialog to be displayed/);
+    });
+
+    it('reads computed styles and scrolls into view', async function () {
+      const driver = createDriver({ p: [createFakeElement()] });
+      const element = await driver.$('p');
+
+      assert.strictEqual(await element.getCSSProperty('color'), 'rgb(0, 0, 0)');
+      await element.scrollIntoView();
+      assert.deepStrictEqual(driver.driver.scripts[0].args, [element.getElement(), { block: 'center' }]);
+    });
+
+    it('saves element screenshots', async function () {
+      const dir = mkdtempSync(join(tmpdir(), 'element-test-'));
+      try {
+        const element = await createDriver({ canvas: [createFakeElement({ tag: 'canvas' })] }).$('canvas');
+        const png = await element.takeScreenshot(join(dir, 'canvas.png'));
+
+        assert.strictEqual(png.toString(), 'png');
+        assert.strictEqual(readFileSync(join(dir, 'canvas.png'), 'utf-8'), 'png');
+      } finally {
+        rmSync(dir, { recursive: true, force: true });
+      }
+    });
+  });
+});
@@ -0,0 +1,155 @@
+import assert from 'assert';
+import { mkdtempSync, mkdirSync, writeFileSync, readFileSync, rmSync } from 'fs';
+import { join } from 'path';
+import { tmpdir } from 'os';
+import {
+  resolvePreferences,
+  parsePrefsJs,
+  getEnvPreferences,
+  getPreferenceSelection,
+  listPresets,
+  formatPreferences,
+} from '../../lib/firefox-prefs.mjs';
+import { FirefoxDriver } from '../../lib/webdriver-helper.mjs';
+
+describe('firefox-prefs', function () {
+  let workDir;
+
+  beforeEach(function () {
+    workDir = mkdtempSync(join(tmpdir(), 'prefs-test-'));
+  });
+
+  afterEach(function () {
+    rmSync(workDir, { recursive: true, force: true });
+  });
+
+  describe('parsePrefsJs', function () {
+    it('reads user_pref and pref calls, skipping comments', function () {
+      const prefs = parsePrefsJs([
+        '// Mozilla User Preferences',
+        '/* Do not edit this file.',
+        ' * user_pref("commented.block", true);',
+        ' */',
+        'user_pref("browser.startup.homepage", "https://example.com/?a=1");',
+        '// user_pref("commented.line", true);',
+        'user_pref("fission.autostart", false);',
+        'pref("layout.frame_rate", -1);',
+        "user_pref('general.useragent.override', 'Test \\'UA\\'');",
+        'user_pref("intl.accept_languages", "fr, en\\u002dUS");',
+        'sticky_pref("dom.webgpu.enabled", true, locked);',
+      ].join('\n'));
+
+      assert.deepStrictEqual(prefs, {
+        'browser.startup.homepage': 'https://example.com/?a=1',
+        'fission.autostart': false,
+        'layout.frame_rate': -1,
+        'general.useragent.override': "Test 'UA'",
+        'intl.accept_languages': 'fr, en-US',
+        'dom.webgpu.enabled': true,
+      });
+    });
+  });
+
+  describe('getEnvPreferences', function () {
+    it('reads FIREFOX_PREF_<name> variables', function () {
+      assert.deepStrictEqual(getEnvPreferences({
+        'FIREFOX_PREF_dom.webgpu.enabled': 'true',
+        FIREFOX_PREF_fission__autostart: 'false',
+        FIREFOX_PREF_layout__frame_rate: '60',
+        FIREFOX_PREF_general__useragent__override: 'Test UA',
+        'FIREFOX_PREF_network.http.version': '"3"',
+        FIREFOX_PREFS_PRESET: 'profiling',
+        PATH: '/usr/bin',
+      }), {
+        'dom.webgpu.enabled': true,
+        'fission.autostart': false,
+        'layout.frame_rate': 60,
+        'general.useragent.override': 'Test UA',
+        'network.http.version': '3',
+      });
+    });
+  });
+
+  describe('getPreferenceSelection', function () {
+    it('combines command line arguments and environment variables', function () {
+      const selection = getPreferenceSelection(
+        ['node', 'mocha', '--prefs-preset', 'profiling,no-fission', '--prefs-import=user.js', '--prefs-preset', 'sandbox-debug'],
+        { FIREFOX_PREFS_PRESET: 'profiling', FIREFOX_PREFS_IMPORT: 'a.js, b.js' },
+      );
+      assert.deepStrictEqual(selection, {
+        presets: ['profiling', 'no-fission', 'sandbox-debug'],
+        importFiles: ['a.js', 'b.js', 'user.js'],
+      });
+    });
+  });
+
+  describe('resolvePreferences', function () {
+    it('layers base file, presets, imports, suite, test and env overrides', function () {
+      const baseFile = join(workDir, 'base.json');
+      writeFileSync(baseFile, JSON.stringify({ a: 1, b: 1, c: 1, d: 1, e: 1, f: 1 }));
+      const presetsDir = join(workDir, 'presets');
+      mkdirSync(presetsDir);
+      writeFileSync(join(presetsDir, 'fast.json'), JSON.stringify({ b: 2, c: 2, d: 2, e: 2, f: 2 }));
+      const userJs = join(workDir, 'user.js');
+      writeFileSync(userJs, 'user_pref("c", 3);\nuser_pref("d", 3);\nuser_pref("e", 3);\nuser_pref("f", 3);\n');
+
+      const { preferences, sources } = resolvePreferences({
+        baseFile,
+        presets: ['fast'],
+        importFiles: [userJs],
+        suite: { d: 4, e: 4, f: 4 },
+        test: { e: 5, f: 5 },
+        env: { FIREFOX_PREF_f: '6' },
+        presetsDir,
+      });
+
+      assert.deepStrictEqual(preferences, { a: 1, b: 2, c: 3, d: 4, e: 5, f: 6 });
+      assert.deepStrictEqual(sources, {
+        a: 'file:base.json',
+        b: 'preset:fast',
+        c: 'file:user.js',
+        d: 'suite',
+        e: 'test',
+        f: 'env',
+      });
+      assert.strictEqual(formatPreferences({ b: 2, a: 'x' }, sources), '  a = "x" (file:base.json)\n  b = 2 (preset:fast)');
+    });
+
+    it('rejects unknown presets and missing files', function () {
+      assert.throws(() => resolvePreferences({ presets: ['nope'], env: {} }), /Unknown preferences preset: nope \(available: no-fission, profiling, sandbox-debug\)/);
+      assert.throws(() => resolvePreferences({ importFiles: [join(workDir, 'user.js')], env: {} }), /Preferences file not found/);
+    });
+
+    it('ships the documented presets', function () {
+      assert.deepStrictEqual(listPresets(), ['no-fission', 'profiling', 'sandbox-debug']);
+    });
+  });
+
+  describe('FirefoxDriver', function () {
+    it('layers suite and test preferences over the base file', async function () {
+      const prefsOutput = join(workDir, 'prefs.json');
+      const driver = new FirefoxDriver({
+        presets: ['no-fission'],
+        preferences: { 'dom.webgpu.enabled': true },
+        prefsOutput,
+      });
+
+      assert.strictEqual(driver.preferences['layers.gpu-process.enabled'], true);
+      assert.strictEqual(driver.preferences['fission.autostart'], false);
+      assert.strictEqual(driver.preferences['dom.webgpu.enabled'], true);
+      assert.strictEqual(driver.preferenceSources['dom.webgpu.enabled'], 'suite');
+
+      await driver.setTestPreferences({ 'dom.webgpu.enabled': false });
+      assert.strictEqual(driver.preferences['dom.webgpu.enabled'], false);
+      assert.strictEqual(driver.preferenceSources['dom.webgpu.enabled'], 'test');
+
+      driver.reportPreferences();
+      const report = JSON.parse(readFileSync(prefsOutput, 'utf8'));
+      assert.deepStrictEqual(report['dom.webgpu.enabled'], { value: false, source: 'test' });
+      assert.deepStrictEqual(report['fission.autostart'], { value: false, source: 'preset:no-fission' });
+
+      await driver.clearTestPreferences();
+      assert.strictEqual(driver.preferences['dom.webgpu.enabled'], true);
+    });
+  });
+});
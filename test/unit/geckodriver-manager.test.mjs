@@ -0,0 +1,135 @@
+import assert from 'assert';
+import { mkdtempSync, mkdirSync, writeFileSync, readFileSync, rmSync, existsSync } from 'fs';
+import { join } from 'path';
+import { tmpdir } from 'os';
+import * as tar from 'tar';
+import {
+  ensureGeckodriver,
+  checkGeckodriverCompatibility,
+  pickGeckodriverVersion,
+  getGeckodriverVersion,
+  GeckodriverCompatibilityError,
+} from '../../lib/geckodriver-manager.mjs';
+import { FirefoxDriver } from '../../lib/webdriver-helper.mjs';
+import { startFakeArchive } from '../helpers/fake-archive.mjs';
+import { writeBuildMetadata } from '../helpers/fake-build.mjs';
+
+/**
+ * Create a geckodriver release archive whose binary answers --version
+ */
+async function createGeckodriverArchive(workDir, version) {
+  const srcDir = join(workDir, `src-${version}`);
+  mkdirSync(srcDir);
+  writeFileSync(join(srcDir, 'geckodriver'), `#!/bin/sh\necho "geckodriver ${version} (abcdef 2026-01-01)"\n`, { mode: 0o755 });
+  const archivePath = join(workDir, `geckodriver-${version}.tar.gz`);
+  await tar.create({ gzip: true, file: archivePath, cwd: srcDir }, ['geckodriver']);
+  return readFileSync(archivePath);
+}
+
+describe('geckodriver-manager', function () {
+  let workDir;
+
+  beforeEach(function () {
+    workDir = mkdtempSync(join(tmpdir(), 'geckodriver-test-'));
+  });
+
+  afterEach(function () {
+    rmSync(workDir, { recursive: true, force: true });
+  });
+
+  describe('checkGeckodriverCompatibility', function () {
+    it('accepts supported Firefox versions', function () {
+      checkGeckodriverCompatibility('0.36.0', '147.0a1');
+      checkGeckodriverCompatibility('0.33.0', '115.0esr');
+      checkGeckodriverCompatibility('0.99.0', '147.0');
+      checkGeckodriverCompatibility('0.36.0', null);
+    });
+
+    it('rejects unsupported Firefox versions with a suggestion', function () {
+      assert.throws(() => checkGeckodriverCompatibility('0.33.0', '147.0'), (err) => {
+        assert(err instanceof GeckodriverCompatibilityError);
+        assert.match(err.message, /geckodriver 0\.33\.0 supports Firefox 102 to 120, but the Firefox build under test is 147\.0/);
+        assert.match(err.message, /Use geckodriver 0\.36\.0 instead/);
+        assert.strictEqual(err.suggestedVersion, '0.36.0');
+        return true;
+      });
+      assert.throws(() => checkGeckodriverCompatibility('0.36.0', '115.3.0esr'), /supports Firefox 128 and later/);
+    });
+  });
+
+  describe('pickGeckodriverVersion', function () {
+    it('picks the newest release supporting the Firefox version', function () {
+      assert.strictEqual(pickGeckodriverVersion('147.0a1'), '0.36.0');
+      assert.strictEqual(pickGeckodriverVersion('115.9.0esr'), '0.35.0');
+      assert.strictEqual(pickGeckodriverVersion('91.0'), '0.31.0');
+      assert.strictEqual(pickGeckodriverVersion(undefined), '0.36.0');
+      assert.throws(() => pickGeckodriverVersion('52.0'), GeckodriverCompatibilityError);
+    });
+  });
+
+  describe('ensureGeckodriver', function () {
+    let server;
+
+    beforeEach(async function () {
+      server = await startFakeArchive({
+        'v0.36.0/': { 'geckodriver-v0.36.0-linux64.tar.gz': await createGeckodriverArchive(workDir, '0.36.0') },
+      });
+    });
+
+    afterEach(async function () {
+      await server.close();
+    });
+
+    it('downloads the release matching the Firefox version once, then uses the cache', async function () {
+      const options = { firefoxVersion: '147.0', mirrorUrl: server.url, cacheDir: join(workDir, 'cache'), platform: 'linux-x64' };
+
+      const first = await ensureGeckodriver(options);
+      assert.strictEqual(first.version, '0.36.0');
+      assert.strictEqual(first.path, join(workDir, 'cache', 'geckodriver-0.36.0-linux-x64', 'geckodriver'));
+      assert.strictEqual(await getGeckodriverVersion(first.path), '0.36.0');
+      assert.deepStrictEqual(server.requests, ['/v0.36.0/geckodriver-v0.36.0-linux64.tar.gz']);
+
+      const second = await ensureGeckodriver(options);
+      assert.strictEqual(second.path, first.path);
+      assert.strictEqual(server.requests.length, 1);
+    });
+
+    it('fails fast when the requested release does not support Firefox', async function () {
+      await assert.rejects(
+        ensureGeckodriver({ geckodriverVersion: '0.30.0', firefoxVersion: '147.0', mirrorUrl: server.url, cacheDir: join(workDir, 'cache') }),
+        GeckodriverCompatibilityError,
+      );
+      assert.deepStrictEqual(server.requests, []);
+    });
+
+    it('reports missing releases', async function () {
+      await assert.rejects(
+        ensureGeckodriver({ geckodriverVersion: '0.35.0', mirrorUrl: server.url, cacheDir: join(workDir, 'cache'), platform: 'linux-x64', retries: 0 }),
+        /Failed to download geckodriver 0\.35\.0/,
+      );
+      assert(!existsSync(join(workDir, 'cache', 'geckodriver-0.35.0-linux-x64')));
+    });
+
+    it('checks the version of an explicit geckodriverPath', async function () {
+      const { path } = await ensureGeckodriver({ mirrorUrl: server.url, cacheDir: join(workDir, 'cache'), platform: 'linux-x64' });
+
+      assert.deepStrictEqual(await ensureGeckodriver({ geckodriverPath: path, firefoxVersion: '140.0' }), { path, version: '0.36.0' });
+      await assert.rejects(ensureGeckodriver({ geckodriverPath: path, firefoxVersion: '115.0' }), GeckodriverCompatibilityError);
+      await assert.rejects(ensureGeckodriver({ geckodriverPath: join(workDir, 'missing') }), /geckodriver not found/);
+    });
+  });
+
+  describe('FirefoxDriver', function () {
+    it('rejects an incompatible geckodriver before starting Firefox', async function () {
+      const geckodriverPath = join(workDir, 'geckodriver');
+      writeFileSync(geckodriverPath, '#!/bin/sh\necho "geckodriver 0.33.0"\n', { mode: 0o755 });
+      const appDir = join(workDir, 'firefox');
+      mkdirSync(appDir);
+      writeBuildMetadata(appDir, { version: '147.0', buildId: '20261013091845', sourceStamp: 'abc', channel: 'release' });
+
+      const driver = new FirefoxDriver({ firefoxBinary: join(appDir, 'firefox'), geckodriverPath, preferences: {} });
+      await assert.rejects(driver.build(), GeckodriverCompatibilityError);
+      assert.strictEqual(driver.getDriver(), null);
+    });
+  });
+});
@@ -0,0 +1,250 @@
+import assert from 'assert';
+import { createServer, request } from 'http';
+import { mkdtempSync, readFileSync, writeFileSync, existsSync, rmSync } from 'fs';
+import { join } from 'path';
+import { tmpdir } from 'os';
+import { HttpProxyAgent } from 'http-proxy-agent';
+import { HttpsProxyAgent } from 'https-proxy-agent';
+import { downloadFile, isProxyBypassed, proxyAgent, DownloadError } from '../../lib/http-download.mjs';
+
+const CONTENT = Buffer.from('0123456789'.repeat(1000));
+
+/**
+ * Start a server whose behaviour for each request is chosen by the test
+ */
+async function startServer(handler) {
+  const requests = [];
+  const server = createServer((req, res) => {
+    requests.push({ url: req.url, headers: req.headers });
+    handler(req, res, requests.length);
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  return {
+    url: `http://127.0.0.1:${server.address().port}`,
+    requests,
+    close: () => new Promise(resolve => {
+      server.closeAllConnections();
+      server.close(resolve);
+    }),
+  };
+}
+
+/**
+ * Serve CONTENT, honouring Range requests
+ */
+function serveContent(req, res) {
+  const range = (req.headers.range || '').match(/^bytes=(\d+)-$/);
+  if (range) {
+    const start = Number(range[1]);
+    res.writeHead(206, {
+      'Content-Length': CONTENT.length - start,
+      'Content-Range': `bytes ${start}-${CONTENT.length - 1}/${CONTENT.length}`,
+    });
+    res.end(CONTENT.subarray(start));
+    return;
+  }
+  res.writeHead(200, { 'Content-Length': CONTENT.length });
+  res.end(CONTENT);
+}
+
+describe('http-download', function () {
+  let workDir;
+  let server;
+
+  beforeEach(function () {
+    workDir = mkdtempSync(join(tmpdir(), 'http-download-test-'));
+  });
+
+  afterEach(async function () {
+    if (server) {
+      await server.close();
+      server = null;
+    }
+    rmSync(workDir, { recursive: true, force: true });
+  });
+
+  describe('downloadFile', function () {
+    it('downloads a file and reports progress', async function () {
+      server = await startServer(serveContent);
+      const dest = join(workDir, 'file');
+      const progress = [];
+
+      const result = await downloadFile(`${server.url}/file`, dest, { onProgress: event => progress.push(event) });
+
+      assert.deepStrictEqual(result, { size: CONTENT.length, total: CONTENT.length });
+      assert(readFileSync(dest).equals(CONTENT));
+      assert(!existsSync(`${dest}.part`));
+      assert.strictEqual(progress.at(-1).bytes, CONTENT.length);
+      assert.strictEqual(progress.at(-1).total, CONTENT.length);
+      assert(progress.every(event => typeof event.rate === 'number'));
+    });
+
+    it('resumes an existing partial file with a Range request', async function () {
+      server = await startServer(serveContent);
+      const dest = join(workDir, 'file');
+      writeFileSync(`${dest}.part`, CONTENT.subarray(0, 4000));
+
+      await downloadFile(`${server.url}/file`, dest);
+
+      assert.strictEqual(server.requests[0].headers.range, 'bytes=4000-');
+      assert(readFileSync(dest).equals(CONTENT));
+    });
+
+    it('restarts when the server ignores the Range header', async function () {
+      server = await startServer((req, res) => {
+        res.writeHead(200, { 'Content-Length': CONTENT.length });
+        res.end(CONTENT);
+      });
+      const dest = join(workDir, 'file');
+      writeFileSync(`${dest}.part`, 'garbage');
+
+      await downloadFile(`${server.url}/file`, dest);
+
+      assert(readFileSync(dest).equals(CONTENT));
+    });
+
+    it('retries an interrupted download from where it stopped', async function () {
+      server = await startServer((req, res, count) => {
+        if (count === 1) {
+          res.writeHead(200, { 'Content-Length': CONTENT.length });
+          res.write(CONTENT.subarray(0, 3000), () => res.destroy());
+          return;
+        }
+        serveContent(req, res);
+      });
+      const dest = join(workDir, 'file');
+
+      await downloadFile(`${server.url}/file`, dest, { retryDelay: 10 });
+
+      assert.strictEqual(server.requests.length, 2);
+      assert.strictEqual(server.requests[1].headers.range, 'bytes=3000-');
+      assert(readFileSync(dest).equals(CONTENT));
+    });
+
+    it('retries server errors with exponential backoff', async function () {
+      const times = [];
+      server = await startServer((req, res, count) => {
+        times.push(Date.now());
+        if (count < 3) {
+          res.writeHead(503);
+          res.end();
+          return;
+        }
+        serveContent(req, res);
+      });
+      const dest = join(workDir, 'file');
+
+      await downloadFile(`${server.url}/file`, dest, { retryDelay: 50 });
+
+      assert.strictEqual(server.requests.length, 3);
+      assert(times[2] - times[1] >= 2 * (times[1] - times[0]) - 20);
+    });
+
+    it('aborts stalled attempts after the timeout', async function () {
+      server = await startServer((req, res, count) => {
+        if (count === 1) {
+          res.writeHead(200, { 'Content-Length': CONTENT.length });
+          res.write(CONTENT.subarray(0, 100));
+          return;
+        }
+        serveContent(req, res);
+      });
+      const dest = join(workDir, 'file');
+
+      await downloadFile(`${server.url}/file`, dest, { timeout: 200, retryDelay: 10 });
+
+      assert.strictEqual(server.requests[1].headers.range, 'bytes=100-');
+      assert(readFileSync(dest).equals(CONTENT));
+    });
+
+    it('does not retry client errors', async function () {
+      server = await startServer((req, res) => {
+        res.writeHead(404, 'Not Found');
+        res.end();
+      });
+
+      await assert.rejects(downloadFile(`${server.url}/file`, join(workDir, 'file'), { retryDelay: 10 }), (err) => {
+        assert(err instanceof DownloadError);
+        assert.strictEqual(err.status, 404);
+        return true;
+      });
+      assert.strictEqual(server.requests.length, 1);
+    });
+
+    it('gives up after the configured number of retries', async function () {
+      server = await startServer((req, res) => {
+        res.writeHead(500, 'Internal Server Error');
+        res.end();
+      });
+
+      await assert.rejects(
+        downloadFile(`${server.url}/file`, join(workDir, 'file'), { retries: 2, retryDelay: 10 }),
+        /500 Internal Server Error/
+      );
+      assert.strictEqual(server.requests.length, 3);
+    });
+
+    it('sends custom headers', async function () {
+      server = await startServer(serveContent);
+
+      await downloadFile(`${server.url}/file`, join(workDir, 'file'), { headers: { Authorization: 'Bearer token' } });
+
+      assert.strictEqual(server.requests[0].headers.authorization, 'Bearer token');
+    });
+
+    it('connects through HTTP_PROXY unless the host is in NO_PROXY', async function () {
+      server = await startServer(serveContent);
+      const proxied = [];
+      const proxy = createServer((req, res) => {
+        // Plain HTTP requests come with their absolute URL
+        proxied.push(req.url);
+        const upstream = request(req.url, { method: req.method, headers: req.headers }, (upstreamRes) => {
+          res.writeHead(upstreamRes.statusCode, upstreamRes.headers);
+          upstreamRes.pipe(res);
+        });
+        req.pipe(upstream);
+      });
+      await new Promise(resolve => proxy.listen(0, '127.0.0.1', resolve));
+
+      const env = { HTTP_PROXY: process.env.HTTP_PROXY, NO_PROXY: process.env.NO_PROXY };
+      process.env.HTTP_PROXY = `http://127.0.0.1:${proxy.address().port}`;
+      try {
+        process.env.NO_PROXY = 'example.com';
+        await downloadFile(`${server.url}/file`, join(workDir, 'proxied'));
+        assert.deepStrictEqual(proxied, [`${server.url}/file`]);
+
+        process.env.NO_PROXY = '127.0.0.1';
+        await downloadFile(`${server.url}/file`, join(workDir, 'direct'));
+        assert.strictEqual(proxied.length, 1);
+
+        // HTTPS requests are tunneled instead
+        assert(proxyAgent(new URL('https://archive.mozilla.org/')) instanceof HttpsProxyAgent);
+        assert(proxyAgent(new URL('http://localhost:9090/')) instanceof HttpProxyAgent);
+      } finally {
+        for (const [name, value] of Object.entries(env)) {
+          if (value === undefined) {
+            delete process.env[name];
+          } else {
+            process.env[name] = value;
+          }
+        }
+        proxy.closeAllConnections?.();
+        await new Promise(resolve => proxy.close(resolve));
+      }
+    });
+  });
+
+  describe('isProxyBypassed', function () {
+    it('matches host names, domains, ports and wildcards', function () {
+      const url = new URL('https://archive.mozilla.org/pub/');
+      assert(isProxyBypassed(url, 'archive.mozilla.org'));
+      assert(isProxyBypassed(url, 'localhost, .mozilla.org'));
+      assert(isProxyBypassed(url, '*.mozilla.org'));
+      assert(isProxyBypassed(url, 'archive.mozilla.org:443'));
+      assert(isProxyBypassed(url, '*'));
+      assert(!isProxyBypassed(url, 'archive.mozilla.org:8080'));
+      assert(!isProxyBypassed(url, 'mozilla.com,ftp.mozilla.org'));
+      assert(!isProxyBypassed(url, ''));
+    });
+  });
+});
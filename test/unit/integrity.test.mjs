@@ -0,0 +1,157 @@
+import assert from 'assert';
+import { createHash } from 'crypto';
+import { mkdtempSync, writeFileSync, existsSync, readdirSync, rmSync } from 'fs';
+import { join } from 'path';
+import { tmpdir } from 'os';
+import { getChecksumsLocation, findPublishedChecksum, verifyFile, IntegrityError } from '../../lib/integrity.mjs';
+import { downloadFirefox } from '../../lib/firefox-downloader.mjs';
+import { startFakeArchive } from '../helpers/fake-archive.mjs';
+import { createFakeFirefoxArchive } from '../helpers/fake-build.mjs';
+
+const sha512 = (data) => createHash('sha512').update(data).digest('hex');
+const sha256 = (data) => createHash('sha256').update(data).digest('hex');
+
+describe('integrity', function () {
+  let archive;
+  let build;
+  let workDir;
+
+  before(async function () {
+    build = await createFakeFirefoxArchive();
+    archive = await startFakeArchive({
+      'pub/': {
+        'firefox/': {
+          'releases/': {
+            '147.0/': {
+              'SHA512SUMS': [
+                `${sha512('other')}  linux-x86_64/fr/firefox-147.0.tar.gz`,
+                `${sha512(build)}  linux-x86_64/en-US/firefox-147.0.tar.gz`,
+              ].join('\n'),
+              'linux-x86_64/': { 'en-US/': { 'firefox-147.0.tar.gz': build } },
+            },
+            '147.0.1/': {
+              'SHA512SUMS': `${sha512('not the build')}  linux-x86_64/en-US/firefox-147.0.1.tar.gz`,
+              'linux-x86_64/': { 'en-US/': { 'firefox-147.0.1.tar.gz': build } },
+            },
+          },
+        },
+      },
+      'task/': {
+        'target.tar.gz': build,
+        'target.checksums': [
+          `${sha256(build)} sha256 ${build.length} target.tar.gz`,
+          `${sha512(build)} sha512 ${build.length} target.tar.gz`,
+        ].join('\n'),
+      },
+    });
+  });
+
+  after(async function () {
+    await archive.close();
+  });
+
+  beforeEach(function () {
+    workDir = mkdtempSync(join(tmpdir(), 'integrity-test-'));
+  });
+
+  afterEach(function () {
+    rmSync(workDir, { recursive: true, force: true });
+  });
+
+  describe('getChecksumsLocation', function () {
+    it('uses SHA512SUMS for releases', function () {
+      assert.deepStrictEqual(
+        getChecksumsLocation('https://archive.mozilla.org/pub/firefox/releases/147.0/mac/en-US/Firefox%20147.0.dmg'),
+        {
+          url: 'https://archive.mozilla.org/pub/firefox/releases/147.0/SHA512SUMS',
+          format: 'sums',
+          name: 'mac/en-US/Firefox 147.0.dmg',
+        }
+      );
+    });
+
+    it('uses sibling .checksums files for Nightly and Taskcluster builds', function () {
+      assert.strictEqual(
+        getChecksumsLocation('https://example.com/api/queue/v1/task/abc/runs/0/artifacts/public/build/target.tar.xz').url,
+        'https://example.com/api/queue/v1/task/abc/runs/0/artifacts/public/build/target.checksums'
+      );
+      assert.strictEqual(
+        getChecksumsLocation('https://archive.mozilla.org/pub/firefox/nightly/latest-mozilla-central/firefox-149.0a1.en-US.mac.dmg').url,
+        'https://archive.mozilla.org/pub/firefox/nightly/latest-mozilla-central/firefox-149.0a1.en-US.mac.checksums'
+      );
+    });
+
+    it('returns null for unknown files', function () {
+      assert.strictEqual(getChecksumsLocation('https://example.com/firefox.exe'), null);
+    });
+  });
+
+  describe('findPublishedChecksum', function () {
+    it('finds a release checksum in SHA512SUMS', async function () {
+      const checksum = await findPublishedChecksum(`${archive.url}/pub/firefox/releases/147.0/linux-x86_64/en-US/firefox-147.0.tar.gz`);
+      assert.deepStrictEqual(checksum, { algorithm: 'sha512', hash: sha512(build) });
+    });
+
+    it('prefers sha512 entries of .checksums files', async function () {
+      const checksum = await findPublishedChecksum(`${archive.url}/task/target.tar.gz`);
+      assert.deepStrictEqual(checksum, { algorithm: 'sha512', hash: sha512(build), size: build.length });
+    });
+
+    it('returns null when no checksums are published', async function () {
+      assert.strictEqual(await findPublishedChecksum(`${archive.url}/missing/target.tar.gz`), null);
+    });
+  });
+
+  describe('verifyFile', function () {
+    it('accepts matching files', async function () {
+      const path = join(workDir, 'file');
+      writeFileSync(path, 'content');
+      await verifyFile(path, { size: 7, algorithm: 'sha256', hash: sha256('content') });
+    });
+
+    it('rejects truncated files', async function () {
+      const path = join(workDir, 'file');
+      writeFileSync(path, 'cont');
+      await assert.rejects(verifyFile(path, { size: 7 }), (err) => {
+        assert(err instanceof IntegrityError);
+        assert.strictEqual(err.check, 'size');
+        assert.strictEqual(err.actual, 4);
+        return true;
+      });
+    });
+
+    it('rejects checksum mismatches', async function () {
+      const path = join(workDir, 'file');
+      writeFileSync(path, 'content');
+      await assert.rejects(verifyFile(path, { algorithm: 'sha512', hash: sha512('other') }), IntegrityError);
+    });
+  });
+
+  describe('downloadFirefox', function () {
+    it('verifies the published checksum before extracting', async function () {
+      const result = await downloadFirefox(
+        `${archive.url}/pub/firefox/releases/147.0/linux-x86_64/en-US/firefox-147.0.tar.gz`,
+        { cacheDir: workDir }
+      );
+      assert(existsSync(result.binaryPath));
+    });
+
+    it('removes archives that fail verification', async function () {
+      await assert.rejects(
+        downloadFirefox(`${archive.url}/pub/firefox/releases/147.0.1/linux-x86_64/en-US/firefox-147.0.1.tar.gz`, { cacheDir: workDir }),
+        IntegrityError
+      );
+      assert.deepStrictEqual(readdirSync(workDir), []);
+    });
+
+    it('checks an explicit hash', async function () {
+      await assert.rejects(
+        downloadFirefox(`${archive.url}/task/target.tar.gz`, { cacheDir: workDir, sha256: sha256('other') }),
+        /sha256 checksum mismatch/
+      );
+
+      const result = await downloadFirefox(`${archive.url}/task/target.tar.gz`, { cacheDir: workDir, sha256: sha256(build) });
+      assert(existsSync(result.binaryPath));
+    });
+  });
+});
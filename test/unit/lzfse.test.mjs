@@ -0,0 +1,92 @@
+import assert from 'assert';
+import { decompressLzfse } from '../../lib/lzfse.mjs';
+
+const END_OF_STREAM = Buffer.from('bvx$', 'latin1');
+
+/**
+ * Build a block header made of a magic and little-endian 32-bit fields
+ */
+function blockHeader(magic, ...fields) {
+  const header = Buffer.alloc(4 + fields.length * 4);
+  header.write(magic, 0, 'latin1');
+  fields.forEach((value, i) => header.writeUInt32LE(value, 4 + i * 4));
+  return header;
+}
+
+/**
+ * Encode frequency tables with the variable-length code of bvx2 headers
+ * Only the codes for 0 and for values of 24 or more are used.
+ */
+function encodeFrequencies(freq) {
+  let bits = 0n;
+  let count = 0n;
+  for (const value of freq) {
+    if (value === 0) {
+      count += 2n;
+    } else {
+      bits |= BigInt(15 | ((value - 24) << 4)) << count;
+      count += 14n;
+    }
+  }
+
+  const bytes = Buffer.alloc(Number((count + 7n) / 8n));
+  for (let i = 0; i < bytes.length; i++) {
+    bytes[i] = Number((bits >> BigInt(i * 8)) & 0xffn);
+  }
+  return bytes;
+}
+
+describe('lzfse', function () {
+  it('decodes uncompressed blocks', function () {
+    const stream = Buffer.concat([blockHeader('bvx-', 5), Buffer.from('hello'), END_OF_STREAM]);
+    assert.strictEqual(decompressLzfse(stream).toString(), 'hello');
+  });
+
+  it('decodes LZVN blocks', function () {
+    const payload = Buffer.from([
+      0xc8, 0x03, ...Buffer.from('abc'), // 3 literals, then 4 bytes at distance 3
+      0xf2, // 2 more bytes at the same distance
+      0xe3, ...Buffer.from('xyz'), // 3 literals
+      0xa0, 0x0c, 0x00, // 3 bytes at distance 3
+      0x06, 0, 0, 0, 0, 0, 0, 0, // end of stream
+    ]);
+    const stream = Buffer.concat([blockHeader('bvxn', 15, payload.length), payload, END_OF_STREAM]);
+    assert.strictEqual(decompressLzfse(stream).toString(), 'abcabcabcxyzxyz');
+  });
+
+  it('lets matches reference previous blocks', function () {
+    const payload = Buffer.from([0x08, 0x02, 0xf2, 0x06, 0, 0, 0, 0, 0, 0, 0]);
+    const stream = Buffer.concat([
+      blockHeader('bvx-', 2), Buffer.from('ab'),
+      blockHeader('bvxn', 6, payload.length), payload,
+      END_OF_STREAM,
+    ]);
+    assert.strictEqual(decompressLzfse(stream).toString(), 'ab'.repeat(4));
+  });
+
+  it('decodes LZFSE blocks with compressed frequency tables', function () {
+    // Literals "a" and "b" split the 1024 literal states, so each state's top bit selects
+    // the literal; every L, M and D value has a single symbol and reads no bits
+    const freq = [
+      ...Array.from({ length: 20 }, (_, i) => (i === 4 ? 64 : 0)), // L = 4
+      ...Array.from({ length: 20 }, (_, i) => (i === 6 ? 64 : 0)), // M = 6
+      ...Array.from({ length: 64 }, (_, i) => (i === 2 ? 256 : 0)), // D = 2
+      ...Array.from({ length: 256 }, (_, i) => (i === 0x61 || i === 0x62 ? 512 : 0)),
+    ];
+    const frequencies = encodeFrequencies(freq);
+    const headerSize = 32 + frequencies.length;
+
+    const header = blockHeader('bvx2', 10, 0, 0, 0, 0, 0, 0);
+    header.writeBigUInt64LE(4n | (8n << 20n) | (1n << 40n) | (7n << 60n), 8);
+    header.writeBigUInt64LE(0n | (512n << 10n) | (0n << 20n) | (512n << 30n) | (8n << 40n) | (7n << 60n), 16);
+    header.writeBigUInt64LE(BigInt(headerSize), 24);
+
+    const stream = Buffer.concat([header, frequencies, Buffer.alloc(8), Buffer.alloc(8), END_OF_STREAM]);
+    assert.strictEqual(decompressLzfse(stream).toString(), 'ababababab');
+  });
+
+  it('rejects invalid blocks', function () {
+    assert.throws(() => decompressLzfse(Buffer.from('bvxZ')), /Invalid LZFSE block magic/);
+    assert.throws(() => decompressLzfse(Buffer.concat([blockHeader('bvx-', 1), Buffer.from('a')])), /Truncated/);
+  });
+});
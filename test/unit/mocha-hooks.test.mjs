@@ -0,0 +1,252 @@
+import assert from 'assert';
+import { mkdirSync, mkdtempSync, rmSync, writeFileSync } from 'fs';
+import { join } from 'path';
+import { tmpdir } from 'os';
+import { FirefoxDriver } from '../../lib/webdriver-helper.mjs';
+import { createMochaHooks, getDriver, getServer } from '../../lib/mocha-hooks.mjs';
+import { readTestResults, recordMetrics } from '../../lib/test-report.mjs';
+import { createFakeSession } from '../helpers/fake-marionette.mjs';
+
+describe('mocha-hooks', function () {
+  const { build } = FirefoxDriver.prototype;
+  let sessions;
+
+  // Attach drivers to fake sessions instead of starting browsers
+  before(function () {
+    FirefoxDriver.prototype.build = async function () {
+      const session = createFakeSession();
+      sessions.push(session);
+      this.driver = session.driver;
+      await this.listenToBidi();
+      return this.driver;
+    };
+  });
+
+  after(function () {
+    FirefoxDriver.prototype.build = build;
+  });
+
+  beforeEach(function () {
+    sessions = [];
+  });
+
+  /**
+   * Create root hooks, with their output captured, and the context tests would inherit
+   */
+  function createHooks(options, rootSuite = null) {
+    const hooks = createMochaHooks({
+      server: false,
+      driverOptions: { prefsFile: false, presets: [], importPrefs: [] },
+      ...options,
+    });
+    const output = [];
+    const errors = [];
+    const root = { test: { parent: rootSuite } };
+    const hook = { error: err => errors.push(err) };
+    const run = async (name, currentTest) => {
+      const { log } = console;
+      console.log = (...args) => output.push(args.join(' '));
+      try {
+        await hooks[name].call(name === 'beforeAll' ? root : { currentTest, test: hook });
+      } finally {
+        console.log = log;
+      }
+    };
+    return { run, root, output, errors };
+  }
+
+  const test = (state, title = 'suite test') => ({ state, fullTitle: () => title });
+
+  it('runs each test in a new user context of one browser', async function () {
+    const { run, root } = createHooks({ isolation: 'context' });
+
+    await run('beforeAll');
+    assert.strictEqual(sessions.length, 1);
+    assert.strictEqual(root.driver, getDriver());
+    const { bidi, driver } = sessions[0];
+
+    await run('beforeEach');
+    assert.deepStrictEqual(bidi.commands.slice(-2).map(command => command.method), ['browser.createUserContext', 'browsingContext.create']);
+    assert.deepStrictEqual(bidi.commands.at(-1).params, { type: 'tab', userContext: 'user-context-1' });
+    assert.strictEqual(await driver.getWindowHandle(), 'context-2');
+
+    await run('afterEach', test('passed'));
+    assert.deepStrictEqual(bidi.commands.at(-1), { method: 'browser.removeUserContext', params: { userContext: 'user-context-1' } });
+    assert.strictEqual(await driver.getWindowHandle(), 'context-1');
+
+    await run('beforeEach');
+    await run('afterEach', test('passed'));
+    assert.strictEqual(sessions.length, 1);
+
+    await run('afterAll');
+    assert.strictEqual(bidi.closed, true);
+    assert.strictEqual(getDriver(), null);
+    assert.strictEqual(root.driver, null);
+  });
+
+  it('starts a new browser for each test', async function () {
+    const { run } = createHooks({ isolation: 'browser' });
+
+    await run('beforeAll');
+    assert.strictEqual(sessions.length, 0);
+    for (let i = 1; i <= 2; i++) {
+      await run('beforeEach');
+      assert.strictEqual(sessions.length, i);
+      assert.strictEqual(sessions[i - 1].bidi.commands.length, 0);
+      await run('afterEach', test('passed'));
+      assert.strictEqual(sessions[i - 1].bidi.closed, true);
+    }
+    await run('afterAll');
+  });
+
+  it('restarts the browser after failed tests with restartOnFailure', async function () {
+    const { run, output } = createHooks({ restartOnFailure: true });
+
+    await run('beforeAll');
+    await run('beforeEach');
+    await run('afterEach', test('passed'));
+    await run('beforeEach');
+    await run('afterEach', test('failed', 'suite broken test'));
+    assert.strictEqual(sessions[0].bidi.closed, true);
+    assert(output.includes('Restarting Firefox after the failure of "suite broken test"'));
+
+    await run('beforeEach');
+    assert.strictEqual(sessions.length, 2);
+    assert.strictEqual(getDriver().driver, sessions[1].driver);
+    await run('afterAll');
+  });
+
+  it('restarts the browser when the user context cannot be closed', async function () {
+    const { run, output } = createHooks({});
+
+    await run('beforeAll');
+    await run('beforeEach');
+    const { bidi } = sessions[0];
+    bidi.send = async () => ({ type: 'error', error: 'no such user context', message: 'gone' });
+
+    await run('afterEach', test('failed'));
+    assert(output.includes('✗ Could not close the user context (browser.removeUserContext failed: no such user context (gone)), restarting Firefox'));
+    assert.strictEqual(getDriver(), null);
+
+    await run('beforeEach');
+    assert.strictEqual(sessions.length, 2);
+    await run('afterAll');
+  });
+
+  it('starts the test server and uses it as base URL', async function () {
+    const { run, root } = createHooks({ server: { root: 'test', quiet: true } });
+
+    await run('beforeAll');
+    try {
+      assert.match(root.server.url, /^http:\/\/localhost:\d+$/);
+      assert.strictEqual(getDriver().baseUrl, getServer().url);
+      assert.strictEqual((await fetch(`${root.server.url}/index.html`)).status, 200);
+    } finally {
+      await run('afterAll');
+    }
+    assert.strictEqual(getServer(), null);
+  });
+
+  it('only runs the tests of a shard', async function () {
+    const suite = { tests: [{ title: 'a' }, { title: 'b' }, { title: 'c' }], suites: [] };
+    const { run, output } = createHooks({ shard: '2/2' }, suite);
+
+    await run('beforeAll');
+    assert.deepStrictEqual(suite.tests, [{ title: 'b' }]);
+    assert.strictEqual(output[0], 'Shard 2/2: running 1 of 3 test(s)');
+    assert.strictEqual(sessions.length, 1);
+    await run('afterAll');
+  });
+
+  it('starts no browser for empty shards', async function () {
+    const suite = { tests: [{ title: 'a' }], suites: [] };
+    const { run } = createHooks({ shard: '2/2' }, suite);
+
+    await run('beforeAll');
+    assert.strictEqual(sessions.length, 0);
+    await run('afterAll');
+  });
+
+  it('writes the result, metrics, build and preferences of each test with reportDir', async function () {
+    const reportDir = mkdtempSync(join(tmpdir(), 'hooks-report-test-'));
+    try {
+      const passed = { ...test('passed', 'suite fast'), title: 'fast', duration: 42 };
+      const failed = { ...test('failed', 'suite slow'), title: 'slow', duration: 900, err: new Error('too slow') };
+      const skipped = { ...test(undefined, 'suite later'), title: 'later' };
+      const suite = { tests: [passed, failed, skipped], suites: [], fullTitle: () => 'suite' };
+      const { run, output } = createHooks({ reportDir, isolation: 'browser' }, suite);
+
+      await run('beforeAll');
+      await run('beforeEach');
+      recordMetrics({ fcp: 123.4 });
+      await run('afterEach', passed);
+      await run('beforeEach');
+      await run('afterEach', failed);
+      await run('afterAll');
+
+      assert.match(output.at(-1), /^Wrote the test results to .*results-\d+-\d+-\d+\.json$/);
+      const results = readTestResults(reportDir);
+      assert.deepStrictEqual(results.map(result => [result.fullTitle, result.state, result.duration]), [
+        ['suite fast', 'passed', 42],
+        ['suite slow', 'failed', 900],
+        ['suite later', 'skipped', null],
+      ]);
+      assert.deepStrictEqual(results.map(result => result.metrics), [{ fcp: 123.4 }, {}, {}]);
+      assert.strictEqual(results[0].build.version, '149.0a1');
+      assert.deepStrictEqual(results[0].preferences, {});
+      assert.strictEqual(results[1].error.message, 'too slow');
+      assert.strictEqual(results[2].build, null);
+    } finally {
+      rmSync(reportDir, { recursive: true, force: true });
+    }
+  });
+
+  it('fails tests during which Firefox crashed, and restarts it', async function () {
+    const workDir = mkdtempSync(join(tmpdir(), 'hooks-crash-test-'));
+    try {
+      const { run, output, errors } = createHooks({ driverOptions: { prefsFile: false, presets: [], importPrefs: [], crashesDir: join(workDir, 'crashes') } });
+      await run('beforeAll');
+      await run('beforeEach');
+      const minidumpsDir = join(workDir, 'profile', 'minidumps');
+      getDriver().profileDir = join(workDir, 'profile');
+      mkdirSync(minidumpsDir, { recursive: true });
+      writeFileSync(join(minidumpsDir, 'aaaa-1111.dmp'), 'MDMP');
+      writeFileSync(join(minidumpsDir, 'aaaa-1111.extra'), JSON.stringify({ MozCrashReason: 'MOZ_CRASH(boom)' }));
+
+      await run('afterEach', test('failed', 'suite crashing test'));
+      assert.strictEqual(errors.length, 1);
+      assert.strictEqual(errors[0].message, `Firefox crashed during "suite crashing test": MOZ_CRASH(boom) (main process, minidump: ${join(workDir, 'crashes', 'suite-crashing-test-aaaa-1111.dmp')})`);
+      assert(output.includes('✗ Firefox crashed, restarting it'));
+      assert.strictEqual(getDriver(), null);
+      assert.strictEqual(sessions[0].bidi.closed, true);
+
+      await run('beforeEach');
+      assert.strictEqual(sessions.length, 2);
+      await run('afterEach', test('passed'));
+      assert.strictEqual(errors.length, 1);
+      await run('afterAll');
+    } finally {
+      rmSync(workDir, { recursive: true, force: true });
+    }
+  });
+
+  it('fails tests during which a network route handler threw', async function () {
+    const { run, errors } = createHooks({ isolation: 'context' });
+    await run('beforeAll');
+    await run('beforeEach');
+    getDriver().networkRouteErrors.push(new Error('Route handler of http://localhost:9090/api failed: boom'));
+
+    await run('afterEach', test('passed'));
+    assert.strictEqual(errors.length, 1);
+    assert.strictEqual(errors[0].message, '1 network route handler(s) failed:\n  Route handler of http://localhost:9090/api failed: boom');
+
+    await run('beforeEach');
+    await run('afterEach', test('passed'));
+    assert.strictEqual(errors.length, 1);
+    await run('afterAll');
+  });
+
+  it('rejects unknown isolation modes', function () {
+    assert.throws(() => createMochaHooks({ isolation: 'tab' }), /Unknown isolation mode "tab" \(expected context, browser, none\)/);
+  });
+});
@@ -0,0 +1,336 @@
+import assert from 'assert';
+import { existsSync, mkdtempSync, readFileSync, rmSync } from 'fs';
+import { join } from 'path';
+import { tmpdir } from 'os';
+import { FirefoxDriver } from '../../lib/webdriver-helper.mjs';
+import { createHar, getHarFileName, matchesUrl, recordNetworkEachTest } from '../../lib/network.mjs';
+import { createFakeSession } from '../helpers/fake-marionette.mjs';
+
+const TIMINGS = {
+  timeOrigin: 0,
+  requestTime: 0,
+  fetchStart: 10,
+  dnsStart: 12,
+  dnsEnd: 15,
+  connectStart: 15,
+  connectEnd: 25,
+  tlsStart: 18,
+  requestStart: 30,
+  responseStart: 80,
+  responseEnd: 100,
+};
+
+/**
+ * Parameters of the BiDi events of a request
+ */
+function requestEvent(id, url, extra = {}) {
+  return {
+    context: 'context-1',
+    navigation: null,
+    redirectCount: 0,
+    timestamp: 1760000000000,
+    isBlocked: false,
+    request: {
+      request: id,
+      url,
+      method: 'GET',
+      headers: [{ name: 'Accept', value: { type: 'string', value: '*/*' } }],
+      bodySize: 0,
+      timings: TIMINGS,
+    },
+    ...extra,
+  };
+}
+
+function responseEvent(id, url, response = {}, extra = {}) {
+  return {
+    ...requestEvent(id, url, extra),
+    timestamp: 1760000000100,
+    response: {
+      url,
+      protocol: 'http/1.1',
+      status: 200,
+      statusText: 'OK',
+      fromCache: false,
+      headers: [{ name: 'Content-Type', value: { type: 'string', value: 'text/html' } }],
+      mimeType: 'text/html',
+      bytesReceived: 1234,
+      ...response,
+    },
+  };
+}
+
+describe('network', function () {
+  let harDir;
+
+  beforeEach(function () {
+    harDir = mkdtempSync(join(tmpdir(), 'har-test-'));
+  });
+
+  afterEach(function () {
+    rmSync(harDir, { recursive: true, force: true });
+  });
+
+  /**
+   * Create a FirefoxDriver listening to the BiDi events of a fake session
+   */
+  async function createDriver() {
+    const session = createFakeSession();
+    const driver = new FirefoxDriver({ prefsFile: false, presets: [], importPrefs: [], harDir });
+    driver.driver = session.driver;
+    await driver.listenToBidi();
+    return { driver, bidi: session.bidi };
+  }
+
+  /**
+   * Wait for the driver to send a BiDi command
+   */
+  async function waitForCommand(bidi, method, count = 1) {
+    for (let i = 0; i < 100; i++) {
+      const commands = bidi.commands.filter(command => command.method === method);
+      if (commands.length >= count) {
+        return commands[count - 1];
+      }
+      await new Promise(resolve => setTimeout(resolve, 5));
+    }
+    throw new Error(`${method} was not sent`);
+  }
+
+  describe('matchesUrl', function () {
+    it('matches whole URLs with wildcards, or regular expressions', function () {
+      assert(matchesUrl('https://ads.example.com/*', 'https://ads.example.com/tracker.js?id=1'));
+      assert(matchesUrl('*.png', 'http://localhost:9090/images/logo.png'));
+      assert(matchesUrl('http://localhost:9090/index.html', 'http://localhost:9090/index.html'));
+      assert(!matchesUrl('http://localhost:9090/index.html', 'http://localhost:9090/index.html?v=2'));
+      assert(!matchesUrl('https://ads.example.com/*', 'https://example.com/ads.example.com/'));
+      assert(matchesUrl(/\/api\//, 'http://localhost:9090/api/items'));
+    });
+  });
+
+  describe('recording', function () {
+    it('records requests with their responses and timings', async function () {
+      const { driver, bidi } = await createDriver();
+
+      bidi.emit('network.beforeRequestSent', requestEvent('1', 'http://localhost:9090/index.html'));
+      bidi.emit('network.responseStarted', responseEvent('1', 'http://localhost:9090/index.html'));
+      bidi.emit('network.responseCompleted', responseEvent('1', 'http://localhost:9090/index.html'));
+      bidi.emit('network.beforeRequestSent', requestEvent('2', 'http://localhost:9999/missing.js'));
+      bidi.emit('network.fetchError', { ...requestEvent('2', 'http://localhost:9999/missing.js'), timestamp: 1760000000050, errorText: 'NS_ERROR_CONNECTION_REFUSED' });
+
+      const [page, script] = driver.getNetworkRequests();
+      assert.strictEqual(page.url, 'http://localhost:9090/index.html');
+      assert.strictEqual(page.method, 'GET');
+      assert.strictEqual(page.status, 200);
+      assert.strictEqual(page.mimeType, 'text/html');
+      assert.strictEqual(page.bytesReceived, 1234);
+      assert.strictEqual(page.duration, 100);
+      assert.deepStrictEqual(page.requestHeaders, [{ name: 'Accept', value: '*/*' }]);
+      assert.deepStrictEqual(page.responseHeaders, [{ name: 'Content-Type', value: 'text/html' }]);
+      assert.strictEqual(page.timings.responseEnd, 100);
+      assert.strictEqual(script.error, 'NS_ERROR_CONNECTION_REFUSED');
+      assert.strictEqual(script.duration, 50);
+
+      assert.deepStrictEqual(driver.getNetworkRequests({ url: '*.js' }).map(record => record.id), ['2']);
+      driver.clearNetworkRequests();
+      assert.deepStrictEqual(driver.getNetworkRequests(), []);
+    });
+
+    it('records each redirect separately', async function () {
+      const { driver, bidi } = await createDriver();
+
+      bidi.emit('network.beforeRequestSent', requestEvent('1', 'http://localhost:9090/old'));
+      bidi.emit('network.responseCompleted', responseEvent('1', 'http://localhost:9090/old', {
+        status: 301,
+        headers: [{ name: 'Location', value: { type: 'string', value: '/new' } }],
+      }));
+      bidi.emit('network.beforeRequestSent', requestEvent('1', 'http://localhost:9090/new', { redirectCount: 1 }));
+      bidi.emit('network.responseCompleted', responseEvent('1', 'http://localhost:9090/new', {}, { redirectCount: 1 }));
+
+      assert.deepStrictEqual(driver.getNetworkRequests().map(({ url, status }) => [url, status]), [
+        ['http://localhost:9090/old', 301],
+        ['http://localhost:9090/new', 200],
+      ]);
+    });
+
+    it('saves the requests as a HAR file', async function () {
+      const { driver, bidi } = await createDriver();
+      bidi.emit('network.beforeRequestSent', requestEvent('1', 'http://localhost:9090/index.html?v=2'));
+      bidi.emit('network.responseCompleted', responseEvent('1', 'http://localhost:9090/index.html?v=2'));
+
+      const harPath = await driver.saveHar('tests loads the page');
+      assert.strictEqual(harPath, join(harDir, 'tests-loads-the-page.har'));
+
+      const { log } = JSON.parse(readFileSync(harPath, 'utf8'));
+      assert.strictEqual(log.version, '1.2');
+      assert.strictEqual(log.browser.version, '149.0a1');
+      assert.strictEqual(log.entries.length, 1);
+      assert.deepStrictEqual(log.entries[0].request.queryString, [{ name: 'v', value: '2' }]);
+    });
+  });
+
+  describe('recordNetworkEachTest', function () {
+    it('does not fail the hook when the requests cannot be saved', async function () {
+      const { driver } = await createDriver();
+      let hook;
+      const { beforeEach, afterEach } = globalThis;
+      globalThis.beforeEach = () => {};
+      globalThis.afterEach = (fn) => { hook = fn; };
+      try {
+        recordNetworkEachTest(() => driver);
+      } finally {
+        Object.assign(globalThis, { beforeEach, afterEach });
+      }
+      const output = [];
+      const { log } = console;
+      console.log = (...args) => output.push(args.join(' '));
+      try {
+        driver.processId = 2 ** 22 + 1;
+        await hook.call({ currentTest: { fullTitle: () => 'suite test' } });
+
+        driver.processId = null;
+        driver.driver.getCapabilities = async () => {
+          throw new Error('Session is not active');
+        };
+        await hook.call({ currentTest: { fullTitle: () => 'suite test' } });
+      } finally {
+        console.log = log;
+      }
+
+      assert.deepStrictEqual(output, [
+        '✗ Could not save the network requests of "suite test": Firefox is not running',
+        '✗ Could not save the network requests of "suite test": Session is not active',
+      ]);
+      assert.strictEqual(existsSync(join(harDir, 'suite-test.har')), false);
+    });
+  });
+
+  describe('createHar', function () {
+    it('converts BiDi timings to HAR timings', async function () {
+      const { driver, bidi } = await createDriver();
+      bidi.emit('network.beforeRequestSent', requestEvent('1', 'http://localhost:9090/index.html'));
+      bidi.emit('network.responseCompleted', responseEvent('1', 'http://localhost:9090/index.html'));
+
+      const [entry] = createHar(driver.getNetworkRequests()).log.entries;
+      assert.deepStrictEqual(entry.timings, { blocked: 7, dns: 3, connect: 10, ssl: 7, send: 0, wait: 50, receive: 20 });
+      assert.strictEqual(entry.time, 90);
+      assert.strictEqual(entry.startedDateTime, new Date(1760000000000).toISOString());
+      assert.strictEqual(entry.response.status, 200);
+      assert.strictEqual(entry.response.content.mimeType, 'text/html');
+    });
+
+    it('names HAR files after test titles', function () {
+      assert.strictEqual(getHarFileName('tests: first load'), 'tests-first-load.har');
+      assert.strictEqual(getHarFileName('!!!'), 'network.har');
+    });
+  });
+
+  describe('interception', function () {
+    it('mocks, blocks and continues intercepted requests', async function () {
+      const { driver, bidi } = await createDriver();
+      assert.deepStrictEqual(bidi.commands, []);
+
+      await driver.mockResponse('*/api/items', { contentType: 'application/json', body: { items: [] } });
+      const unblock = await driver.blockRequests('https://ads.example.com/*');
+      const addIntercepts = bidi.commands.filter(command => command.method === 'network.addIntercept');
+      assert.deepStrictEqual(addIntercepts, [{ method: 'network.addIntercept', params: { phases: ['beforeRequestSent'] } }]);
+      const intercept = driver.networkIntercept.id;
+
+      const blocked = { isBlocked: true, intercepts: [intercept] };
+      bidi.emit('network.beforeRequestSent', requestEvent('1', 'http://localhost:9090/api/items', blocked));
+      bidi.emit('network.beforeRequestSent', requestEvent('2', 'https://ads.example.com/tracker.js', blocked));
+      bidi.emit('network.beforeRequestSent', requestEvent('3', 'http://localhost:9090/index.html', blocked));
+      bidi.emit('network.beforeRequestSent', requestEvent('4', 'http://localhost:9090/other.html'));
+
+      const mocked = await waitForCommand(bidi, 'network.provideResponse');
+      assert.deepStrictEqual(mocked.params, {
+        request: '1',
+        statusCode: 200,
+        reasonPhrase: 'OK',
+        headers: [{ name: 'Content-Type', value: { type: 'string', value: 'application/json' } }],
+        body: { type: 'string', value: '{"items":[]}' },
+      });
+      assert.deepStrictEqual((await waitForCommand(bidi, 'network.failRequest')).params, { request: '2' });
+      assert.deepStrictEqual((await waitForCommand(bidi, 'network.continueRequest')).params, { request: '3' });
+      assert.strictEqual(bidi.commands.filter(command => command.params.request === '4').length, 0);
+      assert.deepStrictEqual(driver.getNetworkRequests().map(record => record.intercepted), ['mocked', 'blocked', null, null]);
+
+      await unblock();
+      assert.strictEqual(bidi.commands.some(command => command.method === 'network.removeIntercept'), false);
+      await driver.clearInterceptions();
+      assert.deepStrictEqual(bidi.commands.at(-1), { method: 'network.removeIntercept', params: { intercept } });
+      assert.strictEqual(driver.networkIntercept, null);
+    });
+
+    it('passes intercepted requests to custom handlers', async function () {
+      const { driver, bidi } = await createDriver();
+      await driver.interceptRequests(/\.png$/, record => (record.url.includes('large') ? { status: 404, statusText: 'Not Found' } : undefined));
+      const blocked = { isBlocked: true, intercepts: [driver.networkIntercept.id] };
+
+      bidi.emit('network.beforeRequestSent', requestEvent('1', 'http://localhost:9090/large.png', blocked));
+      bidi.emit('network.beforeRequestSent', requestEvent('2', 'http://localhost:9090/small.png', blocked));
+
+      const mocked = await waitForCommand(bidi, 'network.provideResponse');
+      assert.strictEqual(mocked.params.statusCode, 404);
+      assert.strictEqual(mocked.params.reasonPhrase, 'Not Found');
+      assert.deepStrictEqual((await waitForCommand(bidi, 'network.continueRequest')).params, { request: '2' });
+    });
+
+    it('fails requests whose handler throws, and keeps the error', async function () {
+      const { driver, bidi } = await createDriver();
+      await driver.interceptRequests('*/api/*', async () => {
+        throw new Error('bad fixture');
+      });
+      const blocked = { isBlocked: true, intercepts: [driver.networkIntercept.id] };
+
+      bidi.emit('network.beforeRequestSent', requestEvent('1', 'http://localhost:9090/api/items', blocked));
+
+      assert.deepStrictEqual((await waitForCommand(bidi, 'network.failRequest')).params, { request: '1' });
+      const errors = driver.takeNetworkRouteErrors();
+      assert.deepStrictEqual(errors.map(err => err.message), ['Route handler of http://localhost:9090/api/items failed: bad fixture']);
+      assert.strictEqual(errors[0].cause.message, 'bad fixture');
+      assert.deepStrictEqual(driver.takeNetworkRouteErrors(), []);
+    });
+
+    it('restores interceptions after a restart', async function () {
+      const { driver, bidi } = await createDriver();
+      await driver.blockRequests('*');
+      await driver.listenToBidi();
+
+      assert.strictEqual(bidi.commands.filter(command => command.method === 'network.addIntercept').length, 2);
+    });
+  });
+
+  describe('throttling', function () {
+    it('delays requests by the latency and responses by their transfer time', async function () {
+      const { driver, bidi } = await createDriver();
+      await driver.setNetworkThrottling({ latency: 30, downloadThroughput: 8000 });
+      assert.deepStrictEqual(bidi.commands.at(-1).params, { phases: ['beforeRequestSent', 'responseStarted'] });
+      const blocked = { isBlocked: true, intercepts: [driver.networkIntercept.id] };
+
+      let start = Date.now();
+      bidi.emit('network.beforeRequestSent', requestEvent('1', 'http://localhost:9090/index.html', blocked));
+      await waitForCommand(bidi, 'network.continueRequest');
+      assert(Date.now() - start >= 25, `Request continued after ${Date.now() - start}ms`);
+
+      // 50 bytes at 8000 bits/s: 50ms
+      start = Date.now();
+      bidi.emit('network.responseStarted', responseEvent('1', 'http://localhost:9090/index.html', {
+        headers: [{ name: 'Content-Length', value: { type: 'string', value: '50' } }],
+      }, blocked));
+      await waitForCommand(bidi, 'network.continueResponse');
+      assert(Date.now() - start >= 45, `Response continued after ${Date.now() - start}ms`);
+
+      await driver.setNetworkThrottling(null);
+      assert.strictEqual(bidi.commands.at(-1).method, 'network.removeIntercept');
+    });
+
+    it('uses the DevTools throttling profiles', async function () {
+      const { driver, bidi } = await createDriver();
+      await driver.setNetworkThrottling('Regular 3G');
+
+      assert.deepStrictEqual(driver.networkThrottling, { latency: 100, downloadThroughput: 750000 });
+      assert.strictEqual(bidi.commands.length, 1);
+      await assert.rejects(driver.setNetworkThrottling('56k modem'), /Unknown throttling profile: 56k modem/);
+    });
+  });
+});
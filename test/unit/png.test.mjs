@@ -0,0 +1,91 @@
+import assert from 'assert';
+import { deflateSync } from 'zlib';
+import { decodePng, encodePng } from '../../lib/png.mjs';
+
+describe('png', function () {
+  /**
+   * Build a PNG file from raw pixel rows, applying the given filter type to each row
+   */
+  function createPng({ width, height, colorType, bytesPerPixel, rows, filters, extraChunks = [] }) {
+    const stride = width * bytesPerPixel;
+    const filtered = [];
+    rows.forEach((row, y) => {
+      const previous = y > 0 ? rows[y - 1] : Buffer.alloc(stride);
+      const line = Buffer.alloc(stride + 1);
+      line[0] = filters[y];
+      for (let x = 0; x < stride; x++) {
+        const left = x >= bytesPerPixel ? row[x - bytesPerPixel] : 0;
+        const up = previous[x];
+        const upLeft = x >= bytesPerPixel ? previous[x - bytesPerPixel] : 0;
+        const p = left + up - upLeft;
+        const paeth = [left, up, upLeft].sort((a, b) => Math.abs(p - a) - Math.abs(p - b))[0];
+        const predictor = [0, left, up, (left + up) >> 1, paeth][filters[y]];
+        line[x + 1] = (row[x] - predictor) & 0xff;
+      }
+      filtered.push(line);
+    });
+
+    const header = Buffer.alloc(13);
+    header.writeUInt32BE(width, 0);
+    header.writeUInt32BE(height, 4);
+    header[8] = 8;
+    header[9] = colorType;
+
+    // The decoder does not check CRCs
+    const chunk = (type, data) => {
+      const length = Buffer.alloc(4);
+      length.writeUInt32BE(data.length);
+      return Buffer.concat([length, Buffer.from(type, 'latin1'), data, Buffer.alloc(4)]);
+    };
+    return Buffer.concat([
+      Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]),
+      chunk('IHDR', header),
+      ...extraChunks.map(([type, data]) => chunk(type, data)),
+      chunk('IDAT', deflateSync(Buffer.concat(filtered))),
+      chunk('IEND', Buffer.alloc(0)),
+    ]);
+  }
+
+  it('decodes RGB images with every filter type', function () {
+    const rows = Array.from({ length: 5 }, (_, y) => Buffer.from(Array.from({ length: 9 }, (_, x) => (x * 37 + y * 91) & 0xff)));
+    const image = decodePng(createPng({ width: 3, height: 5, colorType: 2, bytesPerPixel: 3, rows, filters: [0, 1, 2, 3, 4] }));
+
+    assert.strictEqual(image.width, 3);
+    assert.strictEqual(image.height, 5);
+    for (let y = 0; y < 5; y++) {
+      for (let x = 0; x < 3; x++) {
+        const offset = (y * 3 + x) * 4;
+        assert.deepStrictEqual([...image.data.subarray(offset, offset + 4)], [...rows[y].subarray(x * 3, x * 3 + 3), 255]);
+      }
+    }
+  });
+
+  it('decodes palette and grayscale images', function () {
+    const palette = Buffer.from([255, 0, 0, 0, 0, 255]);
+    const indexed = decodePng(createPng({
+      width: 2, height: 1, colorType: 3, bytesPerPixel: 1, rows: [Buffer.from([1, 0])], filters: [0],
+      extraChunks: [['PLTE', palette], ['tRNS', Buffer.from([128])]],
+    }));
+    assert.deepStrictEqual([...indexed.data], [0, 0, 255, 255, 255, 0, 0, 128]);
+
+    const gray = decodePng(createPng({ width: 1, height: 1, colorType: 4, bytesPerPixel: 2, rows: [Buffer.from([200, 10])], filters: [1] }));
+    assert.deepStrictEqual([...gray.data], [200, 200, 200, 10]);
+  });
+
+  it('round-trips RGBA images', function () {
+    const image = { width: 4, height: 3, data: Buffer.from(Array.from({ length: 48 }, (_, i) => (i * 53) & 0xff)) };
+    const png = encodePng(image);
+
+    // CRC of the IEND chunk, which is the same in every PNG file
+    assert.strictEqual(png.readUInt32BE(png.length - 4), 0xae426082);
+    assert.deepStrictEqual(decodePng(png), image);
+  });
+
+  it('rejects other files and unsupported formats', function () {
+    assert.throws(() => decodePng(Buffer.from('GIF89a')), /Not a PNG image/);
+
+    const png = createPng({ width: 1, height: 1, colorType: 2, bytesPerPixel: 3, rows: [Buffer.alloc(3)], filters: [0] });
+    png[24] = 16;
+    assert.throws(() => decodePng(png), /Unsupported PNG format \(bit depth 16, color type 2, interlace 0\)/);
+  });
+});
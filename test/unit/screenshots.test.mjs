@@ -0,0 +1,201 @@
+import assert from 'assert';
+import { existsSync, mkdtempSync, readFileSync, readdirSync, rmSync } from 'fs';
+import { join } from 'path';
+import { tmpdir } from 'os';
+import { FirefoxDriver } from '../../lib/webdriver-helper.mjs';
+import { decodePng, encodePng } from '../../lib/png.mjs';
+import { diffImages, getScreenshotFileName, screenshotOnFailureEachTest } from '../../lib/screenshots.mjs';
+import { createFakeSession } from '../helpers/fake-marionette.mjs';
+
+describe('screenshots', function () {
+  let dir;
+
+  beforeEach(function () {
+    dir = mkdtempSync(join(tmpdir(), 'screenshots-test-'));
+  });
+
+  afterEach(function () {
+    rmSync(dir, { recursive: true, force: true });
+  });
+
+  /**
+   * Create a solid RGBA image, with the pixels at the given indexes painted another color
+   */
+  function createImage(width, height, color, changes = {}) {
+    const data = Buffer.alloc(width * height * 4);
+    for (let i = 0; i < width * height; i++) {
+      data.set(changes[i] || color, i * 4);
+    }
+    return { width, height, data };
+  }
+
+  /**
+   * Create a FirefoxDriver attached to a fake session, saving screenshots and baselines in the test dir
+   */
+  function createDriver(options = {}) {
+    const session = createFakeSession();
+    const driver = new FirefoxDriver({
+      prefsFile: false, presets: [], importPrefs: [],
+      screenshotsDir: join(dir, 'screenshots'),
+      baselinesDir: join(dir, 'baselines'),
+      updateBaselines: false,
+      ...options,
+    });
+    driver.driver = session.driver;
+    return { driver, session };
+  }
+
+  /**
+   * Run a function with console.log captured
+   */
+  async function captureOutput(fn) {
+    const output = [];
+    const { log } = console;
+    console.log = (...args) => output.push(args.join(' '));
+    try {
+      await fn();
+    } finally {
+      console.log = log;
+    }
+    return output;
+  }
+
+  describe('diffImages', function () {
+    it('counts the pixels differing by more than the color threshold', function () {
+      const expected = createImage(4, 2, [255, 255, 255, 255]);
+      const actual = createImage(4, 2, [255, 255, 255, 255], { 1: [0, 0, 0, 255], 6: [250, 250, 250, 255] });
+
+      const { mismatchedPixels, ratio, diff } = diffImages(actual, expected);
+      assert.strictEqual(mismatchedPixels, 1);
+      assert.strictEqual(ratio, 1 / 8);
+      assert.deepStrictEqual([...diff.data.subarray(4, 8)], [255, 0, 0, 255]);
+      assert.deepStrictEqual([...diff.data.subarray(0, 4)], [255, 255, 255, 255]);
+
+      assert.strictEqual(diffImages(actual, expected, { colorThreshold: 0 }).mismatchedPixels, 2);
+    });
+
+    it('rejects images of different sizes', function () {
+      assert.throws(
+        () => diffImages(createImage(2, 2, [0, 0, 0, 255]), createImage(2, 3, [0, 0, 0, 255])),
+        /Image size 2x2 differs from 2x3/
+      );
+    });
+  });
+
+  it('names screenshot files after test titles', function () {
+    assert.strictEqual(getScreenshotFileName('tests paints the index page'), 'tests-paints-the-index-page.png');
+    assert.strictEqual(getScreenshotFileName('index page', '-diff'), 'index-page-diff.png');
+  });
+
+  describe('FirefoxDriver.screenshot', function () {
+    it('saves viewport and full-page screenshots', async function () {
+      const { driver, session } = createDriver();
+      session.screenshots.viewport = encodePng(createImage(2, 1, [0, 0, 255, 255]));
+      session.screenshots.fullPage = encodePng(createImage(2, 4, [0, 0, 255, 255]));
+
+      const viewportPath = join(dir, 'nested', 'viewport.png');
+      const output = await captureOutput(() => driver.screenshot(viewportPath));
+      assert.deepStrictEqual(readFileSync(viewportPath), session.screenshots.viewport);
+      assert.deepStrictEqual(output, [`Saved screenshot to ${viewportPath}`]);
+
+      assert.strictEqual(decodePng(await driver.screenshot(null, { fullPage: true })).height, 4);
+    });
+  });
+
+  describe('FirefoxDriver.compareScreenshot', function () {
+    it('creates missing baselines', async function () {
+      const { driver, session } = createDriver();
+      session.screenshots.viewport = encodePng(createImage(2, 2, [0, 0, 0, 255]));
+
+      const output = await captureOutput(() => driver.compareScreenshot('index page'));
+      const baselinePath = join(dir, 'baselines', 'index-page.png');
+      assert.deepStrictEqual(readFileSync(baselinePath), session.screenshots.viewport);
+      assert.deepStrictEqual(output, [`Created missing baseline ${baselinePath}`]);
+    });
+
+    it('passes within the threshold', async function () {
+      const { driver, session } = createDriver();
+      session.screenshots.viewport = encodePng(createImage(2, 2, [0, 0, 0, 255]));
+      await captureOutput(() => driver.compareScreenshot('index page'));
+
+      session.screenshots.viewport = encodePng(createImage(2, 2, [0, 0, 0, 255], { 3: [255, 0, 0, 255] }));
+      const result = await driver.compareScreenshot('index page', { threshold: 0.25 });
+      assert.strictEqual(result.mismatchedPixels, 1);
+      assert.strictEqual(result.ratio, 0.25);
+      assert.strictEqual(existsSync(join(dir, 'screenshots')), false);
+    });
+
+    it('fails and saves the screenshot and a diff image above the threshold', async function () {
+      const { driver, session } = createDriver();
+      session.screenshots.viewport = encodePng(createImage(2, 2, [0, 0, 0, 255]));
+      await captureOutput(() => driver.compareScreenshot('index page'));
+
+      session.screenshots.viewport = encodePng(createImage(2, 2, [0, 0, 0, 255], { 0: [255, 0, 0, 255], 3: [255, 0, 0, 255] }));
+      await assert.rejects(
+        driver.compareScreenshot('index page', { threshold: 0.25 }),
+        /Screenshot "index page" differs from its baseline in 2 pixel\(s\) \(50\.00%, threshold 25\.00%\)/
+      );
+      assert.deepStrictEqual(readdirSync(join(dir, 'screenshots')).sort(), ['index-page-actual.png', 'index-page-diff.png']);
+      const diff = decodePng(readFileSync(join(dir, 'screenshots', 'index-page-diff.png')));
+      assert.deepStrictEqual([...diff.data.subarray(0, 4)], [255, 0, 0, 255]);
+    });
+
+    it('fails when the size changed', async function () {
+      const { driver, session } = createDriver();
+      session.screenshots.viewport = encodePng(createImage(2, 2, [0, 0, 0, 255]));
+      await captureOutput(() => driver.compareScreenshot('index page'));
+
+      session.screenshots.viewport = encodePng(createImage(3, 2, [0, 0, 0, 255]));
+      await assert.rejects(driver.compareScreenshot('index page'), /Screenshot "index page" is 3x2, its baseline .* 2x2/);
+    });
+
+    it('replaces baselines with updateBaselines', async function () {
+      const { driver, session } = createDriver({ updateBaselines: true });
+      session.screenshots.viewport = encodePng(createImage(2, 2, [0, 0, 0, 255]));
+      await captureOutput(() => driver.compareScreenshot('index page'));
+
+      session.screenshots.viewport = encodePng(createImage(3, 2, [255, 255, 255, 255]));
+      const output = await captureOutput(() => driver.compareScreenshot('index page'));
+      assert.deepStrictEqual(readFileSync(join(dir, 'baselines', 'index-page.png')), session.screenshots.viewport);
+      assert.match(output[0], /^Updated baseline /);
+    });
+  });
+
+  describe('screenshotOnFailureEachTest', function () {
+    /**
+     * Run the afterEach hook after a test ending in the given state
+     */
+    async function runHook(driver, state) {
+      let hook;
+      const { afterEach } = globalThis;
+      globalThis.afterEach = (fn) => { hook = fn; };
+      try {
+        screenshotOnFailureEachTest(() => driver);
+      } finally {
+        globalThis.afterEach = afterEach;
+      }
+      return captureOutput(() => hook.call({ currentTest: { state, fullTitle: () => 'suite test' } }));
+    }
+
+    it('captures a full-page screenshot of failed tests', async function () {
+      const { driver, session } = createDriver();
+      session.screenshots.fullPage = encodePng(createImage(1, 1, [0, 0, 0, 255]));
+
+      await runHook(driver, 'passed');
+      assert.strictEqual(existsSync(join(dir, 'screenshots')), false);
+
+      await runHook(driver, 'failed');
+      assert.deepStrictEqual(readFileSync(join(dir, 'screenshots', 'suite-test.png')), session.screenshots.fullPage);
+    });
+
+    it('reports screenshots that cannot be captured', async function () {
+      const { driver, session } = createDriver();
+      session.driver.takeFullPageScreenshot = async () => {
+        throw new Error('Browsing context has been discarded');
+      };
+
+      const output = await runHook(driver, 'failed');
+      assert.deepStrictEqual(output, ['✗ Could not capture a screenshot of "suite test": Browsing context has been discarded']);
+    });
+  });
+});
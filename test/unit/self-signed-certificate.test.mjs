@@ -0,0 +1,36 @@
+import assert from 'assert';
+import { X509Certificate, createPrivateKey } from 'crypto';
+import { createSelfSignedCertificate } from '../../lib/self-signed-certificate.mjs';
+
+describe('self-signed-certificate', function () {
+  it('creates a certificate for localhost signed by its own key', function () {
+    const { key, cert } = createSelfSignedCertificate();
+    const certificate = new X509Certificate(cert);
+
+    assert.strictEqual(certificate.subject, 'CN=localhost');
+    assert.strictEqual(certificate.issuer, 'CN=localhost');
+    assert.strictEqual(certificate.subjectAltName, 'DNS:localhost, IP Address:127.0.0.1, IP Address:0:0:0:0:0:0:0:1');
+    assert.strictEqual(certificate.checkHost('localhost'), 'localhost');
+    assert.strictEqual(certificate.checkIP('::1'), '::1');
+    assert.strictEqual(certificate.verify(certificate.publicKey), true);
+    assert.strictEqual(certificate.checkPrivateKey(createPrivateKey(key)), true);
+  });
+
+  it('uses the given names and validity', function () {
+    const { cert } = createSelfSignedCertificate({ commonName: 'test.example', altNames: ['test.example', '10.0.0.1'], days: 400 });
+    const certificate = new X509Certificate(cert);
+
+    assert.strictEqual(certificate.subject, 'CN=test.example');
+    assert.strictEqual(certificate.subjectAltName, 'DNS:test.example, IP Address:10.0.0.1');
+    assert(new Date(certificate.validFrom) < new Date());
+    const days = (new Date(certificate.validTo) - new Date(certificate.validFrom)) / (24 * 60 * 60 * 1000);
+    assert.strictEqual(Math.round(days), 401);
+  });
+
+  it('creates a new key and serial number every time', function () {
+    const first = new X509Certificate(createSelfSignedCertificate().cert);
+    const second = new X509Certificate(createSelfSignedCertificate().cert);
+    assert.notStrictEqual(first.serialNumber, second.serialNumber);
+    assert.notStrictEqual(first.fingerprint256, second.fingerprint256);
+  });
+});
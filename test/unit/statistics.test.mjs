@@ -0,0 +1,57 @@
+import assert from 'assert';
+import { mannWhitneyU, hodgesLehmann, normalCdf, normalQuantile } from '../../lib/statistics.mjs';
+
+// Airquality example of R's wilcox.test documentation
+const X = [0.80, 0.83, 1.89, 1.04, 1.45, 1.38, 1.91, 1.64, 0.73, 1.46];
+const Y = [1.15, 0.88, 0.90, 0.74, 1.21];
+
+const close = (actual, expected, tolerance = 1e-6) =>
+  assert(Math.abs(actual - expected) < tolerance, `expected ${actual} to be close to ${expected}`);
+
+describe('statistics', function () {
+  describe('mannWhitneyU', function () {
+    it('computes exact p-values without ties', function () {
+      assert.deepStrictEqual(mannWhitneyU([1, 2, 3, 4, 5], [6, 7, 8, 9, 10]), { u: 0, z: null, pValue: 2 / 252, exact: true });
+
+      const result = mannWhitneyU(X, Y);
+      assert.strictEqual(result.u, 35);
+      close(result.pValue, 0.2544, 1e-4);
+    });
+
+    it('uses the normal approximation with ties', function () {
+      const result = mannWhitneyU([1, 2, 2, 3, 4, 4, 5], [3, 4, 5, 5, 6, 6, 7]);
+      assert.strictEqual(result.u, 6.5);
+      assert.strictEqual(result.exact, false);
+      close(result.pValue, 0.0236, 1e-3);
+    });
+
+    it('finds no difference between identical samples', function () {
+      assert.strictEqual(mannWhitneyU([5, 5, 5], [5, 5, 5]).pValue, 1);
+      assert.strictEqual(mannWhitneyU([1, 2, 3], [1, 2, 3]).pValue, 1);
+      assert.throws(() => mannWhitneyU([], [1]), /at least one value/);
+    });
+  });
+
+  describe('hodgesLehmann', function () {
+    it('estimates the shift and its confidence interval', function () {
+      const shift = hodgesLehmann(Y, X);
+      close(shift.estimate, 0.305);
+      close(shift.low, -0.15);
+      close(shift.high, 0.76);
+    });
+
+    it('is exact for a constant shift', function () {
+      assert.deepStrictEqual(hodgesLehmann([10, 20, 30, 40], [15, 25, 35, 45], 0.5).estimate, 5);
+    });
+  });
+
+  describe('normal distribution', function () {
+    it('computes the CDF and quantiles', function () {
+      close(normalCdf(0), 0.5);
+      close(normalCdf(1.959964), 0.975);
+      close(normalQuantile(0.975), 1.959964, 1e-5);
+      close(normalQuantile(0.05), -1.644854, 1e-5);
+      assert.throws(() => normalQuantile(1), /Invalid probability/);
+    });
+  });
+});
@@ -0,0 +1,140 @@
+import assert from 'assert';
+import { resolveTaskclusterBuild, pickBuildArtifact } from '../../lib/taskcluster.mjs';
+import { startFakeTaskcluster } from '../helpers/fake-taskcluster.mjs';
+
+const REVISION = '0123456789abcdef0123456789abcdef01234567';
+
+const BUILD_ARTIFACTS = {
+  'public/build/target.dmg': 'dmg',
+  'public/build/target.tar.xz': 'xz',
+  'public/build/target.zip': 'zip',
+  'public/build/target.checksums': 'checksums',
+  'public/logs/live.log': 'log',
+};
+
+describe('taskcluster', function () {
+  let taskcluster;
+
+  before(async function () {
+    taskcluster = await startFakeTaskcluster({
+      pageSize: 2,
+      tasks: {
+        completedTask: {
+          state: 'completed',
+          runs: [{ state: 'completed', artifacts: BUILD_ARTIFACTS }],
+        },
+        retriedTask: {
+          state: 'completed',
+          runs: [
+            { state: 'exception', artifacts: {} },
+            { state: 'completed', artifacts: { 'public/build/target.tar.bz2': 'bz2' } },
+            { state: 'completed', artifacts: BUILD_ARTIFACTS },
+            { state: 'failed', artifacts: BUILD_ARTIFACTS },
+          ],
+        },
+        failedTask: {
+          state: 'failed',
+          runs: [{ state: 'failed', artifacts: BUILD_ARTIFACTS }],
+        },
+        noBuildTask: {
+          state: 'completed',
+          runs: [{ state: 'completed', artifacts: { 'public/logs/live.log': 'log' } }],
+        },
+        tryTask: {
+          state: 'completed',
+          runs: [{ state: 'completed', artifacts: BUILD_ARTIFACTS }],
+        },
+      },
+      index: {
+        'gecko.v2.mozilla-central.latest.firefox.linux64-opt': 'completedTask',
+        [`gecko.v2.try.revision.${REVISION}.firefox.macosx64-opt`]: 'tryTask',
+        [`gecko.v2.mozilla-central.revision.${REVISION}.firefox.linux64-shippable-opt`]: 'completedTask',
+      },
+    });
+  });
+
+  after(async function () {
+    await taskcluster.close();
+  });
+
+  describe('pickBuildArtifact', function () {
+    it('prefers public/build/target archives', function () {
+      const names = ['public/build/host/bin/firefox.tar.xz', 'public/build/other.tar.xz', 'public/build/target.tar.bz2'];
+      assert.strictEqual(pickBuildArtifact(names, 'linux-x86_64'), 'public/build/target.tar.bz2');
+    });
+
+    it('falls back to other build archives', function () {
+      const names = ['public/build/host/bin/firefox.tar.xz', 'public/build/firefox-149.0a1.en-US.linux-x86_64.tar.xz'];
+      assert.strictEqual(pickBuildArtifact(names, 'linux-x86_64'), 'public/build/firefox-149.0a1.en-US.linux-x86_64.tar.xz');
+    });
+  });
+
+  describe('resolveTaskclusterBuild', function () {
+    it('resolves a task ID to its platform artifact', async function () {
+      const build = await resolveTaskclusterBuild({ taskId: 'completedTask' }, { rootUrl: taskcluster.url, platform: 'mac' });
+      assert.deepStrictEqual(build, {
+        url: `${taskcluster.url}/api/queue/v1/task/completedTask/runs/0/artifacts/public/build/target.dmg`,
+        taskId: 'completedTask',
+        runId: 0,
+        artifact: 'public/build/target.dmg',
+      });
+    });
+
+    it('picks the latest completed run', async function () {
+      const build = await resolveTaskclusterBuild({ taskId: 'retriedTask' }, { rootUrl: taskcluster.url, platform: 'win64' });
+      assert.strictEqual(build.runId, 2);
+      assert.strictEqual(build.artifact, 'public/build/target.zip');
+    });
+
+    it('resolves an index route', async function () {
+      const build = await resolveTaskclusterBuild(
+        { index: 'gecko.v2.mozilla-central.latest.firefox.linux64-opt' },
+        { rootUrl: taskcluster.url, platform: 'linux-x86_64' }
+      );
+      assert.strictEqual(build.taskId, 'completedTask');
+      assert.strictEqual(build.artifact, 'public/build/target.tar.xz');
+    });
+
+    it('resolves a push revision through the index', async function () {
+      const build = await resolveTaskclusterBuild({ revision: REVISION, project: 'try' }, { rootUrl: taskcluster.url, platform: 'mac' });
+      assert.strictEqual(build.taskId, 'tryTask');
+    });
+
+    it('looks shippable builds up under their shippable-opt route', async function () {
+      const build = await resolveTaskclusterBuild({ revision: REVISION, buildType: 'shippable' }, { rootUrl: taskcluster.url, platform: 'linux-x86_64' });
+      assert.strictEqual(build.taskId, 'completedTask');
+    });
+
+    it('fails for unknown build types', async function () {
+      await assert.rejects(
+        resolveTaskclusterBuild({ revision: REVISION, buildType: 'pgo' }, { rootUrl: taskcluster.url, platform: 'mac' }),
+        /Unknown build type: pgo \(expected opt, debug, shippable\)/
+      );
+    });
+
+    it('fails for tasks without a completed run', async function () {
+      await assert.rejects(
+        resolveTaskclusterBuild({ taskId: 'failedTask' }, { rootUrl: taskcluster.url, platform: 'mac' }),
+        /Task failedTask has no completed run \(task state: failed\)/
+      );
+    });
+
+    it('fails when the build artifact is missing', async function () {
+      await assert.rejects(
+        resolveTaskclusterBuild({ taskId: 'noBuildTask' }, { rootUrl: taskcluster.url, platform: 'mac' }),
+        /Task noBuildTask run 0 has no Firefox build artifact for mac/
+      );
+    });
+
+    it('fails for unknown tasks and routes', async function () {
+      await assert.rejects(
+        resolveTaskclusterBuild({ taskId: 'missingTask' }, { rootUrl: taskcluster.url, platform: 'mac' }),
+        /Task missingTask does not exist/
+      );
+      await assert.rejects(
+        resolveTaskclusterBuild({ revision: REVISION }, { rootUrl: taskcluster.url, platform: 'mac' }),
+        /No task indexed at gecko\.v2\.mozilla-central\.revision\.0123456789abcdef0123456789abcdef01234567\.firefox\.macosx64-opt/
+      );
+    });
+  });
+});
@@ -0,0 +1,226 @@
+import assert from 'assert';
+import { mkdtempSync, readdirSync, rmSync } from 'fs';
+import { join } from 'path';
+import { tmpdir } from 'os';
+import {
+  startRecording,
+  stopRecording,
+  recordMetrics,
+  collectTestResults,
+  writeTestResults,
+  readTestResults,
+  createReport,
+  checkThresholds,
+  formatJUnit,
+  formatReportMarkdown,
+  RESULTS_PARTS_DIR,
+} from '../../lib/test-report.mjs';
+
+/**
+ * Create a stand-in for a Mocha test after it ran
+ */
+function createTest(title, state, { parent = 'tests', duration = 100, err, file = '/repo/test/test.mjs' } = {}) {
+  return { title, state, duration, err, file, fullTitle: () => `${parent} ${title}` };
+}
+
+/**
+ * Create a stand-in for a Mocha suite
+ */
+function createSuite(title, tests, suites = []) {
+  return { tests, suites, fullTitle: () => title };
+}
+
+const BUILD = { version: '149.0a1', buildId: '20261018093211', platform: 'linux', sourceStamp: null, changesetUrl: null, channel: null };
+
+/**
+ * Create the result of a test, as returned by collectTestResults
+ */
+function createResult(fullTitle, state, metrics = {}, extra = {}) {
+  return {
+    title: fullTitle.split(' ').pop(),
+    fullTitle,
+    suite: 'tests',
+    file: '/repo/test/test.mjs',
+    state,
+    duration: state === 'skipped' ? null : 100,
+    error: state === 'failed' ? { message: 'Expected 1 to equal 2', stack: 'AssertionError: Expected 1 to equal 2\n    at test.mjs:10' } : null,
+    metrics,
+    build: BUILD,
+    preferences: { 'dom.ipc.processCount': 4 },
+    ...extra,
+  };
+}
+
+describe('test-report', function () {
+  describe('recordMetrics', function () {
+    it('collects the metrics of the current test', function () {
+      recordMetrics({ fcp: 1 });
+      startRecording();
+      recordMetrics({ fcp: 120.5 });
+      recordMetrics({ load: 300, fcp: 110 });
+      assert.deepStrictEqual(stopRecording(), { fcp: 110, load: 300 });
+      assert.deepStrictEqual(stopRecording(), {});
+    });
+
+    it('rejects values that are not numbers', function () {
+      startRecording();
+      try {
+        assert.throws(() => recordMetrics({ fcp: NaN }), /Invalid value of metric fcp: NaN/);
+        assert.throws(() => recordMetrics({ load: '12' }), /Invalid value of metric load: 12/);
+      } finally {
+        stopRecording();
+      }
+    });
+  });
+
+  describe('collectTestResults', function () {
+    it('lists the tests in run order with their details', function () {
+      const passed = createTest('loads', 'passed', { duration: 250 });
+      const failed = createTest('paints', 'failed', { parent: 'tests paint', err: new Error('boom') });
+      const pending = createTest('streams', undefined, { parent: 'tests paint' });
+      const suite = createSuite('', [], [createSuite('tests', [passed], [createSuite('tests paint', [failed, pending])])]);
+
+      const results = collectTestResults(suite, new Map([[passed, { metrics: { fcp: 120 }, build: BUILD, preferences: { a: 1 } }]]));
+      assert.deepStrictEqual(results.map(result => [result.fullTitle, result.suite, result.state, result.duration]), [
+        ['tests loads', 'tests', 'passed', 250],
+        ['tests paint paints', 'tests paint', 'failed', 100],
+        ['tests paint streams', 'tests paint', 'skipped', null],
+      ]);
+      assert.deepStrictEqual(results[0].metrics, { fcp: 120 });
+      assert.deepStrictEqual(results[0].build, BUILD);
+      assert.deepStrictEqual(results[0].preferences, { a: 1 });
+      assert.strictEqual(results[0].error, null);
+      assert.strictEqual(results[1].error.message, 'boom');
+      assert.match(results[1].error.stack, /^Error: boom/);
+      assert.deepStrictEqual([results[1].metrics, results[1].build, results[1].preferences], [{}, null, null]);
+    });
+  });
+
+  describe('writeTestResults/readTestResults', function () {
+    let workDir;
+
+    beforeEach(function () {
+      workDir = mkdtempSync(join(tmpdir(), 'report-test-'));
+    });
+
+    afterEach(function () {
+      rmSync(workDir, { recursive: true, force: true });
+    });
+
+    it('merges the results of every process', function () {
+      writeTestResults(workDir, [createResult('tests a', 'passed')]);
+      writeTestResults(workDir, [createResult('tests b', 'failed'), createResult('tests c', 'skipped')]);
+      assert.strictEqual(readdirSync(join(workDir, RESULTS_PARTS_DIR)).length, 2);
+
+      const results = readTestResults(workDir);
+      assert.deepStrictEqual(results.map(result => result.fullTitle).sort(), ['tests a', 'tests b', 'tests c']);
+      assert.strictEqual(readTestResults(workDir, { remove: true }).length, 3);
+      assert.deepStrictEqual(readTestResults(workDir), []);
+    });
+
+    it('reports each test once when runs selected different tests', function () {
+      // The parallel run of the other tests, then the serial run of the @perf tests
+      writeTestResults(workDir, [createResult('tests a', 'passed'), createResult('tests measure @perf', 'skipped')]);
+      writeTestResults(workDir, [createResult('tests a', 'skipped'), createResult('tests measure @perf', 'failed')]);
+      writeTestResults(workDir, [createResult('tests a', 'passed', {}, { file: '/repo/test/other.mjs' })]);
+
+      assert.deepStrictEqual(readTestResults(workDir).map(result => [result.file, result.fullTitle, result.state]), [
+        ['/repo/test/test.mjs', 'tests a', 'passed'],
+        ['/repo/test/test.mjs', 'tests measure @perf', 'failed'],
+        ['/repo/test/other.mjs', 'tests a', 'passed'],
+      ]);
+    });
+  });
+
+  describe('createReport', function () {
+    it('counts the results and lists the builds once', function () {
+      const report = createReport([
+        createResult('tests a', 'passed'),
+        createResult('tests b', 'failed'),
+        createResult('tests c', 'skipped', {}, { build: null }),
+      ]);
+      assert.deepStrictEqual(report.summary, { tests: 3, passed: 1, failed: 1, skipped: 1, duration: 200 });
+      assert.deepStrictEqual(report.builds, [BUILD]);
+      assert.deepStrictEqual(report.regressions, []);
+      assert.match(report.createdAt, /^\d{4}-\d\d-\d\dT/);
+    });
+  });
+
+  describe('checkThresholds', function () {
+    const results = [
+      createResult('tests a', 'passed', { fcp: 1200, load: 900 }),
+      createResult('tests b', 'passed', { fcp: 400, load: 1300 }),
+    ];
+
+    it('reports metrics above their maximum', function () {
+      const regressions = checkThresholds(results, { fcp: { max: 1000 } });
+      assert.deepStrictEqual(regressions, [{
+        test: 'tests a',
+        metric: 'fcp',
+        value: 1200,
+        limit: 1000,
+        baseline: null,
+        message: 'fcp is 1200, above the maximum of 1000',
+      }]);
+    });
+
+    it('reports metrics that grew too much over the baseline', function () {
+      const baseline = createReport([
+        createResult('tests a', 'passed', { load: 800 }),
+        createResult('tests b', 'passed', { load: 1000 }),
+      ]);
+      const regressions = checkThresholds(results, { load: { maxIncrease: 0.2 } }, baseline);
+      assert.deepStrictEqual(regressions.map(regression => [regression.test, regression.limit, regression.baseline]), [['tests b', 1200, 1000]]);
+      assert.strictEqual(regressions[0].message, 'load is 1300, 30% above the baseline of 1000 (at most 20%)');
+    });
+
+    it('ignores metrics without thresholds or baseline', function () {
+      assert.deepStrictEqual(checkThresholds(results, {}), []);
+      assert.deepStrictEqual(checkThresholds(results, { load: { maxIncrease: 0.1 } }), []);
+    });
+  });
+
+  describe('formatJUnit', function () {
+    it('writes one testsuite per file with failures, skipped tests and properties', function () {
+      const report = createReport([
+        createResult('tests a', 'passed', { fcp: 120.5 }),
+        createResult('tests <b> & "c"', 'failed'),
+        createResult('tests d', 'skipped', {}, { file: '/repo/test/other.mjs', build: null, preferences: null }),
+      ]);
+      const xml = formatJUnit(report);
+
+      assert(xml.startsWith('<?xml version="1.0" encoding="UTF-8"?>\n<testsuites name="Firefox tests" tests="3" failures="1" errors="0" skipped="1" time="0.200">'));
+      assert(xml.includes('<testsuite name="/repo/test/test.mjs" timestamp="'));
+      assert(xml.includes('tests="2" failures="1" errors="0" skipped="0" time="0.200">'));
+      assert(xml.includes('<testsuite name="/repo/test/other.mjs"'));
+      assert(xml.includes('<testcase classname="tests" name="a" time="0.100">'));
+      assert(xml.includes('<property name="metric.fcp" value="120.5"/>'));
+      assert(xml.includes('<property name="firefox.version" value="149.0a1"/>'));
+      assert(!xml.includes('firefox.sourceStamp'));
+      assert(xml.includes('<property name="pref.dom.ipc.processCount" value="4"/>'));
+      assert(xml.includes('name="&quot;c&quot;"'));
+      assert(xml.includes('<failure message="Expected 1 to equal 2" type="Error">AssertionError: Expected 1 to equal 2\n    at test.mjs:10</failure>'));
+      assert(xml.includes('<testcase classname="tests" name="d" time="0.000">\n      <skipped/>\n    </testcase>'));
+      assert(xml.trimEnd().endsWith('</testsuites>'));
+    });
+  });
+
+  describe('formatReportMarkdown', function () {
+    it('renders the builds, a table of the tests, failures and regressions', function () {
+      const results = [
+        createResult('tests a | b', 'passed', { fcp: 120.46, load: 300 }),
+        createResult('tests c', 'failed'),
+        createResult('tests d', 'skipped'),
+      ];
+      const markdown = formatReportMarkdown(createReport(results, { regressions: checkThresholds(results, { fcp: { max: 100 } }) }));
+
+      assert(markdown.startsWith('## Firefox test results\n\n1 passed, 1 failed, 1 skipped (3 test(s) in 0.2 s)\n'));
+      assert(markdown.includes('| 149.0a1 | 20261018093211 | linux | unknown |'));
+      assert(markdown.includes('| tests a \\| b | ✅ passed | 100 ms | fcp: 120.5, load: 300 |'));
+      assert(markdown.includes('| tests c | ❌ failed | 100 ms |  |'));
+      assert(markdown.includes('| tests d | ⏭️ skipped |  |  |'));
+      assert(markdown.includes('### Failures\n\n- **tests c**: Expected 1 to equal 2'));
+      assert(markdown.includes('### Regressions\n\n- **tests a \\| b**: fcp is 120.5, above the maximum of 100'));
+    });
+  });
+});
@@ -0,0 +1,95 @@
+import assert from 'assert';
+import { parseShard, selectShardTests, runTests, PERF_TAG } from '../../lib/test-runner.mjs';
+
+describe('test-runner', function () {
+  /**
+   * Create a stand-in for a Mocha suite with the given test titles and child suites
+   */
+  function createSuite(titles, suites = []) {
+    return { tests: titles.map(title => ({ title })), suites };
+  }
+
+  const titlesOf = suite => [...suite.tests.map(test => test.title), ...suite.suites.flatMap(titlesOf)];
+
+  /**
+   * Run runTests with a fake Mocha, returning the runs it made
+   */
+  async function run(options, exitCodes = []) {
+    const runs = [];
+    const { log } = console;
+    console.log = () => {};
+    try {
+      const exitCode = await runTests({
+        ...options,
+        runMocha: async (args, env) => {
+          runs.push({ args, env });
+          return exitCodes[runs.length - 1] ?? 0;
+        },
+      });
+      return { exitCode, runs };
+    } finally {
+      console.log = log;
+    }
+  }
+
+  describe('parseShard', function () {
+    it('parses i/n', function () {
+      assert.deepStrictEqual(parseShard('2/3'), { index: 2, total: 3 });
+      assert.deepStrictEqual(parseShard(' 1/1 '), { index: 1, total: 1 });
+    });
+
+    it('rejects invalid shards', function () {
+      for (const value of ['0/2', '3/2', '1', 'a/b', '1/0']) {
+        assert.throws(() => parseShard(value), /Invalid shard/, value);
+      }
+    });
+  });
+
+  describe('selectShardTests', function () {
+    it('deals the tests to the shards in turn, in run order', function () {
+      const createTree = () => createSuite(['r1'], [createSuite(['a1', 'a2', 'a3']), createSuite(['b1'], [createSuite(['c1'])])]);
+
+      const shards = [1, 2].map(index => {
+        const suite = createTree();
+        const counts = selectShardTests(suite, { index, total: 2 });
+        return { titles: titlesOf(suite), counts };
+      });
+      assert.deepStrictEqual(shards[0].titles, ['r1', 'a2', 'b1']);
+      assert.deepStrictEqual(shards[1].titles, ['a1', 'a3', 'c1']);
+      assert.deepStrictEqual(shards[0].counts, { selected: 3, total: 6 });
+    });
+
+    it('leaves shards beyond the number of tests empty', function () {
+      const suite = createSuite(['only']);
+      assert.deepStrictEqual(selectShardTests(suite, { index: 2, total: 3 }), { selected: 0, total: 1 });
+      assert.deepStrictEqual(suite.tests, []);
+    });
+  });
+
+  describe('runTests', function () {
+    it('runs Mocha once by default', async function () {
+      const { exitCode, runs } = await run({ mochaArgs: ['--bail'] });
+      assert.strictEqual(exitCode, 0);
+      assert.deepStrictEqual(runs, [{ args: ['--bail'], env: {} }]);
+    });
+
+    it('runs the perf tests serially after the parallel run', async function () {
+      const { runs } = await run({ parallel: true, jobs: 3, shard: '1/2', mochaArgs: ['test/a.mjs'] });
+      assert.deepStrictEqual(runs, [
+        { args: ['--parallel', '--jobs', '3', '--grep', PERF_TAG, '--invert', 'test/a.mjs'], env: { FIREFOX_SHARD: '1/2' } },
+        { args: ['--grep', PERF_TAG, 'test/a.mjs'], env: { FIREFOX_SHARD: '1/2' } },
+      ]);
+    });
+
+    it('runs every phase and returns the first failure', async function () {
+      const { exitCode, runs } = await run({ parallel: true }, [2, 0]);
+      assert.strictEqual(exitCode, 2);
+      assert.strictEqual(runs.length, 2);
+    });
+
+    it('rejects invalid options', async function () {
+      await assert.rejects(run({ shard: '3/2' }), /Invalid shard "3\/2"/);
+      await assert.rejects(run({ parallel: true, mochaArgs: ['--grep', 'load'] }), /--grep and --invert cannot be combined with --parallel/);
+    });
+  });
+});
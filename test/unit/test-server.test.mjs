@@ -0,0 +1,150 @@
+import assert from 'assert';
+import https from 'https';
+import { mkdtempSync, mkdirSync, rmSync, writeFileSync } from 'fs';
+import { join } from 'path';
+import { tmpdir } from 'os';
+import { startTestServer, CROSS_ORIGIN_ISOLATION_HEADERS } from '../../lib/test-server.mjs';
+
+describe('test-server', function () {
+  let root;
+  let server;
+
+  beforeEach(function () {
+    root = mkdtempSync(join(tmpdir(), 'test-server-test-'));
+    mkdirSync(join(root, 'pages'));
+    writeFileSync(join(root, 'index.html'), '<h1>Index</h1>');
+    writeFileSync(join(root, 'pages', 'app.js'), 'console.log("app");');
+  });
+
+  afterEach(async function () {
+    if (server) {
+      await server.close();
+      server = null;
+    }
+    rmSync(root, { recursive: true, force: true });
+  });
+
+  /**
+   * Fetch a path, collecting the time each chunk of the body arrived at
+   */
+  async function fetchChunks(path) {
+    const startedAt = Date.now();
+    const response = await fetch(server.url + path);
+    const chunks = [];
+    for await (const chunk of response.body) {
+      chunks.push({ text: Buffer.from(chunk).toString(), at: Date.now() - startedAt });
+    }
+    return { response, chunks };
+  }
+
+  it('serves files on a free port', async function () {
+    server = await startTestServer({ root, quiet: true });
+    assert.match(server.url, /^http:\/\/localhost:\d+$/);
+    assert.notStrictEqual(server.port, 0);
+
+    const response = await fetch(`${server.url}/pages/app.js`);
+    assert.strictEqual(response.status, 200);
+    assert.strictEqual(await response.text(), 'console.log("app");');
+    assert.strictEqual((await fetch(`${server.url}/missing.html`)).status, 404);
+  });
+
+  it('logs requests with their status and duration', async function () {
+    server = await startTestServer({ root, quiet: true });
+    await (await fetch(`${server.url}/index.html?v=1`)).text();
+    await (await fetch(`${server.url}/missing.html`)).text();
+
+    const [request] = server.getRequests({ path: '/index.html' });
+    assert.strictEqual(request.method, 'GET');
+    assert.strictEqual(request.url, '/index.html?v=1');
+    assert.strictEqual(request.status, 200);
+    assert(request.duration >= 0);
+    assert.deepStrictEqual(server.getRequests().map(entry => entry.status), [200, 404]);
+
+    server.clearRequests();
+    assert.deepStrictEqual(server.getRequests(), []);
+  });
+
+  it('adds headers to every response', async function () {
+    server = await startTestServer({ root, quiet: true, headers: CROSS_ORIGIN_ISOLATION_HEADERS });
+    const response = await fetch(`${server.url}/index.html`);
+    assert.strictEqual(response.headers.get('cross-origin-opener-policy'), 'same-origin');
+    assert.strictEqual(response.headers.get('cross-origin-embedder-policy'), 'require-corp');
+  });
+
+  it('delays routed files and sets their headers', async function () {
+    server = await startTestServer({ root, quiet: true });
+    const unroute = server.route('/pages/*', { delay: 200, headers: { 'Cache-Control': 'max-age=3600' } });
+
+    const startedAt = Date.now();
+    const response = await fetch(`${server.url}/pages/app.js`);
+    assert(Date.now() - startedAt >= 190, 'Response was not delayed');
+    assert.strictEqual(response.headers.get('cache-control'), 'max-age=3600');
+    assert.match(response.headers.get('content-type'), /javascript/);
+    assert.strictEqual(await response.text(), 'console.log("app");');
+
+    unroute();
+    assert.strictEqual((await fetch(`${server.url}/pages/app.js`)).headers.get('cache-control'), 'public, max-age=0');
+  });
+
+  it('serves generated bodies', async function () {
+    server = await startTestServer({ root, quiet: true });
+    server.route(/^\/api\//, { status: 201, body: { items: [1] } });
+    server.route('/text', { body: 'plain', contentType: 'text/plain' });
+
+    const json = await fetch(`${server.url}/api/items`);
+    assert.strictEqual(json.status, 201);
+    assert.match(json.headers.get('content-type'), /application\/json/);
+    assert.deepStrictEqual(await json.json(), { items: [1] });
+
+    const text = await fetch(`${server.url}/text`);
+    assert.match(text.headers.get('content-type'), /text\/plain/);
+    assert.strictEqual(await text.text(), 'plain');
+
+    server.clearRoutes();
+    assert.strictEqual((await fetch(`${server.url}/text`)).status, 404);
+  });
+
+  it('streams bodies in chunks', async function () {
+    server = await startTestServer({ root, quiet: true });
+    server.route('/stream.html', { body: ['<p>first', '<p>second'], chunkDelay: 300 });
+    server.route('/index.html', { chunkSize: 5, chunkDelay: 50 });
+
+    const { response, chunks } = await fetchChunks('/stream.html');
+    assert.strictEqual(response.headers.get('transfer-encoding'), 'chunked');
+    assert.match(response.headers.get('content-type'), /text\/html/);
+    assert.deepStrictEqual(chunks.map(chunk => chunk.text), ['<p>first', '<p>second']);
+    assert(chunks[1].at - chunks[0].at >= 250, `Chunks arrived ${chunks[1].at - chunks[0].at}ms apart`);
+
+    const file = await fetchChunks('/index.html');
+    assert.strictEqual(file.chunks.map(chunk => chunk.text).join(''), '<h1>Index</h1>');
+    assert.strictEqual(file.response.headers.get('transfer-encoding'), 'chunked');
+    assert(file.chunks.length > 1, 'The file was not streamed in chunks');
+  });
+
+  it('does not serve routed files outside of root', async function () {
+    server = await startTestServer({ root, quiet: true });
+    server.route('*', { delay: 0 });
+
+    assert.strictEqual(await (await fetch(`${server.url}/`)).text(), '<h1>Index</h1>');
+    assert.strictEqual((await fetch(`${server.url}/%2e%2e%2fsecret`)).status, 404);
+  });
+
+  it('serves HTTPS with a self-signed certificate', async function () {
+    server = await startTestServer({ root, quiet: true, https: true });
+    assert.match(server.url, /^https:\/\/localhost:\d+$/);
+
+    const body = await new Promise((resolve, reject) => {
+      https.get(`${server.url}/index.html`, { ca: server.certificate.cert }, response => {
+        let data = '';
+        response.on('data', chunk => { data += chunk; });
+        response.on('end', () => resolve(data));
+      }).on('error', reject);
+    });
+    assert.strictEqual(body, '<h1>Index</h1>');
+  });
+
+  it('fails to start on a port in use', async function () {
+    server = await startTestServer({ root, quiet: true });
+    await assert.rejects(startTestServer({ root, quiet: true, port: server.port }), /EADDRINUSE/);
+  });
+});
@@ -0,0 +1,582 @@
+import assert from 'assert';
+import { existsSync, mkdirSync, mkdtempSync, readFileSync, readdirSync, rmSync, writeFileSync } from 'fs';
+import { join } from 'path';
+import { tmpdir } from 'os';
+import { gunzipSync } from 'zlib';
+import { FirefoxDriver } from '../../lib/webdriver-helper.mjs';
+import { getProfileFileName, profileEachTest } from '../../lib/profiler.mjs';
+import { captureConsoleEachTest, formatConsoleEntry } from '../../lib/console-logs.mjs';
+import { createFakeSession } from '../helpers/fake-marionette.mjs';
+
+describe('webdriver-helper', function () {
+  /**
+   * Create a FirefoxDriver attached to a fake session instead of a real browser
+   */
+  function createDriver(preferences, state, options = {}) {
+    const session = createFakeSession(state);
+    const driver = new FirefoxDriver({ prefsFile: false, presets: [], importPrefs: [], preferences, ...options });
+    driver.driver = session.driver;
+    return { driver, session };
+  }
+
+  describe('executeInChrome', function () {
+    it('runs scripts in the chrome context and restores the previous context', async function () {
+      const { driver, session } = createDriver({}, { defaults: { 'browser.startup.page': 1 } });
+
+      const value = await driver.executeInChrome('return Services.prefs.getIntPref(arguments[0]) + arguments[1];', 'browser.startup.page', 2);
+      assert.strictEqual(value, 3);
+      assert.deepStrictEqual(session.contexts, ['chrome', 'content']);
+    });
+
+    it('restores the context when the script throws', async function () {
+      const { driver, session } = createDriver({}, {});
+
+      await assert.rejects(driver.executeInChrome('throw new Error("boom");'), /boom/);
+      assert.deepStrictEqual(session.contexts, ['chrome', 'content']);
+    });
+  });
+
+  describe('getPref/setPref/clearPref', function () {
+    it('reads and changes preferences of the running browser', async function () {
+      const { driver, session } = createDriver({}, { defaults: { 'dom.webgpu.enabled': false, 'layout.frame_rate': -1 } });
+
+      assert.strictEqual(await driver.getPref('dom.webgpu.enabled'), false);
+      assert.strictEqual(await driver.getPref('does.not.exist'), null);
+
+      await driver.setPref('dom.webgpu.enabled', true);
+      await driver.setPref('layout.frame_rate', 60);
+      await driver.setPref('general.useragent.override', 'Test UA');
+      assert.strictEqual(await driver.getPref('dom.webgpu.enabled'), true);
+      assert.strictEqual(await driver.getPref('layout.frame_rate'), 60);
+      assert.strictEqual(await driver.getPref('general.useragent.override'), 'Test UA');
+
+      await driver.clearPref('dom.webgpu.enabled');
+      assert.strictEqual(await driver.getPref('dom.webgpu.enabled'), false);
+      assert.strictEqual(session.prefs.user.has('dom.webgpu.enabled'), false);
+    });
+
+    it('refuses to change locked preferences', async function () {
+      const { driver } = createDriver({}, { defaults: { 'app.update.auto': false }, locked: ['app.update.auto'] });
+      await assert.rejects(driver.setPref('app.update.auto', true), /Preference app\.update\.auto is locked/);
+    });
+
+    it('reports type mismatches with existing preferences', async function () {
+      const { driver, session } = createDriver({}, { defaults: { 'layout.frame_rate': -1 } });
+      await assert.rejects(
+        driver.setPref('layout.frame_rate', '60'),
+        /Cannot set preference layout\.frame_rate to "60": the preference is of type integer/
+      );
+      assert.strictEqual(session.prefs.user.has('layout.frame_rate'), false);
+    });
+  });
+
+  describe('verifyPreferences', function () {
+    const preferences = {
+      'dom.webgpu.enabled': true,
+      'app.update.auto': true,
+      'layout.frame_rate': 60,
+      'browser.old.renamed': true,
+      'test.only.pref': 'value',
+    };
+    const state = {
+      defaults: { 'dom.webgpu.enabled': false, 'app.update.auto': false, 'layout.frame_rate': -1 },
+      user: { 'dom.webgpu.enabled': true, 'app.update.auto': true, 'browser.old.renamed': 1, 'test.only.pref': 'value' },
+      locked: ['app.update.auto'],
+    };
+
+    it('reports preferences that did not take effect', async function () {
+      const { driver } = createDriver(preferences, state);
+
+      assert.deepStrictEqual(await driver.verifyPreferences(), [
+        { name: 'app.update.auto', expected: true, actual: false, reason: 'locked' },
+        { name: 'layout.frame_rate', expected: 60, actual: -1, reason: 'different value' },
+        { name: 'browser.old.renamed', expected: true, actual: 1, reason: 'unknown to this build (renamed or removed?)' },
+      ]);
+    });
+
+    it('fails when asked to', async function () {
+      const { driver } = createDriver(preferences, state, { verifyPreferences: 'error' });
+      await assert.rejects(driver.verifyPreferences(), (err) => {
+        assert.match(err.message, /3 Firefox preference\(s\) did not take effect/);
+        assert.match(err.message, /app\.update\.auto: expected true, got false \(locked, from suite\)/);
+        return true;
+      });
+    });
+
+    it('passes when every preference took effect', async function () {
+      const { driver } = createDriver({ 'dom.webgpu.enabled': true }, state);
+      assert.deepStrictEqual(await driver.verifyPreferences(), []);
+    });
+  });
+
+  describe('profiler', function () {
+    let profilesDir;
+
+    beforeEach(function () {
+      profilesDir = mkdtempSync(join(tmpdir(), 'profiles-test-'));
+    });
+
+    afterEach(function () {
+      rmSync(profilesDir, { recursive: true, force: true });
+    });
+
+    it('saves a gzipped profile of the code between start and stop', async function () {
+      const { driver, session } = createDriver({}, {}, { profilesDir });
+
+      await driver.startProfiler({ threads: ['GeckoMain'], interval: 2 });
+      assert.strictEqual(driver.isProfilerRunning, true);
+      const path = await driver.stopProfiler('tests test 1');
+
+      assert.strictEqual(path, join(profilesDir, 'tests-test-1.json.gz'));
+      const profile = JSON.parse(gunzipSync(readFileSync(path)));
+      assert.deepStrictEqual(profile.meta.configuration, {
+        entries: 128 * 1024 * 1024,
+        interval: 2,
+        features: ['js', 'stackwalk', 'cpu', 'screenshots', 'processcpu'],
+        threads: ['GeckoMain'],
+      });
+      assert.deepStrictEqual(session.profiler.calls, ['StartProfiler', 'Pause', 'getProfileDataAsGzippedArrayBuffer', 'StopProfiler']);
+      assert.deepStrictEqual(session.contexts, ['chrome', 'content', 'chrome', 'content']);
+      assert.strictEqual(driver.isProfilerRunning, false);
+    });
+
+    it('requires the profiler to be started', async function () {
+      const { driver } = createDriver({}, {}, { profilesDir });
+      await assert.rejects(driver.stopProfiler(), /The profiler is not running/);
+    });
+
+    it('names profiles after test titles', function () {
+      assert.strictEqual(getProfileFileName('tests test 1'), 'tests-test-1.json.gz');
+      assert.strictEqual(getProfileFileName('FCP: loads <index.html> / 2x'), 'FCP-loads-index.html-2x.json.gz');
+      assert.strictEqual(getProfileFileName('???'), 'profile.json.gz');
+    });
+
+    describe('profileEachTest', function () {
+      let driver;
+      let hookProfilesDir;
+
+      before(function () {
+        hookProfilesDir = mkdtempSync(join(tmpdir(), 'profiles-hook-test-'));
+        ({ driver } = createDriver({}, {}, { profilesDir: hookProfilesDir }));
+      });
+
+      after(function () {
+        try {
+          assert.deepStrictEqual(readdirSync(hookProfilesDir).sort(), [
+            'webdriver-helper-profiler-profileEachTest-profiles-the-first-test.json.gz',
+            'webdriver-helper-profiler-profileEachTest-profiles-the-second-test.json.gz',
+          ]);
+        } finally {
+          rmSync(hookProfilesDir, { recursive: true, force: true });
+        }
+      });
+
+      profileEachTest(() => driver);
+
+      it('profiles the first test', function () {
+        assert.strictEqual(driver.isProfilerRunning, true);
+      });
+
+      it('profiles the second test', function () {
+        assert.strictEqual(driver.isProfilerRunning, true);
+      });
+    });
+
+    it('does not fail the profileEachTest hook when the profile cannot be saved', async function () {
+      const { driver, session } = createDriver({}, {}, { profilesDir });
+      let hook;
+      const { beforeEach, afterEach } = globalThis;
+      globalThis.beforeEach = () => {};
+      globalThis.afterEach = (fn) => { hook = fn; };
+      try {
+        profileEachTest(() => driver);
+      } finally {
+        Object.assign(globalThis, { beforeEach, afterEach });
+      }
+      const output = [];
+      const { log } = console;
+      console.log = (...args) => output.push(args.join(' '));
+      try {
+        driver.isProfilerRunning = true;
+        driver.processId = 2 ** 22 + 1;
+        await hook.call({ currentTest: { fullTitle: () => 'suite test' } });
+
+        driver.processId = null;
+        session.driver.executeScript = async () => {
+          throw new Error('Failed to decode response from marionette');
+        };
+        await hook.call({ currentTest: { fullTitle: () => 'suite test' } });
+      } finally {
+        console.log = log;
+      }
+
+      assert.deepStrictEqual(output, [
+        '✗ Could not save the profile of "suite test": Firefox is not running',
+        '✗ Could not save the profile of "suite test": Failed to decode response from marionette',
+      ]);
+      assert.deepStrictEqual(readdirSync(profilesDir), []);
+    });
+  });
+
+  describe('navigation', function () {
+    /**
+     * Create a driver following the navigations of a fake session
+     */
+    async function createNavigatingDriver() {
+      const { driver, session } = createDriver({}, {});
+      await driver.listenToBidi();
+      return { driver, bidi: session.bidi };
+    }
+
+    /**
+     * Wait for url() to send its navigate command, and return the navigation ID
+     */
+    async function waitForNavigate(bidi, count = 1) {
+      for (let i = 0; i < 100; i++) {
+        const commands = bidi.commands.filter(command => command.method === 'browsingContext.navigate');
+        if (commands.length >= count) {
+          return `navigation-${bidi.commands.indexOf(commands[count - 1]) + 1}`;
+        }
+        await new Promise(resolve => setTimeout(resolve, 5));
+      }
+      throw new Error('browsingContext.navigate was not sent');
+    }
+
+    /**
+     * Track whether a promise settled
+     */
+    function track(promise) {
+      const state = { settled: false };
+      state.promise = promise.finally(() => {
+        state.settled = true;
+      });
+      return state;
+    }
+
+    it('navigates through BiDi and waits for the requested event', async function () {
+      const { driver, bidi } = await createNavigatingDriver();
+
+      const navigation = track(driver.url('/index.html', { waitFor: 'load' }));
+      const id = await waitForNavigate(bidi);
+      assert.deepStrictEqual(bidi.commands.at(-1).params, { context: 'context-1', url: 'http://localhost:9090/index.html', wait: 'none' });
+
+      bidi.emit('browsingContext.navigationCommitted', { context: 'context-1', navigation: id, url: 'http://localhost:9090/index.html' });
+      bidi.emit('browsingContext.domContentLoaded', { context: 'context-1', navigation: id, url: 'http://localhost:9090/index.html' });
+      bidi.emit('browsingContext.load', { context: 'context-1', navigation: 'another', url: 'http://localhost:9090/other.html' });
+      await driver.pause(20);
+      assert.strictEqual(navigation.settled, false);
+
+      bidi.emit('browsingContext.load', { context: 'context-1', navigation: id, url: 'http://localhost:9090/index.html' });
+      await navigation.promise;
+      assert.strictEqual(driver.navigationWaiters.size, 0);
+    });
+
+    it('uses events that arrived before the navigate command returned', async function () {
+      const { driver, bidi } = await createNavigatingDriver();
+      bidi.emit('browsingContext.domContentLoaded', { context: 'context-1', navigation: 'navigation-1', url: 'about:blank' });
+
+      await driver.url('about:blank', { waitFor: 'commit', timeout: 100 });
+      assert.strictEqual(bidi.commands.at(-1).params.url, 'about:blank');
+    });
+
+    it('fails on failed navigations and timeouts', async function () {
+      const { driver, bidi } = await createNavigatingDriver();
+
+      const failed = driver.url('http://localhost:1/', { waitFor: 'load' });
+      const id = await waitForNavigate(bidi);
+      bidi.emit('browsingContext.navigationFailed', { context: 'context-1', navigation: id, url: 'http://localhost:1/' });
+      await assert.rejects(failed, /Navigation to http:\/\/localhost:1\/ failed/);
+
+      await assert.rejects(driver.url('/slow.html', { waitFor: 'load', timeout: 50 }), /Timeout waiting for navigation to \/slow\.html \(load\)/);
+      assert.strictEqual(driver.navigationWaiters.size, 0);
+    });
+
+    it('waits for the network to be idle after load', async function () {
+      const { driver, bidi } = await createNavigatingDriver();
+      const request = (id, url) => ({
+        context: 'context-1',
+        timestamp: Date.now(),
+        request: { request: id, url, method: 'GET', headers: [] },
+        response: { url, status: 200, statusText: 'OK', headers: [] },
+      });
+
+      const navigation = track(driver.url('/index.html', { waitFor: 'networkidle' }));
+      const id = await waitForNavigate(bidi);
+      bidi.emit('network.beforeRequestSent', request('1', 'http://localhost:9090/data.json'));
+      bidi.emit('browsingContext.load', { context: 'context-1', navigation: id, url: 'http://localhost:9090/index.html' });
+      await driver.pause(600);
+      assert.strictEqual(navigation.settled, false);
+
+      bidi.emit('network.responseCompleted', request('1', 'http://localhost:9090/data.json'));
+      const start = Date.now();
+      await navigation.promise;
+      assert(Date.now() - start >= 450, `Idle after ${Date.now() - start}ms`);
+    });
+
+    it('waits for page functions and performance entries', async function () {
+      const { driver } = createDriver({}, {});
+      let calls = 0;
+      driver.execute = async (script, ...args) => {
+        calls++;
+        if (typeof script === 'function') {
+          return script(...args, calls);
+        }
+        assert.deepStrictEqual(args, ['paint', 'first-contentful-paint']);
+        return calls >= 2 ? { name: 'first-contentful-paint', entryType: 'paint', startTime: 42 } : null;
+      };
+
+      assert.strictEqual(await driver.waitForFunction((min, count) => count >= min && count, [3]), 3);
+      calls = 0;
+      assert.strictEqual((await driver.waitForPerformanceEntry('paint', 'first-contentful-paint')).startTime, 42);
+      await assert.rejects(driver.waitForFunction(() => false, [], { timeout: 50 }), /Timeout waiting for function/);
+    });
+  });
+
+  describe('console logs', function () {
+    const CONSOLE_LOG = {
+      type: 'console',
+      method: 'log',
+      level: 'info',
+      text: 'FCP candidate: 42',
+      timestamp: 1760000000000,
+      source: { realm: 'realm-1', context: 'context-1' },
+      stackTrace: { callFrames: [{ functionName: '', url: 'http://localhost:9090/index.html', lineNumber: 10, columnNumber: 20 }] },
+    };
+    const PAGE_ERROR = {
+      type: 'javascript',
+      level: 'error',
+      text: 'Error: boom',
+      timestamp: 1760000000001,
+      source: { realm: 'realm-1', context: 'context-1' },
+    };
+
+    /**
+     * Create a driver listening to the console of a fake session
+     */
+    async function createListeningDriver(options) {
+      const { driver, session } = createDriver({}, {}, options);
+      await driver.listenToBidi();
+      return { driver, bidi: session.bidi };
+    }
+
+    /**
+     * Call a function registering Mocha hooks, and return the hooks instead of registering them
+     */
+    function getHooks(register) {
+      const hooks = {};
+      const { beforeEach, afterEach } = globalThis;
+      globalThis.beforeEach = (fn) => { hooks.beforeEach = fn; };
+      globalThis.afterEach = (fn) => { hooks.afterEach = fn; };
+      try {
+        register();
+      } finally {
+        Object.assign(globalThis, { beforeEach, afterEach });
+      }
+      return hooks;
+    }
+
+    it('collects console messages and page errors from log.entryAdded', async function () {
+      const { driver, bidi } = await createListeningDriver();
+      const received = [];
+      const unsubscribe = driver.onConsole(entry => received.push(entry.text));
+
+      bidi.emit('log.entryAdded', CONSOLE_LOG);
+      bidi.emit('browsingContext.load', { context: 'context-1' });
+      unsubscribe();
+      bidi.emit('log.entryAdded', PAGE_ERROR);
+
+      assert(bidi.subscriptions.includes('log.entryAdded'));
+      assert.deepStrictEqual(received, ['FCP candidate: 42']);
+      assert.deepStrictEqual(driver.getConsoleLogs()[0], {
+        type: 'console',
+        level: 'info',
+        text: 'FCP candidate: 42',
+        timestamp: 1760000000000,
+        method: 'log',
+        url: 'http://localhost:9090/index.html',
+        lineNumber: 10,
+        columnNumber: 20,
+        context: 'context-1',
+        stackTrace: CONSOLE_LOG.stackTrace.callFrames,
+      });
+      assert.deepStrictEqual(driver.getConsoleLogs({ level: 'error' }).map(entry => entry.text), ['Error: boom']);
+      assert.deepStrictEqual(driver.getPageErrors().map(entry => entry.text), ['Error: boom']);
+
+      driver.clearConsoleLogs();
+      assert.deepStrictEqual(driver.getConsoleLogs(), []);
+    });
+
+    it('formats entries on one line', async function () {
+      const { driver, bidi } = await createListeningDriver();
+      bidi.emit('log.entryAdded', CONSOLE_LOG);
+      bidi.emit('log.entryAdded', PAGE_ERROR);
+
+      assert.deepStrictEqual(driver.getConsoleLogs().map(formatConsoleEntry), [
+        '[info] FCP candidate: 42 (http://localhost:9090/index.html:11:21)',
+        '[exception] Error: boom',
+      ]);
+    });
+
+    it('closes the BiDi connection on quit', async function () {
+      const { driver, bidi } = await createListeningDriver();
+      await driver.quit();
+      assert.strictEqual(bidi.closed, true);
+      assert.strictEqual(driver.bidi, null);
+    });
+
+    describe('captureConsoleEachTest', function () {
+      /**
+       * Run the hooks around a test ending in the given state
+       */
+      function runHooks(driver, bidi, state) {
+        const hooks = getHooks(() => captureConsoleEachTest(() => driver));
+        const errors = [];
+        const output = [];
+        const { log } = console;
+
+        hooks.beforeEach.call({});
+        bidi.emit('log.entryAdded', PAGE_ERROR);
+        console.log = (...args) => output.push(args.join(' '));
+        try {
+          hooks.afterEach.call({
+            currentTest: { state, fullTitle: () => 'suite test' },
+            test: { error: err => errors.push(err) },
+          });
+        } finally {
+          console.log = log;
+        }
+        return { errors, output };
+      }
+
+      it('prints the console logs of failed tests', async function () {
+        const { driver, bidi } = await createListeningDriver({ failOnPageErrors: true });
+        bidi.emit('log.entryAdded', CONSOLE_LOG);
+
+        const { errors, output } = runHooks(driver, bidi, 'failed');
+        assert.deepStrictEqual(output, ['Console logs of "suite test" (1):', '  [exception] Error: boom']);
+        assert.deepStrictEqual(errors, []);
+      });
+
+      it('fails passing tests on page errors with failOnPageErrors', async function () {
+        const { driver, bidi } = await createListeningDriver({ failOnPageErrors: true });
+
+        const { errors, output } = runHooks(driver, bidi, 'passed');
+        assert.deepStrictEqual(output, []);
+        assert.strictEqual(errors.length, 1);
+        assert.match(errors[0].message, /1 uncaught page exception\(s\):\n {2}\[exception\] Error: boom/);
+      });
+
+      it('ignores page errors by default', async function () {
+        const { driver, bidi } = await createListeningDriver();
+
+        const { errors } = runHooks(driver, bidi, 'passed');
+        assert.deepStrictEqual(errors, []);
+      });
+    });
+  });
+
+  describe('restart', function () {
+    it('continues in a new user context after restarting the browser', async function () {
+      const { driver } = createDriver({}, {});
+      const sessions = [];
+      driver.build = async function () {
+        const session = createFakeSession();
+        sessions.push(session);
+        this.driver = session.driver;
+        await this.listenToBidi();
+        return this.driver;
+      };
+      await driver.build();
+      await driver.newUserContext();
+
+      await driver.restart();
+      assert.strictEqual(sessions.length, 2);
+      assert.deepStrictEqual(sessions[1].bidi.commands.map(command => command.method), ['browser.createUserContext', 'browsingContext.create']);
+      assert.strictEqual(driver.userContext.userContext, 'user-context-1');
+
+      await driver.closeUserContext();
+      await driver.restart();
+      assert.strictEqual(sessions[2].bidi.commands.length, 0);
+    });
+
+    it('forgets the user context on quit', async function () {
+      const { driver, session } = createDriver({}, {});
+      await driver.listenToBidi();
+      await driver.newUserContext();
+
+      await driver.quit();
+      assert.strictEqual(driver.userContext, null);
+      assert.strictEqual(session.bidi.closed, true);
+    });
+  });
+
+  describe('crashes', function () {
+    let workDir;
+
+    beforeEach(function () {
+      workDir = mkdtempSync(join(tmpdir(), 'driver-crashes-test-'));
+    });
+
+    afterEach(function () {
+      rmSync(workDir, { recursive: true, force: true });
+    });
+
+    /**
+     * Create a driver whose profile holds the given minidumps
+     */
+    function createCrashedDriver(dumps = {}) {
+      const { driver } = createDriver({}, {}, { crashesDir: join(workDir, 'crashes') });
+      driver.profileDir = join(workDir, 'profile');
+      mkdirSync(join(driver.profileDir, 'minidumps'), { recursive: true });
+      for (const [id, annotations] of Object.entries(dumps)) {
+        writeFileSync(join(driver.profileDir, 'minidumps', `${id}.dmp`), 'MDMP');
+        writeFileSync(join(driver.profileDir, 'minidumps', `${id}.extra`), JSON.stringify(annotations));
+      }
+      return driver;
+    }
+
+    it('reports no crash while the browser runs without minidumps', async function () {
+      const driver = createCrashedDriver();
+      assert.strictEqual(driver.isBrowserRunning(), true);
+      assert.strictEqual(await driver.checkForCrashes('suite test'), null);
+    });
+
+    it('collects the minidumps of crashed child processes', async function () {
+      const driver = createCrashedDriver({ 'aaaa-1111': { ProcessType: 'content', MozCrashReason: 'MOZ_CRASH(boom)' } });
+      const crash = await driver.checkForCrashes('suite test');
+      assert.strictEqual(crash.exited, false);
+      assert.strictEqual(crash.message, `Firefox crashed during "suite test": MOZ_CRASH(boom) (content process, minidump: ${join(workDir, 'crashes', 'suite-test-aaaa-1111.dmp')})`);
+      assert.strictEqual(await driver.checkForCrashes('suite test'), null);
+    });
+
+    it('detects browsers that exited', async function () {
+      const driver = createCrashedDriver({ 'bbbb-2222': {} });
+      assert.strictEqual((await driver.checkForCrashes('suite test')).exited, true);
+
+      // A process ID that cannot exist
+      driver.processId = 2 ** 31 - 1;
+      assert.strictEqual(driver.isBrowserRunning(), false);
+      const crash = await driver.checkForCrashes('suite other');
+      assert.deepStrictEqual(crash, { exited: true, crashes: [], message: 'Firefox exited during "suite other" without leaving a minidump' });
+
+      driver.processId = process.pid;
+      assert.strictEqual(driver.isBrowserRunning(), true);
+    });
+
+    it('collects crashes at shutdown and removes the profile on quit', async function () {
+      const driver = createCrashedDriver({ 'cccc-3333': { AsyncShutdownTimeout: 'hang' } });
+      const output = [];
+      const { log } = console;
+      console.log = (...args) => output.push(args.join(' '));
+      try {
+        await driver.quit();
+      } finally {
+        console.log = log;
+      }
+      assert.match(output[0], /^✗ Firefox crashed during "shutdown": Shutdown hang: hang \(main process, minidump: .*shutdown-cccc-3333\.dmp\)$/);
+      assert.strictEqual(existsSync(join(workDir, 'profile')), false);
+      assert.strictEqual(driver.profileDir, null);
+      assert.deepStrictEqual(readdirSync(join(workDir, 'crashes')).sort(), ['shutdown-cccc-3333.dmp', 'shutdown-cccc-3333.extra']);
+    });
+  });
+});